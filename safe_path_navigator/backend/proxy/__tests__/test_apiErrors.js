@@ -0,0 +1,130 @@
+/**
+ * Tests for the proxy's error envelope
+ */
+const {
+  ERROR_CODES,
+  ApiError,
+  assignRequestId,
+  asyncHandler,
+  errorHandler,
+  notFoundHandler
+} = require('../lib/apiErrors');
+
+// Response double recording what the middleware sends
+const createResponse = () => {
+  const res = { headersSent: false, statusCode: null, body: null, headers: {} };
+  res.status = jest.fn((status) => { res.statusCode = status; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  return res;
+};
+
+// Envelope the error handler answers an error with
+const envelopeOf = (error, req = { id: 'req-1', method: 'GET', originalUrl: '/api/test' }) => {
+  const res = createResponse();
+  errorHandler(error, req, res, jest.fn());
+  return { status: res.statusCode, body: res.body };
+};
+
+const axiosError = status => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status }
+});
+
+describe('API Errors', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('should answer an ApiError with its status and the envelope', () => {
+    const error = new ApiError(400, ERROR_CODES.INVALID_REQUEST, 'The request is invalid', [{ path: 'state' }]);
+
+    expect(envelopeOf(error)).toEqual({
+      status: 400,
+      body: { code: 'INVALID_REQUEST', message: 'The request is invalid', details: [{ path: 'state' }], requestId: 'req-1' }
+    });
+    expect(consoleErrorSpy).not.toHaveBeenCalled();
+  });
+
+  test('should map body parser errors to client errors', () => {
+    expect(envelopeOf({ type: 'entity.parse.failed' }).body).toMatchObject({ code: 'INVALID_JSON', details: null });
+    expect(envelopeOf({ type: 'entity.too.large', limit: 1024 })).toMatchObject({
+      status: 413,
+      body: { code: 'PAYLOAD_TOO_LARGE', message: 'The request body is larger than 1024 bytes' }
+    });
+  });
+
+  test('should map FBI API failures without passing the upstream body on', () => {
+    expect(envelopeOf(axiosError(404))).toMatchObject({ status: 404, body: { code: 'NOT_FOUND' } });
+    expect(envelopeOf(axiosError(429))).toMatchObject({ status: 503, body: { code: 'UPSTREAM_RATE_LIMITED' } });
+    expect(envelopeOf(axiosError(500))).toEqual({
+      status: 502,
+      body: {
+        code: 'UPSTREAM_ERROR',
+        message: 'Error fetching data from FBI Crime API',
+        details: { upstreamStatus: 500 },
+        requestId: 'req-1'
+      }
+    });
+  });
+
+  test('should hide unexpected errors behind an internal error and log them', () => {
+    const { status, body } = envelopeOf(new TypeError('secret is undefined'));
+
+    expect(status).toBe(500);
+    expect(body).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal server error', details: null, requestId: 'req-1' });
+    expect(consoleErrorSpy).toHaveBeenCalledWith('[req-1] GET /api/test failed:', 'secret is undefined');
+  });
+
+  test('should leave errors after the headers are sent to Express', () => {
+    const res = { ...createResponse(), headersSent: true };
+    const next = jest.fn();
+    const error = new Error('stream broke');
+
+    errorHandler(error, { id: 'req-1' }, res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should reuse a well-formed request id and replace any other', () => {
+    const withId = id => ({ get: name => (name === 'X-Request-Id' ? id : undefined) });
+    const reused = withId('client-123');
+    const replaced = withId('bad id\n');
+    const res = createResponse();
+
+    assignRequestId(reused, res, jest.fn());
+    assignRequestId(replaced, createResponse(), jest.fn());
+
+    expect(reused.id).toBe('client-123');
+    expect(res.headers['X-Request-Id']).toBe('client-123');
+    expect(replaced.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('should pass rejections of async handlers to the error handler', async () => {
+    const error = new Error('failed');
+    const next = jest.fn();
+
+    asyncHandler(async () => { throw error; })({}, createResponse(), next);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+
+  test('should answer unknown endpoints with NOT_FOUND', () => {
+    const next = jest.fn();
+
+    notFoundHandler({ method: 'DELETE', path: '/api/unknown' }, createResponse(), next);
+
+    expect(envelopeOf(next.mock.calls[0][0])).toEqual({
+      status: 404,
+      body: { code: 'NOT_FOUND', message: 'No endpoint for DELETE /api/unknown', details: null, requestId: 'req-1' }
+    });
+  });
+});
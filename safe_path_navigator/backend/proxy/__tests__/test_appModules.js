@@ -0,0 +1,19 @@
+/**
+ * Tests for loading the web app's compiled modules
+ */
+const fs = require('fs');
+const path = require('path');
+const { APP_MODULES_DIRECTORY, APP_MODULES, requireAppModule } = require('../lib/appModules');
+
+describe('App Modules', () => {
+  test('should load every app module the proxy uses from the build', () => {
+    APP_MODULES.forEach((modulePath) => {
+      expect(fs.existsSync(path.join(APP_MODULES_DIRECTORY, `${modulePath}.js`))).toBe(true);
+    });
+    expect(typeof requireAppModule('utils/geoUtils').haversineDistance).toBe('function');
+  });
+
+  test('should ask for a build when a module is missing', () => {
+    expect(() => requireAppModule('utils/notBuilt')).toThrow('App module "utils/notBuilt" is not built; run "npm run build"');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the proxy's FBI year ranges and offense trend series
+ */
+const {
+  MIN_DATA_YEAR,
+  MAX_YEAR_SPAN,
+  DEFAULT_YEARS_BACK,
+  resolveYearRange,
+  checkYearRange,
+  buildOffenseTrend
+} = require('../lib/fbiQueries');
+
+describe('FBI Queries', () => {
+  describe('resolveYearRange', () => {
+    test('should count years back from the current year', () => {
+      expect(resolveYearRange({}, 2024)).toEqual({ from: 2024 - DEFAULT_YEARS_BACK, to: 2024 });
+      expect(resolveYearRange({ years: 10 }, 2024)).toEqual({ from: 2014, to: 2024 });
+      expect(resolveYearRange({ years: 0 }, 2024)).toEqual({ from: 2024, to: 2024 });
+    });
+
+    test('should fill in a missing end of an explicit range', () => {
+      expect(resolveYearRange({ from: 2015, to: 2018 }, 2024)).toEqual({ from: 2015, to: 2018 });
+      expect(resolveYearRange({ from: 2015 }, 2024)).toEqual({ from: 2015, to: 2024 });
+      expect(resolveYearRange({ to: 2018 }, 2024)).toEqual({ from: 2018 - DEFAULT_YEARS_BACK, to: 2018 });
+    });
+  });
+
+  describe('checkYearRange', () => {
+    test('should accept usable ranges', () => {
+      expect(checkYearRange({})).toBeNull();
+      expect(checkYearRange({ years: MAX_YEAR_SPAN })).toBeNull();
+      expect(checkYearRange({ from: MIN_DATA_YEAR, to: MIN_DATA_YEAR + MAX_YEAR_SPAN })).toBeNull();
+    });
+
+    test('should reject years combined with from or to', () => {
+      expect(checkYearRange({ years: 3, from: 2018 })).toBe('"years" cannot be combined with "from" or "to"');
+      expect(checkYearRange({ years: 3, to: 2018 })).toBe('"years" cannot be combined with "from" or "to"');
+    });
+
+    test('should reject ranges that start too early, run backwards or span too long', () => {
+      expect(checkYearRange({ from: MIN_DATA_YEAR - 1, to: 1990 })).toBe(`The range may start no earlier than ${MIN_DATA_YEAR}`);
+      expect(checkYearRange({ from: 2020, to: 2018 })).toBe('"from" must be no later than "to"');
+      expect(checkYearRange({ from: 1980, to: 1980 + MAX_YEAR_SPAN + 1 })).toBe(`The range may span at most ${MAX_YEAR_SPAN} years`);
+    });
+  });
+
+  describe('buildOffenseTrend', () => {
+    const estimates = {
+      results: [
+        { year: 2022, population: 1000000, robbery: 1500, rape_revised: 300 },
+        { year: '2020', population: '1000000', robbery: '1200', rape_revised: null },
+        { year: 2021, population: 0, robbery: 1300 },
+        { year: 2019, population: 1000000 },
+        null
+      ]
+    };
+
+    test('should build a series oldest first with rates per 1,000 residents', () => {
+      expect(buildOffenseTrend(estimates, 'robbery')).toEqual([
+        { year: 2020, count: 1200, population: 1000000, ratePer1000: 1.2 },
+        { year: 2021, count: 1300, population: null, ratePer1000: null },
+        { year: 2022, count: 1500, population: 1000000, ratePer1000: 1.5 }
+      ]);
+    });
+
+    test('should read the estimate field of the offense code', () => {
+      expect(buildOffenseTrend(estimates, 'rape')).toEqual([
+        { year: 2022, count: 300, population: 1000000, ratePer1000: 0.3 }
+      ]);
+    });
+
+    test('should return an empty series without results', () => {
+      expect(buildOffenseTrend(null, 'robbery')).toEqual([]);
+      expect(buildOffenseTrend({ results: 'none' }, 'robbery')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for the proxy's declarative request validation
+ */
+const {
+  optional,
+  string,
+  number,
+  integer,
+  oneOf,
+  isoDate,
+  record,
+  array,
+  object,
+  anyOf,
+  validate
+} = require('../lib/requestValidation');
+
+describe('Request Validation', () => {
+  describe('optional', () => {
+    test('should use the default for missing values and check the rest', () => {
+      const type = optional(integer(), 5);
+
+      expect(type.optional).toBe(true);
+      expect(type(undefined, 'years')).toEqual({ value: 5 });
+      expect(type(null, 'years')).toEqual({ value: 5 });
+      expect(type('', 'years')).toEqual({ value: 5 });
+      expect(type('3', 'years')).toEqual({ value: 3 });
+      expect(type('x', 'years')).toEqual({ errors: [{ path: 'years', message: 'must be a whole number' }] });
+    });
+  });
+
+  describe('string', () => {
+    const code = string({ maxLength: 4, pattern: /^[a-z]+$/i, description: 'letters', transform: value => value.toUpperCase() });
+
+    test('should transform strings that match', () => {
+      expect(code('abc', 'code')).toEqual({ value: 'ABC' });
+    });
+
+    test('should reject non-strings, long strings and mismatches', () => {
+      expect(code(12, 'code').errors[0].message).toBe('must be a string');
+      expect(code('abcde', 'code').errors[0].message).toBe('must be at most 4 characters');
+      expect(code('ab1', 'code').errors[0].message).toBe('must be letters');
+      expect(string({ pattern: /^a$/ })('b', 'code').errors[0].message).toBe('must be text matching /^a$/');
+    });
+  });
+
+  describe('number and integer', () => {
+    test('should accept numbers and numeric strings within bounds', () => {
+      expect(number({ min: -90, max: 90 })('37.5', 'lat')).toEqual({ value: 37.5 });
+      expect(number()(-122.4, 'lng')).toEqual({ value: -122.4 });
+      expect(integer({ min: 0, max: 30 })('30', 'years')).toEqual({ value: 30 });
+    });
+
+    test('should reject non-numbers, fractions and values out of bounds', () => {
+      expect(number()('abc', 'lat').errors[0].message).toBe('must be a number');
+      expect(number()(' ', 'lat').errors[0].message).toBe('must be a number');
+      expect(number()(Infinity, 'lat').errors[0].message).toBe('must be a number');
+      expect(integer()('2.5', 'years').errors[0].message).toBe('must be a whole number');
+      expect(number({ min: -90, max: 90 })(91, 'lat').errors[0].message).toBe('must be from -90 to 90');
+    });
+  });
+
+  describe('oneOf', () => {
+    test('should match values after transforming strings', () => {
+      const state = oneOf(['CA', 'OR'], { transform: value => value.toUpperCase() });
+
+      expect(state('ca', 'state')).toEqual({ value: 'CA' });
+      expect(state('wa', 'state').errors[0].message).toBe('must be one of CA, OR');
+      expect(oneOf([5, 6])(5, 'precision')).toEqual({ value: 5 });
+      expect(oneOf([5, 6], { description: '5 or 6' })(7, 'precision').errors[0].message).toBe('must be 5 or 6');
+    });
+  });
+
+  describe('isoDate', () => {
+    test('should accept ISO 8601 dates and keep them as strings', () => {
+      expect(isoDate()('2024-06-01', 'departureTime')).toEqual({ value: '2024-06-01' });
+      expect(isoDate()('2024-06-01T22:00:00-07:00', 'departureTime')).toEqual({ value: '2024-06-01T22:00:00-07:00' });
+    });
+
+    test('should reject other dates and values', () => {
+      ['June 1, 2024', '2024-13-45', 1717279200000].forEach((value) => {
+        expect(isoDate()(value, 'departureTime')).toEqual({
+          errors: [{ path: 'departureTime', message: 'must be an ISO 8601 date' }]
+        });
+      });
+    });
+  });
+
+  describe('record', () => {
+    test('should pass plain objects on as they are', () => {
+      const geometry = { type: 'LineString', coordinates: [] };
+
+      expect(record()(geometry, 'geometry').value).toBe(geometry);
+      expect(record()([], 'geometry').errors[0].message).toBe('must be an object');
+      expect(record()(null, 'geometry').errors[0].message).toBe('must be an object');
+    });
+  });
+
+  describe('array', () => {
+    const items = array(integer(), { minItems: 1, maxItems: 3 });
+
+    test('should check every item and report its index', () => {
+      expect(items(['1', 2], 'items')).toEqual({ value: [1, 2] });
+      expect(items([1, 'x', 2.5], 'items')).toEqual({
+        errors: [
+          { path: 'items[1]', message: 'must be a whole number' },
+          { path: 'items[2]', message: 'must be a whole number' }
+        ]
+      });
+    });
+
+    test('should enforce the item count', () => {
+      expect(items('1', 'items').errors[0].message).toBe('must be an array');
+      expect(items([], 'items').errors[0].message).toBe('must hold 1 to 3 items');
+      expect(array(integer(), { minItems: 2 })([1], 'items').errors[0].message).toBe('must hold at least 2 items');
+    });
+  });
+
+  describe('object', () => {
+    const point = object({ lat: number(), lng: number(), label: optional(string()) });
+
+    test('should parse declared fields and drop the others', () => {
+      expect(point({ lat: '1', lng: 2, extra: true }, '')).toEqual({ value: { lat: 1, lng: 2 } });
+      expect(object({ lat: number() }, { passthrough: true })({ lat: 1, extra: true }, '')).toEqual({
+        value: { lat: 1, extra: true }
+      });
+    });
+
+    test('should report every missing or invalid field with its path', () => {
+      expect(point({ lng: 'x' }, 'origin')).toEqual({
+        errors: [
+          { path: 'origin.lat', message: 'is required' },
+          { path: 'origin.lng', message: 'must be a number' }
+        ]
+      });
+      expect(point('1,2', '').errors).toEqual([{ path: null, message: 'must be an object' }]);
+    });
+
+    test('should run the cross-field check once the fields are valid', () => {
+      const range = object({ from: integer(), to: integer() }, {
+        check: ({ from, to }) => (from > to ? '"from" must be no later than "to"' : null)
+      });
+
+      expect(range({ from: 2020, to: 2018 }, '').errors).toEqual([{ path: null, message: '"from" must be no later than "to"' }]);
+      expect(range({ from: 2018, to: 2020 }, '')).toEqual({ value: { from: 2018, to: 2020 } });
+      expect(range({ from: 'x', to: 2018 }, '').errors).toEqual([{ path: 'from', message: 'must be a whole number' }]);
+    });
+  });
+
+  describe('anyOf', () => {
+    test('should use the first type that matches', () => {
+      const item = anyOf([object({ ori: string() }), object({ lat: number(), lng: number() })], 'an ORI or a point');
+
+      expect(item({ ori: 'CA0380100' }, 'items[0]')).toEqual({ value: { ori: 'CA0380100' } });
+      expect(item({ lat: 1, lng: 2 }, 'items[0]')).toEqual({ value: { lat: 1, lng: 2 } });
+      expect(item({ lat: 1 }, 'items[0]')).toEqual({ errors: [{ path: 'items[0]', message: 'must be an ORI or a point' }] });
+    });
+  });
+
+  describe('validate', () => {
+    const schema = {
+      params: object({ state: oneOf(['CA']) }),
+      query: object({ years: optional(integer({ min: 0, max: 30 }), 5) }),
+      body: object({ name: string() })
+    };
+
+    test('should put the parsed request on req.valid', () => {
+      const req = { params: { state: 'CA' }, query: { years: '3', debug: '1' }, body: { name: 'x' } };
+      const next = jest.fn();
+
+      validate(schema)(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.valid).toEqual({ params: { state: 'CA' }, query: { years: 3 }, body: { name: 'x' } });
+    });
+
+    test('should check a missing body as an empty object', () => {
+      const next = jest.fn();
+
+      validate({ body: object({ name: string() }) })({}, {}, next);
+
+      expect(next.mock.calls[0][0].details).toEqual([{ location: 'body', path: 'name', message: 'is required' }]);
+    });
+  });
+});
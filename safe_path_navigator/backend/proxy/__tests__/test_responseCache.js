@@ -0,0 +1,236 @@
+/**
+ * Tests for the proxy response cache
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDiskStore, createResponseCache } = require('../lib/responseCache');
+
+const POLICY = { ttlMs: 1000, staleMs: 500 };
+
+// Clock the tests move by hand
+const createClock = (start = 1700000000000) => {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms) => { time += ms; }
+  };
+};
+
+// In-memory second-level store recording what the cache writes
+const createMemoryStore = () => {
+  const saved = new Map();
+  return {
+    saved,
+    get: async key => saved.get(key) || null,
+    set: async (entry) => { saved.set(entry.key, entry); },
+    purge: async (prefix) => {
+      [...saved.keys()].filter(key => key.startsWith(prefix)).forEach(key => saved.delete(key));
+    }
+  };
+};
+
+// Loader resolved by the test, counting how often it is called
+const createDeferredLoader = () => {
+  const loader = jest.fn(() => new Promise((resolve, reject) => {
+    loader.resolve = resolve;
+    loader.reject = reject;
+  }));
+  return loader;
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Response Cache', () => {
+  let clock;
+  let store;
+  let cache;
+
+  beforeEach(() => {
+    clock = createClock();
+    store = createMemoryStore();
+    cache = createResponseCache({ maxEntries: 3, store, now: clock.now });
+  });
+
+  test('should load on a miss and serve the stored entry while fresh', async () => {
+    const loader = jest.fn().mockResolvedValue({ value: 1 });
+
+    const first = await cache.getOrLoad('a', POLICY, loader);
+    clock.advance(999);
+    const second = await cache.getOrLoad('a', POLICY, loader);
+
+    expect(first.status).toBe('MISS');
+    expect(second.status).toBe('HIT');
+    expect(second.entry).toBe(first.entry);
+    expect(second.entry.data).toEqual({ value: 1 });
+    expect(second.entry.expiresAt).toBe(first.entry.storedAt + POLICY.ttlMs);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(store.saved.get('a')).toBe(first.entry);
+  });
+
+  test('should serve a stale entry at once and refresh it in the background', async () => {
+    const loader = jest.fn()
+      .mockResolvedValueOnce({ value: 1 })
+      .mockResolvedValueOnce({ value: 2 });
+
+    await cache.getOrLoad('a', POLICY, loader);
+    clock.advance(1200);
+    const stale = await cache.getOrLoad('a', POLICY, loader);
+    await flushPromises();
+    const refreshed = await cache.getOrLoad('a', POLICY, loader);
+
+    expect(stale.status).toBe('STALE');
+    expect(stale.entry.data).toEqual({ value: 1 });
+    expect(refreshed.status).toBe('HIT');
+    expect(refreshed.entry.data).toEqual({ value: 2 });
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep serving the stale entry when the refresh fails', async () => {
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const loader = jest.fn()
+      .mockResolvedValueOnce({ value: 1 })
+      .mockRejectedValue(new Error('upstream down'));
+
+    await cache.getOrLoad('a', POLICY, loader);
+    clock.advance(1200);
+    await cache.getOrLoad('a', POLICY, loader);
+    await flushPromises();
+    const again = await cache.getOrLoad('a', POLICY, loader);
+    await flushPromises();
+
+    expect(again.status).toBe('STALE');
+    expect(again.entry.data).toEqual({ value: 1 });
+    expect(cache.inspect().revalidationErrors).toBe(2);
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('should reload an entry once it is past its stale window', async () => {
+    const loader = jest.fn()
+      .mockResolvedValueOnce({ value: 1 })
+      .mockResolvedValueOnce({ value: 2 });
+
+    await cache.getOrLoad('a', POLICY, loader);
+    clock.advance(POLICY.ttlMs + POLICY.staleMs);
+    expect(cache.inspect().entries[0].state).toBe('expired');
+
+    const reloaded = await cache.getOrLoad('a', POLICY, loader);
+
+    expect(reloaded.status).toBe('MISS');
+    expect(reloaded.entry.data).toEqual({ value: 2 });
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('should share one upstream request between concurrent misses', async () => {
+    const loader = createDeferredLoader();
+
+    const first = cache.getOrLoad('a', POLICY, loader);
+    const second = cache.getOrLoad('a', POLICY, loader);
+    await flushPromises();
+    expect(cache.inspect().inFlight).toBe(1);
+    loader.resolve({ value: 1 });
+    const [firstResult, secondResult] = await Promise.all([first, second]);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(firstResult.entry).toBe(secondResult.entry);
+    expect(cache.inspect()).toMatchObject({ misses: 2, coalesced: 1, inFlight: 0 });
+  });
+
+  test('should not keep a failed load, so the next request retries', async () => {
+    const loader = createDeferredLoader();
+
+    const first = cache.getOrLoad('a', POLICY, loader);
+    const second = cache.getOrLoad('a', POLICY, loader);
+    await flushPromises();
+    loader.reject(new Error('upstream down'));
+
+    await expect(first).rejects.toThrow('upstream down');
+    await expect(second).rejects.toThrow('upstream down');
+    expect(cache.inspect().inFlight).toBe(0);
+
+    const retried = await cache.getOrLoad('a', POLICY, jest.fn().mockResolvedValue({ value: 1 }));
+    expect(retried.status).toBe('MISS');
+  });
+
+  test('should evict the least recently used entry beyond maxEntries', async () => {
+    const load = value => jest.fn().mockResolvedValue({ value });
+    const memoryOnly = createResponseCache({ maxEntries: 3, now: clock.now });
+
+    await memoryOnly.getOrLoad('a', POLICY, load('a'));
+    await memoryOnly.getOrLoad('b', POLICY, load('b'));
+    await memoryOnly.getOrLoad('c', POLICY, load('c'));
+    // Reading 'a' makes 'b' the least recently used
+    await memoryOnly.getOrLoad('a', POLICY, load('a'));
+    await memoryOnly.getOrLoad('d', POLICY, load('d'));
+
+    expect(memoryOnly.inspect().entries.map(entry => entry.key)).toEqual(['c', 'a', 'd']);
+
+    const reloader = load('b');
+    const evicted = await memoryOnly.getOrLoad('b', POLICY, reloader);
+    expect(evicted.status).toBe('MISS');
+    expect(reloader).toHaveBeenCalledTimes(1);
+    expect(memoryOnly.inspect().entries.map(entry => entry.key)).toEqual(['a', 'd', 'b']);
+  });
+
+  test('should fall back to the store for entries evicted from memory', async () => {
+    const load = value => jest.fn().mockResolvedValue({ value });
+    for (const key of ['a', 'b', 'c', 'd']) {
+      await cache.getOrLoad(key, POLICY, load(key));
+    }
+    const reloader = load('a');
+    const restored = await cache.getOrLoad('a', POLICY, reloader);
+
+    expect(restored.status).toBe('HIT');
+    expect(restored.entry.data).toEqual({ value: 'a' });
+    expect(reloader).not.toHaveBeenCalled();
+  });
+
+  test('purge should remove matching entries in memory and in the store', async () => {
+    const loader = jest.fn().mockResolvedValue({});
+    await cache.getOrLoad('crime-national:2020', POLICY, loader);
+    await cache.getOrLoad('crime-national:2021', POLICY, loader);
+    await cache.getOrLoad('agencies:CA', POLICY, loader);
+
+    const purged = await cache.purge('crime-national');
+
+    expect(purged).toBe(2);
+    expect(cache.inspect().entries.map(entry => entry.key)).toEqual(['agencies:CA']);
+    expect([...store.saved.keys()]).toEqual(['agencies:CA']);
+  });
+});
+
+describe('Response Cache disk store', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should keep entries across cache instances', async () => {
+    const clock = createClock();
+    const loader = jest.fn().mockResolvedValue({ value: 1 });
+
+    await createResponseCache({ directory, now: clock.now }).getOrLoad('a', POLICY, loader);
+    const restarted = await createResponseCache({ directory, now: clock.now }).getOrLoad('a', POLICY, loader);
+
+    expect(restarted.status).toBe('HIT');
+    expect(restarted.entry.data).toEqual({ value: 1 });
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  test('should purge only files whose key matches the prefix', async () => {
+    const store = createDiskStore(directory);
+    await store.set({ key: 'crime-national:2020', data: {} });
+    await store.set({ key: 'agencies:CA', data: {} });
+
+    await store.purge('crime-national');
+
+    expect(await store.get('crime-national:2020')).toBeNull();
+    expect(await store.get('agencies:CA')).toEqual({ key: 'agencies:CA', data: {} });
+    expect(fs.readdirSync(directory)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the request schemas of the proxy's routes
+ */
+const { ROUTE_SCHEMAS } = require('../lib/routeSchemas');
+const { MAX_BATCH_SIZE } = require('../lib/crimeBatch');
+
+const messagesOf = result => (result.errors || []).map(({ path, message }) => `${path}: ${message}`);
+
+describe('Route Schemas', () => {
+  test('crimeLocation should take a state in any case and a city name', () => {
+    const { query } = ROUTE_SCHEMAS.crimeLocation;
+
+    expect(query({ state: 'ca', city: 'San Francisco' }, '')).toEqual({ value: { state: 'CA', city: 'San Francisco' } });
+    expect(query({ state: 'ca', city: 'Coeur d\'Alene' }, '').value.city).toBe('Coeur d\'Alene');
+    expect(messagesOf(query({ state: 'XX', city: 'a/b' }, ''))).toEqual([
+      'state: must be a two-letter state abbreviation',
+      'city: must be a city name (letters, digits, spaces and . \' -)'
+    ]);
+  });
+
+  test('crimeNational should default to five years back and cap the span', () => {
+    const { query } = ROUTE_SCHEMAS.crimeNational;
+
+    expect(query({}, '')).toEqual({ value: { years: 5 } });
+    expect(messagesOf(query({ years: '31' }, ''))).toEqual(['years: must be from 0 to 30']);
+  });
+
+  test('agency should take a nine-character ORI and upper-case it', () => {
+    const { params } = ROUTE_SCHEMAS.agency;
+
+    expect(params({ ori: 'ca0380100' }, '')).toEqual({ value: { ori: 'CA0380100' } });
+    expect(messagesOf(params({ ori: 'CA038' }, ''))).toEqual(['ori: must be a nine-character agency ORI']);
+    expect(messagesOf(params({ ori: '../etc/pw' }, ''))).toEqual(['ori: must be a nine-character agency ORI']);
+  });
+
+  test('agencyOffenses should take a year range and an offense code', () => {
+    const { query } = ROUTE_SCHEMAS.agencyOffenses;
+
+    expect(query({ from: '2018', to: '2022', offense: 'robbery' }, '')).toEqual({
+      value: { from: 2018, to: 2022, offense: 'robbery' }
+    });
+    expect(messagesOf(query({ offense: 'jaywalking' }, ''))[0]).toMatch(/^offense: must be one of /);
+  });
+
+  test('year range queries should reject unusable ranges', () => {
+    const { query } = ROUTE_SCHEMAS.stateEstimates;
+    const thisYear = new Date().getFullYear();
+
+    expect(messagesOf(query({ years: '3', from: '2018' }, ''))).toEqual(['null: "years" cannot be combined with "from" or "to"']);
+    expect(messagesOf(query({ from: '2020', to: '2018' }, ''))).toEqual(['null: "from" must be no later than "to"']);
+    expect(messagesOf(query({ from: '1978' }, ''))).toEqual([`from: must be from 1979 to ${thisYear}`]);
+    expect(messagesOf(query({ to: String(thisYear + 1) }, ''))).toEqual([`to: must be from 1979 to ${thisYear}`]);
+  });
+
+  test('offenseTrend should take an offense and an optional state', () => {
+    const { params, query } = ROUTE_SCHEMAS.offenseTrend;
+
+    expect(params({ offense: 'motor-vehicle-theft' }, '')).toEqual({ value: { offense: 'motor-vehicle-theft' } });
+    expect(query({ state: 'or' }, '')).toEqual({ value: { state: 'OR' } });
+  });
+
+  test('crimeBatch should take ORIs or coordinates with an optional state', () => {
+    const { body } = ROUTE_SCHEMAS.crimeBatch;
+
+    expect(body({ items: [{ ori: 'ca0380100' }, { lat: 37.77, lng: -122.42, state: 'ca' }] }, '')).toEqual({
+      value: { items: [{ ori: 'CA0380100' }, { lat: 37.77, lng: -122.42, state: 'CA' }], yearsBack: 5 }
+    });
+    expect(messagesOf(body({ items: [{ lat: 91, lng: 0 }] }, ''))).toEqual([
+      'items[0]: must be an ORI, or valid lat and lng with an optional state'
+    ]);
+    expect(messagesOf(body({ items: [] }, ''))).toEqual([`items: must hold 1 to ${MAX_BATCH_SIZE} items`]);
+  });
+
+  test('safetyScore should take either a polyline or a geometry', () => {
+    const { body } = ROUTE_SCHEMAS.safetyScore;
+    const geometry = { type: 'LineString', coordinates: [[-122.42, 37.77], [-122.41, 37.78]] };
+
+    expect(body({ geometry }, '')).toEqual({ value: { geometry, precision: 5, travelMode: 'WALKING' } });
+    expect(body({ polyline: '_p~iF~ps|U_ulLnnqC', travelMode: 'BICYCLING' }, '').value.travelMode).toBe('BICYCLING');
+    expect(messagesOf(body({}, ''))).toEqual(['null: Expected either "polyline" or "geometry"']);
+    expect(messagesOf(body({ polyline: 'abc', geometry }, ''))).toEqual(['null: Expected either "polyline" or "geometry"']);
+    expect(messagesOf(body({ geometry, travelMode: 'FLYING', departureTime: 'tonight' }, ''))).toEqual([
+      'travelMode: must be one of WALKING, BICYCLING, DRIVING, TRANSIT',
+      'departureTime: must be an ISO 8601 date'
+    ]);
+  });
+
+  test('cachePurge should default to every entry', () => {
+    expect(ROUTE_SCHEMAS.cachePurge.query({}, '')).toEqual({ value: { prefix: '' } });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for scoring routes sent to the proxy
+ */
+const {
+  MAX_ROUTE_DISTANCE_METERS,
+  MAX_ROUTE_SEGMENTS,
+  parseScoreRequest,
+  scoreRouteRequest
+} = require('../lib/routeScoring');
+
+// A short walk in downtown San Francisco
+const geometry = {
+  type: 'LineString',
+  coordinates: [[-122.4194, 37.7749], [-122.4170, 37.7760], [-122.4150, 37.7770]]
+};
+
+// Batch results for coordinates no agency covers
+const sendBatch = jest.fn(async items => items.map(() => ({ error: { message: 'No agency within 50 km' } })));
+
+// A pharmacy on the route that opens 09:00-17:00 local time
+const layers = {
+  emergencyServices: [
+    { lat: 37.7760, lng: -122.4170, type: 'pharmacy', openingHours: 'Mo-Su 09:00-17:00' }
+  ]
+};
+
+describe('Route Scoring', () => {
+  test('should read the UTC offset of the departure time', () => {
+    const request = parseScoreRequest({ geometry, travelMode: 'WALKING', departureTime: '2024-06-03T10:00:00-07:00' });
+
+    expect(request.utcOffsetMinutes).toBe(-420);
+    expect(request.departureTime.toISOString()).toBe('2024-06-03T17:00:00.000Z');
+  });
+
+  test('should reject a departure time without a UTC offset', () => {
+    const request = parseScoreRequest({ geometry, travelMode: 'WALKING', departureTime: '2024-06-03T10:00:00' });
+
+    expect(request.error).toEqual({
+      path: 'departureTime',
+      message: 'must include a UTC offset, e.g. 2024-06-01T22:00:00-07:00'
+    });
+  });
+
+  test('should reject routes longer than the distance limit', () => {
+    // 26 bytes of polyline spanning hundreds of kilometers
+    const request = parseScoreRequest({ polyline: '_p~iF~ps|U_ulLnnqC_mqNvxq`@', precision: 5, travelMode: 'WALKING' });
+
+    expect(request.error).toEqual({ path: 'polyline', message: `must be at most ${MAX_ROUTE_DISTANCE_METERS / 1000} km long` });
+  });
+
+  test('should lengthen segments on long routes and leave their points out', async () => {
+    // Roughly 90 km due north
+    const longRoute = { type: 'LineString', coordinates: [[-122.4194, 37.0], [-122.4194, 37.81]] };
+    const request = parseScoreRequest({ geometry: longRoute, travelMode: 'DRIVING' });
+
+    const result = await scoreRouteRequest(request, { sendBatch });
+
+    expect(request.distanceMeters).toBeGreaterThan(89000);
+    expect(result.segmentLengthMeters).toBe(Math.ceil(request.distanceMeters / MAX_ROUTE_SEGMENTS));
+    expect(result.segments.length).toBeLessThanOrEqual(MAX_ROUTE_SEGMENTS);
+    result.segments.forEach(segment => expect(segment).not.toHaveProperty('points'));
+    expect(result.segments[0]).toEqual(expect.objectContaining({ startIndex: 0, start: { lat: 37.0, lng: -122.4194 } }));
+  });
+
+  test('should not generate the app\'s demo dataset', async () => {
+    const syntheticData = require('../dist/app/utils/syntheticData');
+    const generate = jest.spyOn(syntheticData, 'generateSyntheticCityData');
+
+    await scoreRouteRequest(parseScoreRequest({ geometry, travelMode: 'WALKING' }), { sendBatch, layers });
+
+    expect(generate).not.toHaveBeenCalled();
+    generate.mockRestore();
+  });
+
+  test('should score only the factors it has data for', async () => {
+    const request = parseScoreRequest({ geometry, travelMode: 'WALKING' });
+
+    const result = await scoreRouteRequest(request, { sendBatch });
+
+    expect(result.safetyScore.crime).toBeNull();
+    expect(result.safetyScore.lighting).toBeNull();
+    expect(result.safetyScore.emergency).toBeNull();
+    expect(result.safetyScore.businesses).toBeNull();
+    expect(result.departureTime).toBeNull();
+    expect(result.utcOffsetMinutes).toBeNull();
+    expect(result.segmentLengthMeters).toBe(100);
+  });
+
+  test('should read opening hours on the clock of the departure time', async () => {
+    // The same moment: 10:00 in San Francisco, when the pharmacy is open, and 17:00 UTC, when it is closed
+    const pacific = parseScoreRequest({ geometry, travelMode: 'WALKING', departureTime: '2024-06-03T10:00:00-07:00' });
+    const utc = parseScoreRequest({ geometry, travelMode: 'WALKING', departureTime: '2024-06-03T17:00:00Z' });
+
+    const open = await scoreRouteRequest(pacific, { sendBatch, layers });
+    const closed = await scoreRouteRequest(utc, { sendBatch, layers });
+
+    expect(open.safetyScore.emergency).toBeGreaterThan(0);
+    expect(closed.safetyScore.emergency).toBe(0);
+    expect(open.utcOffsetMinutes).toBe(-420);
+    expect(open.departureTime).toBe(closed.departureTime);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the proxy's routes: request validation and the error envelope through the real route table
+ */
+const request = require('supertest');
+
+process.env.FBI_CRIME_DATA_API_KEY = 'test-key';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.ALLOWED_ORIGINS = 'http://localhost:3000';
+delete process.env.INCIDENT_DATA_FILE;
+delete process.env.EMERGENCY_SERVICES_FILE;
+delete process.env.CACHE_DIR;
+
+const { app } = require('../server');
+
+// A short walk in Manhattan, which the bundled agency catalog does not cover
+const NEW_YORK_ROUTE = {
+  type: 'LineString',
+  coordinates: [[-74.0060, 40.7128], [-74.0050, 40.7138], [-74.0040, 40.7148]]
+};
+
+describe('Proxy Server', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('request validation', () => {
+    test('should answer invalid query parameters with the error envelope', async () => {
+      const response = await request(app)
+        .get('/api/fbi/agencies?state=XX')
+        .set('X-Request-Id', 'req-123');
+
+      expect(response.status).toBe(400);
+      expect(response.headers['x-request-id']).toBe('req-123');
+      expect(response.body).toEqual({
+        code: 'INVALID_REQUEST',
+        message: 'The request is invalid',
+        details: [{ location: 'query', path: 'state', message: 'must be a two-letter state abbreviation' }],
+        requestId: 'req-123'
+      });
+    });
+
+    test('should list every invalid path parameter and query field', async () => {
+      const invalid = await request(app).get('/api/fbi/agencies/CA038/offenses?offense=jaywalking&years=99');
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details.map(({ location, path }) => `${location}.${path}`)).toEqual([
+        'params.ori',
+        'query.offense',
+        'query.years'
+      ]);
+      expect(invalid.body.requestId).toBe(invalid.headers['x-request-id']);
+    });
+
+    test('should check year ranges across fields', async () => {
+      const response = await request(app).get('/api/fbi/estimates/states/ca?from=2020&to=2018');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ location: 'query', path: null, message: '"from" must be no later than "to"' }]);
+    });
+
+    test('should answer invalid JSON and invalid bodies before any upstream request', async () => {
+      const malformed = await request(app)
+        .post('/api/crime/batch')
+        .set('Content-Type', 'application/json')
+        .send('{"items": [');
+      const empty = await request(app).post('/api/crime/batch').send({ items: [] });
+
+      expect(malformed.status).toBe(400);
+      expect(malformed.body).toMatchObject({ code: 'INVALID_JSON', details: null });
+      expect(empty.status).toBe(400);
+      expect(empty.body.details).toEqual([{ location: 'body', path: 'items', message: 'must hold 1 to 50 items' }]);
+    });
+
+    test('should reject a route request with both or neither geometry', async () => {
+      const response = await request(app).post('/api/safety/score').send({ travelMode: 'WALKING' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        { location: 'body', path: null, message: 'Expected either "polyline" or "geometry"' }
+      ]);
+    });
+
+    test('should reject a departure time without a UTC offset', async () => {
+      const response = await request(app)
+        .post('/api/safety/score')
+        .send({ geometry: NEW_YORK_ROUTE, departureTime: '2024-06-01T22:00:00' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{
+        location: 'body',
+        path: 'departureTime',
+        message: 'must include a UTC offset, e.g. 2024-06-01T22:00:00-07:00'
+      }]);
+    });
+
+    test('should reject a route longer than the distance limit', async () => {
+      const response = await request(app)
+        .post('/api/safety/score')
+        .send({ polyline: '_p~iF~ps|U_ulLnnqC_mqNvxq`@' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([{ location: 'body', path: 'polyline', message: 'must be at most 100 km long' }]);
+    });
+  });
+
+  describe('routes', () => {
+    test('should score a route without data as unscored', async () => {
+      const response = await request(app)
+        .post('/api/safety/score')
+        .send({ geometry: NEW_YORK_ROUTE, departureTime: '2024-06-01T22:00:00-04:00' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.utcOffsetMinutes).toBe(-240);
+      expect(response.body.safetyScore.crime).toBeNull();
+      expect(response.body.safetyScore.lighting).toBeNull();
+    });
+
+    test('should answer unknown endpoints and unconfigured files with NOT_FOUND envelopes', async () => {
+      const unknown = await request(app).get('/api/nothing-here');
+      const incidents = await request(app).get('/api/incidents');
+
+      expect(unknown.status).toBe(404);
+      expect(unknown.body).toMatchObject({ code: 'NOT_FOUND', message: 'No endpoint for GET /api/nothing-here', details: null });
+      expect(incidents.status).toBe(404);
+      expect(incidents.body.code).toBe('NOT_CONFIGURED');
+    });
+
+    test('should reject origins outside the CORS allow list', async () => {
+      const response = await request(app).get('/api/health').set('Origin', 'https://example.com');
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ code: 'CORS_REJECTED', details: { origin: 'https://example.com' } });
+    });
+
+    test('should allow the admin DELETE through a CORS preflight', async () => {
+      const response = await request(app)
+        .options('/api/admin/cache')
+        .set('Origin', 'http://localhost:3000')
+        .set('Access-Control-Request-Method', 'DELETE');
+
+      expect(response.status).toBe(204);
+      expect(response.headers['access-control-allow-methods']).toBe('GET,POST,DELETE');
+    });
+
+    test('should require the admin token and purge the cache with it', async () => {
+      const unauthorized = await request(app).delete('/api/admin/cache');
+      const purged = await request(app)
+        .delete('/api/admin/cache?prefix=crime-national')
+        .set('Authorization', 'Bearer test-admin-token');
+
+      expect(unauthorized.status).toBe(401);
+      expect(unauthorized.body.code).toBe('UNAUTHORIZED');
+      expect(purged.status).toBe(200);
+      expect(purged.body).toEqual({ purged: 0 });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Compile the web app's modules the proxy uses (see lib/appModules.js) to CommonJS in dist/app
+ * Follows the imports of every module in APP_MODULES through src/ and copies the JSON data
+ * files they import, so the built directory runs without the app's source.
+ * Usage: npm run build
+ */
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+const { APP_MODULES_DIRECTORY, APP_MODULES } = require('./lib/appModules');
+
+const APP_SOURCE_DIRECTORY = path.resolve(__dirname, '../../src');
+
+/**
+ * Resolve an import of a source file to a file in src/
+ */
+const resolveImport = (fromFile, specifier) => {
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [base, `${base}.js`, path.join(base, 'index.js')];
+  const resolved = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!resolved) {
+    throw new Error(`Cannot resolve "${specifier}" from ${path.relative(APP_SOURCE_DIRECTORY, fromFile)}`);
+  }
+  if (!resolved.startsWith(APP_SOURCE_DIRECTORY + path.sep)) {
+    throw new Error(`"${specifier}" in ${path.relative(APP_SOURCE_DIRECTORY, fromFile)} is outside src/`);
+  }
+  return resolved;
+};
+
+/**
+ * Compile one source file, collecting the relative imports it makes
+ */
+const compileFile = (filePath) => {
+  const imports = [];
+  const collectImport = ({ node }) => {
+    if (!node.source) return;
+    if (!node.source.value.startsWith('.')) {
+      throw new Error(`${path.relative(APP_SOURCE_DIRECTORY, filePath)} imports the package "${node.source.value}"`);
+    }
+    imports.push(resolveImport(filePath, node.source.value));
+  };
+
+  const { code } = babel.transformFileSync(filePath, {
+    plugins: [() => ({
+      visitor: {
+        ImportDeclaration: collectImport,
+        ExportNamedDeclaration: collectImport,
+        ExportAllDeclaration: collectImport
+      }
+    })],
+    presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+    babelrc: false,
+    configFile: false
+  });
+
+  return { code, imports };
+};
+
+/**
+ * Compile the app modules and everything they import into the output directory
+ * @returns {Array<string>} - The files written, relative to src/
+ */
+const buildAppModules = () => {
+  fs.rmSync(APP_MODULES_DIRECTORY, { recursive: true, force: true });
+
+  const pending = APP_MODULES.map(modulePath => path.join(APP_SOURCE_DIRECTORY, `${modulePath}.js`));
+  const written = new Set();
+
+  while (pending.length > 0) {
+    const filePath = pending.pop();
+    const relativePath = path.relative(APP_SOURCE_DIRECTORY, filePath);
+    if (written.has(relativePath)) continue;
+
+    const outputPath = path.join(APP_MODULES_DIRECTORY, relativePath);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    if (filePath.endsWith('.json')) {
+      fs.copyFileSync(filePath, outputPath);
+    } else {
+      const { code, imports } = compileFile(filePath);
+      fs.writeFileSync(outputPath, code);
+      pending.push(...imports);
+    }
+    written.add(relativePath);
+  }
+
+  return [...written].sort();
+};
+
+try {
+  const files = buildAppModules();
+  console.log(`Compiled ${files.length} app files to ${path.relative(process.cwd(), APP_MODULES_DIRECTORY) || '.'}`);
+} catch (error) {
+  console.error('Building the app modules failed:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,109 @@
+/**
+ * Agency catalog builder for the SafePath Navigator proxy
+ * Fetches every reporting agency per state from the FBI agencies endpoint and
+ * writes the offline catalog the frontend bundles (src/data/agencyCatalog.json).
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { requireAppModule, APP_MODULES_DIRECTORY } = require('./appModules');
+
+const { normalizeAgencies } = requireAppModule('utils/agencies');
+
+const FBI_API_BASE_URL = 'https://api.usa.gov/crime/fbi/sapi';
+
+// Catalog a refresh writes by default: the one the frontend bundles
+const DEFAULT_CATALOG_PATH = path.resolve(__dirname, '../../../src/data/agencyCatalog.json');
+
+// Copy of the catalog the build puts next to the compiled app modules (see buildAppModules.js)
+const BUILT_CATALOG_PATH = path.join(APP_MODULES_DIRECTORY, 'data/agencyCatalog.json');
+
+// States and DC, by postal abbreviation
+const STATE_ABBREVIATIONS = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY'
+];
+
+/**
+ * Fetch every agency in a state, normalized like the app normalizes agencies (see src/utils/agencies.js)
+ */
+const fetchStateAgencies = async (state, apiKey) => {
+  const url = `${FBI_API_BASE_URL}/api/agencies/byStateAbbr/${state}?api_key=${apiKey}`;
+  const { data } = await axios.get(url);
+
+  return normalizeAgencies(data).map(agency => ({ ...agency, state: agency.state || state }));
+};
+
+/**
+ * Read an existing catalog file, or an empty catalog if there is none
+ */
+const readCatalog = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return { generatedAt: null, source: null, states: [], agencies: [] };
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+/**
+ * Refresh the catalog for some or all states
+ * States that fail to download keep their previous entries, so a partial outage
+ * never empties the catalog.
+ *
+ * @param {Object} options - Refresh options
+ * @param {string} options.apiKey - FBI Crime Data API key
+ * @param {Array<string>} options.states - States to refresh (default: all)
+ * @param {string} options.filePath - Catalog file (default: the frontend's bundled catalog)
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Object>} - { catalog, refreshed, failed }
+ */
+const refreshAgencyCatalog = async ({
+  apiKey,
+  states = STATE_ABBREVIATIONS,
+  filePath = DEFAULT_CATALOG_PATH,
+  log = console.log
+}) => {
+  if (!apiKey) {
+    throw new Error('FBI_CRIME_DATA_API_KEY is required to refresh the agency catalog');
+  }
+
+  const existing = readCatalog(filePath);
+  let agencies = existing.agencies || [];
+  const completeStates = new Set(existing.states || []);
+  const refreshed = [];
+  const failed = [];
+
+  // One state at a time, to stay well inside the API's rate limits
+  for (const state of states) {
+    try {
+      const stateAgencies = await fetchStateAgencies(state, apiKey);
+      agencies = agencies.filter(agency => agency.state !== state).concat(stateAgencies);
+      completeStates.add(state);
+      refreshed.push(state);
+      log(`${state}: ${stateAgencies.length} agencies`);
+    } catch (error) {
+      failed.push(state);
+      log(`${state}: failed (${error.message}), keeping previous entries`);
+    }
+  }
+
+  const catalog = {
+    generatedAt: new Date().toISOString(),
+    source: 'fbi-agencies-endpoint',
+    states: [...completeStates].sort(),
+    agencies: agencies.sort((a, b) => a.state.localeCompare(b.state) || a.ori.localeCompare(b.ori))
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(catalog, null, 2)}\n`);
+
+  return { catalog, refreshed, failed };
+};
+
+module.exports = {
+  DEFAULT_CATALOG_PATH,
+  BUILT_CATALOG_PATH,
+  STATE_ABBREVIATIONS,
+  refreshAgencyCatalog
+};
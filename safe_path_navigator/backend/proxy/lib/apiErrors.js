@@ -0,0 +1,127 @@
+/**
+ * Error responses for the SafePath Navigator proxy
+ * Every failure, whether a rejected parameter, a CORS origin, the rate limit or the FBI API,
+ * is answered with the same JSON envelope: { code, message, details, requestId }. The
+ * request id is also sent as X-Request-Id and logged, so a report can be traced.
+ */
+const crypto = require('crypto');
+
+// Error codes clients can branch on
+const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_JSON: 'INVALID_JSON',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  CORS_REJECTED: 'CORS_REJECTED',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UPSTREAM_RATE_LIMITED: 'UPSTREAM_RATE_LIMITED',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Request ids accepted from clients; anything else is replaced with a new one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Error with the status, code and details of the response it becomes
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Error message for the client
+   * @param {*} details - Further details, e.g. the invalid parameters (default: null)
+   */
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Middleware that gives each request an id, reusing a well-formed X-Request-Id
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+/**
+ * Run an async handler, passing a rejection on to the error handler
+ */
+const asyncHandler = handler => (req, res, next) => {
+  Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(next);
+};
+
+/**
+ * The ApiError any error is answered with; upstream bodies are never passed through
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  // Errors from express.json
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, ERROR_CODES.INVALID_JSON, 'The request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError(413, ERROR_CODES.PAYLOAD_TOO_LARGE, `The request body is larger than ${error.limit} bytes`);
+  }
+
+  // Errors from axios requests to the FBI API
+  if (error.isAxiosError) {
+    const upstreamStatus = error.response ? error.response.status : null;
+    if (upstreamStatus === 404) {
+      return new ApiError(404, ERROR_CODES.NOT_FOUND, 'The FBI Crime Data API has no data for this request');
+    }
+    if (upstreamStatus === 429) {
+      return new ApiError(503, ERROR_CODES.UPSTREAM_RATE_LIMITED, 'The FBI Crime Data API is rate limiting the server');
+    }
+    return new ApiError(502, ERROR_CODES.UPSTREAM_ERROR, 'Error fetching data from FBI Crime API', { upstreamStatus });
+  }
+
+  return new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+};
+
+/**
+ * Error-handling middleware that answers with the error envelope
+ */
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error.message);
+  }
+
+  res.status(apiError.status).json({
+    code: apiError.code,
+    message: apiError.message,
+    details: apiError.details,
+    requestId: req.id || null
+  });
+};
+
+/**
+ * Middleware for requests no route matched
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, ERROR_CODES.NOT_FOUND, `No endpoint for ${req.method} ${req.path}`));
+};
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  assignRequestId,
+  asyncHandler,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,44 @@
+/**
+ * The web app's modules, for the SafePath Navigator proxy
+ * The proxy uses the app's own code in src/ (scoring, geometry, agency helpers) instead
+ * of keeping copies of it. `npm run build` (buildAppModules.js) compiles those modules to
+ * CommonJS in dist/app ahead of time, so the server needs neither Babel nor the app's source.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Where buildAppModules.js writes the compiled modules
+const APP_MODULES_DIRECTORY = path.resolve(__dirname, '../dist/app');
+
+// Modules the proxy loads, relative to src/; the build compiles these and every module they import
+const APP_MODULES = [
+  'utils/agencies',
+  'utils/emergencyServices',
+  'utils/geoUtils',
+  'utils/incidentImport',
+  'utils/localTime',
+  'utils/routeScoring',
+  'utils/routeSegments',
+  'utils/scoringProfiles',
+  'services/fbiCrimeDataProxyService'
+];
+
+/**
+ * Load one of the app's compiled modules
+ * @param {string} modulePath - Path relative to src/, e.g. 'utils/geoUtils'
+ * @returns {Object} - The module's exports
+ * @throws {Error} - When the modules have not been built
+ */
+const requireAppModule = (modulePath) => {
+  const filePath = path.join(APP_MODULES_DIRECTORY, `${modulePath}.js`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`App module "${modulePath}" is not built; run "npm run build" in backend/proxy`);
+  }
+  return require(filePath);
+};
+
+module.exports = {
+  APP_MODULES_DIRECTORY,
+  APP_MODULES,
+  requireAppModule
+};
@@ -0,0 +1,129 @@
+/**
+ * Batch crime statistics for the SafePath Navigator proxy
+ * A route sample is a coordinate or an agency ORI; coordinates are matched to the
+ * nearest agency in the agency catalog, with the app's agency matching (see
+ * src/utils/agencies.js). Each agency's offense counts and population are fetched once
+ * per batch, however many samples share it, so scoring several route alternatives costs
+ * one rate-limited request instead of one per sample.
+ */
+const { requireAppModule } = require('./appModules');
+
+const { findNearestAgency, MAX_AGENCY_DISTANCE_METERS } = requireAppModule('utils/agencies');
+
+// Most samples a batch may hold
+const MAX_BATCH_SIZE = 50;
+
+// Agencies fetched from the FBI API at the same time
+const AGENCY_CONCURRENCY = 4;
+
+/**
+ * Catalog agency that covers a coordinate: the nearest one within MAX_AGENCY_DISTANCE_METERS,
+ * and in the item's state when it names one
+ * @param {Array<Object>} agencies - Catalog agencies
+ * @param {Object} item - Coordinate item { lat, lng, state }
+ * @returns {Object|null} - { agency, distanceMeters, matchedBy }, or null when no agency is close enough
+ */
+const findNearestCatalogAgency = (agencies, { lat, lng, state = null }) => findNearestAgency(
+  state ? agencies.filter(agency => agency.state === state) : agencies,
+  { lat, lng }
+);
+
+/**
+ * Fetch an agency's offense counts and, unless the catalog knows it, its population
+ */
+const fetchAgencyStats = async (ori, { fetchJson, yearsBack, population }) => {
+  const currentYear = new Date().getFullYear();
+
+  const [offenses, participation] = await Promise.all([
+    fetchJson(`/api/summarized/agencies/${ori}/offenses/${currentYear - yearsBack}/${currentYear}`),
+    population ? Promise.resolve(null) : fetchJson(`/api/participation/agencies/${ori}`)
+  ]);
+
+  const latestPopulation = participation
+    ? (participation.results || [])
+      .filter(result => Number(result.population) > 0)
+      .sort((a, b) => Number(b.data_year) - Number(a.data_year))
+      .map(result => Number(result.population))[0] || null
+    : population;
+
+  return { offenses: (offenses && offenses.results) || [], population: latestPopulation };
+};
+
+/**
+ * Run an async function over values, a few at a time
+ */
+const mapWithConcurrency = async (values, limit, fn) => {
+  const results = new Array(values.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < values.length) {
+      const index = next++;
+      results[index] = await fn(values[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, values.length) }, worker));
+  return results;
+};
+
+/**
+ * Crime statistics for every item of a batch
+ * Items that fail get an error of their own, so one bad sample never fails the batch.
+ * @param {Array<Object>} items - Items validated by the batch route's schema ({ lat, lng, state } or { ori })
+ * @param {Object} options - Batch options
+ * @param {Function} options.fetchJson - (apiPath) => Promise of the FBI API's response body
+ * @param {Array<Object>} options.agencies - Catalog agencies, for coordinate items
+ * @param {number} options.yearsBack - Years of offense counts (default: 5)
+ * @returns {Promise<Array<Object>>} - Per item, in order: { agency, population, offenses } or { error }
+ */
+const resolveCrimeBatch = async (items, { fetchJson, agencies = [], yearsBack = 5 }) => {
+  const catalogByOri = new Map(agencies.map(agency => [agency.ori, agency]));
+
+  const matches = items.map((item) => {
+    if (item.ori) {
+      const ori = item.ori.toUpperCase();
+      return { agency: catalogByOri.get(ori) || { ori, name: ori }, distanceMeters: null, matchedBy: 'ori' };
+    }
+    return findNearestCatalogAgency(agencies, item);
+  });
+
+  // Each agency is fetched once, however many items it covers
+  const oris = [...new Set(matches.filter(Boolean).map(match => match.agency.ori))];
+  const stats = await mapWithConcurrency(oris, AGENCY_CONCURRENCY, async (ori) => {
+    try {
+      return await fetchAgencyStats(ori, { fetchJson, yearsBack, population: catalogByOri.get(ori)?.population });
+    } catch (error) {
+      console.error(`Error fetching crime statistics for agency ${ori}:`, error.message);
+      return { error: `Error fetching crime statistics for agency ${ori}` };
+    }
+  });
+  const statsByOri = new Map(oris.map((ori, index) => [ori, stats[index]]));
+
+  return matches.map((match, index) => {
+    if (!match) {
+      const { state } = items[index];
+      return {
+        error: `No agency${state ? ` in ${state}` : ''} within ${MAX_AGENCY_DISTANCE_METERS / 1000} km in the agency catalog`
+      };
+    }
+
+    const agencyStats = statsByOri.get(match.agency.ori);
+    if (agencyStats.error) return { error: agencyStats.error };
+
+    return {
+      agency: {
+        ori: match.agency.ori,
+        name: match.agency.name,
+        distanceMeters: match.distanceMeters,
+        matchedBy: match.matchedBy
+      },
+      population: agencyStats.population,
+      offenses: agencyStats.offenses
+    };
+  });
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  findNearestCatalogAgency,
+  resolveCrimeBatch
+};
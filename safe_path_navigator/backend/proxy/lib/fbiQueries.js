@@ -0,0 +1,101 @@
+/**
+ * FBI Crime Data API queries for the SafePath Navigator proxy
+ * Year ranges of the offense, estimate and trend endpoints, and per-offense trend series
+ * built from FBI estimates. The endpoints' parameters are declared in routeSchemas.js.
+ */
+
+// First year the FBI API has data for
+const MIN_DATA_YEAR = 1979;
+
+// Years a single request may span
+const MAX_YEAR_SPAN = 30;
+
+// Years returned when a request gives no range
+const DEFAULT_YEARS_BACK = 5;
+
+// Offense codes of the summarized endpoints and the estimate fields they are reported in;
+// the codes match the app's offense keys
+const OFFENSE_ESTIMATE_FIELDS = {
+  'violent-crime': 'violent_crime',
+  'homicide': 'homicide',
+  'rape': 'rape_revised',
+  'robbery': 'robbery',
+  'aggravated-assault': 'aggravated_assault',
+  'property-crime': 'property_crime',
+  'burglary': 'burglary',
+  'larceny': 'larceny',
+  'motor-vehicle-theft': 'motor_vehicle_theft',
+  'arson': 'arson'
+};
+
+const OFFENSES = Object.keys(OFFENSE_ESTIMATE_FIELDS);
+
+/**
+ * Year range of a validated query: from and to, or years back from this year
+ * @param {Object} query - Query with whole-number from, to or years, any of which may be missing
+ * @param {number} currentYear - Latest year (default: this year)
+ * @returns {Object} - { from, to }
+ */
+const resolveYearRange = ({ from, to, years }, currentYear = new Date().getFullYear()) => {
+  if (from === undefined && to === undefined) {
+    const yearsBack = years === undefined ? DEFAULT_YEARS_BACK : years;
+    return { from: currentYear - yearsBack, to: currentYear };
+  }
+
+  const lastYear = to === undefined ? currentYear : to;
+  return { from: from === undefined ? lastYear - DEFAULT_YEARS_BACK : from, to: lastYear };
+};
+
+/**
+ * What is wrong with a validated query's year range, or null when it is usable
+ * @param {Object} query - Query with whole-number from, to or years
+ * @returns {string|null} - Problem with the range
+ */
+const checkYearRange = (query) => {
+  if (query.years !== undefined && (query.from !== undefined || query.to !== undefined)) {
+    return '"years" cannot be combined with "from" or "to"';
+  }
+
+  const { from, to } = resolveYearRange(query);
+  if (from < MIN_DATA_YEAR) return `The range may start no earlier than ${MIN_DATA_YEAR}`;
+  if (from > to) return '"from" must be no later than "to"';
+  if (to - from > MAX_YEAR_SPAN) return `The range may span at most ${MAX_YEAR_SPAN} years`;
+  return null;
+};
+
+/**
+ * Trend series of one offense from FBI estimates (national or state)
+ * @param {Object} estimates - Estimates response ({ results: [{ year, population, violent_crime, ... }] })
+ * @param {string} offense - Offense code
+ * @returns {Array<Object>} - [{ year, count, population, ratePer1000 }], oldest first; years without
+ *   a count for the offense are left out
+ */
+const buildOffenseTrend = (estimates, offense) => {
+  const field = OFFENSE_ESTIMATE_FIELDS[offense];
+  const results = (estimates && Array.isArray(estimates.results)) ? estimates.results : [];
+
+  return results
+    .filter(result => result && Number.isFinite(Number(result.year)) &&
+      result[field] !== null && Number.isFinite(Number(result[field])))
+    .map((result) => {
+      const count = Number(result[field]);
+      const population = Number(result.population) > 0 ? Number(result.population) : null;
+      return {
+        year: Number(result.year),
+        count,
+        population,
+        ratePer1000: population ? (count / population) * 1000 : null
+      };
+    })
+    .sort((a, b) => a.year - b.year);
+};
+
+module.exports = {
+  OFFENSES,
+  MIN_DATA_YEAR,
+  MAX_YEAR_SPAN,
+  DEFAULT_YEARS_BACK,
+  resolveYearRange,
+  checkYearRange,
+  buildOffenseTrend
+};
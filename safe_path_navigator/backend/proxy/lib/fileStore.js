@@ -0,0 +1,43 @@
+/**
+ * In-memory cache for data files the proxy serves from disk
+ * The file is parsed on first use and again whenever its modification time changes,
+ * so a refreshed file is picked up without restarting the server.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a loader for a data file
+ * @param {string} filePath - Data file
+ * @param {Function} load - Parses the file: (filePath) => data
+ * @returns {Function} - Returns the parsed data, reloading it when the file changes
+ */
+const createFileStore = (filePath, load) => {
+  let cached = null;
+  let cachedMtime = null;
+
+  return () => {
+    const mtime = fs.statSync(filePath).mtimeMs;
+    if (!cached || mtime !== cachedMtime) {
+      cached = load(filePath);
+      cachedMtime = mtime;
+    }
+    return cached;
+  };
+};
+
+/**
+ * Load a JSON data file with its name and load time
+ * @param {string} filePath - JSON file
+ * @returns {Object} - { source, loadedAt, data }
+ */
+const loadJsonFile = (filePath) => ({
+  source: path.basename(filePath),
+  loadedAt: new Date().toISOString(),
+  data: JSON.parse(fs.readFileSync(filePath, 'utf8'))
+});
+
+module.exports = {
+  createFileStore,
+  loadJsonFile
+};
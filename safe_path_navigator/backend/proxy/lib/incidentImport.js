@@ -0,0 +1,213 @@
+/**
+ * Incident file loader for the SafePath Navigator proxy
+ * Reads a city's CSV or GeoJSON crime incident export from disk, maps its columns
+ * to the incident schema ({lat, lng, offense, occurredAt, weight}) and drops rows
+ * with invalid coordinates or dates. Mirrors src/utils/incidentImport.js; the
+ * frontend normalizes offense names and weights when it receives the incidents.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+
+// Column names tried for each incident field, matched ignoring case, spaces and punctuation
+const DEFAULT_INCIDENT_FIELD_MAPPING = {
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  occurredAt: ['occurredAt', 'occurred_at', 'incident_datetime', 'datetime', 'occurred_on', 'date', 'report_date'],
+  offense: ['offense', 'offense_type', 'incident_category', 'category', 'crime_type', 'primary_type'],
+  weight: ['weight']
+};
+
+const simplifyColumn = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Find the value of a mapped field in a record
+ */
+const readField = (record, candidates) => {
+  const names = (Array.isArray(candidates) ? candidates : [candidates]).filter(Boolean).map(simplifyColumn);
+  const column = names
+    .map(name => Object.keys(record).find(key => simplifyColumn(key) === name))
+    .find(key => key !== undefined);
+
+  return column === undefined ? undefined : record[column];
+};
+
+/**
+ * Parse CSV text into records keyed by the header row (quoted fields may hold commas and line breaks)
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...dataRows] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: dataRows.map(cells => columns.reduce((record, column, index) => ({
+      ...record,
+      [column]: cells[index] !== undefined ? cells[index].trim() : ''
+    }), {}))
+  };
+};
+
+/**
+ * Map a record to an incident, or return the reason it is invalid
+ */
+const mapIncidentRecord = (record, fields, now) => {
+  const rawLat = readField(record, fields.lat);
+  const rawLng = readField(record, fields.lng);
+  const rawDate = readField(record, fields.occurredAt);
+  const rawOffense = readField(record, fields.offense);
+  const rawWeight = readField(record, fields.weight);
+
+  if (isBlank(rawLat) || isBlank(rawLng)) return { error: 'Missing coordinates' };
+
+  const lat = Number(rawLat);
+  const lng = Number(rawLng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: `Invalid coordinates (${rawLat}, ${rawLng})` };
+  }
+  if (lat === 0 && lng === 0) return { error: 'Coordinates are 0,0 (not geocoded)' };
+
+  let occurredAt = null;
+  if (!isBlank(rawDate)) {
+    const date = new Date(rawDate);
+    if (Number.isNaN(date.getTime())) return { error: `Invalid date "${rawDate}"` };
+    if (date > now) return { error: `Date "${rawDate}" is in the future` };
+    occurredAt = date.toISOString();
+  }
+
+  let weight = null;
+  if (!isBlank(rawWeight)) {
+    weight = Number(rawWeight);
+    if (!Number.isFinite(weight) || weight < 0) return { error: `Invalid weight "${rawWeight}"` };
+  }
+
+  return {
+    incident: {
+      lat,
+      lng,
+      offense: isBlank(rawOffense) ? null : String(rawOffense).trim(),
+      occurredAt,
+      weight
+    }
+  };
+};
+
+/**
+ * Source records from a GeoJSON FeatureCollection, with point coordinates as lat/lng
+ */
+const geoJSONRecords = (text) => {
+  const geojson = JSON.parse(text);
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Expected a GeoJSON FeatureCollection');
+  }
+
+  return geojson.features.map((feature) => {
+    const properties = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) return properties;
+
+    const [lng, lat] = geometry.coordinates;
+    return { ...properties, lat, lng };
+  });
+};
+
+/**
+ * Load and validate an incident file
+ * @param {string} filePath - CSV, GeoJSON or JSON file
+ * @param {Object} options - { mapping, delimiter, now }
+ * @returns {Object} - { source, loadedAt, format, columns, incidents, rejected: [{row, reason}] }
+ */
+const loadIncidentFile = (filePath, { mapping = {}, delimiter = ',', now = new Date() } = {}) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const isGeoJSON = /\.(geo)?json$/i.test(filePath);
+
+  let records;
+  let columns;
+  if (isGeoJSON) {
+    records = geoJSONRecords(text);
+    columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  } else {
+    ({ records, columns } = parseCsv(text, delimiter));
+  }
+
+  const fields = isGeoJSON
+    ? { ...DEFAULT_INCIDENT_FIELD_MAPPING, ...mapping, lat: 'lat', lng: 'lng' }
+    : { ...DEFAULT_INCIDENT_FIELD_MAPPING, ...mapping };
+
+  const incidents = [];
+  const rejected = [];
+  records.forEach((record, index) => {
+    const { incident, error } = mapIncidentRecord(record, fields, now);
+    if (incident) {
+      incidents.push(incident);
+    } else {
+      rejected.push({ row: index + 1, reason: error });
+    }
+  });
+
+  return {
+    source: path.basename(filePath),
+    loadedAt: new Date().toISOString(),
+    format: isGeoJSON ? 'geojson' : 'csv',
+    columns,
+    incidents,
+    rejected
+  };
+};
+
+/**
+ * Loader that keeps the parsed file in memory and reloads it when the file changes
+ * @param {string} filePath - Incident file
+ * @param {Object} options - Options for loadIncidentFile
+ * @returns {Function} - Returns the current load result
+ */
+const createIncidentStore = (filePath, options = {}) => (
+  createFileStore(filePath, () => loadIncidentFile(filePath, options))
+);
+
+module.exports = {
+  DEFAULT_INCIDENT_FIELD_MAPPING,
+  parseCsv,
+  loadIncidentFile,
+  createIncidentStore
+};
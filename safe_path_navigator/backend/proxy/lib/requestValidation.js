@@ -0,0 +1,180 @@
+/**
+ * Declarative request validation for the SafePath Navigator proxy
+ * A route declares the shape of its params, query and body with the types below, and the
+ * validate middleware checks each request against it before the handler runs. Handlers
+ * read the parsed values from req.valid, never the raw request, so nothing unchecked
+ * reaches an upstream URL. Path and query values arrive as strings, so number types
+ * accept numeric strings.
+ *
+ * A type is a function (value, path) => { value } | { errors: [{ path, message }] }.
+ */
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+
+const ok = value => ({ value });
+const fail = (path, message) => ({ errors: [{ path: path || null, message }] });
+
+const isMissing = value => value === undefined || value === null || value === '';
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Let a field be left out, using a default value when it is
+ */
+const optional = (type, defaultValue) => Object.assign(
+  (value, path) => (isMissing(value) ? ok(defaultValue) : type(value, path)),
+  { optional: true }
+);
+
+/**
+ * A string, optionally bounded in length, matched against a pattern and transformed
+ */
+const string = ({ maxLength = 200, pattern = null, description = null, transform = value => value } = {}) => (
+  (value, path) => {
+    if (typeof value !== 'string') return fail(path, 'must be a string');
+    if (value.length > maxLength) return fail(path, `must be at most ${maxLength} characters`);
+    if (pattern && !pattern.test(value)) return fail(path, `must be ${description || `text matching ${pattern}`}`);
+    return ok(transform(value));
+  }
+);
+
+/**
+ * A finite number within bounds
+ */
+const number = ({ min = -Infinity, max = Infinity, integer: wholeNumber = false } = {}) => (value, path) => {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed) || (wholeNumber && !Number.isInteger(parsed))) {
+    return fail(path, wholeNumber ? 'must be a whole number' : 'must be a number');
+  }
+  if (parsed < min || parsed > max) return fail(path, `must be from ${min} to ${max}`);
+  return ok(parsed);
+};
+
+/**
+ * A whole number within bounds
+ */
+const integer = (options = {}) => number({ ...options, integer: true });
+
+/**
+ * One of a list of values, optionally after transforming a string (e.g. to upper case)
+ */
+const oneOf = (values, { transform = value => value, description = null } = {}) => (value, path) => {
+  const candidate = typeof value === 'string' ? transform(value) : value;
+  return values.includes(candidate)
+    ? ok(candidate)
+    : fail(path, `must be ${description || `one of ${values.join(', ')}`}`);
+};
+
+/**
+ * An ISO 8601 date string
+ */
+const isoDate = () => (value, path) => (
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && Number.isFinite(Date.parse(value))
+    ? ok(value)
+    : fail(path, 'must be an ISO 8601 date')
+);
+
+/**
+ * Any JSON object, passed on as is
+ */
+const record = () => (value, path) => (isPlainObject(value) ? ok(value) : fail(path, 'must be an object'));
+
+/**
+ * An array whose items all have one type
+ */
+const array = (item, { minItems = 0, maxItems = Infinity } = {}) => (value, path) => {
+  if (!Array.isArray(value)) return fail(path, 'must be an array');
+  if (value.length < minItems || value.length > maxItems) {
+    return fail(path, maxItems === Infinity
+      ? `must hold at least ${minItems} items`
+      : `must hold ${minItems} to ${maxItems} items`);
+  }
+
+  const results = value.map((element, index) => item(element, `${path || ''}[${index}]`));
+  const errors = results.flatMap(result => result.errors || []);
+  return errors.length > 0 ? { errors } : ok(results.map(result => result.value));
+};
+
+/**
+ * An object with declared fields; fields are required unless optional
+ * @param {Object} fields - Type per field name
+ * @param {Object} options - Object options
+ * @param {Function} options.check - (parsed) => message or null, for rules across fields
+ * @param {boolean} options.passthrough - Keep undeclared fields (default: they are dropped)
+ */
+const object = (fields, { check = null, passthrough = false } = {}) => (value, path) => {
+  if (!isPlainObject(value)) return fail(path, 'must be an object');
+
+  const errors = [];
+  const parsed = passthrough ? { ...value } : {};
+  Object.entries(fields).forEach(([name, type]) => {
+    const fieldPath = path ? `${path}.${name}` : name;
+    if (isMissing(value[name]) && !type.optional) {
+      errors.push({ path: fieldPath, message: 'is required' });
+      return;
+    }
+
+    const result = type(value[name], fieldPath);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else if (result.value !== undefined) {
+      parsed[name] = result.value;
+    } else {
+      delete parsed[name];
+    }
+  });
+
+  if (errors.length === 0 && check) {
+    const message = check(parsed);
+    if (message) errors.push({ path: path || null, message });
+  }
+  return errors.length > 0 ? { errors } : ok(parsed);
+};
+
+/**
+ * The first of several types a value matches
+ */
+const anyOf = (types, description) => (value, path) => {
+  const match = types.map(type => type(value, path)).find(result => !result.errors);
+  return match || fail(path, `must be ${description}`);
+};
+
+/**
+ * Middleware that validates a request against a route schema
+ * Parsed values are put on req.valid ({ params, query, body }); invalid requests are answered
+ * with a 400 INVALID_REQUEST whose details list every problem ({ location, path, message }).
+ * @param {Object} schema - Object types for the request's params, query and body; each is optional
+ */
+const validate = schema => (req, res, next) => {
+  const errors = [];
+  const valid = {};
+
+  ['params', 'query', 'body'].forEach((location) => {
+    if (!schema[location]) return;
+
+    const result = schema[location](req[location] === undefined ? {} : req[location], '');
+    if (result.errors) {
+      errors.push(...result.errors.map(error => ({ location, ...error })));
+    } else {
+      valid[location] = result.value;
+    }
+  });
+
+  if (errors.length > 0) {
+    return next(new ApiError(400, ERROR_CODES.INVALID_REQUEST, 'The request is invalid', errors));
+  }
+  req.valid = valid;
+  next();
+};
+
+module.exports = {
+  optional,
+  string,
+  number,
+  integer,
+  oneOf,
+  isoDate,
+  record,
+  array,
+  object,
+  anyOf,
+  validate
+};
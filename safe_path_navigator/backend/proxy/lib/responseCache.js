@@ -0,0 +1,210 @@
+/**
+ * Response cache for the SafePath Navigator proxy
+ * FBI figures change once a year, so upstream responses are kept in an in-memory LRU
+ * and, optionally, on disk so they survive restarts. A stale entry is served at once
+ * while it is refreshed in the background (stale-while-revalidate), and identical
+ * upstream requests made at the same time share one request.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Hash of a string, used for ETags and disk file names
+ */
+const hash = value => crypto.createHash('sha1').update(value).digest('hex');
+
+/**
+ * Entry store with one JSON file per key
+ * Reads and writes are asynchronous so a slow disk never blocks the event loop.
+ * @param {string} directory - Directory the entries are written to (created when missing)
+ * @returns {Object} - Store with async get(key), set(entry) and purge(prefix)
+ */
+const createDiskStore = (directory) => {
+  const ready = fs.mkdir(directory, { recursive: true });
+  const fileOf = key => path.join(directory, `${hash(key)}.json`);
+
+  const readEntry = async filePath => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+  return {
+    get: async (key) => {
+      try {
+        await ready;
+        const entry = await readEntry(fileOf(key));
+        return entry.key === key ? entry : null;
+      } catch (error) {
+        return null;
+      }
+    },
+    set: async (entry) => {
+      try {
+        await ready;
+        await fs.writeFile(fileOf(entry.key), JSON.stringify(entry));
+      } catch (error) {
+        // A full or read-only disk only costs the restart cache
+        console.error('Error writing the response cache to disk:', error.message);
+      }
+    },
+    purge: async (prefix) => {
+      await ready;
+      const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+      await Promise.all(files.map(async (file) => {
+        const filePath = path.join(directory, file);
+        let key = null;
+        try {
+          key = (await readEntry(filePath)).key;
+        } catch (error) {
+          // Unreadable files are removed along with everything else
+        }
+        if (!prefix || (typeof key === 'string' && key.startsWith(prefix))) {
+          await fs.rm(filePath, { force: true });
+        }
+      }));
+    }
+  };
+};
+
+/**
+ * Create a response cache
+ * @param {Object} options - Cache options
+ * @param {number} options.maxEntries - Entries kept in memory; the least recently used go first (default: 500)
+ * @param {string|null} options.directory - Directory for the on-disk store, or null for memory only
+ * @param {Object|null} options.store - Second-level store with async get(key), set(entry) and purge(prefix)
+ *   (default: a disk store in options.directory)
+ * @param {Function} options.now - Current time in ms (default: Date.now)
+ * @returns {Object} - Cache with getOrLoad(key, policy, load), inspect() and purge(prefix)
+ */
+const createResponseCache = ({
+  maxEntries = 500,
+  directory = null,
+  store = directory ? createDiskStore(directory) : null,
+  now = Date.now
+} = {}) => {
+  const entries = new Map();
+  const inFlight = new Map();
+  const disk = store;
+  const counters = { hits: 0, stale: 0, misses: 0, coalesced: 0, revalidationErrors: 0 };
+
+  // Mark an entry as the most recently used, evicting the least recently used beyond maxEntries
+  const remember = (entry) => {
+    entries.delete(entry.key);
+    entries.set(entry.key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const lookup = async (key) => {
+    const entry = entries.get(key) || (disk && await disk.get(key));
+    if (entry) remember(entry);
+    return entry || null;
+  };
+
+  // Fetch from upstream once per key at a time, storing what comes back
+  const load = (key, { ttlMs, staleMs }, loader) => {
+    if (inFlight.has(key)) {
+      counters.coalesced++;
+      return inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      const data = await loader();
+      const body = JSON.stringify(data);
+      const storedAt = now();
+      const entry = {
+        key,
+        data,
+        etag: `"${hash(body)}"`,
+        size: body.length,
+        storedAt,
+        expiresAt: storedAt + ttlMs,
+        staleUntil: storedAt + ttlMs + staleMs
+      };
+      remember(entry);
+      if (disk) await disk.set(entry);
+      return entry;
+    })();
+
+    inFlight.set(key, pending);
+    const settle = () => inFlight.delete(key);
+    pending.then(settle, settle);
+    return pending;
+  };
+
+  /**
+   * Cached response for a key, loading it when missing or expired
+   * @param {string} key - Cache key, e.g. the upstream path without the API key
+   * @param {Object} policy - { ttlMs, staleMs }: how long the response is fresh, and how much longer
+   *   a stale copy may be served while it is refreshed
+   * @param {Function} loader - () => Promise of the upstream response body
+   * @returns {Promise<Object>} - { entry, status: 'HIT'|'STALE'|'MISS' }
+   */
+  const getOrLoad = async (key, policy, loader) => {
+    const entry = await lookup(key);
+    const time = now();
+
+    if (entry && entry.expiresAt > time) {
+      counters.hits++;
+      return { entry, status: 'HIT' };
+    }
+
+    if (entry && entry.staleUntil > time) {
+      counters.stale++;
+      load(key, policy, loader).catch((error) => {
+        counters.revalidationErrors++;
+        console.error(`Error revalidating cached response ${key}:`, error.message);
+      });
+      return { entry, status: 'STALE' };
+    }
+
+    counters.misses++;
+    return { entry: await load(key, policy, loader), status: 'MISS' };
+  };
+
+  /**
+   * What the in-memory cache holds, most recently used last
+   * @returns {Object} - { entries: [{ key, etag, size, storedAt, expiresAt, staleUntil, state }],
+   *   maxEntries, onDisk, inFlight, hits, stale, misses, coalesced, revalidationErrors }
+   */
+  const inspect = () => {
+    const time = now();
+    return {
+      entries: [...entries.values()].map(({ key, etag, size, storedAt, expiresAt, staleUntil }) => ({
+        key,
+        etag,
+        size,
+        storedAt: new Date(storedAt).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString(),
+        staleUntil: new Date(staleUntil).toISOString(),
+        state: expiresAt > time ? 'fresh' : staleUntil > time ? 'stale' : 'expired'
+      })),
+      maxEntries,
+      onDisk: Boolean(disk),
+      inFlight: inFlight.size,
+      ...counters
+    };
+  };
+
+  /**
+   * Remove cached responses whose key starts with a prefix, or all of them, in memory and on disk
+   * @param {string} prefix - Key prefix (default: everything)
+   * @returns {Promise<number>} - Number of in-memory entries removed
+   */
+  const purge = async (prefix = '') => {
+    const keys = [...entries.keys()].filter(key => key.startsWith(prefix));
+    keys.forEach(key => entries.delete(key));
+    if (disk) await disk.purge(prefix);
+    return keys.length;
+  };
+
+  return {
+    getOrLoad,
+    inspect,
+    purge
+  };
+};
+
+module.exports = {
+  createDiskStore,
+  createResponseCache
+};
@@ -0,0 +1,134 @@
+/**
+ * Request schemas of the SafePath Navigator proxy's routes
+ * Each route declares its path parameters, query and body here (see requestValidation.js);
+ * server.js validates requests against them before any handler runs.
+ */
+const { STATE_ABBREVIATIONS } = require('./agencyCatalog');
+const { MAX_BATCH_SIZE } = require('./crimeBatch');
+const { OFFENSES, MIN_DATA_YEAR, MAX_YEAR_SPAN, DEFAULT_YEARS_BACK, checkYearRange } = require('./fbiQueries');
+const { MAX_POLYLINE_LENGTH, TRAVEL_MODES } = require('./routeScoring');
+const {
+  optional,
+  string,
+  number,
+  integer,
+  oneOf,
+  isoDate,
+  record,
+  array,
+  object,
+  anyOf
+} = require('./requestValidation');
+
+/**
+ * Two-letter state abbreviation, in any case
+ */
+const stateCode = () => oneOf(STATE_ABBREVIATIONS, {
+  transform: value => value.toUpperCase(),
+  description: 'a two-letter state abbreviation'
+});
+
+/**
+ * Nine-character agency ORI, in any case
+ */
+const ori = () => string({
+  maxLength: 9,
+  pattern: /^[A-Za-z0-9]{9}$/,
+  description: 'a nine-character agency ORI',
+  transform: value => value.toUpperCase()
+});
+
+/**
+ * Offense code (the app's offense keys)
+ */
+const offense = () => oneOf(OFFENSES);
+
+/**
+ * Data year, up to this year
+ */
+const year = () => (value, path) => integer({ min: MIN_DATA_YEAR, max: new Date().getFullYear() })(value, path);
+
+const latitude = () => number({ min: -90, max: 90 });
+const longitude = () => number({ min: -180, max: 180 });
+
+/**
+ * Years back from this year
+ */
+const yearsBack = () => optional(integer({ min: 0, max: MAX_YEAR_SPAN }), DEFAULT_YEARS_BACK);
+
+/**
+ * Query with a year range (from and to, or years back) besides other fields
+ */
+const yearRangeQuery = (fields = {}) => object({
+  ...fields,
+  from: optional(year()),
+  to: optional(year()),
+  years: optional(integer({ min: 0, max: MAX_YEAR_SPAN }))
+}, { check: checkYearRange });
+
+const ROUTE_SCHEMAS = {
+  crimeLocation: {
+    query: object({
+      state: stateCode(),
+      city: string({
+        maxLength: 100,
+        pattern: /^[\p{L}\p{M}0-9 .'-]+$/u,
+        description: 'a city name (letters, digits, spaces and . \' -)'
+      })
+    })
+  },
+  crimeNational: {
+    query: object({ years: yearsBack() })
+  },
+  agenciesByState: {
+    query: object({ state: stateCode() })
+  },
+  agency: {
+    params: object({ ori: ori() })
+  },
+  agencyOffenses: {
+    params: object({ ori: ori() }),
+    query: yearRangeQuery({ offense: optional(offense()) })
+  },
+  stateEstimates: {
+    params: object({ state: stateCode() }),
+    query: yearRangeQuery()
+  },
+  offenseTrend: {
+    params: object({ offense: offense() }),
+    query: yearRangeQuery({ state: optional(stateCode()) })
+  },
+  crimeBatch: {
+    body: object({
+      items: array(
+        anyOf(
+          [object({ ori: ori() }), object({ lat: latitude(), lng: longitude(), state: optional(stateCode()) })],
+          'an ORI, or valid lat and lng with an optional state'
+        ),
+        { minItems: 1, maxItems: MAX_BATCH_SIZE }
+      ),
+      yearsBack: yearsBack()
+    })
+  },
+  safetyScore: {
+    body: object({
+      polyline: optional(string({ maxLength: MAX_POLYLINE_LENGTH })),
+      precision: optional(oneOf([5, 6]), 5),
+      geometry: optional(record()),
+      travelMode: optional(oneOf(TRAVEL_MODES), 'WALKING'),
+      departureTime: optional(isoDate()),
+      crimeBaseline: optional(object({ rates: record() }, { passthrough: true }))
+    }, {
+      check: body => ((body.polyline === undefined) === (body.geometry === undefined)
+        ? 'Expected either "polyline" or "geometry"'
+        : null)
+    })
+  },
+  cachePurge: {
+    query: object({ prefix: optional(string({ maxLength: 200 }), '') })
+  }
+};
+
+module.exports = {
+  ROUTE_SCHEMAS
+};
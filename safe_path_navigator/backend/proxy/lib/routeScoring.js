@@ -0,0 +1,178 @@
+/**
+ * Route scoring for the SafePath Navigator proxy
+ * Scores routes sent by other clients (batch jobs, mobile apps) with the web app's own
+ * modules (see appModules.js), so a route scores the same wherever it is scored. Crime
+ * near the route comes from the batch resolver.
+ */
+const { requireAppModule } = require('./appModules');
+
+const { scoreRoutePath } = requireAppModule('utils/routeScoring');
+const { decodePolyline, lineStringToPoints, haversineDistance } = requireAppModule('utils/geoUtils');
+const { DEFAULT_SEGMENT_LENGTH_METERS } = requireAppModule('utils/routeSegments');
+const { SCORING_PROFILES, getScoringProfile } = requireAppModule('utils/scoringProfiles');
+const { importIncidentRecords } = requireAppModule('utils/incidentImport');
+const { parseOsmEmergencyServices } = requireAppModule('utils/emergencyServices');
+const { parseUtcOffset } = requireAppModule('utils/localTime');
+const {
+  createCrimeStatsBatcher,
+  formatCrimeBatchResult,
+  MAX_CRIME_BATCH_SIZE
+} = requireAppModule('services/fbiCrimeDataProxyService');
+
+// Longest encoded polyline and most route points a request may send
+const MAX_POLYLINE_LENGTH = 100000;
+const MAX_ROUTE_POINTS = 10000;
+
+// Longest route a request may score; a few bytes of polyline can span a continent
+const MAX_ROUTE_DISTANCE_METERS = 100000;
+
+// Most segments a route is scored in; longer routes get longer segments
+const MAX_ROUTE_SEGMENTS = 250;
+
+// Travel modes a route can be scored for
+const TRAVEL_MODES = Object.keys(SCORING_PROFILES);
+
+// Every layer the scoring context reads; the proxy has no lighting or business data
+const EMPTY_LAYERS = {
+  crimeData: null,
+  lightingData: null,
+  emergencyServices: null,
+  businesses: null
+};
+
+/**
+ * Read the route of a score request body validated by the route's schema
+ * @param {Object} body - Validated body: { polyline, precision } or { geometry } (GeoJSON LineString
+ *   or Feature), plus travelMode, departureTime and crimeBaseline. The departure time must carry
+ *   its UTC offset, which sets the clock its hour and weekday are read on.
+ * @returns {Object} - { error: { path, message } } when the route cannot be read or is longer than
+ *   MAX_ROUTE_DISTANCE_METERS, otherwise
+ *   { points, distanceMeters, travelMode, departureTime, utcOffsetMinutes, crimeBaseline }
+ */
+const parseScoreRequest = ({ polyline, precision, geometry, travelMode, departureTime, crimeBaseline }) => {
+  let points;
+  if (polyline !== undefined) {
+    try {
+      points = decodePolyline(polyline, precision);
+    } catch (error) {
+      return { error: { path: 'polyline', message: 'must be a valid encoded polyline' } };
+    }
+    if (points.some(point => Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180)) {
+      return { error: { path: 'polyline', message: 'has coordinates out of range; check "precision"' } };
+    }
+  } else {
+    points = lineStringToPoints(geometry);
+    if (!points) {
+      return {
+        error: { path: 'geometry', message: 'must be a GeoJSON LineString, or a Feature with one, with valid coordinates' }
+      };
+    }
+  }
+
+  const field = polyline !== undefined ? 'polyline' : 'geometry';
+  if (points.length < 2 || points.length > MAX_ROUTE_POINTS) {
+    return { error: { path: field, message: `must have 2 to ${MAX_ROUTE_POINTS} points` } };
+  }
+
+  const distanceMeters = points.slice(1).reduce((sum, point, i) => sum + haversineDistance(points[i], point), 0);
+  if (distanceMeters > MAX_ROUTE_DISTANCE_METERS) {
+    return { error: { path: field, message: `must be at most ${MAX_ROUTE_DISTANCE_METERS / 1000} km long` } };
+  }
+
+  const utcOffsetMinutes = departureTime ? parseUtcOffset(departureTime) : null;
+  if (departureTime && utcOffsetMinutes === null) {
+    return {
+      error: { path: 'departureTime', message: 'must include a UTC offset, e.g. 2024-06-01T22:00:00-07:00' }
+    };
+  }
+
+  return {
+    points,
+    distanceMeters,
+    travelMode,
+    departureTime: departureTime ? new Date(departureTime) : null,
+    utcOffsetMinutes,
+    crimeBaseline: crimeBaseline || null
+  };
+};
+
+// Layers normalized per loaded file, so a file is only normalized again when it changes
+const normalizedLayers = new WeakMap();
+
+const normalizeOnce = (data, normalize) => {
+  if (!normalizedLayers.has(data)) normalizedLayers.set(data, normalize(data));
+  return normalizedLayers.get(data);
+};
+
+/**
+ * Scoring layers from the proxy's data files, normalized like the app normalizes them
+ * @param {Object} files - Loaded files; either may be missing
+ * @param {Object} files.incidents - Incident file ({ incidents }, see incidentImport.loadIncidentFile)
+ * @param {Object} files.emergencyServices - Emergency services file ({ data }, see fileStore.loadJsonFile)
+ * @returns {Object} - { crimeData, emergencyServices }, with only the layers that have data
+ */
+const buildScoringLayers = ({ incidents = null, emergencyServices = null } = {}) => ({
+  ...(incidents && {
+    crimeData: normalizeOnce(incidents, file => importIncidentRecords(file.incidents).incidents)
+  }),
+  ...(emergencyServices && {
+    emergencyServices: normalizeOnce(emergencyServices, file => parseOsmEmergencyServices(file.data).services)
+  })
+});
+
+/**
+ * Score a parsed route request
+ * @param {Object} request - Parsed request (see parseScoreRequest)
+ * @param {Object} options - Scoring options
+ * @param {Function} options.sendBatch - (items) => Promise of batch results, as POST /api/crime/batch
+ *   returns them
+ * @param {Object} options.layers - Scoring layers (see buildScoringLayers); factors without a layer
+ *   have no score
+ * @returns {Promise<Object>} - { safetyScore, segments, segmentSummary, crimeData, recommendations,
+ *   travelMode, scoringProfile, departureTime, utcOffsetMinutes, pointCount, segmentLengthMeters };
+ *   segments carry their point indices into the request's route rather than their points
+ */
+const scoreRouteRequest = async (
+  { points, distanceMeters, travelMode, departureTime, utcOffsetMinutes = null, crimeBaseline },
+  { sendBatch, layers = {} }
+) => {
+  const scoringProfile = getScoringProfile(travelMode);
+  const segmentLengthMeters = Math.max(DEFAULT_SEGMENT_LENGTH_METERS, Math.ceil(distanceMeters / MAX_ROUTE_SEGMENTS));
+  // The route's samples are looked up together and reach the batcher in the same tick, without a
+  // cache in front of it, so the batch need not wait for more
+  const batcher = createCrimeStatsBatcher({ sendBatch, maxBatchSize: MAX_CRIME_BATCH_SIZE, batchWindowMs: 0 });
+
+  const scored = await scoreRoutePath({
+    points,
+    getCrimeNearPoint: async (lat, lng) => formatCrimeBatchResult(await batcher.load({ lat, lng })),
+    departureTime,
+    utcOffsetMinutes,
+    scoringProfile,
+    crimeBaseline,
+    layers: { ...EMPTY_LAYERS, ...layers },
+    useMockData: false
+  }, { segmentLengthMeters });
+
+  return {
+    ...scored,
+    // Segments give their point indices; their points would repeat the route the client sent
+    // eslint-disable-next-line no-unused-vars
+    segments: scored.segments.map(({ points: segmentPoints, ...segment }) => segment),
+    travelMode,
+    scoringProfile: scoringProfile.id,
+    departureTime: departureTime ? departureTime.toISOString() : null,
+    utcOffsetMinutes,
+    pointCount: points.length,
+    segmentLengthMeters
+  };
+};
+
+module.exports = {
+  MAX_POLYLINE_LENGTH,
+  MAX_ROUTE_DISTANCE_METERS,
+  MAX_ROUTE_SEGMENTS,
+  TRAVEL_MODES,
+  parseScoreRequest,
+  buildScoringLayers,
+  scoreRouteRequest
+};
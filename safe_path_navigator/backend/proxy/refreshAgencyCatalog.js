@@ -0,0 +1,31 @@
+/**
+ * Refresh the offline agency catalog from the FBI agencies endpoint
+ * Usage: npm run refresh-agencies -- [--states CA,OR] [--out path/to/agencyCatalog.json]
+ */
+require('dotenv').config();
+const path = require('path');
+const { refreshAgencyCatalog, DEFAULT_CATALOG_PATH, STATE_ABBREVIATIONS } = require('./lib/agencyCatalog');
+
+/**
+ * Read a "--name value" command-line option
+ */
+const getOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const states = getOption('states')
+  ? getOption('states').split(',').map(state => state.trim().toUpperCase()).filter(Boolean)
+  : STATE_ABBREVIATIONS;
+const filePath = getOption('out') ? path.resolve(getOption('out')) : DEFAULT_CATALOG_PATH;
+
+refreshAgencyCatalog({ apiKey: process.env.FBI_CRIME_DATA_API_KEY, states, filePath })
+  .then(({ catalog, refreshed, failed }) => {
+    console.log(`Wrote ${catalog.agencies.length} agencies to ${filePath}`);
+    console.log(`Refreshed ${refreshed.length} state(s)${failed.length > 0 ? `, failed: ${failed.join(', ')}` : ''}`);
+    process.exitCode = failed.length > 0 ? 1 : 0;
+  })
+  .catch(error => {
+    console.error('Agency catalog refresh failed:', error.message);
+    process.exitCode = 1;
+  });
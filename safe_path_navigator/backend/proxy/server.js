@@ -3,11 +3,29 @@
  * Securely forwards requests to the FBI Crime Data API without exposing API keys to the frontend
  */
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { createIncidentStore } = require('./lib/incidentImport');
+const { createFileStore, loadJsonFile } = require('./lib/fileStore');
+const { BUILT_CATALOG_PATH } = require('./lib/agencyCatalog');
+const { resolveCrimeBatch } = require('./lib/crimeBatch');
+const { createResponseCache } = require('./lib/responseCache');
+const { parseScoreRequest, buildScoringLayers, scoreRouteRequest } = require('./lib/routeScoring');
+const { resolveYearRange, buildOffenseTrend } = require('./lib/fbiQueries');
+const { ROUTE_SCHEMAS } = require('./lib/routeSchemas');
+const { validate } = require('./lib/requestValidation');
+const {
+  ERROR_CODES,
+  ApiError,
+  assignRequestId,
+  asyncHandler,
+  errorHandler,
+  notFoundHandler
+} = require('./lib/apiErrors');
 
 // Configuration
 const PORT = process.env.PORT || 3001;
@@ -16,6 +34,36 @@ const FBI_API_BASE_URL = 'https://api.usa.gov/crime/fbi/sapi';
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? 
   process.env.ALLOWED_ORIGINS.split(',') : 
   ['http://localhost:3000'];
+// Optional incident-level crime data file (CSV or GeoJSON) and its column mapping
+const INCIDENT_DATA_FILE = process.env.INCIDENT_DATA_FILE;
+const INCIDENT_FIELD_MAPPING = process.env.INCIDENT_FIELD_MAPPING;
+// Optional OpenStreetMap emergency services file (Overpass JSON or GeoJSON)
+const EMERGENCY_SERVICES_FILE = process.env.EMERGENCY_SERVICES_FILE;
+// Agency catalog used to match batch coordinates to agencies (default: the build's copy of the
+// frontend's bundled catalog)
+const AGENCY_CATALOG_FILE = process.env.AGENCY_CATALOG_FILE || BUILT_CATALOG_PATH;
+// Response cache: entries kept in memory, and an optional directory that keeps them across restarts
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+const CACHE_DIR = process.env.CACHE_DIR;
+// Seconds each route's responses stay fresh (JSON, merged over DEFAULT_CACHE_TTLS)
+const CACHE_TTLS = process.env.CACHE_TTLS;
+// Seconds a stale response may still be served while it is refreshed in the background
+const CACHE_STALE_SECONDS = process.env.CACHE_STALE_SECONDS !== undefined
+  ? parseInt(process.env.CACHE_STALE_SECONDS) || 0
+  : 24 * 60 * 60;
+// Token for the admin endpoints; they are disabled without one
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// FBI figures change once a year; estimates and agency listings least often
+const DEFAULT_CACHE_TTLS = {
+  'crime-location': 24 * 60 * 60,
+  'crime-national': 7 * 24 * 60 * 60,
+  'state-estimates': 7 * 24 * 60 * 60,
+  'agencies-state': 7 * 24 * 60 * 60,
+  'agency': 7 * 24 * 60 * 60,
+  'agency-offenses': 24 * 60 * 60,
+  'agency-participation': 7 * 24 * 60 * 60
+};
 
 // Create Express app
 const app = express();
@@ -23,6 +71,9 @@ const app = express();
 // Security middleware
 app.use(helmet());
 
+// Request ids for error responses and logs
+app.use(assignRequestId);
+
 // CORS configuration
 app.use(cors({
   origin: function(origin, callback) {
@@ -30,11 +81,12 @@ app.use(cors({
     if (!origin) return callback(null, true);
     
     if (ALLOWED_ORIGINS.indexOf(origin) === -1) {
-      return callback(new Error('CORS policy violation'), false);
+      return callback(new ApiError(403, ERROR_CODES.CORS_REJECTED, 'Origin is not allowed by the CORS policy', { origin }), false);
     }
     return callback(null, true);
   },
-  methods: ['GET'],
+  methods: ['GET', 'POST', 'DELETE'],
+  exposedHeaders: ['ETag', 'X-Cache'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   maxAge: 86400 // CORS preflight cache for 24 hours
 }));
@@ -45,25 +97,76 @@ const apiLimiter = rateLimit({
   max: 100, // Limit each IP to 100 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
-  message: 'Too many requests from this IP, please try again after 15 minutes'
+  handler: (req, res, next, options) => next(new ApiError(
+    options.statusCode,
+    ERROR_CODES.RATE_LIMITED,
+    'Too many requests from this IP, please try again after 15 minutes'
+  ))
 });
 
-// Apply rate limiting to all FBI API routes
+// Apply rate limiting to the FBI API routes and the data files; a batch counts as one request
 app.use('/api/fbi', apiLimiter);
+app.use('/api/crime', apiLimiter);
+app.use('/api/safety', apiLimiter);
+app.use('/api/incidents', apiLimiter);
+app.use('/api/emergency-services', apiLimiter);
 
-// Parse JSON body
-app.use(express.json());
+// Parse JSON body; route geometries sent for scoring can be a few hundred kilobytes
+app.use(express.json({ limit: '1mb' }));
 
 // Middleware to check if API key is configured
 const checkApiKey = (req, res, next) => {
   if (!FBI_API_KEY) {
-    return res.status(500).json({
-      error: 'FBI Crime Data API key is not configured on the server'
-    });
+    return next(new ApiError(500, ERROR_CODES.NOT_CONFIGURED, 'FBI Crime Data API key is not configured on the server'));
   }
   next();
 };
 
+/**
+ * Parse the per-route cache TTLs, falling back to the defaults
+ */
+const readCacheTtls = () => {
+  if (!CACHE_TTLS) return DEFAULT_CACHE_TTLS;
+
+  try {
+    return { ...DEFAULT_CACHE_TTLS, ...JSON.parse(CACHE_TTLS) };
+  } catch (error) {
+    console.error('Error parsing CACHE_TTLS, using the default cache TTLs:', error.message);
+    return DEFAULT_CACHE_TTLS;
+  }
+};
+
+const cacheTtls = readCacheTtls();
+const responseCache = createResponseCache({ maxEntries: CACHE_MAX_ENTRIES, directory: CACHE_DIR || null });
+
+/**
+ * Fetch an FBI API path through the response cache; the cache key leaves out the API key
+ * @returns {Promise<Object>} - { entry, status: 'HIT'|'STALE'|'MISS' } (see lib/responseCache.js)
+ */
+const fetchFbiCached = (route, apiPath) => responseCache.getOrLoad(
+  `${route}:${apiPath}`,
+  { ttlMs: cacheTtls[route] * 1000, staleMs: CACHE_STALE_SECONDS * 1000 },
+  async () => {
+    const response = await axios.get(`${FBI_API_BASE_URL}${apiPath}?api_key=${FBI_API_KEY}`);
+    return response.data;
+  }
+);
+
+/**
+ * Send a cached response with its caching headers, optionally reshaped by transform
+ * Express answers a matching If-None-Match with 304 Not Modified.
+ */
+const sendCached = (res, { entry, status }, transform = data => data) => {
+  const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+  res.set({
+    'Cache-Control': `public, max-age=${maxAge}, stale-while-revalidate=${CACHE_STALE_SECONDS}`,
+    'ETag': entry.etag,
+    'X-Cache': status
+  });
+  res.json(transform(entry.data));
+};
+
+
 /**
  * Health check endpoint
  */
@@ -75,57 +178,266 @@ app.get('/api/health', (req, res) => {
  * Proxy endpoint for getting crime stats by city and state
  * Example: /api/fbi/crime/location?state=CA&city=San%20Francisco
  */
-app.get('/api/fbi/crime/location', checkApiKey, async (req, res) => {
+app.get('/api/fbi/crime/location', validate(ROUTE_SCHEMAS.crimeLocation), checkApiKey, asyncHandler(async (req, res) => {
+  const { state, city } = req.valid.query;
+  
+  sendCached(res, await fetchFbiCached(
+    'crime-location',
+    `/api/summarized/agencies/${state}/${encodeURIComponent(city)}/offenses`
+  ));
+}));
+
+/**
+ * Proxy endpoint for getting national crime trends
+ * Example: /api/fbi/crime/national?years=5
+ */
+app.get('/api/fbi/crime/national', validate(ROUTE_SCHEMAS.crimeNational), checkApiKey, asyncHandler(async (req, res) => {
+  const { from, to } = resolveYearRange(req.valid.query);
+  
+  sendCached(res, await fetchFbiCached('crime-national', `/api/estimates/national/${from}/${to}`));
+}));
+
+/**
+ * Proxy endpoint for the law enforcement agencies in a state
+ * Example: /api/fbi/agencies?state=CA
+ */
+app.get('/api/fbi/agencies', validate(ROUTE_SCHEMAS.agenciesByState), checkApiKey, asyncHandler(async (req, res) => {
+  sendCached(res, await fetchFbiCached('agencies-state', `/api/agencies/byStateAbbr/${req.valid.query.state}`));
+}));
+
+/**
+ * Proxy endpoint for one agency's details
+ * Example: /api/fbi/agencies/CA0380100
+ */
+app.get('/api/fbi/agencies/:ori', validate(ROUTE_SCHEMAS.agency), checkApiKey, asyncHandler(async (req, res) => {
+  sendCached(res, await fetchFbiCached('agency', `/api/agencies/${req.valid.params.ori}`));
+}));
+
+/**
+ * Proxy endpoint for an agency's offense counts over a year range, for every offense or one
+ * Example: /api/fbi/agencies/CA0380100/offenses?from=2018&to=2022&offense=robbery
+ */
+app.get('/api/fbi/agencies/:ori/offenses', validate(ROUTE_SCHEMAS.agencyOffenses), checkApiKey, asyncHandler(async (req, res) => {
+  const { ori } = req.valid.params;
+  const { offense = 'offenses' } = req.valid.query;
+  const { from, to } = resolveYearRange(req.valid.query);
+
+  sendCached(res, await fetchFbiCached('agency-offenses', `/api/summarized/agencies/${ori}/${offense}/${from}/${to}`));
+}));
+
+/**
+ * Proxy endpoint for a state's crime estimates
+ * Example: /api/fbi/estimates/states/CA?years=5
+ */
+app.get('/api/fbi/estimates/states/:state', validate(ROUTE_SCHEMAS.stateEstimates), checkApiKey, asyncHandler(async (req, res) => {
+  const { state } = req.valid.params;
+  const { from, to } = resolveYearRange(req.valid.query);
+
+  sendCached(res, await fetchFbiCached('state-estimates', `/api/estimates/states/${state}/${from}/${to}`));
+}));
+
+/**
+ * Yearly series of one offense from the national estimates, or a state's with ?state=
+ * Example: /api/fbi/trends/robbery?state=CA&from=2015&to=2022
+ */
+app.get('/api/fbi/trends/:offense', validate(ROUTE_SCHEMAS.offenseTrend), checkApiKey, asyncHandler(async (req, res) => {
+  const { offense } = req.valid.params;
+  const { state = null } = req.valid.query;
+  const { from, to } = resolveYearRange(req.valid.query);
+
+  const cached = state
+    ? await fetchFbiCached('state-estimates', `/api/estimates/states/${state}/${from}/${to}`)
+    : await fetchFbiCached('crime-national', `/api/estimates/national/${from}/${to}`);
+  sendCached(res, cached, estimates => ({
+    offense,
+    state,
+    from,
+    to,
+    series: buildOffenseTrend(estimates, offense)
+  }));
+}));
+
+const getAgencyCatalog = createFileStore(AGENCY_CATALOG_FILE, loadJsonFile);
+
+/**
+ * Catalog agencies, or none when the catalog file is missing or unreadable
+ */
+const readCatalogAgencies = () => {
   try {
-    const { state, city } = req.query;
-    
-    if (!state || !city) {
-      return res.status(400).json({ error: 'Missing state or city parameter' });
-    }
-    
-    const url = `${FBI_API_BASE_URL}/api/summarized/agencies/${state}/${encodeURIComponent(city)}/offenses?api_key=${FBI_API_KEY}`;
-    
-    const response = await axios.get(url);
-    res.json(response.data);
+    return getAgencyCatalog().data.agencies || [];
   } catch (error) {
-    console.error('Error proxying FBI API request:', error.message);
-    
-    // Forward the status code if available, otherwise use 500
-    const statusCode = error.response?.status || 500;
-    const errorMessage = error.response?.data || { error: 'Error fetching data from FBI Crime API' };
-    
-    res.status(statusCode).json(errorMessage);
+    console.error('Error loading agency catalog:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Fetch an agency's FBI data for the batch resolver through the response cache, keyed by endpoint
+ */
+const fetchAgencyJson = async (apiPath) => {
+  const route = apiPath.startsWith('/api/participation/') ? 'agency-participation' : 'agency-offenses';
+  return (await fetchFbiCached(route, apiPath)).entry.data;
+};
+
+/**
+ * Crime statistics for many route samples in one request
+ * Each item is a coordinate, matched to the nearest agency in the agency catalog, or an
+ * agency ORI. Results are in item order; items that fail carry an error of their own.
+ * Example: POST /api/crime/batch { "items": [{ "lat": 37.77, "lng": -122.42 }, { "ori": "CA0380100" }] }
+ */
+app.post('/api/crime/batch', validate(ROUTE_SCHEMAS.crimeBatch), checkApiKey, asyncHandler(async (req, res) => {
+  const { items, yearsBack } = req.valid.body;
+  const results = await resolveCrimeBatch(items, {
+    fetchJson: fetchAgencyJson,
+    agencies: readCatalogAgencies(),
+    yearsBack
+  });
+  res.json({ results });
+}));
+
+/**
+ * Parse the incident field mapping, falling back to the default column names
+ */
+const readIncidentFieldMapping = () => {
+  if (!INCIDENT_FIELD_MAPPING) return {};
+
+  try {
+    return JSON.parse(INCIDENT_FIELD_MAPPING);
+  } catch (error) {
+    console.error('Error parsing INCIDENT_FIELD_MAPPING, using default column names:', error.message);
+    return {};
+  }
+};
+
+const getIncidents = INCIDENT_DATA_FILE
+  ? createIncidentStore(INCIDENT_DATA_FILE, { mapping: readIncidentFieldMapping() })
+  : null;
+
+/**
+ * Incident-level crime data loaded from INCIDENT_DATA_FILE
+ * Example: /api/incidents
+ */
+app.get('/api/incidents', (req, res, next) => {
+  if (!getIncidents) {
+    return next(new ApiError(404, ERROR_CODES.NOT_CONFIGURED, 'No incident data file is configured on the server'));
+  }
+
+  try {
+    const { rejected, ...data } = getIncidents();
+    // Rejected rows are summarized; the full list is only useful when fixing the file
+    res.json({ ...data, rejectedCount: rejected.length, rejected: rejected.slice(0, 20) });
+  } catch (error) {
+    console.error('Error loading incident data file:', error.message);
+    next(new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Error loading incident data file'));
   }
 });
 
+const getEmergencyServices = EMERGENCY_SERVICES_FILE
+  ? createFileStore(EMERGENCY_SERVICES_FILE, loadJsonFile)
+  : null;
+
 /**
- * Proxy endpoint for getting national crime trends
- * Example: /api/fbi/crime/national?years=5
+ * OpenStreetMap emergency services loaded from EMERGENCY_SERVICES_FILE; the app picks the
+ * police stations, hospitals, fire stations and pharmacies out of the file
+ * Example: /api/emergency-services
  */
-app.get('/api/fbi/crime/national', checkApiKey, async (req, res) => {
+app.get('/api/emergency-services', (req, res, next) => {
+  if (!getEmergencyServices) {
+    return next(new ApiError(404, ERROR_CODES.NOT_CONFIGURED, 'No emergency services file is configured on the server'));
+  }
+
   try {
-    const yearsBack = parseInt(req.query.years) || 5;
-    const currentYear = new Date().getFullYear();
-    const startYear = currentYear - yearsBack;
-    
-    const url = `${FBI_API_BASE_URL}/api/estimates/national/${startYear}/${currentYear}?api_key=${FBI_API_KEY}`;
-    
-    const response = await axios.get(url);
-    res.json(response.data);
+    const { source, loadedAt, data } = getEmergencyServices();
+    res.json({ source, loadedAt, osm: data });
   } catch (error) {
-    console.error('Error proxying FBI API request:', error.message);
-    
-    const statusCode = error.response?.status || 500;
-    const errorMessage = error.response?.data || { error: 'Error fetching data from FBI Crime API' };
-    
-    res.status(statusCode).json(errorMessage);
+    console.error('Error loading emergency services file:', error.message);
+    next(new ApiError(500, ERROR_CODES.INTERNAL_ERROR, 'Error loading emergency services file'));
   }
 });
 
 /**
- * Start the server
+ * Data file for route scoring, or none when it is not configured or cannot be loaded
  */
-app.listen(PORT, () => {
-  console.log(`SafePath Navigator Proxy Server running on port ${PORT}`);
-  console.log(`FBI API key ${FBI_API_KEY ? 'is configured' : 'is NOT configured'}`);
+const readScoringFile = (getFile, description) => {
+  if (!getFile) return null;
+
+  try {
+    return getFile();
+  } catch (error) {
+    console.error(`Error loading ${description} for route scoring:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Score a route with the web app's scoring: overall and per-factor scores, per-segment
+ * scores, crime statistics and safety recommendations
+ * Example: POST /api/safety/score
+ *   { "polyline": "c|peFf`ejV{E_NgEoK", "travelMode": "WALKING", "departureTime": "2024-06-01T22:00:00-07:00" }
+ */
+app.post('/api/safety/score', validate(ROUTE_SCHEMAS.safetyScore), checkApiKey, asyncHandler(async (req, res) => {
+  const request = parseScoreRequest(req.valid.body);
+  if (request.error) {
+    throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, 'The request is invalid', [{ location: 'body', ...request.error }]);
+  }
+
+  const agencies = readCatalogAgencies();
+  const score = await scoreRouteRequest(request, {
+    sendBatch: items => resolveCrimeBatch(items, { fetchJson: fetchAgencyJson, agencies }),
+    layers: buildScoringLayers({
+      incidents: readScoringFile(getIncidents, 'incident data file'),
+      emergencyServices: readScoringFile(getEmergencyServices, 'emergency services file')
+    })
+  });
+  res.json(score);
+}));
+
+/**
+ * Middleware that only lets requests with the admin token through
+ */
+const checkAdminToken = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return next(new ApiError(404, ERROR_CODES.NOT_FOUND, 'Admin endpoints are disabled; set ADMIN_TOKEN to enable them'));
+  }
+
+  // Compare hashes so the comparison takes the same time whatever the token
+  const digest = value => crypto.createHash('sha256').update(value || '').digest();
+  if (!crypto.timingSafeEqual(digest(req.get('Authorization')), digest(`Bearer ${ADMIN_TOKEN}`))) {
+    return next(new ApiError(401, ERROR_CODES.UNAUTHORIZED, 'Invalid admin token'));
+  }
+  next();
+};
+
+/**
+ * Inspect the response cache: entries, their freshness and hit counts
+ * Example: GET /api/admin/cache (Authorization: Bearer <ADMIN_TOKEN>)
+ */
+app.get('/api/admin/cache', checkAdminToken, (req, res) => {
+  res.json({ ...responseCache.inspect(), ttls: cacheTtls, staleSeconds: CACHE_STALE_SECONDS });
 });
+
+/**
+ * Purge the response cache, or only the entries whose key starts with a prefix
+ * Example: DELETE /api/admin/cache?prefix=crime-national (Authorization: Bearer <ADMIN_TOKEN>)
+ */
+app.delete('/api/admin/cache', checkAdminToken, validate(ROUTE_SCHEMAS.cachePurge), asyncHandler(async (req, res) => {
+  res.json({ purged: await responseCache.purge(req.valid.query.prefix) });
+}));
+
+// Unknown endpoints, and every error, are answered with the error envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+/**
+ * Start the server when run directly; tests import the app without listening
+ */
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`SafePath Navigator Proxy Server running on port ${PORT}`);
+    console.log(`FBI API key ${FBI_API_KEY ? 'is configured' : 'is NOT configured'}`);
+  });
+}
+
+module.exports = {
+  app
+};
@@ -1,5 +1,6 @@
 import React from 'react';
 import MainContainer from './components/MainContainer/MainContainer';
+import { SafetyDataSourceProvider } from './context/SafetyDataSourceContext';
 import './App.css';
 
 /**
@@ -8,9 +9,11 @@ import './App.css';
  */
 function App() {
   return (
-    <div className="app">
-      <MainContainer />
-    </div>
+    <SafetyDataSourceProvider>
+      <div className="app">
+        <MainContainer />
+      </div>
+    </SafetyDataSourceProvider>
   );
 }
 
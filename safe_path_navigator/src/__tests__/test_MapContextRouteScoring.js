@@ -0,0 +1,126 @@
+/**
+ * Tests for scoring Directions routes in MapContext
+ */
+import React, { useEffect } from 'react';
+import { render, waitFor, fireEvent, act } from '@testing-library/react';
+import { MapProvider, useMapContext } from '../context/MapContext';
+import { SafetyDataSourceProvider } from '../context/SafetyDataSourceContext';
+import { createMockSafetyDataProvider } from '../services/safetyDataProviders';
+import { scoreRoutePath } from '../utils/routeScoring';
+import { mockLocations } from './test_utils';
+
+jest.mock('../utils/routeScoring', () => ({ scoreRoutePath: jest.fn() }));
+
+const DEPARTURE = new Date('2024-06-01T22:00:00Z');
+
+// A Directions route from the origin to the destination
+const directionsRoute = (leg = {}) => ({
+  overview_path: [mockLocations.origin, mockLocations.destination].map(({ lat, lng }) => ({ lat: () => lat, lng: () => lng })),
+  legs: [{ duration: { value: 600 }, distance: { value: 1000 }, ...leg }]
+});
+
+// Google Maps double whose Directions service answers with the given routes
+const mockDirections = (routes) => {
+  window.google = {
+    maps: {
+      TravelMode: { WALKING: 'WALKING', TRANSIT: 'TRANSIT' },
+      DirectionsService: function DirectionsService() {
+        this.route = (request, callback) => callback({ routes }, 'OK');
+      }
+    }
+  };
+};
+
+// Plans a trip once mounted and shows the routes scored for it
+const Trip = () => {
+  const { setOrigin, setDestination, setDepartureTime, setTravelMode, routes } = useMapContext();
+
+  useEffect(() => {
+    setDepartureTime(DEPARTURE);
+    setOrigin(mockLocations.origin);
+    setDestination(mockLocations.destination);
+  }, [setOrigin, setDestination, setDepartureTime]);
+
+  return (
+    <div>
+      <div data-testid="routes-count">{routes.length}</div>
+      <div data-testid="route-score">{routes.map(route => route.safetyScore.overall).join(',')}</div>
+      <button onClick={() => setTravelMode('TRANSIT')}>Transit</button>
+    </div>
+  );
+};
+
+const renderTrip = () => render(
+  <SafetyDataSourceProvider provider={createMockSafetyDataProvider()}>
+    <MapProvider>
+      <Trip />
+    </MapProvider>
+  </SafetyDataSourceProvider>
+);
+
+describe('MapContext route scoring', () => {
+  beforeEach(() => {
+    scoreRoutePath.mockResolvedValue({
+      safetyScore: { overall: 70, factors: [] },
+      segments: [],
+      segmentSummary: null,
+      crimeData: null
+    });
+  });
+
+  afterEach(() => {
+    scoreRoutePath.mockReset();
+    delete window.google;
+  });
+
+  test('should score a transit route on the clock of its departure time zone', async () => {
+    mockDirections([directionsRoute({ departure_time: { time_zone: 'America/New_York' } })]);
+
+    const { getByTestId } = renderTrip();
+
+    await waitFor(() => expect(getByTestId('routes-count').textContent).toBe('1'));
+    expect(scoreRoutePath).toHaveBeenCalledWith(expect.objectContaining({
+      departureTime: DEPARTURE,
+      utcOffsetMinutes: -240
+    }));
+  });
+
+  test('should score other routes on the device\'s clock at the departure time', async () => {
+    mockDirections([directionsRoute()]);
+
+    const { getByTestId } = renderTrip();
+
+    await waitFor(() => expect(getByTestId('routes-count').textContent).toBe('1'));
+    expect(scoreRoutePath).toHaveBeenCalledWith(expect.objectContaining({
+      utcOffsetMinutes: -DEPARTURE.getTimezoneOffset()
+    }));
+  });
+
+  test('should drop routes scored for a trip that has since changed', async () => {
+    mockDirections([directionsRoute()]);
+    const pendingScores = [];
+    scoreRoutePath.mockImplementation(() => new Promise((resolve) => { pendingScores.push(resolve); }));
+    const finishScore = (resolve, overall) => resolve({
+      safetyScore: { overall, factors: [] },
+      segments: [],
+      segmentSummary: null,
+      crimeData: null
+    });
+
+    const { getByTestId, getByText } = renderTrip();
+    await waitFor(() => expect(pendingScores.length).toBeGreaterThan(0));
+    const walkingScores = pendingScores.length;
+
+    fireEvent.click(getByText('Transit'));
+    await waitFor(() => expect(pendingScores.length).toBeGreaterThan(walkingScores));
+
+    await act(async () => {
+      finishScore(pendingScores[pendingScores.length - 1], 40);
+    });
+    await act(async () => {
+      pendingScores.slice(0, -1).forEach(resolve => finishScore(resolve, 90));
+    });
+
+    expect(getByTestId('route-score').textContent).toBe('40');
+  });
+});
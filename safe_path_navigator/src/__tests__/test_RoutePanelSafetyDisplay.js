@@ -6,7 +6,7 @@ import { render, screen, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import RoutePanel from '../components/RoutePanel/RoutePanel';
 import * as fbiCrimeDataService from '../services/fbiCrimeDataService';
-import { mockRoutesWithSafetyData } from './test_utils';
+import { mockRoutesWithSafetyData, mockCrimeDataResponse } from './test_utils';
 
 // Mock the MapContext hook
 jest.mock('../context/MapContext', () => ({
@@ -102,6 +102,258 @@ describe('RoutePanel Safety Display', () => {
     expect(screen.getByText(/Lighting: 90%/)).toBeInTheDocument();
   });
 
+  test('should render every scored factor, including custom ones', () => {
+    const routeWithFactors = {
+      ...mockRoutesWithSafetyData[0],
+      safetyScore: {
+        overall: 70,
+        factors: [
+          { id: 'crime', label: 'Crime', weight: 0.5, score: 64 },
+          { id: 'emergency', label: 'Emergency Services', weight: 0.1, score: 91 },
+          { id: 'businesses', label: 'Open Businesses', weight: 0.1, score: null },
+          { id: 'crowds', label: 'Foot Traffic', weight: 0.3, score: 55 }
+        ]
+      }
+    };
+
+    useMapContext.mockReturnValue({
+      routes: [routeWithFactors],
+      selectedRoute: null,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn(),
+      showCrimeOverlay: false,
+      showLightingOverlay: false,
+      showEmergencyServices: false
+    });
+
+    render(<RoutePanel />);
+
+    expect(screen.getByText(/Crime: 64%/)).toBeInTheDocument();
+    expect(screen.getByText(/Emergency Services: 91%/)).toBeInTheDocument();
+    expect(screen.getByText(/Foot Traffic: 55%/)).toBeInTheDocument();
+    expect(screen.queryByText(/Lighting:/)).not.toBeInTheDocument();
+    expect(screen.queryByText(/Open Businesses/)).not.toBeInTheDocument();
+  });
+
+  test('should show the departure time the scores apply to', () => {
+    const departureTime = new Date(2024, 5, 21, 22, 30);
+    const setDepartureTime = jest.fn();
+    const route = { ...mockRoutesWithSafetyData[0], departureTime };
+
+    useMapContext.mockReturnValue({
+      routes: [route],
+      selectedRoute: route,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn(),
+      departureTime,
+      setDepartureTime
+    });
+
+    render(<RoutePanel />);
+
+    const picker = screen.getByLabelText('Leaving at');
+    expect(picker.value).toBe('2024-06-21T22:30');
+    expect(screen.getByText(/Scored For:/)).toBeInTheDocument();
+    expect(screen.getAllByText(/10:30/).length).toBeGreaterThan(0);
+
+    fireEvent.change(picker, { target: { value: '2024-06-22T08:15' } });
+    expect(setDepartureTime).toHaveBeenCalledWith(new Date(2024, 5, 22, 8, 15));
+  });
+
+  test('should flag low-confidence scores and show their data coverage', () => {
+    const route = {
+      ...mockRoutesWithSafetyData[0],
+      safetyScore: {
+        ...mockRoutesWithSafetyData[0].safetyScore,
+        overall: 85,
+        confidence: 20,
+        confidenceLevel: 'low',
+        coverage: {
+          samplesRequested: 5,
+          samplesSucceeded: 1,
+          sources: ['synthetic'],
+          dataAsOf: '2024-01-01T00:00:00.000Z',
+          usedMockData: true
+        }
+      }
+    };
+
+    useMapContext.mockReturnValue({
+      routes: [route],
+      selectedRoute: route,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn()
+    });
+
+    render(<RoutePanel />);
+
+    const badge = screen.getByText('85?').closest('.safety-score');
+    expect(badge).toHaveClass('low-confidence');
+    expect(badge).not.toHaveStyle({ backgroundColor: '#4CAF50' });
+    expect(screen.getByText(/Low confidence: limited data/)).toBeInTheDocument();
+    expect(screen.getByText(/Data Confidence:/).parentElement).toHaveTextContent('Low (20%)');
+    expect(screen.getByText(/1 of 5 crime samples/)).toHaveTextContent('includes demo data');
+  });
+
+  test('should let the user override the travel-mode scoring profile', () => {
+    const setScoringProfileOverride = jest.fn();
+    const route = { ...mockRoutesWithSafetyData[0], scoringProfile: 'DRIVING' };
+
+    useMapContext.mockReturnValue({
+      routes: [route],
+      selectedRoute: route,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn(),
+      travelMode: 'DRIVING',
+      scoringProfileOverride: null,
+      setScoringProfileOverride
+    });
+
+    render(<RoutePanel />);
+
+    const select = screen.getByLabelText('Score for');
+    expect(select.value).toBe('');
+    expect(screen.getByText('Auto (Driving)')).toBeInTheDocument();
+    expect(screen.getByText(/Scored As:/).parentElement).toHaveTextContent('Driving');
+
+    fireEvent.change(select, { target: { value: 'WALKING' } });
+    expect(setScoringProfileOverride).toHaveBeenCalledWith('WALKING');
+
+    fireEvent.change(select, { target: { value: '' } });
+    expect(setScoringProfileOverride).toHaveBeenLastCalledWith(null);
+  });
+
+  test('should explain why the selected route was recommended', () => {
+    const route = mockRoutesWithSafetyData[0];
+
+    useMapContext.mockReturnValue({
+      routes: mockRoutesWithSafetyData,
+      selectedRoute: route,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn(),
+      recommendation: { routeId: route.id, reasons: ['Highest safety score', 'Gives extra weight to lighting'] }
+    });
+
+    render(<RoutePanel />);
+
+    expect(screen.getByText('Why this route')).toBeInTheDocument();
+    expect(screen.getByText('Highest safety score')).toBeInTheDocument();
+    expect(screen.getByText('Gives extra weight to lighting')).toBeInTheDocument();
+  });
+
+  test('should update risk preferences from the preferences editor', () => {
+    const setRiskPreferences = jest.fn();
+
+    useMapContext.mockReturnValue({
+      routes: mockRoutesWithSafetyData,
+      selectedRoute: null,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn(),
+      riskPreferences: { minimumScore: 60 },
+      setRiskPreferences
+    });
+
+    render(<RoutePanel />);
+
+    fireEvent.change(screen.getByLabelText('Minimum safety score'), { target: { value: '75' } });
+    expect(setRiskPreferences).toHaveBeenLastCalledWith(expect.objectContaining({ minimumScore: 75 }));
+
+    fireEvent.change(screen.getByLabelText('Care most about'), { target: { value: 'lighting' } });
+    expect(setRiskPreferences).toHaveBeenLastCalledWith(expect.objectContaining({ factorEmphasis: { lighting: 2 } }));
+
+    fireEvent.click(screen.getByLabelText('Robbery'));
+    expect(setRiskPreferences).toHaveBeenLastCalledWith(expect.objectContaining({ avoidOffenses: ['robbery'] }));
+  });
+
+  test('should show each offense category\'s weighted contribution', () => {
+    const route = {
+      ...mockRoutesWithSafetyData[0],
+      crimeData: {
+        ...mockCrimeDataResponse,
+        severityBreakdown: [
+          { offense: 'robbery', label: 'Robbery', rate: 5.8, severity: 6, relevance: 1, contribution: 6.2, share: 0.6 },
+          { offense: 'property-crime', label: 'Property crime', rate: 18.2, severity: 1, relevance: 1, contribution: 4.1, share: 0.4 }
+        ]
+      }
+    };
+
+    useMapContext.mockReturnValue({
+      routes: [route],
+      selectedRoute: route,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn()
+    });
+
+    render(<RoutePanel />);
+
+    expect(screen.getByText('Crime Breakdown')).toBeInTheDocument();
+    expect(screen.getByText('Robbery').closest('li')).toHaveTextContent('60%');
+    expect(screen.getByText('Property crime').closest('li')).toHaveTextContent('40%');
+  });
+
+  test('should compare the route\'s crime with the selected baseline', () => {
+    const setBaselineLevel = jest.fn();
+    const route = {
+      ...mockRoutesWithSafetyData[0],
+      crimeData: {
+        ...mockCrimeDataResponse,
+        baselineComparison: {
+          level: 'city',
+          label: 'the city average',
+          categories: [
+            { offense: 'violent-crime', label: 'Violent crime', rate: 6.2, baselineRate: 10, percentDifference: -38 },
+            { offense: 'robbery', label: 'Robbery', rate: 12, baselineRate: 8, percentDifference: 50 }
+          ],
+          headline: { offense: 'violent-crime', label: 'Violent crime', rate: 6.2, baselineRate: 10, percentDifference: -38 }
+        }
+      }
+    };
+
+    useMapContext.mockReturnValue({
+      routes: [route],
+      selectedRoute: route,
+      isLoading: false,
+      origin: { lat: 37.7749, lng: -122.4194 },
+      destination: { lat: 37.7833, lng: -122.4167 },
+      setSelectedRoute: jest.fn(),
+      toggleOverlay: jest.fn(),
+      baselineLevel: 'city',
+      setBaselineLevel
+    });
+
+    render(<RoutePanel />);
+
+    // Headline on the card, every category in the details
+    expect(screen.getAllByText('38% less violent crime than the city average')).toHaveLength(2);
+    expect(screen.getByText('50% more robbery than the city average')).toHaveClass('above-baseline');
+
+    const select = screen.getByLabelText('Compare with');
+    expect(select.value).toBe('city');
+    fireEvent.change(select, { target: { value: 'national' } });
+    expect(setBaselineLevel).toHaveBeenCalledWith('national');
+  });
+
   test('should display safety recommendations for the selected route', () => {
     // Mock recommendations returned from the API
     fbiCrimeDataService.getSafetyRecommendations = jest.fn().mockReturnValue([
@@ -0,0 +1,67 @@
+/**
+ * Tests for law enforcement agency helpers
+ */
+import { normalizeAgency, normalizeAgencies, findNearestAgency } from '../utils/agencies';
+
+describe('Agencies', () => {
+  const agencies = normalizeAgencies([
+    { ori: 'CA0380100', agency_name: 'San Francisco Police Department', agency_type_name: 'City', state_abbr: 'CA', latitude: '37.7793', longitude: '-122.4193' },
+    { ori: 'CA0010000', agency_name: 'Oakland Police Department', agency_type_name: 'City', state_abbr: 'CA', latitude: 37.8044, longitude: -122.2712 },
+    { ori: 'CA0019400', agency_name: 'San Francisco State University Police', agency_type_name: 'University', state_abbr: 'CA', latitude: 37.7241, longitude: -122.4799 },
+    { ori: 'CA0070000', agency_name: 'Contra Costa County Sheriff', agency_type_name: 'County', state_abbr: 'CA', latitude: null, longitude: null }
+  ]);
+
+  test('should normalize agency records and drop those without an ORI', () => {
+    expect(normalizeAgency({ agency_name: 'Unknown' })).toBeNull();
+    expect(agencies[0]).toEqual({
+      ori: 'CA0380100',
+      name: 'San Francisco Police Department',
+      type: 'City',
+      state: 'CA',
+      lat: 37.7793,
+      lng: -122.4193,
+      population: null
+    });
+    expect(agencies[3]).toMatchObject({ lat: null, lng: null });
+  });
+
+  test('should accept lists, results wrappers and grouped responses', () => {
+    const record = { ori: 'OR0260200', agency_name: 'Portland Police Bureau' };
+
+    expect(normalizeAgencies({ results: [record] })).toHaveLength(1);
+    expect(normalizeAgencies({ Multnomah: [record], Washington: [{ ori: 'OR0340100' }] })).toHaveLength(2);
+    expect(normalizeAgencies({ OR0260200: record })).toHaveLength(1);
+    expect(normalizeAgencies(null)).toEqual([]);
+  });
+
+  describe('findNearestAgency', () => {
+    test('should prefer the city police department when the city is known', () => {
+      // Closer to the university campus, but inside San Francisco
+      const match = findNearestAgency(agencies, { lat: 37.7250, lng: -122.4790 }, 'San Francisco');
+
+      expect(match.agency.ori).toBe('CA0380100');
+      expect(match.matchedBy).toBe('city');
+      expect(match.distanceMeters).toBeGreaterThan(5000);
+    });
+
+    test('should fall back to the nearest agency with coordinates', () => {
+      const match = findNearestAgency(agencies, { lat: 37.8000, lng: -122.2700 }, 'Piedmont');
+
+      expect(match.agency.ori).toBe('CA0010000');
+      expect(match.matchedBy).toBe('distance');
+      expect(match.distanceMeters).toBeLessThan(1000);
+    });
+
+    test('should not match an agency too far away', () => {
+      const newYork = { lat: 40.7128, lng: -74.0060 };
+
+      expect(findNearestAgency(agencies, newYork, 'New York')).toBeNull();
+      expect(findNearestAgency(agencies, newYork, null, { maxDistanceMeters: Infinity }).matchedBy).toBe('distance');
+    });
+
+    test('should return null without candidates', () => {
+      expect(findNearestAgency([], { lat: 37.8, lng: -122.27 })).toBeNull();
+      expect(findNearestAgency(null, { lat: 37.8, lng: -122.27 }, 'Oakland')).toBeNull();
+    });
+  });
+});
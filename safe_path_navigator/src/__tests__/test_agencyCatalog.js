@@ -0,0 +1,74 @@
+/**
+ * Tests for the offline agency catalog
+ */
+import { createAgencyCatalog, agencyCatalog } from '../utils/agencyCatalog';
+import * as fbiCrimeDataService from '../services/fbiCrimeDataService';
+import * as fbiCrimeDataProxyService from '../services/fbiCrimeDataProxyService';
+
+describe('Agency Catalog', () => {
+  const catalog = createAgencyCatalog({
+    generatedAt: '2024-05-01T00:00:00.000Z',
+    source: 'fbi-agencies-endpoint',
+    states: ['OR'],
+    agencies: [
+      { ori: 'OR0260200', name: 'Portland Police Bureau', state: 'OR', type: 'City', lat: 45.5152, lng: -122.6784, population: 635000 },
+      { ori: 'OR0260300', name: 'Gresham Police Department', state: 'OR', type: 'City', lat: 45.4985, lng: -122.4302, population: 114000 },
+      { ori: 'OR0260000', name: 'Multnomah County Sheriff', state: 'OR', type: 'County', lat: 45.5190, lng: -122.6750, population: 30000 },
+      { ori: 'WA0060300', name: 'Vancouver Police Department', state: 'WA', type: 'City', lat: 45.6387, lng: -122.6615, population: 190000 },
+      { ori: 'OR0000000', name: 'Oregon Statewide Unit', state: 'OR', type: 'State Police', lat: null, lng: null, population: null },
+      { name: 'Missing ORI' }
+    ]
+  });
+
+  test('should load agencies with an ORI and look them up by ORI', () => {
+    expect(catalog.size).toBe(5);
+    expect(catalog.generatedAt).toBe('2024-05-01T00:00:00.000Z');
+    expect(catalog.getByOri('OR0260300').name).toBe('Gresham Police Department');
+    expect(catalog.getByOri('XX0000000')).toBeNull();
+    expect(catalog.coversState('OR')).toBe(true);
+    expect(catalog.coversState('WA')).toBe(false);
+  });
+
+  describe('findNearest', () => {
+    test('should return the nearest agencies, closest first', () => {
+      const nearest = catalog.findNearest({ lat: 45.5200, lng: -122.6760 }, { limit: 3 });
+
+      expect(nearest.map(({ agency }) => agency.ori)).toEqual(['OR0260000', 'OR0260200', 'WA0060300']);
+      expect(nearest[0].distanceMeters).toBeLessThan(200);
+      expect(nearest[1].distanceMeters).toBeLessThan(nearest[2].distanceMeters);
+    });
+
+    test('should filter by distance and state', () => {
+      expect(catalog.findNearest({ lat: 45.5200, lng: -122.6760 }, { maxDistanceMeters: 1000 })).toHaveLength(2);
+      expect(catalog.findNearest({ lat: 45.6300, lng: -122.6600 }, { limit: 1, state: 'OR' })[0].agency.ori)
+        .toBe('OR0260000');
+    });
+
+    test('should find no agency far from every catalog agency', () => {
+      expect(catalog.findNearest({ lat: 40.7128, lng: -74.0060 })).toEqual([]);
+      expect(agencyCatalog.findNearest({ lat: 40.7128, lng: -74.0060 })).toEqual([]);
+    });
+  });
+
+  describe('findByLocation', () => {
+    test('should list a state\'s agencies or just the city\'s police department', () => {
+      expect(catalog.findByLocation('OR')).toHaveLength(4);
+      expect(catalog.findByLocation('OR', 'Portland').map(agency => agency.ori)).toEqual(['OR0260200']);
+      expect(catalog.findByLocation('OR', 'Salem')).toEqual([]);
+    });
+  });
+
+  test('should be searchable offline through both crime data services', () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn();
+
+    const [nearest] = fbiCrimeDataService.findNearestAgencies(37.7749, -122.4194, 1);
+    expect(nearest.agency.ori).toBe(agencyCatalog.findByLocation('CA', 'San Francisco')[0].ori);
+    expect(fbiCrimeDataProxyService.findNearestAgencies(37.7749, -122.4194, 1)).toEqual([nearest]);
+    expect(fbiCrimeDataProxyService.findAgenciesByLocation('CA', 'Oakland'))
+      .toEqual(fbiCrimeDataService.findAgenciesByLocation('CA', 'Oakland'));
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    global.fetch = originalFetch;
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for the crime baseline service
+ */
+import {
+  BASELINE_REFRESH_INTERVAL_MS,
+  CRIME_BASELINE_STORAGE_KEY,
+  getCrimeBaseline,
+  subscribeToCrimeBaseline,
+  clearCrimeBaselineCache
+} from '../services/crimeBaselineService';
+import { fbiApiClient } from '../services/fbiCrimeDataService';
+import { getMockSafetyDataset } from '../utils/safetyUtils';
+import { mockFetch, mockFetchError } from './test_utils';
+
+// Let pending promise callbacks run
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('Crime Baseline Service', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    clearCrimeBaselineCache();
+    fbiApiClient.breaker.reset();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should build the city baseline from the synthetic dataset without fetching', async () => {
+    global.fetch = jest.fn();
+
+    const baseline = await getCrimeBaseline('city');
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(baseline.label).toBe('the city average');
+    expect(baseline.isMock).toBe(true);
+    expect(Object.keys(baseline.rates).sort()).toEqual(Object.keys(getMockSafetyDataset().offenseRates).sort());
+  });
+
+  test('should fetch the national baseline once and serve it from the cache', async () => {
+    global.fetch = jest.fn().mockImplementation(mockFetch);
+
+    const first = await getCrimeBaseline('national');
+    const second = await getCrimeBaseline('national');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/estimates/national/'));
+    expect(first.label).toBe('the national average');
+    expect(second).toBe(first);
+    expect(JSON.parse(window.localStorage.getItem(CRIME_BASELINE_STORAGE_KEY)).national.year).toBe(2021);
+  });
+
+  test('should refetch a stale baseline and keep the stale one if that fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn().mockImplementation(mockFetch);
+    const cached = await getCrimeBaseline('national');
+
+    global.fetch = jest.fn().mockImplementation(mockFetchError);
+    const later = new Date(Date.now() + BASELINE_REFRESH_INTERVAL_MS + 1000);
+    const baseline = await getCrimeBaseline('national', { now: later });
+
+    // The server error is retried twice before the stale baseline is used
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(baseline).toEqual(cached);
+  });
+
+  test('should request state estimates for the chosen state', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn().mockImplementation(mockFetchError);
+
+    expect(await getCrimeBaseline('state', { state: 'OR' })).toBeNull();
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/estimates/states/OR/'));
+  });
+
+  test('should refresh subscribed baselines on a schedule until unsubscribed', async () => {
+    jest.useFakeTimers();
+    const onBaseline = jest.fn();
+
+    const unsubscribe = subscribeToCrimeBaseline('city', { refreshIntervalMs: 1000 }, onBaseline);
+    await flushPromises();
+    expect(onBaseline).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(onBaseline).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(onBaseline).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for crime baseline comparisons
+ */
+import {
+  BASELINE_LEVELS,
+  MAX_RELATIVE_CRIME_RATIO,
+  getEstimateRatesByYear,
+  buildBaselineFromEstimates,
+  getBaselineRatio,
+  calculateRelativeCrimeScore,
+  compareToBaseline,
+  describeBaselineDifference
+} from '../utils/crimeBaselines';
+import { mockNationalCrimeData } from './test_utils';
+
+describe('Crime Baselines', () => {
+  const cityBaseline = {
+    level: BASELINE_LEVELS.CITY,
+    label: 'the city average',
+    rates: { 'violent-crime': 10, 'robbery': 8, 'property-crime': 25 }
+  };
+
+  test('should convert every year of estimates, oldest first', () => {
+    const years = getEstimateRatesByYear({ results: [...mockNationalCrimeData.results].reverse().concat({ year: 2022 }) });
+
+    expect(years.map(({ year }) => year)).toEqual([2020, 2021]);
+    expect(years[0].rates.robbery).toBeCloseTo(0.739);
+  });
+
+  describe('buildBaselineFromEstimates', () => {
+    test('should convert the latest year of per-100k estimates to rates per 1,000', () => {
+      const baseline = buildBaselineFromEstimates(mockNationalCrimeData, {
+        level: BASELINE_LEVELS.NATIONAL,
+        label: 'the national average'
+      });
+
+      expect(baseline.level).toBe('national');
+      expect(baseline.year).toBe(2021);
+      expect(baseline.rates['violent-crime']).toBeCloseTo(3.957);
+      expect(baseline.rates['aggravated-assault']).toBeCloseTo(2.902);
+      expect(baseline.rates['property-crime']).toBeCloseTo(20.156);
+      expect(baseline.rates).not.toHaveProperty('arson');
+      expect(Number.isNaN(Date.parse(baseline.fetchedAt))).toBe(false);
+    });
+
+    test('should convert counts when the estimates include a population', () => {
+      const baseline = buildBaselineFromEstimates({
+        results: [{ year: 2022, population: 2000000, violent_crime: 8000, robbery: 1500 }]
+      }, { level: BASELINE_LEVELS.STATE, label: 'the CA average' });
+
+      expect(baseline.rates).toEqual({ 'violent-crime': 4, 'robbery': 0.75 });
+    });
+
+    test('should return null without usable estimates', () => {
+      expect(buildBaselineFromEstimates(null, { level: 'national', label: '' })).toBeNull();
+      expect(buildBaselineFromEstimates({ results: [] }, { level: 'national', label: '' })).toBeNull();
+      expect(buildBaselineFromEstimates({ results: [{ year: 2021 }] }, { level: 'national', label: '' })).toBeNull();
+    });
+  });
+
+  describe('getBaselineRatio', () => {
+    test('should compare severity-weighted rates over the shared offense types', () => {
+      expect(getBaselineRatio({ 'violent-crime': 20, 'robbery': 16 }, cityBaseline)).toBeCloseTo(2);
+      expect(getBaselineRatio({ 'violent-crime': 5, 'arson': 3 }, cityBaseline)).toBeCloseTo(0.5);
+      expect(getBaselineRatio({ 'arson': 3 }, cityBaseline)).toBeNull();
+      expect(getBaselineRatio({ 'robbery': 1 }, null)).toBeNull();
+    });
+  });
+
+  describe('calculateRelativeCrimeScore', () => {
+    test('should score the baseline average at 60', () => {
+      expect(calculateRelativeCrimeScore(0)).toBe(100);
+      expect(calculateRelativeCrimeScore(1)).toBe(60);
+      expect(calculateRelativeCrimeScore(0.5)).toBe(80);
+      expect(calculateRelativeCrimeScore(MAX_RELATIVE_CRIME_RATIO)).toBe(0);
+      expect(calculateRelativeCrimeScore(10)).toBe(0);
+      expect(calculateRelativeCrimeScore(null)).toBeNull();
+    });
+  });
+
+  describe('compareToBaseline', () => {
+    test('should report the percentage difference per category with violent crime as the headline', () => {
+      const comparison = compareToBaseline({ 'robbery': 12, 'violent-crime': 6.2, 'arson': 1 }, cityBaseline);
+
+      expect(comparison.label).toBe('the city average');
+      expect(comparison.categories.map(category => category.offense)).toEqual(['robbery', 'violent-crime']);
+      expect(comparison.headline).toMatchObject({ offense: 'violent-crime', percentDifference: -38 });
+      expect(comparison.categories[0].percentDifference).toBe(50);
+    });
+
+    test('should return null when nothing can be compared', () => {
+      expect(compareToBaseline({ 'arson': 1 }, cityBaseline)).toBeNull();
+      expect(compareToBaseline(null, cityBaseline)).toBeNull();
+    });
+  });
+
+  describe('describeBaselineDifference', () => {
+    test('should phrase the difference for a route card', () => {
+      const [violent, robbery] = compareToBaseline({ 'violent-crime': 6.2, 'robbery': 8 }, cityBaseline).categories;
+
+      expect(describeBaselineDifference(violent, 'the city average'))
+        .toBe('38% less violent crime than the city average');
+      expect(describeBaselineDifference(robbery, 'the city average'))
+        .toBe('About as much robbery as the city average');
+      expect(describeBaselineDifference({ ...robbery, percentDifference: 25 }, 'the national average'))
+        .toBe('25% more robbery than the national average');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the crime lookup cache
+ */
+import {
+  DEFAULT_CRIME_CACHE_TTLS,
+  createCrimeLookupCache,
+  createMemoryStore
+} from '../services/crimeLookupCache';
+import { getCrimeStatsByCoordinates } from '../services/fbiCrimeDataService';
+
+describe('Crime Lookup Cache', () => {
+  const HOUR = 60 * 60 * 1000;
+  let time;
+  const createCache = (options = {}) => createCrimeLookupCache({
+    store: createMemoryStore(),
+    now: () => time,
+    ...options
+  });
+
+  beforeEach(() => {
+    time = Date.UTC(2024, 5, 1);
+  });
+
+  test('should answer repeat lookups in the same cell from the cache', async () => {
+    const cache = createCache();
+    const fetchValue = jest.fn().mockResolvedValue({ totalCrimeRate: 12 });
+
+    expect(await cache.lookup('fbi', 37.77490, -122.41940, fetchValue)).toEqual({ totalCrimeRate: 12 });
+    expect(await cache.lookup('fbi', 37.77495, -122.41945, fetchValue)).toEqual({ totalCrimeRate: 12 });
+    expect(fetchValue).toHaveBeenCalledTimes(1);
+
+    // Another source or another cell is looked up separately
+    await cache.lookup('synthetic', 37.7749, -122.4194, fetchValue);
+    await cache.lookup('fbi', 37.7849, -122.4194, fetchValue);
+    expect(fetchValue).toHaveBeenCalledTimes(3);
+  });
+
+  test('should expire lookups after their source\'s time to live', async () => {
+    const cache = createCache({ ttls: { fbi: 2 * HOUR } });
+    const fetchValue = jest.fn().mockResolvedValue({ totalCrimeRate: 12 });
+
+    await cache.lookup('fbi', 37.7749, -122.4194, fetchValue);
+    await cache.lookup('synthetic', 37.7749, -122.4194, fetchValue);
+    time += 90 * 60 * 1000;
+    await cache.lookup('fbi', 37.7749, -122.4194, fetchValue);
+    await cache.lookup('synthetic', 37.7749, -122.4194, fetchValue);
+
+    // Synthetic lookups last an hour by default, the overridden FBI ones two
+    expect(DEFAULT_CRIME_CACHE_TTLS.synthetic).toBe(HOUR);
+    expect(fetchValue).toHaveBeenCalledTimes(3);
+  });
+
+  test('should share one request between concurrent lookups of a cell', async () => {
+    const cache = createCache();
+    let resolveFetch;
+    const fetchValue = jest.fn(() => new Promise((resolve) => {
+      resolveFetch = resolve;
+    }));
+
+    const lookups = [1, 2, 3].map(() => cache.lookup('fbi', 37.7749, -122.4194, fetchValue));
+    expect((await cache.inspect()).inFlight).toBe(1);
+    resolveFetch({ totalCrimeRate: 8 });
+
+    expect(await Promise.all(lookups)).toEqual([1, 2, 3].map(() => ({ totalCrimeRate: 8 })));
+    expect(fetchValue).toHaveBeenCalledTimes(1);
+    expect(await cache.inspect()).toMatchObject({ inFlight: 0, misses: 1, deduplicated: 2 });
+  });
+
+  test('should not cache failed lookups', async () => {
+    const cache = createCache();
+    const fetchValue = jest.fn()
+      .mockRejectedValueOnce(new Error('Offline'))
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ totalCrimeRate: 3 });
+
+    await expect(cache.lookup('fbi', 37.7749, -122.4194, fetchValue)).rejects.toThrow('Offline');
+    expect(await cache.lookup('fbi', 37.7749, -122.4194, fetchValue)).toBeNull();
+    expect(await cache.lookup('fbi', 37.7749, -122.4194, fetchValue)).toEqual({ totalCrimeRate: 3 });
+    expect((await cache.inspect()).entries).toHaveLength(1);
+  });
+
+  test('should still look up when the store fails', async () => {
+    const failing = { get: jest.fn().mockRejectedValue(new Error('Quota')), put: jest.fn().mockRejectedValue(new Error('Quota')) };
+    const cache = createCache({ store: failing });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await cache.lookup('fbi', 37.7749, -122.4194, async () => ({ totalCrimeRate: 5 })))
+      .toEqual({ totalCrimeRate: 5 });
+    console.error.mockRestore();
+  });
+
+  test('should describe and clear its entries per source', async () => {
+    const cache = createCache();
+    await cache.lookup('fbi', 37.7749, -122.4194, async () => ({}));
+    await cache.lookup('synthetic', 37.7749, -122.4194, async () => ({}));
+    await cache.lookup('synthetic', 37.7849, -122.4194, async () => ({}));
+    time += 2 * HOUR;
+
+    const { entries, sources } = await cache.inspect();
+    expect(entries.find(entry => entry.source === 'fbi')).toMatchObject({ key: 'fbi:9q8yyk8', expired: false });
+    expect(entries[0].bounds.minLat).toBeLessThan(37.7749);
+    expect(sources).toEqual({
+      'fbi': { entries: 1, expired: 0, ttlMs: DEFAULT_CRIME_CACHE_TTLS.fbi },
+      'synthetic': { entries: 2, expired: 2, ttlMs: HOUR }
+    });
+
+    expect(await cache.clear({ expiredOnly: true })).toBe(2);
+    expect(await cache.clear({ source: 'synthetic' })).toBe(0);
+    expect(await cache.clear()).toBe(1);
+    expect((await cache.inspect()).entries).toEqual([]);
+  });
+
+  test('should serve cached crime statistics with the requested coordinates', async () => {
+    const cache = createCache();
+    const options = { source: 'synthetic', cache };
+
+    await getCrimeStatsByCoordinates(37.77490, -122.41940, 1, options);
+    const result = await getCrimeStatsByCoordinates(37.77495, -122.41945, 1, options);
+
+    expect(result.coordinates).toEqual({ lat: 37.77495, lng: -122.41945 });
+    expect((await cache.inspect()).hits).toBe(1);
+  });
+});
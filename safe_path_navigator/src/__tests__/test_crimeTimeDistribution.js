@@ -0,0 +1,67 @@
+/**
+ * Tests for hour-of-day and day-of-week crime distributions
+ */
+import {
+  getCrimeTimeDistribution,
+  getCrimeTimeMultiplier,
+  MIN_TIMESTAMPED_INCIDENTS
+} from '../utils/crimeTimeDistribution';
+
+// Incidents on Saturday nights around 22:00 local time
+const lateNightIncidents = Array.from({ length: 30 }, (_, i) => ({
+  lat: 37.775,
+  lng: -122.418,
+  weight: 0.8,
+  occurredAt: new Date(2024, 0, 6 + 7 * (i % 4), 21 + (i % 3), 15).toISOString()
+}));
+
+describe('Crime Time Distribution', () => {
+  test('should build hour and day distributions that sum to 1', () => {
+    const distribution = getCrimeTimeDistribution(lateNightIncidents);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+    expect(distribution.hours).toHaveLength(24);
+    expect(distribution.days).toHaveLength(7);
+    expect(sum(distribution.hours)).toBeCloseTo(1, 10);
+    expect(sum(distribution.days)).toBeCloseTo(1, 10);
+    expect(distribution.sampleSize).toBe(30);
+  });
+
+  test('should return null without enough timestamped incidents', () => {
+    const undated = lateNightIncidents.map(incident => ({ ...incident, occurredAt: undefined }));
+
+    expect(getCrimeTimeDistribution(undated)).toBeNull();
+    expect(getCrimeTimeDistribution(lateNightIncidents.slice(0, MIN_TIMESTAMPED_INCIDENTS - 1))).toBeNull();
+    expect(getCrimeTimeDistribution([])).toBeNull();
+  });
+
+  test('should weight busy hours and weekdays above quiet ones', () => {
+    const saturdayNight = new Date(2024, 1, 3, 22, 0);
+    const mondayMorning = new Date(2024, 1, 5, 9, 0);
+
+    expect(getCrimeTimeMultiplier(lateNightIncidents, saturdayNight)).toBeGreaterThan(1);
+    expect(getCrimeTimeMultiplier(lateNightIncidents, mondayMorning)).toBeLessThan(1);
+  });
+
+  test('should read incidents and the departure on the clock at a UTC offset', () => {
+    // Incidents around 22:00 in Pacific Daylight Time, stamped in UTC
+    const pacificNights = Array.from({ length: 30 }, (_, i) => ({
+      lat: 37.775,
+      lng: -122.418,
+      weight: 0.8,
+      occurredAt: new Date(Date.UTC(2024, 5, 2 + i, 5, 15)).toISOString()
+    }));
+    const distribution = getCrimeTimeDistribution(pacificNights, -420);
+    // 22:00 PDT on a Saturday
+    const saturdayNight = new Date('2024-06-08T22:00:00-07:00');
+
+    expect(distribution.hours.indexOf(Math.max(...distribution.hours))).toBe(22);
+    expect(getCrimeTimeMultiplier(pacificNights, saturdayNight, -420)).toBeGreaterThan(1);
+    expect(getCrimeTimeMultiplier(pacificNights, new Date('2024-06-08T10:00:00-07:00'), -420)).toBeLessThan(1);
+  });
+
+  test('should be neutral without a time or timestamps', () => {
+    expect(getCrimeTimeMultiplier(lateNightIncidents, null)).toBe(1);
+    expect(getCrimeTimeMultiplier([{ lat: 37.775, lng: -122.418, weight: 0.8 }], new Date())).toBe(1);
+  });
+});
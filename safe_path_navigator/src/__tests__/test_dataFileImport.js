@@ -0,0 +1,86 @@
+/**
+ * Tests for the shared CSV and GeoJSON dataset reading
+ */
+import {
+  DATA_FILE_FORMATS,
+  parseCsv,
+  readMappedField,
+  parseCoordinates,
+  readCsvRecords,
+  readGeoJSONRecords,
+  detectFileFormat,
+  mapRecords
+} from '../utils/dataFileImport';
+
+describe('Data File Import', () => {
+  describe('parseCsv', () => {
+    test('should parse quoted fields, escaped quotes and CRLF line endings', () => {
+      const { columns, records } = parseCsv(
+        '\uFEFFLatitude,Longitude,Description\r\n37.78,-122.41,"Theft, from ""vehicle"""\r\n\r\n37.77,-122.42,"Two\nlines"\r\n'
+      );
+
+      expect(columns).toEqual(['Latitude', 'Longitude', 'Description']);
+      expect(records).toHaveLength(2);
+      expect(records[0].Description).toBe('Theft, from "vehicle"');
+      expect(records[1].Description).toBe('Two\nlines');
+    });
+
+    test('should support other delimiters', () => {
+      const { records } = parseCsv('lat;lng\n37.78;-122.41', { delimiter: ';' });
+      expect(records).toEqual([{ lat: '37.78', lng: '-122.41' }]);
+    });
+  });
+
+  test('should match mapped columns ignoring case and punctuation, in order of preference', () => {
+    const record = { 'Incident Datetime': '2024-01-01', 'Report_Date': '2024-01-02' };
+
+    expect(readMappedField(record, ['incident_datetime', 'report_date'])).toBe('2024-01-01');
+    expect(readMappedField(record, ['occurred_at', 'REPORT DATE'])).toBe('2024-01-02');
+    expect(readMappedField(record, 'lat')).toBeUndefined();
+  });
+
+  test('should validate coordinates', () => {
+    expect(parseCoordinates('37.78', '-122.41')).toEqual({ lat: 37.78, lng: -122.41 });
+    expect(parseCoordinates('', '-122.41').error).toBe('Missing coordinates');
+    expect(parseCoordinates('37.78', '-190').error).toMatch(/Invalid coordinates/);
+    expect(parseCoordinates(0, 0).error).toMatch(/not geocoded/);
+  });
+
+  test('should require latitude and longitude columns in CSV files', () => {
+    const fields = { lat: ['lat', 'latitude'], lng: ['lng', 'longitude'] };
+
+    expect(readCsvRecords('Latitude,Longitude\n37.78,-122.41', { fields }).records).toHaveLength(1);
+    expect(() => readCsvRecords('id,address\n1,Main St', { fields })).toThrow(/No latitude\/longitude columns/);
+    expect(() => readCsvRecords('lat,lng\n', { fields, itemName: 'streetlight' })).toThrow(/no streetlight rows/);
+  });
+
+  test('should read point coordinates from GeoJSON features', () => {
+    const { format, columns, records } = readGeoJSONRecords({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-122.41, 37.78] }, properties: { id: 1 } },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: { id: 2 } }
+      ]
+    });
+
+    expect(format).toBe(DATA_FILE_FORMATS.GEOJSON);
+    expect(columns).toEqual(['id', 'lat', 'lng']);
+    expect(records).toEqual([{ id: 1, lat: 37.78, lng: -122.41 }, { id: 2 }]);
+    expect(() => readGeoJSONRecords('{"type": "Feature"}')).toThrow(/FeatureCollection/);
+  });
+
+  test('should detect the file format from the name or content', () => {
+    expect(detectFileFormat('lat,lng', 'lights.geojson')).toBe(DATA_FILE_FORMATS.GEOJSON);
+    expect(detectFileFormat('  {"type": "FeatureCollection"}')).toBe(DATA_FILE_FORMATS.GEOJSON);
+    expect(detectFileFormat('lat,lng', 'lights.csv')).toBe(DATA_FILE_FORMATS.CSV);
+  });
+
+  test('should collect rejected records with their 1-based row', () => {
+    const { items, rejected } = mapRecords([{ ok: true }, { ok: false }], record => (
+      record.ok ? { item: record } : { error: 'Not ok' }
+    ));
+
+    expect(items).toEqual([{ ok: true }]);
+    expect(rejected).toEqual([{ row: 2, reason: 'Not ok' }]);
+  });
+});
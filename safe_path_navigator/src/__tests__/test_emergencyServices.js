@@ -0,0 +1,168 @@
+/**
+ * Tests for OpenStreetMap emergency services
+ */
+import {
+  EMERGENCY_SERVICE_TYPES,
+  getEmergencyServiceType,
+  parseOpeningHours,
+  isServiceOpen,
+  parseOsmEmergencyServices,
+  describeEmergencyService,
+  findNearestEmergencyServices
+} from '../utils/emergencyServices';
+import { calculateSafetyScore } from '../utils/safetyUtils';
+
+describe('Emergency Services', () => {
+  test('should recognise emergency services from OSM tags', () => {
+    expect(getEmergencyServiceType({ amenity: 'police' })).toBe(EMERGENCY_SERVICE_TYPES.POLICE);
+    expect(getEmergencyServiceType({ amenity: 'clinic', healthcare: 'hospital' })).toBe(EMERGENCY_SERVICE_TYPES.HOSPITAL);
+    expect(getEmergencyServiceType({ amenity: 'cafe' })).toBeNull();
+  });
+
+  describe('parseOsmEmergencyServices', () => {
+    test('should read Overpass nodes and ways with a center', () => {
+      const { services, rejected } = parseOsmEmergencyServices({
+        elements: [
+          {
+            type: 'node',
+            id: 1,
+            lat: 37.76,
+            lon: -122.42,
+            tags: { amenity: 'police', name: 'Mission Station', phone: '+1 415 558 5400', opening_hours: '24/7' }
+          },
+          { type: 'way', id: 2, center: { lat: 37.75, lon: -122.41 }, tags: { amenity: 'hospital' } },
+          { type: 'way', id: 3, tags: { amenity: 'fire_station' } },
+          { type: 'node', id: 4, lat: 37.7, lon: -122.4, tags: { amenity: 'bench' } }
+        ]
+      });
+
+      expect(services).toEqual([
+        {
+          id: 'node/1',
+          lat: 37.76,
+          lng: -122.42,
+          type: 'police',
+          name: 'Mission Station',
+          phone: '+1 415 558 5400',
+          openingHours: '24/7'
+        },
+        { id: 'way/2', lat: 37.75, lng: -122.41, type: 'hospital', name: 'Hospital', phone: null, openingHours: null }
+      ]);
+      expect(rejected).toEqual([{ id: 'way/3', reason: expect.stringContaining('No position') }]);
+    });
+
+    test('should read GeoJSON points and polygons', () => {
+      const { services } = parseOsmEmergencyServices(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            id: 'node/5',
+            properties: { tags: { amenity: 'pharmacy', 'contact:phone': '555-0100' } },
+            geometry: { type: 'Point', coordinates: [-122.43, 37.77] }
+          },
+          {
+            type: 'Feature',
+            properties: { '@id': 'way/6', amenity: 'fire_station', name: 'Station 7' },
+            geometry: { type: 'Polygon', coordinates: [[[-122.4, 37.7], [-122.2, 37.7], [-122.2, 37.9], [-122.4, 37.9]]] }
+          }
+        ]
+      }));
+
+      expect(services[0]).toMatchObject({ id: 'node/5', type: 'pharmacy', phone: '555-0100', lat: 37.77 });
+      expect(services[1]).toMatchObject({ id: 'way/6', name: 'Station 7' });
+      expect(services[1].lat).toBeCloseTo(37.8);
+      expect(services[1].lng).toBeCloseTo(-122.3);
+    });
+
+    test('should reject data that is not from OSM', () => {
+      expect(() => parseOsmEmergencyServices({ rows: [] })).toThrow('Overpass JSON or a GeoJSON FeatureCollection');
+    });
+  });
+
+  describe('opening hours', () => {
+    // 2024-06-03 is a Monday
+    const at = (day, hours, minutes = 0) => new Date(2024, 5, 3 + day, hours, minutes);
+
+    test('should parse weekday rules, later rules overriding earlier ones', () => {
+      const schedule = parseOpeningHours('Mo-Sa 08:00-18:00; Sa 09:00-13:00; Su off');
+
+      expect(schedule[1]).toEqual([[480, 1080]]);
+      expect(schedule[6]).toEqual([[540, 780]]);
+      expect(schedule[0]).toEqual([]);
+      expect(parseOpeningHours('sunrise-sunset')).toBeNull();
+    });
+
+    test('should tell whether a service is open', () => {
+      const pharmacy = { openingHours: 'Mo-Fr 08:00-12:00,13:00-18:00' };
+
+      expect(isServiceOpen(pharmacy, at(0, 9))).toBe(true);
+      expect(isServiceOpen(pharmacy, at(0, 12, 30))).toBe(false);
+      expect(isServiceOpen(pharmacy, at(5, 10))).toBe(false);
+      expect(isServiceOpen({ openingHours: '24/7' }, at(6, 3))).toBe(true);
+      expect(isServiceOpen({ openingHours: null }, at(0, 3))).toBeNull();
+    });
+
+    test('should carry ranges past midnight into the next day', () => {
+      const service = { openingHours: 'Fr 18:00-02:00' };
+
+      expect(isServiceOpen(service, at(4, 23))).toBe(true);
+      expect(isServiceOpen(service, at(5, 1))).toBe(true);
+      expect(isServiceOpen(service, at(5, 3))).toBe(false);
+    });
+  });
+
+  test('should describe a service with its phone number and opening hours', () => {
+    expect(describeEmergencyService({ name: 'Mission Station', phone: '555-0100', openingHours: '24/7' }))
+      .toBe('Mission Station · 555-0100 · 24/7');
+    expect(describeEmergencyService({ name: 'Hospital', phone: null, openingHours: null })).toBe('Hospital');
+  });
+
+  describe('findNearestEmergencyServices', () => {
+    const services = [
+      { id: 'a', lat: 37.7750, lng: -122.4190, type: 'pharmacy', openingHours: 'Mo-Fr 09:00-17:00' },
+      { id: 'b', lat: 37.7760, lng: -122.4190, type: 'police', openingHours: '24/7' },
+      { id: 'c', lat: 37.7900, lng: -122.4190, type: 'hospital', openingHours: null }
+    ];
+    const location = { lat: 37.7749, lng: -122.4194 };
+
+    test('should return the closest services first', () => {
+      const nearest = findNearestEmergencyServices(services, location, { limit: 2 });
+
+      expect(nearest.map(({ service }) => service.id)).toEqual(['a', 'b']);
+      expect(nearest[0].distanceMeters).toBeLessThan(nearest[1].distanceMeters);
+    });
+
+    test('should filter by type, opening hours and distance', () => {
+      const sundayNight = new Date(2024, 5, 2, 23, 0);
+
+      expect(findNearestEmergencyServices(services, location, { type: 'hospital' })[0].service.id).toBe('c');
+      expect(findNearestEmergencyServices(services, location, { openAt: sundayNight }).map(({ service }) => service.id))
+        .toEqual(['b', 'c']);
+      expect(findNearestEmergencyServices(services, location, { maxDistanceMeters: 500 })).toHaveLength(2);
+    });
+  });
+
+  describe('emergency proximity factor', () => {
+    const route = [{ lat: 37.7749, lng: -122.4194 }];
+    const scoreWith = (emergencyServices, departureTime) => calculateSafetyScore(route, {
+      emergencyServices,
+      businesses: [],
+      departureTime
+    }).emergency;
+
+    test('should count a pharmacy for less than a police station', () => {
+      const place = { lat: 37.7749, lng: -122.4194 };
+
+      expect(scoreWith([{ ...place, type: 'police' }])).toBe(100);
+      expect(scoreWith([{ ...place, type: 'pharmacy' }])).toBe(50);
+    });
+
+    test('should leave out services closed at the departure time', () => {
+      const pharmacy = { lat: 37.7749, lng: -122.4194, type: 'pharmacy', openingHours: 'Mo-Fr 09:00-17:00' };
+
+      expect(scoreWith([pharmacy], new Date(2024, 5, 3, 10, 0))).toBe(50);
+      expect(scoreWith([pharmacy], new Date(2024, 5, 2, 23, 0))).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * Tests for the FBI Crime Data proxy service's batch, agency, estimate and trend lookups
+ */
+import {
+  MAX_CRIME_BATCH_SIZE,
+  getCrimeStatsBatch,
+  createCrimeStatsBatcher,
+  formatCrimeBatchResult,
+  formatProxyResponse,
+  getAgenciesByState,
+  getAgency,
+  getAgencyOffenses,
+  getStateCrimeEstimates,
+  getOffenseTrend,
+  proxyClient
+} from '../services/fbiCrimeDataProxyService';
+import { OffenseDataValidationError } from '../utils/offenseNormalization';
+import { RateLimitError, ClientError, ParseError } from '../services/httpClient';
+
+describe('FBI Crime Data Proxy Service', () => {
+  const sanFrancisco = {
+    agency: { ori: 'CA0380100', name: 'San Francisco Police Department', distanceMeters: 2500, matchedBy: 'distance' },
+    population: 808437,
+    offenses: [
+      { data_year: 2021, offense: 'robbery', actual: 1500, cleared: 300 },
+      { data_year: 2022, offense: 'robbery', actual: 1616.874, cleared: 320 },
+      { data_year: 2022, offense: 'burglary', actual: 8084.37, cleared: 500 }
+    ]
+  };
+
+  describe('getCrimeStatsBatch', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      proxyClient.breaker.reset();
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should post every item in one request', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ results: [sanFrancisco, { error: 'No agency' }] })
+      });
+      const items = [{ lat: 37.7749, lng: -122.4194 }, { ori: 'CA0010000' }];
+
+      expect(await getCrimeStatsBatch(items)).toEqual([sanFrancisco, { error: 'No agency' }]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toMatch(/\/api\/crime\/batch$/);
+      expect(request.method).toBe('POST');
+      expect(JSON.parse(request.body)).toEqual({ items, yearsBack: 5 });
+    });
+
+    test('should reject with a RateLimitError when the proxy keeps limiting the batch', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 429,
+        headers: { get: name => (name === 'Retry-After' ? '0' : null) }
+      });
+
+      const request = getCrimeStatsBatch([{ ori: 'CA0380100' }]);
+      await expect(request).rejects.toBeInstanceOf(RateLimitError);
+      await expect(request).rejects.toMatchObject({ retryAfterMs: 0 });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('agency, estimate and trend lookups', () => {
+    let originalFetch;
+
+    const respondWith = (body) => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => body });
+    };
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      proxyClient.breaker.reset();
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('getAgenciesByState should return the state\'s agencies normalized', async () => {
+      respondWith({
+        'San Francisco': [{ ori: 'CA0380100', agency_name: 'San Francisco Police Department', state_abbr: 'CA' }]
+      });
+
+      const agencies = await getAgenciesByState('CA');
+
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/fbi\/agencies\?state=CA$/));
+      expect(agencies).toHaveLength(1);
+      expect(agencies[0].ori).toBe('CA0380100');
+    });
+
+    test('getAgency should request the agency by ORI', async () => {
+      respondWith({ ori: 'CA0380100' });
+
+      expect(await getAgency('CA0380100')).toEqual({ ori: 'CA0380100' });
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/fbi\/agencies\/CA0380100$/));
+    });
+
+    test('getAgency should encode the ORI and reject with a ClientError for an unknown agency', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+      const request = getAgency('CA/038 0100');
+      await expect(request).rejects.toBeInstanceOf(ClientError);
+      await expect(request).rejects.toMatchObject({ status: 404 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/fbi\/agencies\/CA%2F038%200100$/));
+    });
+
+    test('getAgencyOffenses should send the year range and offense when given', async () => {
+      respondWith({ results: [] });
+
+      await getAgencyOffenses('CA0380100', { from: 2018, to: 2022, offense: 'robbery' });
+      await getAgencyOffenses('CA0380100');
+
+      expect(global.fetch).toHaveBeenNthCalledWith(1, expect.stringMatching(
+        /\/api\/fbi\/agencies\/CA0380100\/offenses\?from=2018&to=2022&offense=robbery$/
+      ));
+      expect(global.fetch).toHaveBeenNthCalledWith(2, expect.stringMatching(/\/api\/fbi\/agencies\/CA0380100\/offenses$/));
+    });
+
+    test('getStateCrimeEstimates should request the state\'s estimates', async () => {
+      respondWith({ results: [{ year: 2022, population: 39000000, violent_crime: 190000 }] });
+
+      const estimates = await getStateCrimeEstimates('CA', 3);
+
+      expect(estimates.results).toHaveLength(1);
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/fbi\/estimates\/states\/CA\?years=3$/));
+    });
+
+    test('getStateCrimeEstimates should ask for five years by default', async () => {
+      respondWith({ results: [] });
+
+      await getStateCrimeEstimates('OR');
+
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/fbi\/estimates\/states\/OR\?years=5$/));
+    });
+
+    test('getAgencyOffenses should reject with a ParseError when the proxy answers with invalid JSON', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => { throw new SyntaxError('Unexpected token <'); }
+      });
+
+      await expect(getAgencyOffenses('CA0380100')).rejects.toBeInstanceOf(ParseError);
+    });
+
+    test('getOffenseTrend should request national or state series', async () => {
+      const trend = { offense: 'robbery', state: null, from: 2018, to: 2022, series: [] };
+      respondWith(trend);
+
+      expect(await getOffenseTrend('robbery', { from: 2018, to: 2022 })).toEqual(trend);
+      await getOffenseTrend('robbery', { state: 'CA' });
+
+      expect(global.fetch).toHaveBeenNthCalledWith(1, expect.stringMatching(/\/api\/fbi\/trends\/robbery\?from=2018&to=2022$/));
+      expect(global.fetch).toHaveBeenNthCalledWith(2, expect.stringMatching(/\/api\/fbi\/trends\/robbery\?state=CA$/));
+    });
+
+    test('getOffenseTrend should reject with a RateLimitError when the proxy keeps limiting it', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 429,
+        headers: { get: name => (name === 'Retry-After' ? '0' : null) }
+      });
+
+      await expect(getOffenseTrend('burglary', { state: 'CA' })).rejects.toBeInstanceOf(RateLimitError);
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/api\/fbi\/trends\/burglary\?state=CA$/));
+    });
+
+    test('should reject with a ClientError when the proxy rejects the parameters', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 400 });
+
+      await expect(getAgenciesByState('XX')).rejects.toBeInstanceOf(ClientError);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createCrimeStatsBatcher', () => {
+    test('should combine lookups made close together into one batch', async () => {
+      const sendBatch = jest.fn(async items => items.map(item => ({ echo: item })));
+      const batcher = createCrimeStatsBatcher({ sendBatch });
+
+      const results = await Promise.all([
+        batcher.load({ lat: 1, lng: 1 }),
+        batcher.load({ ori: 'CA0380100' }),
+        batcher.load({ lat: 2, lng: 2 })
+      ]);
+
+      expect(sendBatch).toHaveBeenCalledTimes(1);
+      expect(sendBatch).toHaveBeenCalledWith([{ lat: 1, lng: 1 }, { ori: 'CA0380100' }, { lat: 2, lng: 2 }]);
+      expect(results).toEqual([{ echo: { lat: 1, lng: 1 } }, { echo: { ori: 'CA0380100' } }, { echo: { lat: 2, lng: 2 } }]);
+
+      // A later lookup starts a new batch
+      await batcher.load({ lat: 3, lng: 3 });
+      expect(sendBatch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should wait for lookups that arrive within the batch window', async () => {
+      jest.useFakeTimers();
+      try {
+        const sendBatch = jest.fn(async items => items.map(() => ({})));
+        const batcher = createCrimeStatsBatcher({ sendBatch, batchWindowMs: 10 });
+
+        batcher.load({ lat: 1, lng: 1 });
+        jest.advanceTimersByTime(8);
+        batcher.load({ lat: 2, lng: 2 });
+        jest.advanceTimersByTime(8);
+        await Promise.resolve();
+        expect(sendBatch).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(2);
+        await Promise.resolve();
+        expect(sendBatch).toHaveBeenCalledTimes(1);
+        expect(sendBatch).toHaveBeenCalledWith([{ lat: 1, lng: 1 }, { lat: 2, lng: 2 }]);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should split lookups into batches of the maximum size', async () => {
+      const sendBatch = jest.fn(async items => items.map(() => ({})));
+      const batcher = createCrimeStatsBatcher({ sendBatch, maxBatchSize: 2 });
+
+      await Promise.all([1, 2, 3, 4, 5].map(lat => batcher.load({ lat, lng: 0 })));
+
+      expect(sendBatch.mock.calls.map(([items]) => items.length)).toEqual([2, 2, 1]);
+      expect(MAX_CRIME_BATCH_SIZE).toBe(50);
+    });
+
+    test('should reject every lookup of a batch that fails', async () => {
+      const batcher = createCrimeStatsBatcher({ sendBatch: jest.fn().mockRejectedValue(new Error('Offline')) });
+
+      const lookups = [batcher.load({ ori: 'A' }), batcher.load({ ori: 'B' })];
+      await expect(lookups[0]).rejects.toThrow('Offline');
+      await expect(lookups[1]).rejects.toThrow('Offline');
+    });
+  });
+
+  describe('formatCrimeBatchResult', () => {
+    test('should convert the agency\'s latest offenses to rates per 1,000 residents', () => {
+      const stats = formatCrimeBatchResult(sanFrancisco);
+
+      expect(stats.year).toBe(2022);
+      expect(stats.crimeStats.robbery).toBeCloseTo(2);
+      expect(stats.totalCrimeRate).toBeCloseTo(12);
+      expect(stats.agency.ori).toBe('CA0380100');
+      expect(stats).toMatchObject({ source: 'fbi-proxy', isMock: false, dataAsOf: '2022-12-31' });
+      expect(stats.safetyScore).toBeGreaterThan(0);
+    });
+
+    test('should return null for failed items and reject items without a population', () => {
+      expect(formatCrimeBatchResult(null)).toBeNull();
+      expect(formatCrimeBatchResult({ error: 'No agency' })).toBeNull();
+      expect(formatCrimeBatchResult({ ...sanFrancisco, offenses: [] })).toBeNull();
+      expect(() => formatCrimeBatchResult({ ...sanFrancisco, population: null })).toThrow(OffenseDataValidationError);
+    });
+  });
+
+  describe('formatProxyResponse', () => {
+    // Summarized agency offenses as the FBI API returns them
+    const payload = {
+      results: [
+        { ori: 'CA0380100', data_year: 2020, offense: 'robbery', actual: 1800, cleared: 350, state_abbr: 'CA' },
+        { ori: 'CA0380100', data_year: 2020, offense: 'rape-legacy', actual: 100, cleared: 20, state_abbr: 'CA' },
+        { ori: 'CA0380100', data_year: 2021, offense: 'robbery', actual: 1700, cleared: 330, state_abbr: 'CA' },
+        { ori: 'CA0380100', data_year: 2022, offense: 'robbery', actual: '1600', cleared: '300', state_abbr: 'CA' },
+        { ori: 'CA0380100', data_year: 2022, offense: 'larceny-theft', actual: 8000, cleared: 400, state_abbr: 'CA' }
+      ]
+    };
+
+    test('should turn the latest year into rates per 1,000 residents', () => {
+      const stats = formatProxyResponse(payload, { population: 800000 });
+
+      expect(stats.year).toBe(2022);
+      expect(stats.crimeStats).toEqual({ robbery: 2, larceny: 10 });
+      expect(stats.totalCrimeRate).toBe(12);
+      expect(stats.counts).toEqual({ robbery: 1600, larceny: 8000 });
+      expect(stats.cleared).toEqual({ robbery: 300, larceny: 400 });
+      expect(stats).toMatchObject({ population: 800000, source: 'fbi-proxy', isMock: false, dataAsOf: '2022-12-31' });
+      expect(stats.results).toBe(payload.results);
+    });
+
+    test('should build per-offense trend arrays over every year', () => {
+      const { trends } = formatProxyResponse({ ...payload, population: 800000 });
+
+      expect(trends.years).toEqual([2020, 2021, 2022]);
+      expect(trends.counts).toEqual({
+        robbery: [1800, 1700, 1600],
+        rape: [100, null, null],
+        larceny: [null, null, 8000]
+      });
+      expect(trends.crimeStats.robbery).toEqual([2.25, 2.125, 2]);
+    });
+
+    test('should return null for a response without offense rows', () => {
+      expect(formatProxyResponse({ results: [] }, { population: 800000 })).toBeNull();
+    });
+
+    test('should reject malformed and partial responses with the problems found', () => {
+      expect(() => formatProxyResponse(null)).toThrow('expected an object with a "results" array');
+      expect(() => formatProxyResponse({ data: [] })).toThrow(OffenseDataValidationError);
+
+      let error = null;
+      try {
+        formatProxyResponse({
+          results: [
+            { data_year: 2022, offense: 'robbery', actual: 10 },
+            { data_year: 'n/a', offense: 'burglary', actual: 5 },
+            { data_year: 2022, offense: '', actual: -1 }
+          ]
+        }, { population: 1000 });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.issues).toEqual([
+        'row 1 has an invalid data_year ("n/a")',
+        'row 2 has no offense code',
+        'row 2 has an invalid actual count (-1)'
+      ]);
+      expect(error.message).toMatch(/^Invalid summarized offense data: row 1/);
+
+      expect(() => formatProxyResponse(payload)).toThrow('no population');
+    });
+  });
+});
@@ -5,8 +5,13 @@ import {
   getCrimeStatsByLocation,
   getCrimeStatsByCoordinates,
   getNationalCrimeTrends,
-  getSafetyRecommendations
+  CRIME_DATA_SOURCES,
+  getSafetyRecommendations,
+  fbiApiClient
 } from '../services/fbiCrimeDataService';
+import { crimeLookupCache } from '../services/crimeLookupCache';
+import { NetworkError, ServerError, ClientError, RateLimitError } from '../services/httpClient';
+import { getMockSafetyDataset } from '../utils/safetyUtils';
 import { 
   mockCrimeDataResponse, 
   mockFetch, 
@@ -20,7 +25,7 @@ describe('FBI Crime Data Service', () => {
   let originalConsoleError;
   let consoleErrorMock;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     // Save the original fetch function and console.error
     originalFetch = global.fetch;
     originalConsoleError = console.error;
@@ -28,12 +33,17 @@ describe('FBI Crime Data Service', () => {
     // Create a mock for console.error
     consoleErrorMock = jest.fn();
     console.error = consoleErrorMock;
+    
+    // Every lookup reaches the mocked API, whatever earlier tests did to it
+    await crimeLookupCache.clear();
+    fbiApiClient.breaker.reset();
   });
 
   afterEach(() => {
     // Restore fetch and console.error to their original implementations
     global.fetch = originalFetch;
     console.error = originalConsoleError;
+    jest.restoreAllMocks();
   });
 
   describe('getCrimeStatsByLocation', () => {
@@ -51,36 +61,30 @@ describe('FBI Crime Data Service', () => {
       expect(result).toEqual({ results: [] });
     });
 
-    test('should handle API errors gracefully', async () => {
+    test('should reject with a ServerError after retrying API errors', async () => {
       // Mock fetch to simulate an error response
       global.fetch = jest.fn().mockImplementation(mockFetchError);
       
-      const result = await getCrimeStatsByLocation('CA', 'San Francisco');
+      const request = getCrimeStatsByLocation('CA', 'San Francisco');
       
-      // Function should return null when API returns error
-      expect(result).toBeNull();
-      expect(consoleErrorMock).toHaveBeenCalledWith(
-        'FBI Crime Data API Error:',
-        expect.any(Error)
-      );
+      // Callers can tell an unavailable API from a location without data
+      await expect(request).rejects.toBeInstanceOf(ServerError);
+      await expect(request).rejects.toMatchObject({ status: 500, retryable: true });
+      // The first attempt and two retries
+      expect(global.fetch).toHaveBeenCalledTimes(3);
     });
 
-    test('should handle network failures', async () => {
+    test('should reject with a NetworkError on network failures', async () => {
       // Mock fetch to simulate network failure
       global.fetch = jest.fn().mockImplementation(mockFetchNetworkError);
       
-      const result = await getCrimeStatsByLocation('CA', 'San Francisco');
-      
-      // Function should return null when network fails
-      expect(result).toBeNull();
-      expect(consoleErrorMock).toHaveBeenCalledWith(
-        'FBI Crime Data API Error:',
-        expect.any(Error)
-      );
+      await expect(getCrimeStatsByLocation('CA', 'San Francisco')).rejects.toBeInstanceOf(NetworkError);
     });
   });
 
   describe('getCrimeStatsByCoordinates', () => {
+    const synthetic = { source: CRIME_DATA_SOURCES.SYNTHETIC };
+
     test('should return crime data based on coordinates', async () => {
       const lat = 37.7749;
       const lng = -122.4194;
@@ -88,7 +92,7 @@ describe('FBI Crime Data Service', () => {
       // Use Math.random() mock to ensure consistent "random" values
       const mockRandom = jest.spyOn(Math, 'random').mockImplementation(() => 0.5);
       
-      const result = await getCrimeStatsByCoordinates(lat, lng);
+      const result = await getCrimeStatsByCoordinates(lat, lng, 1, synthetic);
       
       // Check if the result has the expected structure
       expect(result).toHaveProperty('coordinates');
@@ -109,23 +113,150 @@ describe('FBI Crime Data Service', () => {
         throw new Error('Forced error');
       });
       
-      const result = await getCrimeStatsByCoordinates(37.7749, -122.4194);
-      
-      // Function should return null when an error occurs
-      expect(result).toBeNull();
-      expect(consoleErrorMock).toHaveBeenCalled();
+      // The error reaches the caller instead of being logged and swallowed
+      await expect(getCrimeStatsByCoordinates(37.7749, -122.4194, 1, synthetic)).rejects.toThrow('Forced error');
+      expect(consoleErrorMock).not.toHaveBeenCalled();
     });
     
     test('should calculate different values based on proximity to high-crime areas', async () => {
-      // Test with coordinates directly at a high crime area
-      const highCrimeResult = await getCrimeStatsByCoordinates(37.774, -122.419);
+      // Test with coordinates directly at the most intense generated hotspot
+      const [hotspot] = getMockSafetyDataset().hotspots;
+      const highCrimeResult = await getCrimeStatsByCoordinates(hotspot.lat, hotspot.lng, 1, synthetic);
       
       // Test with coordinates far from high crime areas
-      const lowCrimeResult = await getCrimeStatsByCoordinates(38.0, -123.0);
+      const lowCrimeResult = await getCrimeStatsByCoordinates(38.0, -123.0, 1, synthetic);
       
       // The high crime area should have a lower safety score
       expect(highCrimeResult.safetyScore).toBeLessThan(lowCrimeResult.safetyScore);
     });
+
+    describe('from the nearest FBI agency', () => {
+      const agencyResponses = {
+        // Oregon is not in the bundled agency catalog
+        '/agencies/byStateAbbr/OR': [
+          { ori: 'OR0260300', agency_name: 'Gresham Police Department', agency_type_name: 'City', latitude: 45.50, longitude: -122.43 },
+          { ori: 'OR0260200', agency_name: 'Portland Police Bureau', agency_type_name: 'City', latitude: 45.52, longitude: -122.68 }
+        ],
+        '/summarized/agencies/OR0260200/offenses/': {
+          results: [
+            { ori: 'OR0260200', data_year: 2021, offense: 'robbery', actual: 1600, cleared: 300 },
+            { ori: 'OR0260200', data_year: 2022, offense: 'robbery', actual: 1740, cleared: 320 },
+            { ori: 'OR0260200', data_year: 2022, offense: 'violent-crime', actual: 4350, cleared: 900 },
+            { ori: 'OR0260200', data_year: 2022, offense: 'rape-legacy', actual: 90, cleared: 10 },
+            { ori: 'OR0260200', data_year: 2022, offense: 'rape', actual: 261, cleared: 40 }
+          ]
+        },
+        '/summarized/agencies/CA0380100/offenses/': {
+          results: [
+            { ori: 'CA0380100', data_year: 2022, offense: 'robbery', actual: 1616.874, cleared: 320 }
+          ]
+        },
+        '/participation/agencies/OR0260200': {
+          results: [
+            { data_year: 2021, population: 880000 },
+            { data_year: 2022, population: 870000 }
+          ]
+        }
+      };
+
+      const mockAgencyFetch = async (url) => {
+        const path = Object.keys(agencyResponses).find(candidate => url.includes(candidate));
+        return path
+          ? { ok: true, status: 200, json: async () => agencyResponses[path] }
+          : { ok: false, status: 404, json: async () => ({}) };
+      };
+
+      const mockGeocoder = (results, status = 'OK') => {
+        window.google = {
+          maps: {
+            GeocoderStatus: { OK: 'OK' },
+            Geocoder: jest.fn().mockImplementation(() => ({
+              geocode: (request, callback) => callback(results, status)
+            }))
+          }
+        };
+      };
+
+      afterEach(() => {
+        delete window.google;
+      });
+
+      test('should normalize the covering agency\'s latest offenses per 1,000 residents', async () => {
+        mockGeocoder([{
+          address_components: [
+            { long_name: 'Portland', short_name: 'Portland', types: ['locality', 'political'] },
+            { long_name: 'Multnomah County', short_name: 'Multnomah County', types: ['administrative_area_level_2'] },
+            { long_name: 'Oregon', short_name: 'OR', types: ['administrative_area_level_1'] }
+          ]
+        }]);
+        global.fetch = jest.fn().mockImplementation(mockAgencyFetch);
+
+        const result = await getCrimeStatsByCoordinates(45.5152, -122.6784, 1, { source: CRIME_DATA_SOURCES.FBI });
+
+        expect(result.agency).toMatchObject({ ori: 'OR0260200', matchedBy: 'city' });
+        expect(result.region).toEqual({ state: 'OR', city: 'Portland', county: 'Multnomah County' });
+        expect(result.year).toBe(2022);
+        expect(result.population).toBe(870000);
+        expect(result.crimeStats.robbery).toBeCloseTo(2, 10);
+        expect(result.crimeStats['violent-crime']).toBeCloseTo(5, 10);
+        // The revised rape definition replaces the legacy one
+        expect(result.crimeStats.rape).toBeCloseTo(0.3, 10);
+        expect(result.totalCrimeRate).toBeCloseTo(7.3, 10);
+        expect(result).toMatchObject({ source: 'fbi', isMock: false, dataAsOf: '2022-12-31' });
+        expect(result.safetyScore).toBeGreaterThan(0);
+      });
+
+      test('should take the agency and its population from the bundled catalog', async () => {
+        mockGeocoder([{
+          address_components: [
+            { long_name: 'San Francisco', short_name: 'SF', types: ['locality', 'political'] },
+            { long_name: 'California', short_name: 'CA', types: ['administrative_area_level_1'] }
+          ]
+        }]);
+        global.fetch = jest.fn().mockImplementation(mockAgencyFetch);
+
+        const result = await getCrimeStatsByCoordinates(37.7749, -122.4194, 1, { source: CRIME_DATA_SOURCES.FBI });
+
+        expect(result.agency).toMatchObject({ ori: 'CA0380100', matchedBy: 'city' });
+        expect(result.population).toBe(808437);
+        expect(result.crimeStats.robbery).toBeCloseTo(2, 3);
+        // Only the offenses are fetched
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/summarized/agencies/CA0380100/offenses/'));
+      });
+
+      test('should fail instead of falling back to synthetic data', async () => {
+        global.fetch = jest.fn().mockImplementation(mockAgencyFetch);
+
+        // No Google Maps API to reverse-geocode with
+        await expect(getCrimeStatsByCoordinates(37.7749, -122.4194, 1, { source: CRIME_DATA_SOURCES.FBI }))
+          .rejects.toThrow('Could not determine the state');
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        // A state without agency data: the API's typed error reaches the caller
+        mockGeocoder([{ address_components: [{ long_name: 'Washington', short_name: 'WA', types: ['administrative_area_level_1'] }] }]);
+        await expect(getCrimeStatsByCoordinates(47.61, -122.33, 1, { source: CRIME_DATA_SOURCES.FBI }))
+          .rejects.toBeInstanceOf(ClientError);
+      });
+
+      test('should pass on a rate-limited offense request rather than report missing counts', async () => {
+        mockGeocoder([{
+          address_components: [
+            { long_name: 'San Francisco', short_name: 'SF', types: ['locality', 'political'] },
+            { long_name: 'California', short_name: 'CA', types: ['administrative_area_level_1'] }
+          ]
+        }]);
+        global.fetch = jest.fn(async () => ({
+          ok: false,
+          status: 429,
+          headers: { get: name => (name.toLowerCase() === 'retry-after' ? '0' : null) },
+          json: async () => ({})
+        }));
+
+        await expect(getCrimeStatsByCoordinates(37.7749, -122.4194, 1, { source: CRIME_DATA_SOURCES.FBI, cache: null }))
+          .rejects.toBeInstanceOf(RateLimitError);
+      });
+    });
   });
 
   describe('getNationalCrimeTrends', () => {
@@ -172,14 +303,11 @@ describe('FBI Crime Data Service', () => {
       expect(result.results.length).toBe(2);
     });
     
-    test('should handle API errors gracefully', async () => {
+    test('should reject with a ServerError when the API fails', async () => {
       // Mock fetch to simulate an error response
       global.fetch = jest.fn().mockImplementation(mockFetchError);
       
-      const result = await getNationalCrimeTrends();
-      
-      // Function should return null when API returns error
-      expect(result).toBeNull();
+      await expect(getNationalCrimeTrends()).rejects.toBeInstanceOf(ServerError);
     });
   });
 
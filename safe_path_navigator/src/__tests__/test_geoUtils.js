@@ -0,0 +1,163 @@
+/**
+ * Tests for geospatial helper functions
+ */
+import {
+  haversineDistance,
+  equirectangularDistance,
+  bearing,
+  pointToSegmentDistance,
+  boundingBoxAround,
+  boundingBoxOfPoints,
+  expandBoundingBox,
+  isPointInBoundingBox,
+  decodePolyline,
+  lineStringToPoints
+} from '../utils/geoUtils';
+
+describe('Geo Utility Functions', () => {
+  const sanFrancisco = { lat: 37.7749, lng: -122.4194 };
+  const losAngeles = { lat: 34.0522, lng: -118.2437 };
+
+  describe('haversineDistance', () => {
+    test('should return zero for identical points', () => {
+      expect(haversineDistance(sanFrancisco, sanFrancisco)).toBe(0);
+    });
+
+    test('should measure long distances in meters', () => {
+      // San Francisco to Los Angeles is roughly 559 km
+      const distance = haversineDistance(sanFrancisco, losAngeles);
+      expect(distance).toBeGreaterThan(555000);
+      expect(distance).toBeLessThan(563000);
+    });
+
+    test('should account for longitude shrinking away from the equator', () => {
+      // One degree of longitude is much shorter at 60N than at the equator
+      const atEquator = haversineDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 1 });
+      const atSixtyNorth = haversineDistance({ lat: 60, lng: 0 }, { lat: 60, lng: 1 });
+
+      expect(atSixtyNorth).toBeCloseTo(atEquator / 2, -3);
+    });
+  });
+
+  describe('equirectangularDistance', () => {
+    test('should closely match haversine for short distances', () => {
+      const nearby = { lat: 37.7833, lng: -122.4167 };
+      const exact = haversineDistance(sanFrancisco, nearby);
+      const approx = equirectangularDistance(sanFrancisco, nearby);
+
+      expect(Math.abs(exact - approx) / exact).toBeLessThan(0.001);
+    });
+  });
+
+  describe('bearing', () => {
+    test('should return cardinal directions', () => {
+      const origin = { lat: 0, lng: 0 };
+      expect(bearing(origin, { lat: 1, lng: 0 })).toBeCloseTo(0);
+      expect(bearing(origin, { lat: 0, lng: 1 })).toBeCloseTo(90);
+      expect(bearing(origin, { lat: -1, lng: 0 })).toBeCloseTo(180);
+      expect(bearing(origin, { lat: 0, lng: -1 })).toBeCloseTo(270);
+    });
+  });
+
+  describe('pointToSegmentDistance', () => {
+    const start = { lat: 37.77, lng: -122.42 };
+    const end = { lat: 37.77, lng: -122.41 };
+
+    test('should measure perpendicular distance to the segment interior', () => {
+      const point = { lat: 37.771, lng: -122.415 };
+      const expected = haversineDistance(point, { lat: 37.77, lng: -122.415 });
+
+      expect(pointToSegmentDistance(point, start, end)).toBeCloseTo(expected, 0);
+    });
+
+    test('should measure to the nearest endpoint beyond the segment', () => {
+      const point = { lat: 37.77, lng: -122.40 };
+      const expected = haversineDistance(point, end);
+
+      expect(pointToSegmentDistance(point, start, end)).toBeCloseTo(expected, 0);
+    });
+
+    test('should handle degenerate segments', () => {
+      const point = { lat: 37.771, lng: -122.42 };
+      const expected = haversineDistance(point, start);
+
+      expect(pointToSegmentDistance(point, start, start)).toBeCloseTo(expected, 0);
+    });
+  });
+
+  describe('bounding boxes', () => {
+    test('boundingBoxAround should contain points inside the radius', () => {
+      const bbox = boundingBoxAround(sanFrancisco, 1000);
+      const inside = { lat: sanFrancisco.lat + 0.005, lng: sanFrancisco.lng + 0.005 };
+      const outside = { lat: sanFrancisco.lat + 0.02, lng: sanFrancisco.lng };
+
+      expect(haversineDistance(sanFrancisco, inside)).toBeLessThan(1000);
+      expect(isPointInBoundingBox(inside, bbox)).toBe(true);
+      expect(isPointInBoundingBox(outside, bbox)).toBe(false);
+    });
+
+    test('boundingBoxOfPoints should return null for no points', () => {
+      expect(boundingBoxOfPoints([])).toBeNull();
+      expect(boundingBoxOfPoints(null)).toBeNull();
+    });
+
+    test('boundingBoxOfPoints should cover every point', () => {
+      const bbox = boundingBoxOfPoints([sanFrancisco, losAngeles]);
+
+      expect(bbox).toEqual({
+        minLat: losAngeles.lat,
+        minLng: sanFrancisco.lng,
+        maxLat: sanFrancisco.lat,
+        maxLng: losAngeles.lng
+      });
+    });
+
+    test('expandBoundingBox should grow the box on every side', () => {
+      const bbox = boundingBoxOfPoints([sanFrancisco]);
+      const expanded = expandBoundingBox(bbox, 500);
+
+      expect(expanded.minLat).toBeLessThan(bbox.minLat);
+      expect(expanded.minLng).toBeLessThan(bbox.minLng);
+      expect(expanded.maxLat).toBeGreaterThan(bbox.maxLat);
+      expect(expanded.maxLng).toBeGreaterThan(bbox.maxLng);
+    });
+  });
+
+  describe('route geometry', () => {
+    test('decodePolyline should decode the reference polyline', () => {
+      // Example from the Google polyline algorithm documentation
+      expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual([
+        { lat: 38.5, lng: -120.2 },
+        { lat: 40.7, lng: -120.95 },
+        { lat: 43.252, lng: -126.453 }
+      ]);
+    });
+
+    test('decodePolyline should support other precisions', () => {
+      const points = decodePolyline('_p~iF~ps|U', 6);
+
+      expect(points[0].lat).toBeCloseTo(3.85, 6);
+      expect(points[0].lng).toBeCloseTo(-12.02, 6);
+    });
+
+    test('decodePolyline should reject malformed polylines', () => {
+      expect(decodePolyline('')).toEqual([]);
+      expect(() => decodePolyline('_p~iF~ps|U_')).toThrow('Malformed encoded polyline');
+      expect(() => decodePolyline('_p~iF ps|U')).toThrow('Malformed encoded polyline');
+    });
+
+    test('lineStringToPoints should read geometries and features', () => {
+      const geometry = { type: 'LineString', coordinates: [[-122.4194, 37.7749], [-118.2437, 34.0522]] };
+
+      expect(lineStringToPoints(geometry)).toEqual([sanFrancisco, losAngeles]);
+      expect(lineStringToPoints({ type: 'Feature', properties: {}, geometry })).toEqual([sanFrancisco, losAngeles]);
+    });
+
+    test('lineStringToPoints should return null for anything but a valid LineString', () => {
+      expect(lineStringToPoints(null)).toBeNull();
+      expect(lineStringToPoints({ type: 'Point', coordinates: [-122.4194, 37.7749] })).toBeNull();
+      expect(lineStringToPoints({ type: 'LineString', coordinates: [[-122.4194, 97.7749]] })).toBeNull();
+      expect(lineStringToPoints({ type: 'LineString', coordinates: [['a', 'b']] })).toBeNull();
+    });
+  });
+});
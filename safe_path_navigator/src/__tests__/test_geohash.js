@@ -0,0 +1,26 @@
+/**
+ * Tests for geohash encoding
+ */
+import { encodeGeohash, decodeGeohashBounds } from '../utils/geohash';
+import { isPointInBoundingBox } from '../utils/geoUtils';
+
+describe('Geohash', () => {
+  test('should encode points to their published geohashes', () => {
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    expect(encodeGeohash(37.7749, -122.4194, 5)).toBe('9q8yy');
+  });
+
+  test('should give nearby points the same cell and distant points different ones', () => {
+    expect(encodeGeohash(37.77490, -122.41940)).toBe(encodeGeohash(37.77495, -122.41945));
+    expect(encodeGeohash(37.7749, -122.4194)).not.toBe(encodeGeohash(37.7849, -122.4194));
+  });
+
+  test('should decode a geohash to the cell containing the point', () => {
+    const point = { lat: 37.7749, lng: -122.4194 };
+    const bounds = decodeGeohashBounds(encodeGeohash(point.lat, point.lng));
+
+    expect(isPointInBoundingBox(point, bounds)).toBe(true);
+    expect(bounds.maxLat - bounds.minLat).toBeCloseTo(180 / 2 ** 17, 10);
+    expect(() => decodeGeohashBounds('9q8a')).toThrow('Invalid geohash character "a"');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for the HTTP client, its typed errors and its circuit breaker
+ */
+import {
+  HttpError,
+  NetworkError,
+  ClientError,
+  RateLimitError,
+  ServerError,
+  ParseError,
+  CircuitOpenError,
+  CIRCUIT_STATES,
+  getRetryDelay,
+  createCircuitBreaker,
+  createHttpClient
+} from '../services/httpClient';
+
+describe('HTTP Client', () => {
+  const URL = 'https://example.test/data?api_key=secret';
+  let originalFetch;
+  let time;
+
+  const respond = (status, body = {}, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => (headers[name] !== undefined ? headers[name] : null) },
+    json: async () => {
+      if (body instanceof Error) throw body;
+      return body;
+    }
+  });
+
+  // A client that records its waits instead of sleeping
+  const createClient = (options = {}) => {
+    const waits = [];
+    const client = createHttpClient({
+      name: 'Test API',
+      sleep: async (ms) => {
+        waits.push(ms);
+      },
+      random: () => 0.5,
+      now: () => time,
+      ...options
+    });
+    return { client, waits };
+  };
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    time = 0;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should return the JSON body of a successful response', async () => {
+    global.fetch = jest.fn().mockResolvedValue(respond(200, { results: [1] }));
+    const { client } = createClient();
+
+    expect(await client.getJson(URL)).toEqual({ results: [1] });
+    expect(global.fetch).toHaveBeenCalledWith(URL);
+  });
+
+  test('should post JSON bodies', async () => {
+    global.fetch = jest.fn().mockResolvedValue(respond(200, { ok: true }));
+    const { client } = createClient();
+
+    await client.postJson(URL, { items: [] });
+    expect(global.fetch).toHaveBeenCalledWith(URL, expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ items: [] })
+    }));
+  });
+
+  test('should reject with an error class per kind of failure', async () => {
+    const { client } = createClient({ retries: 0 });
+    const failures = [
+      [() => Promise.reject(new Error('offline')), NetworkError],
+      [() => Promise.resolve(respond(404)), ClientError],
+      [() => Promise.resolve(respond(429)), RateLimitError],
+      [() => Promise.resolve(respond(503)), ServerError],
+      [() => Promise.resolve(respond(200, new SyntaxError('Unexpected token <'))), ParseError]
+    ];
+
+    for (const [fetchImplementation, ErrorClass] of failures) {
+      global.fetch = jest.fn().mockImplementation(fetchImplementation);
+      const error = await client.getJson(URL).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.url).toBe(URL);
+      // The API key never ends up in the message
+      expect(error.message).not.toContain('secret');
+    }
+  });
+
+  test('should retry retryable failures with jittered exponential backoff', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(respond(502))
+      .mockRejectedValueOnce(new Error('reset'))
+      .mockResolvedValueOnce(respond(200, { results: [] }));
+    const { client, waits } = createClient();
+
+    expect(await client.getJson(URL)).toEqual({ results: [] });
+    // Half of the 250 ms and 500 ms caps, with random() at 0.5
+    expect(waits).toEqual([125, 250]);
+    expect(getRetryDelay(10, { baseDelayMs: 250, maxDelayMs: 4000, random: () => 0.999 })).toBe(3996);
+  });
+
+  test('should not retry client errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue(respond(400));
+    const { client } = createClient();
+
+    await expect(client.getJson(URL)).rejects.toMatchObject({ status: 400, retryable: false });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should wait as long as Retry-After asks, unless that is too long', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(respond(429, {}, { 'Retry-After': '2' }))
+      .mockResolvedValueOnce(respond(200, {}));
+    const { client, waits } = createClient();
+
+    await client.getJson(URL);
+    expect(waits).toEqual([2000]);
+
+    global.fetch = jest.fn().mockResolvedValue(respond(429, {}, { 'Retry-After': '120' }));
+    await expect(client.getJson(URL)).rejects.toMatchObject({ retryAfterMs: 120000 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  describe('circuit breaker', () => {
+    const fail = () => Promise.reject(new ServerError('down'));
+
+    test('should open after repeated failures and fail fast', async () => {
+      const breaker = createCircuitBreaker({ name: 'Test API', failureThreshold: 2, resetTimeoutMs: 1000, now: () => time });
+      const call = jest.fn(fail);
+
+      await expect(breaker.execute(call)).rejects.toBeInstanceOf(ServerError);
+      await expect(breaker.execute(call)).rejects.toBeInstanceOf(ServerError);
+      expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+
+      time = 400;
+      await expect(breaker.execute(call)).rejects.toMatchObject({ name: 'CircuitOpenError', retryAfterMs: 600 });
+      expect(call).toHaveBeenCalledTimes(2);
+    });
+
+    test('should let one trial call through after the reset timeout', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => time });
+      await expect(breaker.execute(fail)).rejects.toBeInstanceOf(ServerError);
+
+      time = 1000;
+      expect(breaker.getState()).toBe(CIRCUIT_STATES.HALF_OPEN);
+      await expect(breaker.execute(fail)).rejects.toBeInstanceOf(ServerError);
+      expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+
+      time = 2000;
+      expect(await breaker.execute(async () => 'ok')).toBe('ok');
+      expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    });
+
+    test('should not count client errors against the upstream', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1 });
+
+      await expect(breaker.execute(() => Promise.reject(new ClientError('not found', { status: 404 })))).rejects.toThrow();
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    test('should keep counting failures across client errors', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 2, now: () => time });
+      const notFound = () => Promise.reject(new ClientError('not found', { status: 404 }));
+
+      await expect(breaker.execute(fail)).rejects.toBeInstanceOf(ServerError);
+      await expect(breaker.execute(notFound)).rejects.toBeInstanceOf(ClientError);
+      await expect(breaker.execute(fail)).rejects.toBeInstanceOf(ServerError);
+
+      expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+    });
+
+    test('should only close a half-open circuit on a success', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => time });
+      await expect(breaker.execute(fail)).rejects.toBeInstanceOf(ServerError);
+
+      time = 1000;
+      await expect(breaker.execute(() => Promise.reject(new ClientError('not found', { status: 404 })))).rejects.toThrow();
+      expect(breaker.getState()).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+      expect(await breaker.execute(async () => 'ok')).toBe('ok');
+      expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    });
+
+    test('should count a request once however often it was retried', async () => {
+      global.fetch = jest.fn().mockResolvedValue(respond(500));
+      const breaker = createCircuitBreaker({ failureThreshold: 2, now: () => time });
+      const { client } = createClient({ breaker });
+
+      await expect(client.getJson(URL)).rejects.toBeInstanceOf(ServerError);
+      expect(breaker.isOpen()).toBe(false);
+      await expect(client.getJson(URL)).rejects.toBeInstanceOf(ServerError);
+      await expect(client.getJson(URL)).rejects.toBeInstanceOf(CircuitOpenError);
+      expect(global.fetch).toHaveBeenCalledTimes(6);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for incident-level crime data import
+ */
+import {
+  mapIncidentRecord,
+  importIncidentRecords,
+  importIncidentCsv,
+  importIncidentGeoJSON,
+  importIncidentFile,
+  INCIDENT_FILE_FORMATS
+} from '../utils/incidentImport';
+import { calculateSafetyScore } from '../utils/safetyUtils';
+
+describe('Incident Import', () => {
+  const now = new Date('2024-06-01T00:00:00Z');
+
+  describe('mapIncidentRecord', () => {
+    test('should map common open data column names to an incident', () => {
+      const { incident } = mapIncidentRecord({
+        'Latitude': '37.78',
+        'Longitude': '-122.41',
+        'Incident Datetime': '2024-05-02T22:15:00Z',
+        'Incident Category': 'Larceny Theft'
+      }, { now });
+
+      expect(incident).toEqual({
+        lat: 37.78,
+        lng: -122.41,
+        offense: 'larceny',
+        occurredAt: '2024-05-02T22:15:00.000Z',
+        weight: null
+      });
+    });
+
+    test('should use a configured field and offense mapping', () => {
+      const { incident } = mapIncidentRecord(
+        { Y_COORD: '45.52', X_COORD: '-122.68', WHEN: '2024-01-01', TYPE: 'Assault' },
+        {
+          mapping: { lat: 'Y_COORD', lng: 'X_COORD', occurredAt: 'WHEN', offense: 'TYPE' },
+          offenseMapping: { Assault: 'aggravated-assault' },
+          now
+        }
+      );
+
+      expect(incident.lat).toBe(45.52);
+      expect(incident.lng).toBe(-122.68);
+      expect(incident.offense).toBe('aggravated-assault');
+    });
+
+    test('should reject invalid coordinates and dates', () => {
+      const reasonFor = (record) => mapIncidentRecord(record, { now }).error;
+
+      expect(reasonFor({ lat: '', lng: '-122.41' })).toBe('Missing coordinates');
+      expect(reasonFor({ lat: 'north', lng: '-122.41' })).toMatch(/Invalid coordinates/);
+      expect(reasonFor({ lat: '97.5', lng: '-122.41' })).toMatch(/Invalid coordinates/);
+      expect(reasonFor({ lat: '0', lng: '0' })).toMatch(/not geocoded/);
+      expect(reasonFor({ lat: '37.78', lng: '-122.41', date: 'yesterday' })).toMatch(/Invalid date/);
+      expect(reasonFor({ lat: '37.78', lng: '-122.41', date: '2030-01-01' })).toMatch(/future/);
+      expect(reasonFor({ lat: '37.78', lng: '-122.41', weight: '-1' })).toMatch(/Invalid weight/);
+    });
+
+    test('should accept incidents without a date or offense', () => {
+      const { incident } = mapIncidentRecord({ lat: '37.78', lng: '-122.41' }, { now });
+      expect(incident.occurredAt).toBeNull();
+      expect(incident.offense).toBeNull();
+    });
+  });
+
+  describe('importIncidentRecords', () => {
+    test('should report rejected rows and calibrate missing weights', () => {
+      const { incidents, rejected } = importIncidentRecords([
+        { lat: '37.780', lng: '-122.410' },
+        { lat: '37.770', lng: '-122.420', weight: '0.8' },
+        { lat: 'bad', lng: '-122.420' }
+      ], { now });
+
+      expect(incidents).toHaveLength(2);
+      expect(rejected).toEqual([{ row: 3, reason: 'Invalid coordinates (bad, -122.420)' }]);
+      expect(incidents[0].weight).toBeGreaterThan(0);
+      expect(incidents[0].weight).toBeLessThanOrEqual(1);
+      expect(incidents[1].weight).toBe(0.8);
+    });
+
+    test('should spread weight thinner for denser datasets', () => {
+      const records = (count) => Array.from({ length: count }, (_, i) => ({
+        lat: String(37.77 + (i % 10) * 0.001),
+        lng: String(-122.42 + Math.floor(i / 10) * 0.001)
+      }));
+
+      const sparse = importIncidentRecords(records(20), { now }).incidents[0].weight;
+      const dense = importIncidentRecords(records(200), { now }).incidents[0].weight;
+      expect(dense).toBeLessThan(sparse);
+    });
+  });
+
+  describe('importIncidentCsv', () => {
+    test('should import a city CSV export', () => {
+      const csv = [
+        'Incident ID,Incident Datetime,Incident Category,Latitude,Longitude',
+        '1,2024-05-01 21:30,Robbery,37.7812,-122.4101',
+        '2,2024-05-02 08:00,Burglary,,',
+        '3,2024-05-03 14:10,Motor Vehicle Theft,37.7755,-122.4180'
+      ].join('\n');
+
+      const result = importIncidentCsv(csv, { now });
+
+      expect(result.format).toBe(INCIDENT_FILE_FORMATS.CSV);
+      expect(result.incidents.map(incident => incident.offense)).toEqual(['robbery', 'motor-vehicle-theft']);
+      expect(result.rejected).toEqual([{ row: 2, reason: 'Missing coordinates' }]);
+    });
+
+    test('should fail when no coordinate columns can be found', () => {
+      expect(() => importIncidentCsv('id,address\n1,Main St', { now })).toThrow(/No latitude\/longitude columns/);
+      expect(() => importIncidentCsv('lat,lng\n', { now })).toThrow(/no incident rows/);
+    });
+  });
+
+  describe('importIncidentGeoJSON', () => {
+    const geojson = {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-122.4101, 37.7812] },
+          properties: { offense_type: 'Aggravated Assault', occurred_on: '2024-04-20T23:00:00Z' }
+        },
+        {
+          type: 'Feature',
+          geometry: null,
+          properties: { offense_type: 'Robbery' }
+        }
+      ]
+    };
+
+    test('should take coordinates from point geometries', () => {
+      const result = importIncidentGeoJSON(JSON.stringify(geojson), { now });
+
+      expect(result.format).toBe(INCIDENT_FILE_FORMATS.GEOJSON);
+      expect(result.incidents).toHaveLength(1);
+      expect(result.incidents[0]).toMatchObject({
+        lat: 37.7812,
+        lng: -122.4101,
+        offense: 'aggravated-assault',
+        occurredAt: '2024-04-20T23:00:00.000Z'
+      });
+      expect(result.rejected).toEqual([{ row: 2, reason: 'Missing coordinates' }]);
+    });
+
+    test('should reject data that is not a FeatureCollection', () => {
+      expect(() => importIncidentGeoJSON({ type: 'Feature' })).toThrow(/FeatureCollection/);
+    });
+
+    test('should be detected by importIncidentFile from the file name or content', () => {
+      expect(importIncidentFile(JSON.stringify(geojson), { now }).format).toBe(INCIDENT_FILE_FORMATS.GEOJSON);
+      expect(importIncidentFile(JSON.stringify(geojson), { fileName: 'crimes.geojson', now }).incidents)
+        .toHaveLength(1);
+      expect(importIncidentFile('lat,lng\n37.78,-122.41', { fileName: 'crimes.csv', now }).format)
+        .toBe(INCIDENT_FILE_FORMATS.CSV);
+    });
+  });
+
+  test('should feed imported incidents into crime scoring', () => {
+    const routePath = [{ lat: 37.7812, lng: -122.4101 }, { lat: 37.7815, lng: -122.4105 }];
+    const { incidents } = importIncidentCsv([
+      'lat,lng,offense,weight',
+      '37.7812,-122.4101,robbery,1',
+      '37.7813,-122.4103,homicide,1'
+    ].join('\n'), { now });
+
+    const nearCrime = calculateSafetyScore(routePath, { crimeData: incidents });
+    const farFromCrime = calculateSafetyScore([{ lat: 37.70, lng: -122.50 }], { crimeData: incidents });
+    expect(nearCrime.crime).toBeLessThan(farFromCrime.crime);
+  });
+});
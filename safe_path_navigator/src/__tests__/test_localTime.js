@@ -0,0 +1,47 @@
+/**
+ * Tests for reading moments on a local clock
+ */
+import { getLocalClock, parseUtcOffset, getTimeZoneOffset } from '../utils/localTime';
+
+describe('Local Time', () => {
+  test('should read a moment on the clock at a UTC offset', () => {
+    // Sunday 05:30 UTC is still Saturday 22:30 in Pacific Daylight Time
+    const moment = new Date('2024-06-02T05:30:00Z');
+
+    expect(getLocalClock(moment, -420)).toEqual({ day: 6, hours: 22, minutes: 30 });
+    expect(getLocalClock(moment, 0)).toEqual({ day: 0, hours: 5, minutes: 30 });
+    expect(getLocalClock(moment, 330)).toEqual({ day: 0, hours: 11, minutes: 0 });
+  });
+
+  test('should use the runtime clock without an offset', () => {
+    const moment = new Date(2024, 5, 1, 22, 15);
+
+    expect(getLocalClock(moment)).toEqual({ day: 6, hours: 22, minutes: 15 });
+    expect(getLocalClock(moment, null)).toEqual(getLocalClock(moment));
+  });
+
+  test('should parse the UTC offset of ISO 8601 timestamps', () => {
+    expect(parseUtcOffset('2024-06-01T22:00:00-07:00')).toBe(-420);
+    expect(parseUtcOffset('2024-06-01T22:00:00.000+0530')).toBe(330);
+    expect(parseUtcOffset('2024-06-01T22:00+09')).toBe(540);
+    expect(parseUtcOffset('2024-06-01T22:00:00Z')).toBe(0);
+  });
+
+  test('should return null for timestamps without an offset', () => {
+    expect(parseUtcOffset('2024-06-01T22:00:00')).toBeNull();
+    expect(parseUtcOffset('2024-06-01')).toBeNull();
+    expect(parseUtcOffset(null)).toBeNull();
+    expect(parseUtcOffset(new Date())).toBeNull();
+  });
+
+  test('should find the UTC offset of a time zone at a moment', () => {
+    expect(getTimeZoneOffset(new Date('2024-06-01T12:00:00Z'), 'America/Los_Angeles')).toBe(-420);
+    expect(getTimeZoneOffset(new Date('2024-01-15T12:00:00Z'), 'America/Los_Angeles')).toBe(-480);
+    expect(getTimeZoneOffset(new Date('2024-06-01T12:00:30Z'), 'Asia/Kolkata')).toBe(330);
+    expect(getTimeZoneOffset(new Date('2024-06-01T12:00:00Z'), 'UTC')).toBe(0);
+  });
+
+  test('should return null for unknown time zones', () => {
+    expect(getTimeZoneOffset(new Date('2024-06-01T12:00:00Z'), 'Mars/Olympus_Mons')).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for FBI offense count normalization
+ */
+import {
+  normalizeOffenseName,
+  toRatePerResidents,
+  summarizeAgencyOffenses,
+  summarizeOffensesByYear,
+  validateSummarizedOffenses
+} from '../utils/offenseNormalization';
+
+describe('Offense Normalization', () => {
+  test('should map FBI offense names onto the app\'s offense keys', () => {
+    expect(normalizeOffenseName('larceny-theft')).toBe('larceny');
+    expect(normalizeOffenseName('Motor Vehicle Theft')).toBe('motor-vehicle-theft');
+    expect(normalizeOffenseName('aggravated_assault')).toBe('aggravated-assault');
+    expect(normalizeOffenseName('murder')).toBe('homicide');
+    expect(normalizeOffenseName('robbery')).toBe('robbery');
+    expect(normalizeOffenseName('')).toBeNull();
+  });
+
+  test('should convert counts to rates per 1,000 residents', () => {
+    expect(toRatePerResidents(500, 100000)).toBe(5);
+    expect(toRatePerResidents(500, 0)).toBeNull();
+    expect(toRatePerResidents(NaN, 100000)).toBeNull();
+  });
+
+  describe('summarizeAgencyOffenses', () => {
+    const results = [
+      { data_year: 2021, offense: 'burglary', actual: 900 },
+      { data_year: 2022, offense: 'burglary', actual: 800 },
+      { data_year: '2022', offense: 'larceny-theft', actual: '2000' },
+      { data_year: 2022, offense: 'rape-legacy', actual: 30 },
+      { data_year: 2022, offense: 'homicide', actual: null }
+    ];
+
+    test('should use the latest year and merge aliased offenses', () => {
+      const summary = summarizeAgencyOffenses(results, 200000);
+
+      expect(summary.year).toBe(2022);
+      expect(summary.counts).toEqual({ 'burglary': 800, 'larceny': 2000, 'rape': 30 });
+      expect(summary.crimeStats).toEqual({ 'burglary': 4, 'larceny': 10, 'rape': 0.15 });
+    });
+
+    test('should drop legacy counts when the revised definition is reported', () => {
+      const summary = summarizeAgencyOffenses([
+        ...results,
+        { data_year: 2022, offense: 'rape', actual: 50 }
+      ], 100000);
+
+      expect(summary.counts.rape).toBe(50);
+    });
+
+    test('should return null without counts or a population', () => {
+      expect(summarizeAgencyOffenses(results, null)).toBeNull();
+      expect(summarizeAgencyOffenses([], 100000)).toBeNull();
+      expect(summarizeAgencyOffenses(undefined, 100000)).toBeNull();
+    });
+
+    test('should summarize every year with its cleared counts', () => {
+      const years = summarizeOffensesByYear([
+        ...results,
+        { data_year: 2022, offense: 'burglary', actual: 0, cleared: 40 }
+      ], 200000);
+
+      expect(years.map(({ year }) => year)).toEqual([2021, 2022]);
+      expect(years[0]).toEqual({ year: 2021, counts: { burglary: 900 }, cleared: {}, crimeStats: { burglary: 4.5 } });
+      expect(years[1].cleared).toEqual({ burglary: 40 });
+      expect(summarizeOffensesByYear(results, null)[0].crimeStats).toEqual({ burglary: null });
+    });
+  });
+
+  describe('validateSummarizedOffenses', () => {
+    test('should accept the FBI payload, including numeric strings', () => {
+      expect(validateSummarizedOffenses({
+        results: [{ data_year: '2022', offense: 'larceny-theft', actual: '2000', cleared: null }]
+      })).toEqual([]);
+    });
+
+    test('should list every problem by row', () => {
+      expect(validateSummarizedOffenses([])).toEqual(['expected an object with a "results" array']);
+      expect(validateSummarizedOffenses({
+        results: [
+          null,
+          { data_year: 2031, offense: 'robbery', actual: 1, cleared: 'some' },
+          { data_year: 2022, offense: 'robbery' }
+        ]
+      }, { currentYear: 2024 })).toEqual([
+        'row 0 is not an object',
+        'row 1 has an invalid data_year (2031)',
+        'row 1 has an invalid cleared count ("some")',
+        'row 2 has an invalid actual count (undefined)'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for offense severity weighting
+ */
+import {
+  DEFAULT_OFFENSE_SEVERITY,
+  createSeverityTable,
+  getOffenseSeverity,
+  getOffenseLabel,
+  getMeanSeverity,
+  getSeverityBreakdown
+} from '../utils/offenseSeverity';
+import { getScoringProfile } from '../utils/scoringProfiles';
+
+describe('Offense Severity', () => {
+  test('should rank UCR categories from homicide down to property crime', () => {
+    expect(getOffenseSeverity('homicide')).toBeGreaterThan(getOffenseSeverity('robbery'));
+    expect(getOffenseSeverity('robbery')).toBeGreaterThan(getOffenseSeverity('burglary'));
+    expect(getOffenseSeverity('burglary')).toBeGreaterThan(getOffenseSeverity('larceny'));
+    expect(getOffenseSeverity('unlisted-offense')).toBe(1);
+    expect(getOffenseLabel('aggravated-assault')).toBe('Aggravated assault');
+    expect(getOffenseLabel('unlisted-offense')).toBe('unlisted-offense');
+  });
+
+  describe('createSeverityTable', () => {
+    test('should override and extend the defaults', () => {
+      const table = createSeverityTable({
+        'robbery': 9,
+        'vandalism': { label: 'Vandalism', severity: 0.5 }
+      });
+
+      expect(getOffenseSeverity('robbery', table)).toBe(9);
+      expect(getOffenseLabel('robbery', table)).toBe('Robbery');
+      expect(getOffenseSeverity('vandalism', table)).toBe(0.5);
+      expect(getOffenseSeverity('homicide', table)).toBe(DEFAULT_OFFENSE_SEVERITY.homicide.severity);
+      expect(getOffenseSeverity('robbery')).toBe(DEFAULT_OFFENSE_SEVERITY.robbery.severity);
+    });
+
+    test('should ignore invalid severities', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const table = createSeverityTable({ 'robbery': -2, 'homicide': 'high' });
+
+      expect(table).toEqual(DEFAULT_OFFENSE_SEVERITY);
+      expect(consoleError).toHaveBeenCalledTimes(2);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('getSeverityBreakdown', () => {
+    const crimeStats = { 'homicide': 1, 'robbery': 4, 'property-crime': 20 };
+
+    test('should weight each category by severity, keeping the raw-rate scale', () => {
+      const { weightedCrimeRate, categories } = getSeverityBreakdown(crimeStats);
+      const meanSeverity = getMeanSeverity(Object.keys(crimeStats));
+
+      expect(meanSeverity).toBeCloseTo((10 + 6 + 1) / 3, 10);
+      expect(weightedCrimeRate).toBeCloseTo((1 * 10 + 4 * 6 + 20 * 1) / meanSeverity, 10);
+
+      // Same rates in every category weight to the same total as the raw sum
+      expect(getSeverityBreakdown({ 'homicide': 5, 'property-crime': 5 }).weightedCrimeRate).toBeCloseTo(10, 10);
+      expect(categories.map(category => category.offense)).toEqual(['robbery', 'property-crime', 'homicide']);
+    });
+
+    test('should report each category\'s share of the weighted rate', () => {
+      const { categories } = getSeverityBreakdown(crimeStats);
+
+      expect(categories.reduce((sum, category) => sum + category.share, 0)).toBeCloseTo(1, 10);
+      expect(categories[0]).toEqual(expect.objectContaining({ label: 'Robbery', rate: 4, severity: 6, relevance: 1 }));
+    });
+
+    test('should apply scoring-profile relevance', () => {
+      const walking = getSeverityBreakdown(crimeStats, { scoringProfile: getScoringProfile('WALKING') });
+      const driving = getSeverityBreakdown(crimeStats, { scoringProfile: getScoringProfile('DRIVING') });
+      const robberyShare = (breakdown) => breakdown.categories.find(category => category.offense === 'robbery').share;
+
+      expect(robberyShare(walking)).toBeGreaterThan(robberyShare(driving));
+    });
+
+    test('should handle missing stats', () => {
+      expect(getSeverityBreakdown(null)).toEqual({ weightedCrimeRate: 0, categories: [] });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for risk preferences and preference-based route recommendation
+ */
+import {
+  DEFAULT_RISK_PREFERENCES,
+  RISK_PREFERENCES_STORAGE_KEY,
+  ROUTE_PRIORITIES,
+  normalizeRiskPreferences,
+  loadRiskPreferences,
+  saveRiskPreferences,
+  evaluateRoutes,
+  recommendRoute
+} from '../utils/riskPreferences';
+
+const makeRoute = (id, overall, minutes, { lighting = 50, robbery = 0 } = {}) => ({
+  id,
+  duration: minutes * 60,
+  safetyScore: {
+    overall,
+    factors: [
+      { id: 'crime', label: 'Crime', weight: 0.7, score: overall },
+      { id: 'lighting', label: 'Lighting', weight: 0.3, score: lighting }
+    ]
+  },
+  crimeData: { crimeStats: { 'robbery': robbery, 'property-crime': 10 } }
+});
+
+// Quick but sketchy, a little slower and safe enough, much slower and safest
+const quick = makeRoute('quick', 55, 10, { lighting: 40 });
+const steady = makeRoute('steady', 72, 13, { lighting: 60, robbery: 4 });
+const detour = makeRoute('detour', 90, 25, { lighting: 95, robbery: 1 });
+const routes = [quick, steady, detour];
+
+describe('Risk Preferences', () => {
+  describe('normalizeRiskPreferences', () => {
+    test('should fill in defaults', () => {
+      expect(normalizeRiskPreferences()).toEqual(DEFAULT_RISK_PREFERENCES);
+      expect(normalizeRiskPreferences(null)).toEqual(DEFAULT_RISK_PREFERENCES);
+    });
+
+    test('should drop invalid values', () => {
+      expect(normalizeRiskPreferences({
+        priority: 'fun',
+        minimumScore: 250,
+        maxExtraMinutes: -3,
+        factorEmphasis: { lighting: 2, crime: 'lots' },
+        avoidOffenses: ['robbery', 7]
+      })).toEqual({
+        priority: ROUTE_PRIORITIES.SAFETY,
+        minimumScore: 100,
+        maxExtraMinutes: null,
+        factorEmphasis: { lighting: 2 },
+        avoidOffenses: ['robbery']
+      });
+    });
+  });
+
+  describe('storage', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('should save and load preferences', () => {
+      saveRiskPreferences({ minimumScore: 75, avoidOffenses: ['robbery'] });
+
+      expect(JSON.parse(localStorage.getItem(RISK_PREFERENCES_STORAGE_KEY)).minimumScore).toBe(75);
+      expect(loadRiskPreferences()).toEqual({ ...DEFAULT_RISK_PREFERENCES, minimumScore: 75, avoidOffenses: ['robbery'] });
+    });
+
+    test('should fall back to defaults for unreadable data', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      localStorage.setItem(RISK_PREFERENCES_STORAGE_KEY, '{not json');
+
+      expect(loadRiskPreferences()).toEqual(DEFAULT_RISK_PREFERENCES);
+      expect(consoleError).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('recommendRoute', () => {
+    test('should return null without routes', () => {
+      expect(recommendRoute([], DEFAULT_RISK_PREFERENCES)).toBeNull();
+    });
+
+    test('should pick the safest route by default', () => {
+      const { route, reasons } = recommendRoute(routes, DEFAULT_RISK_PREFERENCES);
+
+      expect(route.id).toBe('detour');
+      expect(reasons[0]).toMatch(/Highest safety score/);
+    });
+
+    test('should pick the fastest route above the minimum score when speed comes first', () => {
+      const { route, reasons } = recommendRoute(routes, { priority: ROUTE_PRIORITIES.SPEED, minimumScore: 70 });
+
+      expect(route.id).toBe('steady');
+      expect(reasons[0]).toBe('Fastest route with a safety score of at least 70');
+    });
+
+    test('should skip routes beyond the detour limit', () => {
+      const { route, reasons } = recommendRoute(routes, { maxExtraMinutes: 5 });
+
+      expect(route.id).toBe('steady');
+      expect(reasons).toContain('Skips 1 route more than 5 min slower than the fastest');
+    });
+
+    test('should fall back to the safest route when none meets the minimum', () => {
+      const { route, reasons } = recommendRoute(routes, { minimumScore: 95, maxExtraMinutes: 5 });
+
+      expect(route.id).toBe('steady');
+      expect(reasons[0]).toMatch(/No route reaches your minimum safety score of 95/);
+    });
+
+    test('should not count a route without data as the least safe or recommend it over a scored one', () => {
+      const unscored = makeRoute('unscored', null, 8);
+      unscored.safetyScore.factors.forEach(factor => { factor.score = null; });
+
+      const [evaluation] = evaluateRoutes([unscored], DEFAULT_RISK_PREFERENCES);
+      expect(evaluation).toMatchObject({ safetyScore: null, preferenceScore: null, meetsMinimum: false });
+
+      expect(recommendRoute([unscored, quick], { minimumScore: 95 }).route.id).toBe('quick');
+      expect(recommendRoute([unscored], {}).reasons[0]).toBe('No route has enough data to score its safety');
+    });
+
+    test('should re-rank by factor emphasis', () => {
+      const darkButQuiet = makeRoute('darkButQuiet', 80, 12, { lighting: 10 });
+      const bright = makeRoute('bright', 70, 12, { lighting: 100 });
+
+      expect(recommendRoute([darkButQuiet, bright], {}).route.id).toBe('darkButQuiet');
+
+      const { route, reasons } = recommendRoute([darkButQuiet, bright], { factorEmphasis: { lighting: 5 } });
+      expect(route.id).toBe('bright');
+      expect(reasons).toContain('Gives extra weight to lighting');
+    });
+
+    test('should steer away from avoided offense categories', () => {
+      const robberyRoute = makeRoute('robberyRoute', 80, 12, { robbery: 8 });
+      const quietRoute = makeRoute('quietRoute', 75, 12, { robbery: 0 });
+
+      expect(recommendRoute([robberyRoute, quietRoute], {}).route.id).toBe('robberyRoute');
+
+      const { route, reasons } = recommendRoute([robberyRoute, quietRoute], { avoidOffenses: ['robbery'] });
+      expect(route.id).toBe('quietRoute');
+      expect(reasons).toContain('Lowest exposure to robbery');
+    });
+  });
+
+  test('evaluateRoutes should report extra minutes against the fastest route', () => {
+    const evaluations = evaluateRoutes(routes, DEFAULT_RISK_PREFERENCES);
+
+    expect(evaluations.map(evaluation => evaluation.extraMinutes)).toEqual([0, 3, 15]);
+    expect(evaluations.map(evaluation => evaluation.meetsMinimum)).toEqual([false, true, true]);
+  });
+});
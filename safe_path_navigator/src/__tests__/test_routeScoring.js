@@ -0,0 +1,114 @@
+/**
+ * Tests for route scoring outside React
+ */
+import { sampleRoutePoints, scoreRoutePath, getSafetyRecommendations } from '../utils/routeScoring';
+import { scoreRoute } from '../utils/scoringPipeline';
+import { getScoringProfile } from '../utils/scoringProfiles';
+
+const routePoints = [
+  { lat: 37.7749, lng: -122.4194 },
+  { lat: 37.7765, lng: -122.4180 },
+  { lat: 37.7790, lng: -122.4172 },
+  { lat: 37.7833, lng: -122.4167 }
+];
+
+const crimeNearPoint = {
+  crimeStats: { 'violent-crime': 8, 'property-crime': 20, 'robbery': 2 },
+  totalCrimeRate: 30,
+  isMock: false,
+  dataAsOf: new Date().toISOString()
+};
+
+describe('Route Scoring', () => {
+  describe('sampleRoutePoints', () => {
+    test('should sample short routes at three points', () => {
+      expect(sampleRoutePoints(routePoints)).toEqual([routePoints[0], routePoints[1], routePoints[2]]);
+    });
+
+    test('should sample long routes at five points, evenly spread', () => {
+      const points = Array.from({ length: 100 }, (value, index) => ({ lat: 37.77 + index * 0.0001, lng: -122.42 }));
+      const sampled = sampleRoutePoints(points);
+
+      expect(sampled).toHaveLength(5);
+      expect(sampled.map(point => points.indexOf(point))).toEqual([0, 20, 40, 60, 80]);
+    });
+
+    test('should return no samples for no points', () => {
+      expect(sampleRoutePoints([])).toEqual([]);
+      expect(sampleRoutePoints(null)).toEqual([]);
+    });
+  });
+
+  describe('scoreRoutePath', () => {
+    test('should score the route like the scoring pipeline', async () => {
+      const departureTime = new Date('2024-06-01T22:00:00Z');
+      const scoringProfile = getScoringProfile('WALKING');
+      const getCrimeNearPoint = jest.fn().mockResolvedValue(crimeNearPoint);
+
+      const result = await scoreRoutePath(
+        { points: routePoints, getCrimeNearPoint, departureTime, scoringProfile },
+        { now: departureTime }
+      );
+      const { segments, segmentSummary, crimeStatistics, ...safetyScore } = scoreRoute({
+        points: routePoints,
+        crimeStats: [crimeNearPoint, crimeNearPoint, crimeNearPoint],
+        departureTime,
+        scoringProfile,
+        crimeBaseline: null
+      }, { now: departureTime });
+
+      expect(getCrimeNearPoint).toHaveBeenCalledTimes(3);
+      expect(getCrimeNearPoint).toHaveBeenCalledWith(routePoints[0].lat, routePoints[0].lng);
+      expect(result.safetyScore).toEqual(safetyScore);
+      expect(result.segments).toEqual(segments);
+      expect(result.segmentSummary).toEqual(segmentSummary);
+      expect(result.crimeData).toEqual(crimeStatistics);
+      expect(result.recommendations).toEqual(getSafetyRecommendations(crimeStatistics));
+    });
+
+    test('should leave failed crime lookups out of the score', async () => {
+      const getCrimeNearPoint = jest.fn()
+        .mockResolvedValueOnce(crimeNearPoint)
+        .mockRejectedValueOnce(new Error('Network down'))
+        .mockImplementationOnce(() => {
+          throw new Error('Synchronous failure');
+        });
+
+      const result = await scoreRoutePath({ points: routePoints, getCrimeNearPoint });
+
+      expect(result.crimeData.sampleCount).toBe(1);
+      expect(result.safetyScore.overall).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should wait for layers given as a promise', async () => {
+      const getCrimeNearPoint = jest.fn().mockResolvedValue(null);
+      const emergencyServices = [];
+
+      const withPromise = await scoreRoutePath({
+        points: routePoints,
+        getCrimeNearPoint,
+        layers: Promise.resolve({ emergencyServices })
+      });
+      const withObject = await scoreRoutePath({ points: routePoints, getCrimeNearPoint, layers: { emergencyServices } });
+
+      expect(withPromise.safetyScore).toEqual(withObject.safetyScore);
+    });
+
+    test('should recommend nothing without crime data', async () => {
+      const result = await scoreRoutePath({ points: routePoints, getCrimeNearPoint: async () => null });
+
+      expect(result.crimeData).toBeNull();
+      expect(result.recommendations).toEqual([]);
+    });
+  });
+
+  describe('getSafetyRecommendations', () => {
+    test('should add advice for high violent and property crime', () => {
+      const recommendations = getSafetyRecommendations(crimeNearPoint);
+
+      expect(recommendations).toContain('Stay aware of your surroundings at all times');
+      expect(recommendations).toContain('Try to travel with a companion in this area');
+      expect(recommendations).toContain('Keep valuables out of sight or securely stored');
+    });
+  });
+});
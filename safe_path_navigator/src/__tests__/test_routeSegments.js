@@ -0,0 +1,181 @@
+/**
+ * Tests for per-segment route scoring and route ranking
+ */
+import {
+  splitRouteIntoSegments,
+  densifyPath,
+  scoreRouteSegments,
+  summarizeSegments
+} from '../utils/routeSegments';
+import { rankRoutes, getRouteRankingScore, RANKING_STRATEGIES } from '../utils/routeRanking';
+import { haversineDistance } from '../utils/geoUtils';
+
+// A straight route heading north, roughly 1 km long
+const straightRoute = [
+  { lat: 37.7700, lng: -122.4194 },
+  { lat: 37.7745, lng: -122.4194 },
+  { lat: 37.7790, lng: -122.4194 }
+];
+
+const routeLength = haversineDistance(straightRoute[0], straightRoute[1]) +
+  haversineDistance(straightRoute[1], straightRoute[2]);
+
+describe('Route Segments', () => {
+  describe('splitRouteIntoSegments', () => {
+    test('should return no segments for an empty route', () => {
+      expect(splitRouteIntoSegments([])).toEqual([]);
+      expect(splitRouteIntoSegments(null)).toEqual([]);
+    });
+
+    test('should split a route into fixed-length segments covering its full length', () => {
+      const segments = splitRouteIntoSegments(straightRoute, 100);
+      const total = segments.reduce((sum, segment) => sum + segment.distance, 0);
+
+      expect(segments.length).toBe(Math.ceil(routeLength / 100));
+      expect(total).toBeCloseTo(routeLength, 3);
+      segments.slice(0, -1).forEach(segment => expect(segment.distance).toBeCloseTo(100, 6));
+    });
+
+    test('should chain segments end to start and track route point indices', () => {
+      const segments = splitRouteIntoSegments(straightRoute, 100);
+
+      expect(segments[0].start).toEqual(straightRoute[0]);
+      expect(segments[segments.length - 1].end).toEqual(straightRoute[2]);
+
+      segments.forEach((segment, i) => {
+        expect(segment.index).toBe(i);
+        expect(segment.startIndex).toBeLessThanOrEqual(segment.endIndex);
+        if (i > 0) expect(segment.start).toEqual(segments[i - 1].end);
+      });
+
+      // The middle route point falls inside a segment spanning indices 0-1 -> 1-2
+      const spanning = segments.find(segment => segment.startIndex === 0 && segment.endIndex === 2);
+      expect(spanning).toBeDefined();
+    });
+  });
+
+  describe('densifyPath', () => {
+    test('should keep consecutive points within the spacing', () => {
+      const densified = densifyPath(straightRoute, 25);
+
+      expect(densified[0]).toEqual(straightRoute[0]);
+      expect(densified[densified.length - 1]).toEqual(straightRoute[2]);
+      for (let i = 1; i < densified.length; i++) {
+        expect(haversineDistance(densified[i - 1], densified[i])).toBeLessThanOrEqual(25.001);
+      }
+    });
+  });
+
+  describe('scoreRouteSegments', () => {
+    // Score drops sharply for points north of the hotspot latitude
+    const hotspotScore = (points) => {
+      const inHotspot = points.some(point => point.lat > 37.7750 && point.lat < 37.7760);
+      return {
+        overall: inHotspot ? 20 : 90,
+        factors: [
+          { id: 'crime', label: 'Crime', weight: 0.6, score: inHotspot ? 10 : 90 },
+          { id: 'lighting', label: 'Lighting', weight: 0.4, score: 90 }
+        ]
+      };
+    };
+
+    test('should score each segment and find its dominant risk factor', () => {
+      const segments = scoreRouteSegments(straightRoute, hotspotScore, { segmentLengthMeters: 100 });
+      const hotspotSegments = segments.filter(segment => segment.score === 20);
+
+      expect(hotspotSegments.length).toBeGreaterThan(0);
+      expect(hotspotSegments.length).toBeLessThan(segments.length);
+      hotspotSegments.forEach(segment => {
+        expect(segment.dominantRiskFactor).toEqual({ id: 'crime', label: 'Crime', score: 10 });
+      });
+    });
+
+    test('summarizeSegments should report the worst segment and share below threshold', () => {
+      const segments = scoreRouteSegments(straightRoute, hotspotScore, { segmentLengthMeters: 100 });
+      const summary = summarizeSegments(segments, 60);
+      const hotspotDistance = segments
+        .filter(segment => segment.score === 20)
+        .reduce((sum, segment) => sum + segment.distance, 0);
+
+      expect(summary.minSegmentScore).toBe(20);
+      expect(segments[summary.worstSegmentIndex].score).toBe(20);
+      expect(summary.shareBelowThreshold).toBeCloseTo(hotspotDistance / routeLength, 6);
+      expect(summary.threshold).toBe(60);
+    });
+
+    test('summarizeSegments should handle routes without segments', () => {
+      expect(summarizeSegments([])).toEqual(expect.objectContaining({ minSegmentScore: null, shareBelowThreshold: 0 }));
+    });
+
+    test('summarizeSegments should report segments without data as uncovered rather than unsafe', () => {
+      const segments = [
+        { index: 0, distance: 100, score: 80 },
+        { index: 1, distance: 100, score: null },
+        { index: 2, distance: 200, score: 50 }
+      ];
+
+      expect(summarizeSegments(segments, 60)).toEqual({
+        minSegmentScore: 50,
+        worstSegmentIndex: 2,
+        shareBelowThreshold: 0.5,
+        distanceBelowThreshold: 200,
+        shareUncovered: 0.25,
+        uncoveredDistance: 100,
+        threshold: 60
+      });
+      expect(summarizeSegments([{ index: 0, distance: 100, score: null }])).toEqual(expect.objectContaining({
+        minSegmentScore: null,
+        worstSegmentIndex: null,
+        shareBelowThreshold: 0,
+        shareUncovered: 1
+      }));
+    });
+  });
+});
+
+describe('Route Ranking', () => {
+  const steadyRoute = {
+    id: 'steady',
+    safetyScore: { overall: 70 },
+    segmentSummary: { minSegmentScore: 65, shareBelowThreshold: 0 }
+  };
+  const spikyRoute = {
+    id: 'spiky',
+    safetyScore: { overall: 80 },
+    segmentSummary: { minSegmentScore: 15, shareBelowThreshold: 0.1 }
+  };
+
+  test('should rank by average score by default', () => {
+    expect(rankRoutes([steadyRoute, spikyRoute]).map(route => route.id)).toEqual(['spiky', 'steady']);
+  });
+
+  test('should rank by worst segment when requested', () => {
+    const ranked = rankRoutes([spikyRoute, steadyRoute], RANKING_STRATEGIES.WORST_SEGMENT);
+    expect(ranked.map(route => route.id)).toEqual(['steady', 'spiky']);
+  });
+
+  test('should fall back to the average when a route has no segments', () => {
+    const unsegmented = { id: 'plain', safetyScore: { overall: 55 } };
+    expect(getRouteRankingScore(unsegmented, RANKING_STRATEGIES.WORST_SEGMENT)).toBe(55);
+  });
+
+  test('should rank routes without data after the scored ones', () => {
+    const unscored = {
+      id: 'unscored',
+      safetyScore: { overall: null },
+      segmentSummary: { minSegmentScore: null, shareBelowThreshold: 0 }
+    };
+
+    expect(getRouteRankingScore(unscored)).toBeNull();
+    expect(getRouteRankingScore(unscored, RANKING_STRATEGIES.WORST_SEGMENT)).toBeNull();
+    expect(rankRoutes([unscored, steadyRoute, spikyRoute]).map(route => route.id)).toEqual(['spiky', 'steady', 'unscored']);
+    expect(rankRoutes([spikyRoute, unscored], RANKING_STRATEGIES.WORST_SEGMENT).map(route => route.id))
+      .toEqual(['spiky', 'unscored']);
+  });
+
+  test('should not modify the input array', () => {
+    const routes = [steadyRoute, spikyRoute];
+    rankRoutes(routes);
+    expect(routes.map(route => route.id)).toEqual(['steady', 'spiky']);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Tests for the safety data providers and their React context
+ */
+import React from 'react';
+import { render } from '@testing-library/react';
+import {
+  SAFETY_DATA_PROVIDERS,
+  DEFAULT_SAFETY_DATA_PROVIDER,
+  CRIME_TREND_UNITS,
+  createSafetyDataProvider,
+  createFbiSafetyDataProvider,
+  createMockSafetyDataProvider,
+  createLocalFileSafetyDataProvider,
+  createProxySafetyDataProvider,
+  withFallbackProvider,
+  loadSafetyLayers
+} from '../services/safetyDataProviders';
+import { createCircuitBreaker, ServerError } from '../services/httpClient';
+import { createCrimeStatsBatcher } from '../services/fbiCrimeDataProxyService';
+import { createCrimeLookupCache, createMemoryStore } from '../services/crimeLookupCache';
+import { SafetyDataSourceProvider, useSafetyDataProvider } from '../context/SafetyDataSourceContext';
+import { getMockSafetyDataset, DEMO_CITY_BBOX } from '../utils/safetyUtils';
+import { isPointInBoundingBox } from '../utils/geoUtils';
+import { mockNationalCrimeData } from './test_utils';
+
+describe('Safety Data Providers', () => {
+  // Northern half of the demo city
+  const northBbox = { ...DEMO_CITY_BBOX, minLat: (DEMO_CITY_BBOX.minLat + DEMO_CITY_BBOX.maxLat) / 2 };
+
+  test('should create providers by id', () => {
+    expect(createSafetyDataProvider(SAFETY_DATA_PROVIDERS.FBI).id).toBe('fbi');
+    expect(createSafetyDataProvider(SAFETY_DATA_PROVIDERS.MOCK).id).toBe('mock');
+    expect(createSafetyDataProvider(SAFETY_DATA_PROVIDERS.LOCAL_FILE, { loadFile: jest.fn() }).id).toBe('local-file');
+    expect(createSafetyDataProvider(SAFETY_DATA_PROVIDERS.PROXY).id).toBe('proxy');
+    expect(() => createSafetyDataProvider('carrier-pigeon')).toThrow('Unknown safety data provider');
+  });
+
+  test('should default to the FBI provider, like the crime data source', () => {
+    expect(DEFAULT_SAFETY_DATA_PROVIDER).toBe(SAFETY_DATA_PROVIDERS.FBI);
+    expect(createSafetyDataProvider().isMock).toBe(false);
+  });
+
+  describe('FBI provider', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should look up crime near a point from the FBI agency data', async () => {
+      const stats = { totalCrimeRate: 12, source: 'fbi', isMock: false };
+      const cache = { lookup: jest.fn(async () => stats) };
+      const provider = createFbiSafetyDataProvider({ cache });
+
+      expect(await provider.getCrimeNearPoint(37.7749, -122.4194)).toEqual({
+        ...stats,
+        coordinates: { lat: 37.7749, lng: -122.4194 }
+      });
+      expect(cache.lookup).toHaveBeenCalledWith('fbi', 37.7749, -122.4194, expect.any(Function));
+    });
+
+    test('should have no map layers and read national trends as rates', async () => {
+      global.fetch = jest.fn(async () => ({ ok: true, json: async () => mockNationalCrimeData }));
+      const provider = createFbiSafetyDataProvider();
+
+      expect(await loadSafetyLayers(provider, northBbox)).toEqual({
+        crimeData: null,
+        lightingData: null,
+        emergencyServices: null
+      });
+
+      const trends = await provider.getCrimeTrends();
+      expect(trends).toMatchObject({ source: 'fbi', isMock: false, unit: CRIME_TREND_UNITS.RATE });
+      expect(trends.years[trends.years.length - 1].values['violent-crime']).toBeCloseTo(3.957);
+    });
+
+    test('should wrap the FBI provider when a fallback is configured', () => {
+      const provider = createSafetyDataProvider(SAFETY_DATA_PROVIDERS.FBI, { fallback: SAFETY_DATA_PROVIDERS.MOCK });
+
+      expect(provider).toMatchObject({ id: 'fbi', isMock: false, usingFallback: false });
+    });
+  });
+
+  describe('mock provider', () => {
+    const provider = createMockSafetyDataProvider();
+
+    test('should serve the demo data inside a bounding box', async () => {
+      const lights = await provider.getLightingInBoundingBox(northBbox);
+
+      expect(lights.length).toBeGreaterThan(0);
+      expect(lights.length).toBeLessThan(getMockSafetyDataset().lightingData.length);
+      lights.forEach(light => expect(isPointInBoundingBox(light, northBbox)).toBe(true));
+      expect(await provider.getCrimeInBoundingBox(null)).toBe(getMockSafetyDataset().crimeData);
+    });
+
+    test('should look up synthetic crime near a point', async () => {
+      const stats = await provider.getCrimeNearPoint(37.7749, -122.4194);
+
+      expect(stats.isMock).toBe(true);
+      expect(stats.coordinates).toEqual({ lat: 37.7749, lng: -122.4194 });
+    });
+
+    test('should give the same synthetic trends every time', async () => {
+      const trends = await provider.getCrimeTrends({ yearsBack: 3 });
+
+      expect(trends.isMock).toBe(true);
+      expect(trends.unit).toBe(CRIME_TREND_UNITS.RATE);
+      expect(trends.years.map(({ year }) => year)).toEqual([2021, 2022, 2023]);
+      expect(await provider.getCrimeTrends({ yearsBack: 3 })).toEqual(trends);
+    });
+  });
+
+  describe('local-file provider', () => {
+    const files = {
+      '/data/incidents.csv': [
+        'Latitude,Longitude,Offense,Date',
+        '37.780,-122.410,Robbery,2022-03-01T21:00:00Z',
+        '37.781,-122.411,Robbery,2023-05-02T22:00:00Z',
+        '37.770,-122.420,Burglary,2023-06-03T02:00:00Z'
+      ].join('\n'),
+      '/data/osm.json': JSON.stringify({
+        elements: [{ type: 'node', id: 1, lat: 37.78, lon: -122.41, tags: { amenity: 'police' } }]
+      })
+    };
+    const createProvider = () => {
+      const loadFile = jest.fn(async (url) => files[url]);
+      const provider = createLocalFileSafetyDataProvider({
+        crimeFile: '/data/incidents.csv',
+        lightingFile: null,
+        emergencyServicesFile: '/data/osm.json',
+        loadFile
+      });
+      return { provider, loadFile };
+    };
+
+    test('should import each file once and filter it to the bounding box', async () => {
+      const { provider, loadFile } = createProvider();
+
+      expect(await provider.getCrimeInBoundingBox(northBbox)).toHaveLength(2);
+      expect(await provider.getCrimeInBoundingBox(null)).toHaveLength(3);
+      expect(await provider.getEmergencyServicesInBoundingBox(null)).toMatchObject([{ type: 'police' }]);
+      expect(await provider.getLightingInBoundingBox(null)).toBeNull();
+      expect(await provider.getCrimeNearPoint(37.78, -122.41)).toBeNull();
+      expect(loadFile).toHaveBeenCalledTimes(2);
+    });
+
+    test('should count incidents per year and offense', async () => {
+      const { provider } = createProvider();
+      const trends = await provider.getCrimeTrends();
+
+      expect(trends.unit).toBe(CRIME_TREND_UNITS.INCIDENTS);
+      expect(trends.years).toEqual([
+        { year: 2022, values: { robbery: 1 } },
+        { year: 2023, values: { robbery: 1, burglary: 1 } }
+      ]);
+    });
+
+    test('should try a file that failed to load again', async () => {
+      const loadFile = jest.fn()
+        .mockRejectedValueOnce(new Error('Not found'))
+        .mockResolvedValueOnce(files['/data/osm.json']);
+      const provider = createLocalFileSafetyDataProvider({ emergencyServicesFile: '/data/osm.json', loadFile });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await provider.getEmergencyServicesInBoundingBox(null)).toBeNull();
+      expect(await provider.getEmergencyServicesInBoundingBox(null)).toHaveLength(1);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('proxy provider', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should read incidents from the proxy and national trends as rates', async () => {
+      global.fetch = jest.fn(async (url) => ({
+        ok: true,
+        json: async () => (url.includes('/api/incidents')
+          ? { source: 'sf.csv', incidents: [{ lat: 37.78, lng: -122.41, offense: 'robbery' }], rejectedCount: 0 }
+          : mockNationalCrimeData)
+      }));
+      const provider = createProxySafetyDataProvider();
+
+      expect(await provider.getCrimeInBoundingBox(northBbox)).toHaveLength(1);
+      expect(await provider.getLightingInBoundingBox(northBbox)).toBeNull();
+
+      const trends = await provider.getCrimeTrends();
+      expect(trends.unit).toBe(CRIME_TREND_UNITS.RATE);
+      expect(trends.years[trends.years.length - 1].year).toBe(2021);
+      expect(trends.years[trends.years.length - 1].values['violent-crime']).toBeCloseTo(3.957);
+    });
+
+    test('should look up crime near points through the batcher', async () => {
+      const batcher = {
+        load: jest.fn(async () => ({
+          agency: { ori: 'CA0380100', name: 'San Francisco Police Department' },
+          population: 1000,
+          offenses: [{ data_year: 2022, offense: 'robbery', actual: 4 }]
+        }))
+      };
+      const provider = createProxySafetyDataProvider({ cache: null, batcher });
+
+      const stats = await provider.getCrimeNearPoint(37.7749, -122.4194);
+      expect(batcher.load).toHaveBeenCalledWith({ lat: 37.7749, lng: -122.4194 });
+      expect(stats).toMatchObject({ totalCrimeRate: 4, source: 'fbi-proxy', coordinates: { lat: 37.7749, lng: -122.4194 } });
+    });
+
+    test('should send a route\'s cache misses in one batch request', async () => {
+      // Answers each read on a later task of its own, as IndexedDB does
+      const memoryStore = createMemoryStore();
+      let reads = 0;
+      const store = {
+        ...memoryStore,
+        get: key => new Promise(resolve => setTimeout(resolve, 4 * reads++)).then(() => memoryStore.get(key))
+      };
+      const sendBatch = jest.fn(async items => items.map(() => ({ error: { message: 'No agency within 50 km' } })));
+      const provider = createProxySafetyDataProvider({
+        cache: createCrimeLookupCache({ store }),
+        batcher: createCrimeStatsBatcher({ sendBatch })
+      });
+
+      const samples = [37.770, 37.775, 37.780, 37.785, 37.790].map(lat => ({ lat, lng: -122.4194 }));
+      await Promise.all(samples.map(({ lat, lng }) => provider.getCrimeNearPoint(lat, lng)));
+
+      expect(sendBatch).toHaveBeenCalledTimes(1);
+      expect(sendBatch).toHaveBeenCalledWith(samples);
+    });
+  });
+
+  describe('fallback provider', () => {
+    test('should switch to the fallback while the upstream is unhealthy', async () => {
+      let time = 0;
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => time });
+      const primary = {
+        id: 'proxy',
+        isMock: false,
+        getCrimeNearPoint: jest.fn(() => breaker.execute(() => Promise.reject(new ServerError('down')))),
+        getCrimeTrends: jest.fn(() => breaker.execute(async () => ({ source: 'fbi-proxy' })))
+      };
+      const provider = withFallbackProvider(primary, createMockSafetyDataProvider(), { breaker });
+
+      expect(provider.isMock).toBe(false);
+      const stats = await provider.getCrimeNearPoint(37.7749, -122.4194);
+      expect(stats).toMatchObject({ source: 'synthetic', isMock: true });
+      expect(provider).toMatchObject({ id: 'proxy', isMock: true, usingFallback: true });
+
+      // Straight to the fallback until the breaker lets a trial through
+      expect((await provider.getCrimeTrends()).isMock).toBe(true);
+      expect(primary.getCrimeTrends).not.toHaveBeenCalled();
+
+      time = 1000;
+      expect(await provider.getCrimeTrends()).toEqual({ source: 'fbi-proxy' });
+      expect(provider.usingFallback).toBe(false);
+    });
+
+    test('should pass on failures that leave the upstream healthy', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 5 });
+      const primary = {
+        id: 'proxy',
+        isMock: false,
+        getCrimeNearPoint: () => breaker.execute(() => Promise.reject(new ServerError('down')))
+      };
+      const provider = withFallbackProvider(primary, createMockSafetyDataProvider(), { breaker });
+
+      await expect(provider.getCrimeNearPoint(37.7749, -122.4194)).rejects.toBeInstanceOf(ServerError);
+    });
+
+    test('should wrap the proxy provider when a fallback is configured', () => {
+      const provider = createSafetyDataProvider(SAFETY_DATA_PROVIDERS.PROXY, { fallback: SAFETY_DATA_PROVIDERS.MOCK });
+
+      expect(provider).toMatchObject({ id: 'proxy', isMock: false, usingFallback: false });
+      expect(createSafetyDataProvider(SAFETY_DATA_PROVIDERS.PROXY, { fallback: null }).usingFallback).toBeUndefined();
+    });
+  });
+
+  test('should load every layer, leaving failed ones empty', async () => {
+    const provider = {
+      getCrimeInBoundingBox: async () => [{ lat: 1, lng: 1 }],
+      getLightingInBoundingBox: async () => { throw new Error('Offline'); },
+      getEmergencyServicesInBoundingBox: async () => null
+    };
+
+    expect(await loadSafetyLayers(provider, null)).toEqual({
+      crimeData: [{ lat: 1, lng: 1 }],
+      lightingData: null,
+      emergencyServices: null
+    });
+  });
+
+  test('should hand the provider to components through the context', () => {
+    const provider = createMockSafetyDataProvider();
+    let received = null;
+    const Consumer = () => {
+      received = useSafetyDataProvider();
+      return null;
+    };
+
+    render(<SafetyDataSourceProvider provider={provider}><Consumer /></SafetyDataSourceProvider>);
+    expect(received).toBe(provider);
+
+    render(<Consumer />);
+    expect(received.id).toBe(DEFAULT_SAFETY_DATA_PROVIDER);
+  });
+});
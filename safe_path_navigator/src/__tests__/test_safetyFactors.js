@@ -0,0 +1,97 @@
+/**
+ * Tests for the safety factor registry
+ */
+import { createSafetyFactorRegistry } from '../utils/safetyFactors';
+
+describe('Safety Factor Registry', () => {
+  const route = [{ lat: 37.7749, lng: -122.4194 }];
+
+  const createRegistry = () => createSafetyFactorRegistry([
+    { id: 'crime', label: 'Crime', weight: 3, scorer: () => 40 },
+    { id: 'lighting', label: 'Lighting', weight: 1, scorer: () => 80 }
+  ]);
+
+  test('should combine factor scores using normalized weights', () => {
+    const score = createRegistry().score(route);
+
+    expect(score.overall).toBe(50); // (40 * 3 + 80 * 1) / 4
+    expect(score.crime).toBe(40);
+    expect(score.lighting).toBe(80);
+    expect(score.factors).toEqual([
+      { id: 'crime', label: 'Crime', weight: 3, score: 40 },
+      { id: 'lighting', label: 'Lighting', weight: 1, score: 80 }
+    ]);
+  });
+
+  test('should pass the route and context to every scorer', () => {
+    const scorer = jest.fn().mockReturnValue(70);
+    const registry = createSafetyFactorRegistry([{ id: 'custom', label: 'Custom', weight: 1, scorer }]);
+    const context = { departureTime: new Date(2024, 0, 1, 22) };
+
+    registry.score(route, context);
+
+    expect(scorer).toHaveBeenCalledWith(route, context);
+  });
+
+  test('should clamp and round factor scores', () => {
+    const registry = createSafetyFactorRegistry([
+      { id: 'high', label: 'High', weight: 1, scorer: () => 140 },
+      { id: 'low', label: 'Low', weight: 1, scorer: () => -12.4 }
+    ]);
+
+    const score = registry.score(route);
+    expect(score.high).toBe(100);
+    expect(score.low).toBe(0);
+  });
+
+  test('should exclude factors without data from the overall score', () => {
+    const registry = createRegistry();
+    registry.register({ id: 'businesses', label: 'Open Businesses', weight: 4, scorer: () => null });
+
+    const score = registry.score(route);
+    expect(score.businesses).toBeNull();
+    expect(score.overall).toBe(50);
+  });
+
+  test('should update weights', () => {
+    const registry = createRegistry();
+    registry.configureWeights({ crime: 1, lighting: 3 });
+
+    expect(registry.score(route).overall).toBe(70); // (40 + 80 * 3) / 4
+    expect(() => registry.setWeight('unknown', 1)).toThrow('Unknown safety factor');
+  });
+
+  test('should use per-call weights without changing the registered ones', () => {
+    const registry = createRegistry();
+    const score = registry.score(route, {}, { weights: { lighting: 3 } });
+
+    expect(score.overall).toBe(60); // (40 * 3 + 80 * 3) / 6, keeping the registered crime weight
+    expect(score.factors.find(factor => factor.id === 'lighting').weight).toBe(3);
+    expect(registry.getFactors().find(factor => factor.id === 'lighting').weight).toBe(1);
+  });
+
+  test('should register and unregister factors', () => {
+    const registry = createRegistry();
+    registry.register({ id: 'emergency', label: 'Emergency Services', weight: 1, scorer: () => 100 });
+
+    expect(registry.getFactors().map(factor => factor.id)).toEqual(['crime', 'lighting', 'emergency']);
+    expect(registry.unregister('emergency')).toBe(true);
+    expect(registry.getFactors().map(factor => factor.id)).toEqual(['crime', 'lighting']);
+  });
+
+  test('should reject invalid factor definitions', () => {
+    const registry = createRegistry();
+
+    expect(() => registry.register({ id: 'noScorer', label: 'No Scorer' })).toThrow('scorer function');
+    expect(() => registry.register({ id: 'noLabel', scorer: () => 50 })).toThrow('display label');
+    expect(() => registry.register({ id: 'negative', label: 'Negative', weight: -1, scorer: () => 50 }))
+      .toThrow('non-negative weight');
+    expect(() => registry.register({ id: 'overall', label: 'Overall', scorer: () => 50 })).toThrow('reserved');
+  });
+
+  test('should leave the overall score unset when no factor has data', () => {
+    const registry = createSafetyFactorRegistry([{ id: 'empty', label: 'Empty', weight: 1, scorer: () => null }]);
+
+    expect(registry.score(route).overall).toBeNull();
+  });
+});
@@ -4,21 +4,32 @@
 import { 
   calculateSafetyScore, 
   generateMockRoutes, 
-  mockCrimeData,
-  mockLightingData
+  safetyFactorRegistry,
+  withMockScoringData,
+  getMockSafetyDataset,
+  getMockScoringData
 } from '../utils/safetyUtils';
 import { mockLocations } from './test_utils';
 
+const mockSafetyDataset = getMockSafetyDataset();
+const { crimeData: mockCrimeData, lightingData: mockLightingData } = mockSafetyDataset;
+
 describe('Safety Utility Functions', () => {
   describe('calculateSafetyScore', () => {
-    test('should return zero scores when given no route path', () => {
+    test('should return unset scores when given no route path', () => {
       const score = calculateSafetyScore(null);
-      expect(score).toEqual({ overall: 0, crime: 0, lighting: 0 });
+      expect(score.overall).toBeNull();
+      expect(score.crime).toBeNull();
+      expect(score.lighting).toBeNull();
+      score.factors.forEach(factor => expect(factor.score).toBeNull());
     });
 
-    test('should return zero scores when given empty path', () => {
+    test('should return unset scores when given empty path', () => {
       const score = calculateSafetyScore([]);
-      expect(score).toEqual({ overall: 0, crime: 0, lighting: 0 });
+      expect(score.overall).toBeNull();
+      expect(score.factors.map(factor => factor.id)).toEqual(
+        safetyFactorRegistry.getFactors().map(factor => factor.id)
+      );
     });
 
     test('should calculate proper safety scores for a route path', () => {
@@ -29,28 +40,83 @@ describe('Safety Utility Functions', () => {
         { lat: 37.770, lng: -122.413 }  // Low crime, high lighting
       ];
       
-      const score = calculateSafetyScore(testRoute);
+      const score = calculateSafetyScore(testRoute, { useMockData: true });
       
       // Scores should be numbers between 0-100
       expect(score.overall).toBeGreaterThanOrEqual(0);
       expect(score.overall).toBeLessThanOrEqual(100);
-      expect(score.crime).toBeGreaterThanOrEqual(0);
-      expect(score.crime).toBeLessThanOrEqual(100);
-      expect(score.lighting).toBeGreaterThanOrEqual(0);
-      expect(score.lighting).toBeLessThanOrEqual(100);
+      score.factors.forEach(factor => {
+        expect(factor.score).toBeGreaterThanOrEqual(0);
+        expect(factor.score).toBeLessThanOrEqual(100);
+        expect(score[factor.id]).toBe(factor.score);
+      });
       
-      // Overall should be weighted average of crime (60%) and lighting (40%)
-      const expectedOverall = Math.round((score.crime * 0.6) + (score.lighting * 0.4));
+      // Overall should be the normalized weighted average of every factor
+      const totalWeight = score.factors.reduce((sum, factor) => sum + factor.weight, 0);
+      const expectedOverall = Math.round(
+        score.factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight
+      );
       expect(score.overall).toEqual(expectedOverall);
     });
+
+    test('should list every registered factor with its label and weight', () => {
+      const score = calculateSafetyScore([{ lat: 37.774, lng: -122.419 }]);
+      
+      expect(score.factors.map(factor => factor.label)).toEqual(
+        ['Crime', 'Lighting', 'Emergency Services', 'Open Businesses']
+      );
+      score.factors.forEach(factor => expect(factor.weight).toBeGreaterThan(0));
+    });
+
+    test('should leave factors without data out of the overall score', () => {
+      const route = [{ lat: 37.774, lng: -122.419 }];
+      const score = calculateSafetyScore(route, {
+        crimeSamples: [{ lat: 37.774, lng: -122.419, score: 80 }],
+        emergencyServices: [],
+        businesses: []
+      });
+      
+      expect(score.emergency).toBeNull();
+      expect(score.businesses).toBeNull();
+      expect(score.lighting).toBeNull();
+      expect(score.overall).toBe(score.crime);
+    });
+
+    test('should only use the demo datasets when asked to', () => {
+      const route = [{ lat: 37.774, lng: -122.419 }];
+      const withoutData = calculateSafetyScore(route);
+      const withMockData = calculateSafetyScore(route, { useMockData: true });
+      
+      withoutData.factors.forEach(factor => expect(factor.score).toBeNull());
+      expect(withMockData.crime).not.toBeNull();
+      expect(withMockData.lighting).not.toBeNull();
+    });
+
+    test('should not mix demo crime incidents into crime samples', () => {
+      const crimeSamples = [{ lat: 37.774, lng: -122.419, score: 80 }];
+      
+      expect(withMockScoringData({ crimeSamples }).crimeData).toBeUndefined();
+      expect(withMockScoringData({}).crimeData).toBe(mockCrimeData);
+      expect(getMockScoringData().crimeData).toBe(mockCrimeData);
+      expect(withMockScoringData({ lightingData: [] }).lightingData).toEqual([]);
+      expect(calculateSafetyScore([{ lat: 37.774, lng: -122.419 }], { crimeSamples, useMockData: true }).crime).toBe(80);
+    });
+
+    test('should include custom factors registered on the registry', () => {
+      safetyFactorRegistry.register({ id: 'crowds', label: 'Foot Traffic', weight: 1, scorer: () => 100 });
+      
+      try {
+        const score = calculateSafetyScore([{ lat: 38.0, lng: -123.0 }]);
+        expect(score.crowds).toBe(100);
+        expect(score.factors.find(factor => factor.id === 'crowds').label).toBe('Foot Traffic');
+      } finally {
+        safetyFactorRegistry.unregister('crowds');
+      }
+    });
     
     test('should calculate lower crime safety scores for routes through high crime areas', () => {
-      // Route directly through several high crime areas
-      const highCrimeRoute = [
-        { lat: 37.774, lng: -122.419 }, // High crime area (weight 0.8)
-        { lat: 37.776, lng: -122.418 }, // High crime area (weight 0.9)
-        { lat: 37.775, lng: -122.417 }, // High crime area (weight 0.7)
-      ];
+      // Route through the generated crime hotspots, most intense first
+      const highCrimeRoute = mockSafetyDataset.hotspots.slice(0, 3).map(({ lat, lng }) => ({ lat, lng }));
       
       // Route far away from crime areas
       const lowCrimeRoute = [
@@ -59,34 +125,82 @@ describe('Safety Utility Functions', () => {
         { lat: 38.2, lng: -123.2 }, // Far from any crime area
       ];
       
-      const highCrimeScore = calculateSafetyScore(highCrimeRoute);
-      const lowCrimeScore = calculateSafetyScore(lowCrimeRoute);
+      const highCrimeScore = calculateSafetyScore(highCrimeRoute, { useMockData: true });
+      const lowCrimeScore = calculateSafetyScore(lowCrimeRoute, { useMockData: true });
       
       // The route through high crime areas should have a lower crime safety score
       expect(highCrimeScore.crime).toBeLessThan(lowCrimeScore.crime);
     });
     
     test('should calculate better lighting scores for routes through well-lit areas', () => {
-      // Route through well-lit areas
-      const wellLitRoute = [
-        { lat: 37.770, lng: -122.413 }, // High lighting level
-        { lat: 37.771, lng: -122.412 }, // Near high lighting
-        { lat: 37.772, lng: -122.411 }  // Near medium lighting
-      ];
-      
-      // Route through poorly lit areas
-      const poorlyLitRoute = [
-        { lat: 37.774, lng: -122.419 }, // Low lighting level
-        { lat: 37.775, lng: -122.418 }, // Near low lighting
-        { lat: 37.776, lng: -122.417 }  // Away from lighting
-      ];
+      // Route through the generated well-lit and poorly lit street lights
+      const pointsAt = (level) => mockLightingData
+        .filter(light => light.level === level)
+        .slice(0, 3)
+        .map(({ lat, lng }) => ({ lat, lng }));
+      const wellLitRoute = pointsAt('high');
+      const poorlyLitRoute = pointsAt('low');
       
-      const wellLitScore = calculateSafetyScore(wellLitRoute);
-      const poorlyLitScore = calculateSafetyScore(poorlyLitRoute);
+      const wellLitScore = calculateSafetyScore(wellLitRoute, { useMockData: true });
+      const poorlyLitScore = calculateSafetyScore(poorlyLitRoute, { useMockData: true });
       
       // The route through well-lit areas should have a higher lighting score
       expect(wellLitScore.lighting).toBeGreaterThan(poorlyLitScore.lighting);
     });
+
+    test('should count broken street lights as unlit', () => {
+      const route = [{ lat: 45.5152, lng: -122.6784 }];
+      const light = (level) => [{ lat: 45.5153, lng: -122.6785, level }];
+      
+      const working = calculateSafetyScore(route, { lightingData: light('high') });
+      const broken = calculateSafetyScore(route, { lightingData: light('off') });
+      const unlit = calculateSafetyScore(route, { lightingData: [{ lat: 45.6, lng: -122.6, level: 'high' }] });
+      const unknown = calculateSafetyScore(route, { lightingData: [] });
+      
+      expect(working.lighting).toBeGreaterThan(broken.lighting);
+      expect(broken.lighting).toBe(unlit.lighting);
+      expect(unknown.lighting).toBeNull();
+    });
+
+    test('should only score lighting after local sunset', () => {
+      const route = [{ lat: 37.774, lng: -122.419 }];
+      const noon = calculateSafetyScore(route, { departureTime: new Date('2024-06-21T19:00:00Z'), useMockData: true });
+      const night = calculateSafetyScore(route, { departureTime: new Date('2024-06-22T06:00:00Z'), useMockData: true });
+      
+      expect(noon.lighting).toBeNull();
+      expect(night.lighting).toBeGreaterThan(0);
+    });
+    
+    test('should score crime by the departure hour when incidents have timestamps', () => {
+      const route = [{ lat: 37.775, lng: -122.418 }];
+      // Incidents that all happened late at night
+      const crimeData = Array.from({ length: 20 }, (_, i) => ({
+        lat: 37.775,
+        lng: -122.418,
+        weight: 0.01,
+        occurredAt: new Date(2024, 0, 1 + i, 23, 30).toISOString()
+      }));
+      
+      const lateNight = calculateSafetyScore(route, { crimeData, departureTime: new Date(2024, 1, 1, 23, 0) });
+      const morning = calculateSafetyScore(route, { crimeData, departureTime: new Date(2024, 1, 1, 9, 0) });
+      const anyTime = calculateSafetyScore(route, { crimeData });
+      
+      expect(lateNight.crime).toBeLessThan(anyTime.crime);
+      expect(morning.crime).toBeGreaterThan(anyTime.crime);
+    });
+
+    test('should read business hours on the clock at the route\'s UTC offset', () => {
+      const route = [{ lat: 37.775, lng: -122.418 }];
+      const businesses = [{ lat: 37.775, lng: -122.418, hours: { open: 9, close: 17 } }];
+      // 10:00 in San Francisco (PDT), 17:00 UTC
+      const departureTime = new Date('2024-06-03T17:00:00Z');
+
+      const atRoute = calculateSafetyScore(route, { businesses, departureTime, utcOffsetMinutes: -420 });
+      const atUtc = calculateSafetyScore(route, { businesses, departureTime, utcOffsetMinutes: 0 });
+
+      expect(atRoute.businesses).toBe(100);
+      expect(atUtc.businesses).toBe(0);
+    });
   });
 
   describe('generateMockRoutes', () => {
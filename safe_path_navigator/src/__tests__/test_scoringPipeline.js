@@ -0,0 +1,355 @@
+/**
+ * Tests for the unified safety scoring pipeline
+ * Every crime data source is run through the same score contract.
+ */
+import {
+  scoreRoute,
+  scoreCrimeStats,
+  normalizeCrimeSample,
+  calculateCrimeRateScore,
+  calculateConfidence,
+  getConfidenceLevel
+} from '../utils/scoringPipeline';
+import { getSeverityBreakdown } from '../utils/offenseSeverity';
+import { getCrimeStatsByCoordinates } from '../services/fbiCrimeDataService';
+import { getCrimeStatsByLocation, formatProxyResponse } from '../services/fbiCrimeDataProxyService';
+import { safetyFactorRegistry } from '../utils/safetyUtils';
+import {
+  mockCrimeDataResponse,
+  mockHighCrimeDataResponse,
+  mockLowCrimeDataResponse
+} from './test_utils';
+
+const routePoints = [
+  { lat: 37.7749, lng: -122.4194 },
+  { lat: 37.7765, lng: -122.4180 },
+  { lat: 37.7790, lng: -122.4172 },
+  { lat: 37.7833, lng: -122.4167 }
+];
+
+// The contract every score object must satisfy, regardless of data source
+const expectScoreContract = (score) => {
+  if (score.overall === null) {
+    // Unscored only when no factor has data
+    score.factors.forEach(factor => expect(factor.score).toBeNull());
+  } else {
+    expect(score.overall).toBeGreaterThanOrEqual(0);
+    expect(score.overall).toBeLessThanOrEqual(100);
+  }
+
+  expect(score.factors.map(factor => factor.id)).toEqual(
+    safetyFactorRegistry.getFactors().map(factor => factor.id)
+  );
+  score.factors.forEach(factor => {
+    expect(score[factor.id]).toBe(factor.score);
+    if (factor.score !== null) {
+      expect(factor.score).toBeGreaterThanOrEqual(0);
+      expect(factor.score).toBeLessThanOrEqual(100);
+    }
+  });
+
+  expect(score.segments.length).toBeGreaterThan(0);
+  const scoredSegments = score.segments.filter(segment => segment.score !== null);
+  scoredSegments.forEach(segment => {
+    expect(segment.score).toBeGreaterThanOrEqual(0);
+    expect(segment.score).toBeLessThanOrEqual(100);
+  });
+  expect(score.segmentSummary.minSegmentScore).toBe(
+    scoredSegments.length > 0 ? Math.min(...scoredSegments.map(segment => segment.score)) : null
+  );
+
+  expect(score.confidence).toBeGreaterThanOrEqual(0);
+  expect(score.confidence).toBeLessThanOrEqual(100);
+  expect(score.confidenceLevel).toBe(getConfidenceLevel(score.confidence));
+  expect(score.coverage.samplesSucceeded).toBeLessThanOrEqual(score.coverage.samplesRequested);
+};
+
+describe('Scoring Pipeline', () => {
+  describe('calculateCrimeRateScore', () => {
+    test('should map crime rates onto 0-100, higher rates scoring lower', () => {
+      expect(calculateCrimeRateScore(0)).toBe(100);
+      expect(calculateCrimeRateScore(40)).toBe(60);
+      expect(calculateCrimeRateScore(250)).toBe(0);
+    });
+
+    test('should return null for unknown rates', () => {
+      expect(calculateCrimeRateScore(null)).toBeNull();
+      expect(calculateCrimeRateScore(NaN)).toBeNull();
+    });
+  });
+
+  describe('normalizeCrimeSample', () => {
+    test('should use totalCrimeRate and coordinates when present, scoring the severity-weighted rate', () => {
+      const sample = normalizeCrimeSample(mockCrimeDataResponse);
+
+      expect(sample).toEqual(expect.objectContaining({ lat: 37.7749, lng: -122.4194, totalCrimeRate: 40 }));
+      expect(sample.weightedCrimeRate).toBeCloseTo(
+        getSeverityBreakdown(mockCrimeDataResponse.crimeStats).weightedCrimeRate, 10
+      );
+      expect(sample.score).toBe(calculateCrimeRateScore(sample.weightedCrimeRate));
+    });
+
+    test('should sum per-type rates when no total is given', () => {
+      const sample = normalizeCrimeSample({ crimeStats: { 'violent-crime': 10, 'property-crime': 15 } });
+      expect(sample.totalCrimeRate).toBe(25);
+      // (10 * 5 + 15 * 1) / 3, with the mean severity of the two categories
+      expect(sample.weightedCrimeRate).toBeCloseTo(65 / 3, 10);
+      expect(sample.score).toBe(78);
+    });
+
+    test('should score a combined rate as-is when there are no per-type rates', () => {
+      expect(normalizeCrimeSample({ totalCrimeRate: 40 }).score).toBe(60);
+    });
+
+    test('should score severe offenses lower than the same rate of minor ones', () => {
+      const severe = normalizeCrimeSample({ crimeStats: { 'homicide': 10, 'property-crime': 2 } });
+      const minor = normalizeCrimeSample({ crimeStats: { 'homicide': 2, 'property-crime': 10 } });
+
+      expect(severe.totalCrimeRate).toBe(minor.totalCrimeRate);
+      expect(severe.score).toBeLessThan(minor.score);
+    });
+
+    test('should score per-type rates relative to a baseline when given one', () => {
+      const baseline = { level: 'city', label: 'the city average', rates: { 'violent-crime': 10, 'property-crime': 15 } };
+
+      const average = normalizeCrimeSample({ crimeStats: { 'violent-crime': 10, 'property-crime': 15 } }, null, baseline);
+      expect(average.baselineRatio).toBeCloseTo(1, 10);
+      expect(average.score).toBe(60);
+
+      const half = normalizeCrimeSample({ crimeStats: { 'violent-crime': 5, 'property-crime': 7.5 } }, null, baseline);
+      expect(half.score).toBe(80);
+
+      // A combined rate cannot be compared per offense type
+      expect(normalizeCrimeSample({ totalCrimeRate: 40 }, null, baseline)).toMatchObject({ baselineRatio: null, score: 60 });
+    });
+
+    test('should reject results without crime data', () => {
+      expect(normalizeCrimeSample(null)).toBeNull();
+      expect(normalizeCrimeSample({ results: [] })).toBeNull();
+      expect(scoreCrimeStats({ totalCrimeRate: null })).toBeNull();
+    });
+  });
+
+  describe('scoreRoute contract', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('direct FBI service results (synthetic source)', async () => {
+      const crimeStats = await Promise.all(
+        routePoints.slice(0, 2).map(point => getCrimeStatsByCoordinates(point.lat, point.lng, 1, { source: 'synthetic' }))
+      );
+
+      const score = scoreRoute({ points: routePoints, crimeStats });
+
+      expectScoreContract(score);
+      expect(score.crimeStatistics.sampleCount).toBe(2);
+      // The service's own per-location score comes from the same pipeline
+      crimeStats.forEach(result => expect(result.safetyScore).toBe(scoreCrimeStats(result)));
+    });
+
+    test('proxy service results', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({
+          results: [
+            { data_year: 2022, offense: 'robbery', actual: 1617, cleared: 320 },
+            { data_year: 2022, offense: 'burglary', actual: 4850, cleared: 400 }
+          ]
+        })
+      });
+      const proxyData = formatProxyResponse(
+        await getCrimeStatsByLocation('CA', 'San Francisco'),
+        { population: 808437 }
+      );
+
+      const score = scoreRoute({ points: routePoints, crimeStats: [proxyData] });
+
+      expectScoreContract(score);
+      expect(score.crimeStatistics.sampleCount).toBe(1);
+      expect(proxyData.safetyScore).toBe(scoreCrimeStats(proxyData));
+    });
+
+    test('failed samples', () => {
+      const score = scoreRoute({ points: routePoints, crimeStats: [null, null, null] });
+
+      expectScoreContract(score);
+      expect(score.crimeStatistics).toBeNull();
+      expect(score.overall).toBeNull();
+    });
+
+    test('static fixture results', () => {
+      const score = scoreRoute({
+        points: routePoints,
+        crimeStats: [mockCrimeDataResponse, mockHighCrimeDataResponse, mockLowCrimeDataResponse]
+      });
+
+      expectScoreContract(score);
+      expect(score.crimeStatistics.sampleCount).toBe(3);
+      expect(score.crimeStatistics.totalCrimeRate).toBeCloseTo((40 + 53 + 16.6) / 3);
+
+      const breakdown = score.crimeStatistics.severityBreakdown;
+      expect(breakdown.map(category => category.offense)).toHaveLength(5);
+      expect(breakdown.reduce((sum, category) => sum + category.share, 0)).toBeCloseTo(1, 10);
+    });
+  });
+
+  describe('scoreRoute crime statistics', () => {
+    test('should score routes near high-crime samples lower', () => {
+      const highCrime = scoreRoute({
+        points: routePoints,
+        crimeStats: [{ ...mockHighCrimeDataResponse, totalCrimeRate: 95 }]
+      });
+      const lowCrime = scoreRoute({
+        points: routePoints,
+        crimeStats: [{ ...mockLowCrimeDataResponse, totalCrimeRate: 5 }]
+      });
+
+      expect(highCrime.crime).toBeLessThan(lowCrime.crime);
+      expect(highCrime.overall).toBeLessThan(lowCrime.overall);
+    });
+
+    test('should compare the averaged statistics with the crime baseline', () => {
+      const baseline = {
+        level: 'national',
+        label: 'the national average',
+        rates: { 'violent-crime': 15, 'robbery': 5 }
+      };
+      const withBaseline = scoreRoute({ points: routePoints, crimeStats: [mockCrimeDataResponse], crimeBaseline: baseline });
+      const withoutBaseline = scoreRoute({ points: routePoints, crimeStats: [mockCrimeDataResponse] });
+
+      expect(withBaseline.crimeStatistics.baselineComparison.headline).toMatchObject({
+        offense: 'violent-crime',
+        percentDifference: -50
+      });
+      expect(withoutBaseline.crimeStatistics.baselineComparison).toBeNull();
+      expect(withBaseline.crime).not.toBe(withoutBaseline.crime);
+    });
+
+    test('should apply each sample to the part of the route closest to it', () => {
+      const scoreWithRates = (startRate, endRate) => scoreRoute({
+        points: routePoints,
+        crimeStats: [
+          { coordinates: routePoints[0], totalCrimeRate: startRate },
+          { coordinates: routePoints[3], totalCrimeRate: endRate }
+        ]
+      }, { segmentLengthMeters: 200 });
+
+      const safeStart = scoreWithRates(5, 95);
+      const unsafeStart = scoreWithRates(95, 5);
+      const lastIndex = safeStart.segments.length - 1;
+
+      expect(safeStart.segments[0].score).toBeGreaterThan(unsafeStart.segments[0].score);
+      expect(safeStart.segments[lastIndex].score).toBeLessThan(unsafeStart.segments[lastIndex].score);
+    });
+  });
+
+  describe('scoreRoute confidence', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+    // Real (non-mock) data for every factor
+    const fullContext = {
+      crimeData: [{ lat: 37.7765, lng: -122.4180, weight: 0.2 }],
+      lightingData: [{ lat: 37.7765, lng: -122.4180, level: 'high' }],
+      emergencyServices: [{ lat: 37.7790, lng: -122.4172, type: 'police' }],
+      businesses: [{ lat: 37.7790, lng: -122.4172, hours: { open: 0, close: 24 } }]
+    };
+    const proxySample = (coordinates) => ({
+      coordinates,
+      totalCrimeRate: 20,
+      source: 'fbi-proxy',
+      isMock: false,
+      dataAsOf: '2023-12-31'
+    });
+
+    test('should be high with full, current, real data', () => {
+      const score = scoreRoute({
+        points: routePoints,
+        crimeStats: routePoints.map(proxySample),
+        ...fullContext
+      }, { now });
+
+      expect(score.coverage).toEqual(expect.objectContaining({
+        samplesRequested: 4,
+        samplesSucceeded: 4,
+        sources: ['fbi-proxy'],
+        dataAgeDays: 153,
+        usedMockData: false,
+        mockDatasets: [],
+        weightCoverage: 1
+      }));
+      expect(score.confidence).toBe(100);
+      expect(score.confidenceLevel).toBe('high');
+    });
+
+    test('should drop with failed samples', () => {
+      const crimeStats = [proxySample(routePoints[0]), null, null, null];
+      const score = scoreRoute({ points: routePoints, crimeStats, ...fullContext }, { now });
+
+      expect(score.coverage.samplesSucceeded).toBe(1);
+      expect(score.confidence).toBe(25);
+      expect(score.confidenceLevel).toBe('low');
+    });
+
+    test('should report mock data and the datasets it came from', () => {
+      const score = scoreRoute({
+        points: routePoints,
+        crimeStats: [{ ...proxySample(routePoints[0]), source: 'synthetic', isMock: true }],
+        ...fullContext,
+        lightingData: null,
+        useMockData: true
+      }, { now });
+
+      expect(score.coverage.usedMockData).toBe(true);
+      expect(score.coverage.mockDatasets).toEqual(['lightingData']);
+      expect(score.coverage.sources).toEqual(['synthetic']);
+      expect(score.confidence).toBe(50);
+    });
+
+    test('should leave missing layers unscored without mock data', () => {
+      const score = scoreRoute({
+        points: routePoints,
+        crimeStats: routePoints.map(proxySample),
+        crimeData: fullContext.crimeData
+      }, { now });
+
+      expect(score.lighting).toBeNull();
+      expect(score.emergency).toBeNull();
+      expect(score.businesses).toBeNull();
+      expect(score.coverage.usedMockData).toBe(false);
+      expect(score.coverage.weightCoverage).toBe(0.5);
+    });
+
+    test('should drop for old or undated data', () => {
+      const scoreWith = (dataAsOf) => scoreRoute({
+        points: routePoints,
+        crimeStats: [{ ...proxySample(routePoints[0]), dataAsOf }],
+        ...fullContext
+      }, { now });
+
+      expect(scoreWith('2018-12-31').confidence).toBeLessThan(scoreWith('2023-12-31').confidence);
+      expect(scoreWith(undefined).coverage.dataAsOf).toBeNull();
+      expect(scoreWith(undefined).confidence).toBe(80);
+    });
+
+    test('calculateConfidence should scale with the factor weight that had data', () => {
+      const coverage = {
+        samplesRequested: 0,
+        samplesSucceeded: 0,
+        usedMockData: false,
+        dataAgeDays: null,
+        weightCoverage: 0.6
+      };
+
+      expect(calculateConfidence(coverage)).toBe(60);
+      expect(getConfidenceLevel(60)).toBe('medium');
+      expect(getConfidenceLevel(39)).toBe('low');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for travel-mode scoring profiles
+ */
+import {
+  SCORING_PROFILES,
+  getScoringProfile,
+  getOffenseRelevance
+} from '../utils/scoringProfiles';
+import { scoreRoute } from '../utils/scoringPipeline';
+import { calculateSafetyScore } from '../utils/safetyUtils';
+
+const routePoints = [
+  { lat: 37.7749, lng: -122.4194 },
+  { lat: 37.7790, lng: -122.4172 }
+];
+
+describe('Scoring Profiles', () => {
+  test('should provide a profile for every Google Maps travel mode', () => {
+    ['WALKING', 'BICYCLING', 'DRIVING', 'TRANSIT'].forEach(mode => {
+      expect(getScoringProfile(mode).id).toBe(mode);
+    });
+  });
+
+  test('should fall back to the walking profile for unknown modes', () => {
+    expect(getScoringProfile('HOVERBOARD')).toBe(SCORING_PROFILES.WALKING);
+    expect(getScoringProfile(undefined)).toBe(SCORING_PROFILES.WALKING);
+  });
+
+  test('should weight offenses by relevance, defaulting to 1', () => {
+    const driving = getScoringProfile('DRIVING');
+
+    expect(getOffenseRelevance(driving, 'motor-vehicle-theft')).toBeGreaterThan(1);
+    expect(getOffenseRelevance(driving, 'unlisted-offense')).toBe(1);
+    expect(getOffenseRelevance(null, 'robbery')).toBe(1);
+  });
+
+  test('should apply profile weights to the score', () => {
+    const driving = getScoringProfile('DRIVING');
+    const score = calculateSafetyScore(routePoints, { scoringProfile: driving });
+
+    score.factors.forEach(factor => expect(factor.weight).toBe(driving.weights[factor.id]));
+  });
+
+  describe('scoreRoute', () => {
+    const scoreFor = (mode, crimeStats) => scoreRoute({
+      points: routePoints,
+      crimeStats: [{ crimeStats }],
+      crimeData: [],
+      scoringProfile: getScoringProfile(mode)
+    });
+
+    test('should score street robbery as riskier for walking than driving', () => {
+      const robberyArea = { 'robbery': 30, 'aggravated-assault': 10 };
+      expect(scoreFor('WALKING', robberyArea).crime).toBeLessThan(scoreFor('DRIVING', robberyArea).crime);
+    });
+
+    test('should score vehicle crime as riskier for driving than walking', () => {
+      const carCrimeArea = { 'motor-vehicle-theft': 15, 'property-crime': 20 };
+      expect(scoreFor('DRIVING', carCrimeArea).crime).toBeLessThan(scoreFor('WALKING', carCrimeArea).crime);
+    });
+
+    test('should weight local incidents by offense relevance', () => {
+      const incidents = [{ lat: 37.7749, lng: -122.4194, weight: 0.3, offense: 'motor-vehicle-theft' }];
+      const walking = calculateSafetyScore(routePoints, { crimeData: incidents, scoringProfile: getScoringProfile('WALKING') });
+      const driving = calculateSafetyScore(routePoints, { crimeData: incidents, scoringProfile: getScoringProfile('DRIVING') });
+
+      expect(driving.crime).toBeLessThan(walking.crime);
+    });
+  });
+});
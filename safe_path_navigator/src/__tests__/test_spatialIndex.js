@@ -0,0 +1,109 @@
+/**
+ * Tests for the grid-based spatial index
+ */
+import { createSpatialIndex, getSpatialIndex } from '../utils/spatialIndex';
+import { haversineDistance, boundingBoxAround, isPointInBoundingBox } from '../utils/geoUtils';
+
+// Deterministic pseudo-random points around San Francisco
+const generatePoints = (count) => {
+  let state = 42;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+
+  return Array.from({ length: count }, (_, id) => ({
+    id,
+    lat: 37.70 + next() * 0.12,
+    lng: -122.52 + next() * 0.16
+  }));
+};
+
+describe('Spatial Index', () => {
+  const points = generatePoints(2000);
+  const index = createSpatialIndex(points);
+  const center = { lat: 37.7749, lng: -122.4194 };
+
+  test('should index every valid point and skip invalid ones', () => {
+    const withInvalid = createSpatialIndex([
+      ...points.slice(0, 10),
+      { lat: NaN, lng: -122.4 },
+      { lat: 91, lng: 0 },
+      null
+    ]);
+
+    expect(index.size).toBe(points.length);
+    expect(withInvalid.size).toBe(10);
+  });
+
+  test('queryBoundingBox should match a brute-force scan', () => {
+    const bbox = boundingBoxAround(center, 1500);
+    const expected = points.filter(point => isPointInBoundingBox(point, bbox)).map(p => p.id).sort();
+    const actual = index.queryBoundingBox(bbox).map(p => p.id).sort();
+
+    expect(actual).toEqual(expected);
+  });
+
+  test('queryRadius should return points within the radius, closest first', () => {
+    const expected = points.filter(point => haversineDistance(center, point) <= 800);
+    const matches = index.queryRadius(center, 800);
+
+    expect(matches.length).toBe(expected.length);
+    matches.forEach((match, i) => {
+      expect(match.distance).toBeLessThanOrEqual(800);
+      if (i > 0) expect(match.distance).toBeGreaterThanOrEqual(matches[i - 1].distance);
+    });
+  });
+
+  test('nearest should match a brute-force search', () => {
+    const queries = [center, { lat: 37.60, lng: -122.60 }, { lat: 37.80, lng: -122.40 }];
+
+    queries.forEach(query => {
+      const expected = [...points]
+        .sort((a, b) => haversineDistance(query, a) - haversineDistance(query, b))
+        .slice(0, 5)
+        .map(p => p.id);
+
+      expect(index.nearest(query, { limit: 5 }).map(match => match.point.id)).toEqual(expected);
+    });
+  });
+
+  test('nearest should respect maxDistance', () => {
+    const far = { lat: 38.5, lng: -121.5 };
+
+    expect(index.nearest(far, { maxDistance: 1000 })).toEqual([]);
+    expect(createSpatialIndex([]).nearest(center)).toEqual([]);
+  });
+
+  test('nearest should find far-away points quickly and match a brute-force search', () => {
+    const newYork = { lat: 40.7128, lng: -74.0060 };
+    const expected = [...points]
+      .sort((a, b) => haversineDistance(newYork, a) - haversineDistance(newYork, b))
+      .slice(0, 3)
+      .map(p => p.id);
+
+    const startedAt = Date.now();
+    const matches = index.nearest(newYork, { limit: 3 });
+
+    expect(Date.now() - startedAt).toBeLessThan(500);
+    expect(matches.map(match => match.point.id)).toEqual(expected);
+  });
+
+  test('getSpatialIndex should reuse the index for the same dataset', () => {
+    expect(getSpatialIndex(points)).toBe(getSpatialIndex(points));
+    expect(getSpatialIndex([...points])).not.toBe(getSpatialIndex(points));
+  });
+
+  test('should answer radius queries over large datasets quickly', () => {
+    const largeIndex = createSpatialIndex(generatePoints(50000));
+    const route = Array.from({ length: 200 }, (_, i) => ({
+      lat: 37.75 + i * 0.0002,
+      lng: -122.45 + i * 0.0002
+    }));
+
+    const startedAt = Date.now();
+    route.forEach(point => largeIndex.queryRadius(point, 1000));
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+});
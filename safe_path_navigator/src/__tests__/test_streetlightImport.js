@@ -0,0 +1,98 @@
+/**
+ * Tests for streetlight inventory import
+ */
+import {
+  LIGHTING_LEVELS,
+  getLightingLevel,
+  estimateLumens,
+  mapStreetlightRecord,
+  importStreetlightFile
+} from '../utils/streetlightImport';
+
+describe('Streetlight Import', () => {
+  test('should derive lighting levels from light output', () => {
+    expect(getLightingLevel(16000)).toBe(LIGHTING_LEVELS.HIGH);
+    expect(getLightingLevel(5000)).toBe(LIGHTING_LEVELS.MEDIUM);
+    expect(getLightingLevel(1200)).toBe(LIGHTING_LEVELS.LOW);
+  });
+
+  test('should estimate output from wattage by lamp type', () => {
+    expect(estimateLumens(100, 'LED')).toBe(10000);
+    expect(estimateLumens(100, 'High Pressure Sodium')).toBe(9000);
+    expect(estimateLumens(100, 'Metal Halide')).toBe(7500);
+    expect(estimateLumens(100)).toBe(8000);
+  });
+
+  describe('mapStreetlightRecord', () => {
+    test('should prefer lumens and fall back to wattage', () => {
+      expect(mapStreetlightRecord({ lat: '45.52', lng: '-122.68', lumens: '12000', wattage: '20' }).streetlight)
+        .toEqual({ lat: 45.52, lng: -122.68, level: LIGHTING_LEVELS.HIGH, lumens: 12000, working: true });
+      expect(mapStreetlightRecord({ lat: '45.52', lng: '-122.68', watts: '50', lamp_type: 'LED' }).streetlight.level)
+        .toBe(LIGHTING_LEVELS.MEDIUM);
+    });
+
+    test('should treat broken and out-of-service lights as off', () => {
+      const levelFor = (status) => mapStreetlightRecord({ lat: '45.52', lng: '-122.68', lumens: '12000', status })
+        .streetlight.level;
+
+      expect(levelFor('Out of service')).toBe(LIGHTING_LEVELS.OFF);
+      expect(levelFor('BROKEN')).toBe(LIGHTING_LEVELS.OFF);
+      expect(levelFor('Pending repair')).toBe(LIGHTING_LEVELS.OFF);
+      expect(levelFor('false')).toBe(LIGHTING_LEVELS.OFF);
+      expect(levelFor(false)).toBe(LIGHTING_LEVELS.OFF);
+      expect(levelFor('Operational')).toBe(LIGHTING_LEVELS.HIGH);
+      expect(levelFor('')).toBe(LIGHTING_LEVELS.HIGH);
+      expect(mapStreetlightRecord({ lat: '45.52', lng: '-122.68', lumens: '12000', status: 'Broken' }).streetlight.working)
+        .toBe(false);
+    });
+
+    test('should use the default level for working lights without an output', () => {
+      expect(mapStreetlightRecord({ lat: '45.52', lng: '-122.68' }).streetlight.level).toBe(LIGHTING_LEVELS.MEDIUM);
+      expect(mapStreetlightRecord({ lat: '45.52', lng: '-122.68' }, { defaultLevel: 'low' }).streetlight.level)
+        .toBe(LIGHTING_LEVELS.LOW);
+    });
+
+    test('should reject invalid coordinates and outputs', () => {
+      expect(mapStreetlightRecord({ lat: '', lng: '-122.68' }).error).toBe('Missing coordinates');
+      expect(mapStreetlightRecord({ lat: '45.52', lng: '-122.68', lumens: 'bright' }).error).toMatch(/Invalid lumens/);
+      expect(mapStreetlightRecord({ lat: '45.52', lng: '-122.68', wattage: '-5' }).error).toMatch(/Invalid wattage/);
+    });
+  });
+
+  describe('importStreetlightFile', () => {
+    test('should import a CSV inventory with a custom field mapping', () => {
+      const csv = [
+        'POLE_ID,LAT_DD,LON_DD,LAMP_WATTS,LAMP_TYPE,CONDITION',
+        'P1,45.5152,-122.6784,150,HPS,Good',
+        'P2,45.5160,-122.6790,70,HPS,Light out',
+        'P3,,,70,HPS,Good'
+      ].join('\n');
+
+      const result = importStreetlightFile(csv, {
+        fileName: 'streetlights.csv',
+        mapping: { lat: 'LAT_DD', lng: 'LON_DD', wattage: 'LAMP_WATTS' }
+      });
+
+      expect(result.streetlights.map(light => light.level)).toEqual([LIGHTING_LEVELS.HIGH, LIGHTING_LEVELS.OFF]);
+      expect(result.rejected).toEqual([{ row: 3, reason: 'Missing coordinates' }]);
+    });
+
+    test('should import a GeoJSON inventory', () => {
+      const geojson = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [-122.6784, 45.5152] }, properties: { lumens: 3000 } },
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [-122.6790, 45.5160] }, properties: { in_service: 'No' } }
+        ]
+      });
+
+      const { format, streetlights } = importStreetlightFile(geojson, { fileName: 'lights.geojson' });
+
+      expect(format).toBe('geojson');
+      expect(streetlights).toEqual([
+        { lat: 45.5152, lng: -122.6784, level: LIGHTING_LEVELS.LOW, lumens: 3000, working: true },
+        { lat: 45.5160, lng: -122.6790, level: LIGHTING_LEVELS.OFF, lumens: null, working: false }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for the sunrise/sunset calculation
+ */
+import { getSunTimes, isDaylight } from '../utils/sunTimes';
+
+const sanFrancisco = { lat: 37.7749, lng: -122.4194 };
+const tromso = { lat: 69.6492, lng: 18.9553 };
+
+// Difference between two dates in minutes
+const minutesBetween = (a, b) => Math.abs(a.getTime() - b.getTime()) / 60000;
+
+describe('Sun Times', () => {
+  test('should match published sunrise and sunset times within a few minutes', () => {
+    // San Francisco, 21 June 2024: sunrise 05:48 PDT, sunset 20:35 PDT
+    const { sunrise, sunset } = getSunTimes(new Date('2024-06-21T19:00:00Z'), sanFrancisco);
+
+    expect(minutesBetween(sunrise, new Date('2024-06-21T12:48:00Z'))).toBeLessThan(5);
+    expect(minutesBetween(sunset, new Date('2024-06-22T03:35:00Z'))).toBeLessThan(5);
+  });
+
+  test('should use the local solar day for late evening times', () => {
+    // 23:00 PDT is already the next day in UTC, but belongs to the same local day
+    const evening = getSunTimes(new Date('2024-06-22T06:00:00Z'), sanFrancisco);
+    const afternoon = getSunTimes(new Date('2024-06-21T22:00:00Z'), sanFrancisco);
+
+    expect(minutesBetween(evening.sunset, afternoon.sunset)).toBeLessThan(1);
+  });
+
+  test('isDaylight should be true between sunrise and sunset only', () => {
+    expect(isDaylight(new Date('2024-06-21T19:00:00Z'), sanFrancisco)).toBe(true); // noon PDT
+    expect(isDaylight(new Date('2024-06-22T06:00:00Z'), sanFrancisco)).toBe(false); // 23:00 PDT
+    expect(isDaylight(new Date('2024-12-21T10:00:00Z'), sanFrancisco)).toBe(false); // 02:00 PST
+  });
+
+  test('should report polar night and polar day', () => {
+    const winter = getSunTimes(new Date('2024-12-21T11:00:00Z'), tromso);
+    const summer = getSunTimes(new Date('2024-06-21T23:00:00Z'), tromso);
+
+    expect(winter.polarNight).toBe(true);
+    expect(winter.sunrise).toBeNull();
+    expect(summer.polarDay).toBe(true);
+
+    expect(isDaylight(new Date('2024-12-21T11:00:00Z'), tromso)).toBe(false);
+    expect(isDaylight(new Date('2024-06-21T23:00:00Z'), tromso)).toBe(true);
+  });
+});
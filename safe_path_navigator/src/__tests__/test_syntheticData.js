@@ -0,0 +1,140 @@
+/**
+ * Tests for the deterministic synthetic safety data generator
+ */
+import {
+  createSeededRandom,
+  generateSyntheticCityData,
+  getSyntheticCrimeRates,
+  getSyntheticBaselineRates
+} from '../utils/syntheticData';
+import { isPointInBoundingBox } from '../utils/geoUtils';
+
+const bbox = { minLat: 37.765, minLng: -122.425, maxLat: 37.790, maxLng: -122.400 };
+
+describe('Synthetic Data', () => {
+  describe('createSeededRandom', () => {
+    test('should produce the same sequence for the same seed', () => {
+      const first = createSeededRandom('seed-a');
+      const second = createSeededRandom('seed-a');
+
+      for (let i = 0; i < 20; i++) {
+        const value = first();
+        expect(value).toBe(second());
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test('should produce different sequences for different seeds', () => {
+      const first = createSeededRandom('seed-a');
+      const second = createSeededRandom('seed-b');
+      const values = Array.from({ length: 5 }, () => [first(), second()]);
+
+      expect(values.some(([a, b]) => a !== b)).toBe(true);
+    });
+  });
+
+  describe('generateSyntheticCityData', () => {
+    test('should generate identical datasets for the same seed', () => {
+      expect(generateSyntheticCityData({ seed: 42, bbox })).toEqual(generateSyntheticCityData({ seed: 42, bbox }));
+    });
+
+    test('should generate different datasets for different seeds', () => {
+      const first = generateSyntheticCityData({ seed: 1, bbox });
+      const second = generateSyntheticCityData({ seed: 2, bbox });
+
+      expect(first.hotspots).not.toEqual(second.hotspots);
+      expect(first.crimeData).not.toEqual(second.crimeData);
+    });
+
+    test('should honor the requested counts', () => {
+      const dataset = generateSyntheticCityData({
+        seed: 'counts',
+        bbox,
+        hotspotCount: 2,
+        incidentCount: 10,
+        lightCount: 5,
+        servicesPerType: 1,
+        businessCount: 3
+      });
+
+      expect(dataset.hotspots).toHaveLength(2);
+      expect(dataset.crimeData).toHaveLength(10);
+      expect(dataset.lightingData).toHaveLength(5);
+      expect(dataset.emergencyServices.map(service => service.type)).toEqual(['police', 'hospital', 'fire_station']);
+      expect(dataset.businesses).toHaveLength(3);
+    });
+
+    test('should keep lights, services and businesses inside the bounding box', () => {
+      const dataset = generateSyntheticCityData({ seed: 'bounds', bbox });
+
+      [...dataset.hotspots, ...dataset.lightingData, ...dataset.emergencyServices, ...dataset.businesses]
+        .forEach(point => expect(isPointInBoundingBox(point, bbox)).toBe(true));
+    });
+
+    test('should generate valid, dated crime incidents', () => {
+      const referenceDate = new Date(Date.UTC(2024, 5, 1));
+      const dataset = generateSyntheticCityData({ seed: 'incidents', bbox, referenceDate });
+
+      dataset.crimeData.forEach(incident => {
+        expect(incident.weight).toBeGreaterThanOrEqual(0);
+        expect(incident.weight).toBeLessThanOrEqual(1);
+        expect(Object.keys(dataset.offenseRates)).toContain(incident.offense);
+
+        const occurredAt = new Date(incident.occurredAt);
+        expect(occurredAt.getTime()).toBeLessThanOrEqual(referenceDate.getTime() + 86400000);
+        expect(occurredAt.getTime()).toBeGreaterThan(referenceDate.getTime() - 91 * 86400000);
+      });
+    });
+  });
+
+  describe('getSyntheticCrimeRates', () => {
+    const dataset = generateSyntheticCityData({ seed: 'rates', bbox });
+    const total = (rates) => Object.values(rates).reduce((sum, value) => sum + value, 0);
+
+    test('should return the same rates for the same coordinates', () => {
+      const [hotspot] = dataset.hotspots;
+      expect(getSyntheticCrimeRates(dataset, hotspot.lat, hotspot.lng))
+        .toEqual(getSyntheticCrimeRates(dataset, hotspot.lat, hotspot.lng));
+    });
+
+    test('should report higher rates at a hotspot than far away from it', () => {
+      const [hotspot] = dataset.hotspots;
+
+      expect(total(getSyntheticCrimeRates(dataset, hotspot.lat, hotspot.lng)))
+        .toBeGreaterThan(total(getSyntheticCrimeRates(dataset, 38.0, -123.0)));
+      expect(total(getSyntheticCrimeRates(dataset, 38.0, -123.0))).toBe(0);
+    });
+
+    test('should answer quickly for coordinates in another city', () => {
+      const startedAt = Date.now();
+
+      expect(total(getSyntheticCrimeRates(dataset, 40.7128, -74.0060))).toBe(0);
+      expect(Date.now() - startedAt).toBeLessThan(500);
+    });
+
+    test('should never exceed the dataset offense rates', () => {
+      dataset.hotspots.forEach(hotspot => {
+        const rates = getSyntheticCrimeRates(dataset, hotspot.lat, hotspot.lng);
+        Object.entries(rates).forEach(([offense, rate]) => {
+          expect(rate).toBeLessThanOrEqual(dataset.offenseRates[offense]);
+        });
+      });
+    });
+  });
+
+  describe('getSyntheticBaselineRates', () => {
+    test('should average rates across the city, below the hotspot peaks', () => {
+      const dataset = generateSyntheticCityData({ seed: 'baseline', bbox });
+      const baseline = getSyntheticBaselineRates(dataset);
+      const [hotspot] = dataset.hotspots;
+      const atHotspot = getSyntheticCrimeRates(dataset, hotspot.lat, hotspot.lng);
+
+      expect(getSyntheticBaselineRates(dataset)).toEqual(baseline);
+      Object.keys(dataset.offenseRates).forEach(offense => {
+        expect(baseline[offense]).toBeGreaterThan(0);
+        expect(baseline[offense]).toBeLessThan(atHotspot[offense]);
+      });
+    });
+  });
+});
@@ -102,7 +102,11 @@ export const mockRoutesWithSafetyData = [
     safetyScore: {
       overall: 75,
       crime: 70,
-      lighting: 82
+      lighting: 82,
+      factors: [
+        { id: 'crime', label: 'Crime', weight: 0.6, score: 70 },
+        { id: 'lighting', label: 'Lighting', weight: 0.4, score: 82 }
+      ]
     },
     crimeData: mockCrimeDataResponse
   },
@@ -119,7 +123,11 @@ export const mockRoutesWithSafetyData = [
     safetyScore: {
       overall: 45,
       crime: 42,
-      lighting: 50
+      lighting: 50,
+      factors: [
+        { id: 'crime', label: 'Crime', weight: 0.6, score: 42 },
+        { id: 'lighting', label: 'Lighting', weight: 0.4, score: 50 }
+      ]
     },
     crimeData: mockHighCrimeDataResponse
   },
@@ -136,7 +144,11 @@ export const mockRoutesWithSafetyData = [
     safetyScore: {
       overall: 85,
       crime: 82,
-      lighting: 90
+      lighting: 90,
+      factors: [
+        { id: 'crime', label: 'Crime', weight: 0.6, score: 82 },
+        { id: 'lighting', label: 'Lighting', weight: 0.4, score: 90 }
+      ]
     },
     crimeData: mockLowCrimeDataResponse
   }
@@ -1,7 +1,8 @@
 import React, { useMemo } from 'react';
 import { GoogleMap, useJsApiLoader, Marker, Polyline, HeatmapLayer } from '@react-google-maps/api';
 import { useMapContext } from '../../context/MapContext';
-import { mockCrimeData, mockLightingData, mockEmergencyServices } from '../../utils/safetyUtils';
+import { describeEmergencyService } from '../../utils/emergencyServices';
+import { LIGHTING_LEVELS } from '../../utils/streetlightImport';
 import './Map.css';
 
 // Map container style
@@ -37,7 +38,10 @@ const Map = () => {
     zoom,
     showCrimeOverlay,
     showLightingOverlay,
-    showEmergencyServices
+    showEmergencyServices,
+    crimeIncidents,
+    lightingData,
+    emergencyServices
   } = useMapContext();
 
   // Memoize the libraries array to prevent unnecessary re-renders
@@ -120,6 +124,8 @@ const Map = () => {
           return { url: 'https://maps.google.com/mapfiles/ms/icons/hospitals.png' };
         case 'fire_station':
           return { url: 'https://maps.google.com/mapfiles/ms/icons/firedept.png' };
+        case 'pharmacy':
+          return { url: 'https://maps.google.com/mapfiles/ms/icons/pharmacy-us.png' };
         default:
           return null;
       }
@@ -142,6 +148,11 @@ const Map = () => {
           url: 'https://maps.google.com/mapfiles/ms/icons/firedept.png',
           scaledSize: new window.google.maps.Size(32, 32)
         };
+      case 'pharmacy':
+        return {
+          url: 'https://maps.google.com/mapfiles/ms/icons/pharmacy-us.png',
+          scaledSize: new window.google.maps.Size(32, 32)
+        };
       default:
         return null;
     }
@@ -155,16 +166,19 @@ const Map = () => {
     url: 'https://maps.google.com/mapfiles/ms/icons/lightbulb.png'
   };
 
-  // Render lighting data markers
+  // Render lighting data markers, dimming broken lights
   const renderLightingMarkers = () => {
     if (!showLightingOverlay || !window.google) return null;
     
-    return mockLightingData.map((point, index) => (
+    return lightingData.map((point, index) => (
       <Marker
         key={`light-${index}`}
         position={{ lat: point.lat, lng: point.lng }}
         icon={lightingIcon}
-        title={`Street Light - ${point.level} brightness`}
+        opacity={point.level === LIGHTING_LEVELS.OFF ? 0.4 : 1}
+        title={point.level === LIGHTING_LEVELS.OFF
+          ? 'Street Light - out of service'
+          : `Street Light - ${point.level} brightness`}
       />
     ));
   };
@@ -173,12 +187,12 @@ const Map = () => {
   const renderEmergencyServices = () => {
     if (!showEmergencyServices || !window.google) return null;
     
-    return mockEmergencyServices.map((service, index) => (
+    return emergencyServices.map((service, index) => (
       <Marker
         key={`emergency-${index}`}
         position={{ lat: service.lat, lng: service.lng }}
         icon={getEmergencyIcon(service.type)}
-        title={service.name}
+        title={describeEmergencyService(service)}
       />
     ));
   };
@@ -238,7 +252,10 @@ const Map = () => {
         {/* Display crime heatmap overlay if enabled */}
         {showCrimeOverlay && window.google && (
           <HeatmapLayer
-            data={mockCrimeData.map(point => new window.google.maps.LatLng(point.lat, point.lng))}
+            data={crimeIncidents.map(point => ({
+              location: new window.google.maps.LatLng(point.lat, point.lng),
+              weight: point.weight
+            }))}
             options={heatmapOptions}
           />
         )}
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+
+/**
+ * Loads an open data file (CSV or GeoJSON) into a dataset, or asks the proxy for one
+ * @param {Object} props - Component props
+ * @param {string} props.id - Prefix for the form element ids
+ * @param {string} props.title - Section title
+ * @param {string} props.itemLabel - Plural name of the dataset's items (e.g. 'incidents')
+ * @param {Array<Object>} props.fields - Fields whose source column can be set by hand ({id, label});
+ *   blank fields use the importer's default column names
+ * @param {Function} props.importFile - Importer: (content, {fileName, mapping}) => {items, rejected}
+ * @param {string} props.accept - File types the file picker offers (default: CSV and GeoJSON)
+ * @param {string} props.fileLabel - Label of the file picker (default: 'CSV or GeoJSON file')
+ * @param {Function} props.loadFromServer - Optional: resolves to {name, items, rejectedCount} or null,
+ *   or rejects when the server cannot be reached
+ * @param {Object|null} props.dataset - Current dataset ({ name, itemCount, rejectedCount }), or null
+ *   while the demo data is used
+ * @param {Function} props.onChange - Called with the imported {name, items, rejectedCount}, or null to
+ *   go back to the demo data
+ * @PUBLIC_INTERFACE
+ */
+const DatasetImport = ({
+  id,
+  title,
+  itemLabel,
+  fields,
+  importFile,
+  accept = '.csv,.geojson,.json',
+  fileLabel = 'CSV or GeoJSON file',
+  loadFromServer,
+  dataset,
+  onChange
+}) => {
+  const [mapping, setMapping] = useState({});
+  const [status, setStatus] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    try {
+      const fieldMapping = Object.keys(mapping)
+        .filter(field => mapping[field].trim() !== '')
+        .reduce((mapped, field) => ({ ...mapped, [field]: mapping[field].trim() }), {});
+      const { items, rejected } = importFile(await file.text(), {
+        fileName: file.name,
+        mapping: fieldMapping
+      });
+
+      if (items.length === 0) {
+        setStatus(`No valid ${itemLabel} in ${file.name} (${rejected.length} rows rejected)`);
+        return;
+      }
+      onChange({ name: file.name, items, rejectedCount: rejected.length });
+      setStatus(null);
+    } catch (error) {
+      setStatus(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleLoadFromServer = async () => {
+    let data;
+    try {
+      data = await loadFromServer();
+    } catch (error) {
+      setStatus(`Could not load ${itemLabel} from the proxy server: ${error.message}`);
+      return;
+    }
+    if (!data || data.items.length === 0) {
+      setStatus(`The proxy server has no ${itemLabel}`);
+      return;
+    }
+    onChange(data);
+    setStatus(null);
+  };
+
+  return (
+    <details className="dataset-import">
+      <summary>{title}</summary>
+
+      <p className="dataset-source">
+        {dataset
+          ? `${dataset.itemCount} ${itemLabel} from ${dataset.name}` +
+            (dataset.rejectedCount > 0 ? ` (${dataset.rejectedCount} rows rejected)` : '')
+          : `Using demo ${itemLabel}`}
+      </p>
+
+      {fields.map(field => (
+        <div className="preference-row" key={field.id}>
+          <label htmlFor={`${id}-field-${field.id}`}>{field.label}</label>
+          <input
+            id={`${id}-field-${field.id}`}
+            type="text"
+            placeholder="Auto-detect"
+            value={mapping[field.id] || ''}
+            onChange={(e) => setMapping({ ...mapping, [field.id]: e.target.value })}
+          />
+        </div>
+      ))}
+
+      <div className="preference-row">
+        <label htmlFor={`${id}-file`}>{fileLabel}</label>
+        <input
+          id={`${id}-file`}
+          type="file"
+          accept={accept}
+          onChange={(e) => handleFile(e.target.files[0])}
+        />
+      </div>
+
+      <div className="preference-row">
+        {loadFromServer && (
+          <button type="button" onClick={handleLoadFromServer}>Load from server</button>
+        )}
+        {dataset && (
+          <button type="button" onClick={() => onChange(null)}>Use demo data</button>
+        )}
+      </div>
+
+      {status && <p className="dataset-status">{status}</p>}
+    </details>
+  );
+};
+
+export default DatasetImport;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { safetyFactorRegistry } from '../../utils/safetyUtils';
+import { ROUTE_PRIORITIES, AVOIDABLE_OFFENSES, normalizeRiskPreferences } from '../../utils/riskPreferences';
+
+// Emphasis given to the factor the user picks
+const EMPHASIZED_FACTOR_WEIGHT = 2;
+
+/**
+ * Editor for the user's risk preferences (minimum score, detour limit, factor emphasis, avoided offenses)
+ * @param {Object} props - Component props
+ * @param {Object} props.preferences - Current risk preferences
+ * @param {Function} props.onChange - Called with the updated preferences
+ * @PUBLIC_INTERFACE
+ */
+const RiskPreferences = ({ preferences, onChange }) => {
+  const current = normalizeRiskPreferences(preferences);
+  const emphasizedFactor = Object.keys(current.factorEmphasis)
+    .find(id => current.factorEmphasis[id] > 1) || '';
+
+  const update = (changes) => onChange(normalizeRiskPreferences({ ...current, ...changes }));
+
+  // Parse a number input, treating an empty field as "not set"
+  const parseNumber = (value) => (value === '' ? null : Number(value));
+
+  const toggleOffense = (offense) => {
+    const avoidOffenses = current.avoidOffenses.includes(offense)
+      ? current.avoidOffenses.filter(id => id !== offense)
+      : [...current.avoidOffenses, offense];
+    update({ avoidOffenses });
+  };
+
+  return (
+    <details className="risk-preferences">
+      <summary>Route preferences</summary>
+
+      <div className="preference-row">
+        <label htmlFor="route-priority">Prefer</label>
+        <select
+          id="route-priority"
+          value={current.priority}
+          onChange={(e) => update({ priority: e.target.value })}
+        >
+          <option value={ROUTE_PRIORITIES.SAFETY}>Safest route</option>
+          <option value={ROUTE_PRIORITIES.SPEED}>Fastest safe-enough route</option>
+        </select>
+      </div>
+
+      <div className="preference-row">
+        <label htmlFor="minimum-score">Minimum safety score</label>
+        <input
+          id="minimum-score"
+          type="number"
+          min="0"
+          max="100"
+          value={current.minimumScore}
+          onChange={(e) => update({ minimumScore: parseNumber(e.target.value) })}
+        />
+      </div>
+
+      <div className="preference-row">
+        <label htmlFor="max-extra-minutes">Max extra minutes</label>
+        <input
+          id="max-extra-minutes"
+          type="number"
+          min="0"
+          placeholder="No limit"
+          value={current.maxExtraMinutes === null ? '' : current.maxExtraMinutes}
+          onChange={(e) => update({ maxExtraMinutes: parseNumber(e.target.value) })}
+        />
+      </div>
+
+      <div className="preference-row">
+        <label htmlFor="factor-emphasis">Care most about</label>
+        <select
+          id="factor-emphasis"
+          value={emphasizedFactor}
+          onChange={(e) => update({
+            factorEmphasis: e.target.value ? { [e.target.value]: EMPHASIZED_FACTOR_WEIGHT } : {}
+          })}
+        >
+          <option value="">Everything equally</option>
+          {safetyFactorRegistry.getFactors().map(factor => (
+            <option key={factor.id} value={factor.id}>{factor.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <fieldset className="preference-row avoid-offenses">
+        <legend>Avoid</legend>
+        {AVOIDABLE_OFFENSES.map(offense => (
+          <label key={offense.id}>
+            <input
+              type="checkbox"
+              checked={current.avoidOffenses.includes(offense.id)}
+              onChange={() => toggleOffense(offense.id)}
+            />
+            {offense.label}
+          </label>
+        ))}
+      </fieldset>
+    </details>
+  );
+};
+
+export default RiskPreferences;
@@ -1,9 +1,43 @@
 import React from 'react';
 import { useMapContext } from '../../context/MapContext';
-import { FaWalking, FaCar, FaShieldAlt, FaLightbulb, FaSun, FaExclamationTriangle } from 'react-icons/fa';
+import { FaWalking, FaCar, FaShieldAlt, FaLightbulb, FaSun, FaExclamationTriangle, FaHospital, FaStore, FaCheckCircle, FaClock, FaQuestionCircle } from 'react-icons/fa';
 import { getSafetyRecommendations } from '../../services/fbiCrimeDataService';
+import { RANKING_STRATEGIES } from '../../utils/routeRanking';
+import { isDaylight } from '../../utils/sunTimes';
+import { SCORING_PROFILES, getScoringProfile } from '../../utils/scoringProfiles';
+import { BASELINE_LEVELS, describeBaselineDifference } from '../../utils/crimeBaselines';
+import RiskPreferences from './RiskPreferences';
+import SafetyDataImports from './SafetyDataImports';
 import './RoutePanel.css';
 
+// Icons for the built-in safety factors; custom factors use a generic icon
+const FACTOR_ICONS = {
+  crime: FaShieldAlt,
+  lighting: FaLightbulb,
+  emergency: FaHospital,
+  businesses: FaStore
+};
+
+/**
+ * Format a date as the value of a datetime-local input (local time, minute precision)
+ * @private
+ */
+const toDateTimeInputValue = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Format the time a score applies to, e.g. "Fri 9:30 PM"
+ * @private
+ */
+const formatScoreTime = (date) => date.toLocaleString(undefined, {
+  weekday: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
 /**
  * RoutePanel component for displaying route options and their safety scores
  * @PUBLIC_INTERFACE
@@ -19,26 +53,186 @@ const RoutePanel = () => {
     toggleOverlay,
     showCrimeOverlay,
     showLightingOverlay,
-    showEmergencyServices
+    showEmergencyServices,
+    rankingStrategy,
+    setRankingStrategy,
+    departureTime,
+    setDepartureTime,
+    travelMode,
+    scoringProfileOverride,
+    setScoringProfileOverride,
+    riskPreferences,
+    setRiskPreferences,
+    recommendation,
+    baselineLevel,
+    setBaselineLevel,
+    crimeIncidentDataset,
+    setCrimeIncidentDataset,
+    lightingDataset,
+    setLightingDataset,
+    emergencyServicesDataset,
+    setEmergencyServicesDataset
   } = useMapContext();
 
   // Helper function to determine the safety level color based on the score
-  const getSafetyColor = (score) => {
+  const getSafetyColor = (score, confidenceLevel) => {
+    if (score === null || confidenceLevel === 'low') return '#9E9E9E'; // Grey (not enough data to judge)
     if (score >= 80) return '#4CAF50'; // Green (safe)
     if (score >= 60) return '#FFC107'; // Yellow (moderate)
     return '#F44336'; // Red (unsafe)
   };
 
+  // Update the departure time from the picker, ignoring incomplete input
+  const handleDepartureTimeChange = (value) => {
+    const date = new Date(value);
+    if (value && !Number.isNaN(date.getTime())) {
+      setDepartureTime(date);
+    }
+  };
+
+  // Render the confidence and the data coverage behind a route's score
+  const renderConfidence = (route) => {
+    const { confidence, confidenceLevel, coverage } = route.safetyScore;
+    if (!confidenceLevel || !coverage) return null;
+    
+    const notes = [];
+    if (coverage.samplesRequested > 0) {
+      notes.push(`${coverage.samplesSucceeded} of ${coverage.samplesRequested} crime samples`);
+    }
+    if (coverage.sources.length > 0) {
+      notes.push(`sources: ${coverage.sources.join(', ')}`);
+    }
+    if (coverage.dataAsOf) {
+      notes.push(`data from ${new Date(coverage.dataAsOf).getFullYear()}`);
+    }
+    if (coverage.usedMockData) {
+      notes.push('includes demo data');
+    }
+    
+    return (
+      <>
+        <div className={`route-detail-item confidence-${confidenceLevel}`}>
+          <strong>Data Confidence:</strong> {confidenceLevel.charAt(0).toUpperCase() + confidenceLevel.slice(1)} ({confidence}%)
+        </div>
+        {notes.length > 0 && (
+          <div className="route-detail-item coverage-notes">{notes.join(' · ')}</div>
+        )}
+      </>
+    );
+  };
+
+  // Render each offense category's severity-weighted share of the route's crime
+  const renderSeverityBreakdown = (route) => {
+    const breakdown = route.crimeData && route.crimeData.severityBreakdown;
+    if (!breakdown || breakdown.length === 0) return null;
+    
+    return (
+      <div className="severity-breakdown">
+        <h4><FaShieldAlt /> Crime Breakdown</h4>
+        <ul>
+          {breakdown.map(category => (
+            <li key={category.offense} title={`Rate ${category.rate.toFixed(1)} × severity ${category.severity}`}>
+              <span className="severity-label">{category.label}</span>
+              <span className="severity-bar">
+                <span style={{ width: `${Math.round(category.share * 100)}%` }} />
+              </span>
+              <span className="severity-share">{Math.round(category.share * 100)}%</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  // Render how the route's crime compares with the selected baseline, per offense category
+  const renderBaselineComparison = (route) => {
+    const comparison = route.crimeData && route.crimeData.baselineComparison;
+    if (!comparison) return null;
+    
+    return (
+      <div className="baseline-comparison-details">
+        <h4><FaShieldAlt /> Compared With Average</h4>
+        <ul>
+          {comparison.categories.map(category => (
+            <li key={category.offense} className={category.percentDifference > 0 ? 'above-baseline' : 'below-baseline'}>
+              {describeBaselineDifference(category, comparison.label)}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  // Explain why a route was recommended
+  const renderRecommendationReasons = (route) => {
+    if (!recommendation || recommendation.routeId !== route.id || recommendation.reasons.length === 0) {
+      return null;
+    }
+    
+    return (
+      <div className="recommendation-reasons">
+        <h4><FaCheckCircle /> Why this route</h4>
+        <ul>
+          {recommendation.reasons.map((reason, index) => (
+            <li key={`reason-${index}`}>{reason}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  // Render when the selected route's score applies, and whether it is dark then
+  const renderScoreTime = (route) => {
+    if (!route.departureTime) return null;
+    
+    const start = (route.points || route.path || [])[0];
+    const lightLabel = start && (isDaylight(route.departureTime, start) ? ' (daylight)' : ' (after dark)');
+    
+    return (
+      <div className="route-detail-item">
+        <strong>Scored For:</strong> {formatScoreTime(route.departureTime)}{lightLabel}
+      </div>
+    );
+  };
+
   // Toggle map overlays
   const handleToggleOverlay = (type) => {
     toggleOverlay(type);
   };
 
+  // Render the worst-segment summary for a route, if it was scored per segment
+  const renderSegmentSummary = (route) => {
+    const summary = route.segmentSummary;
+    if (!summary || summary.minSegmentScore === null) return null;
+    
+    const worstSegment = route.segments && route.segments[summary.worstSegmentIndex];
+    const riskFactor = worstSegment && worstSegment.dominantRiskFactor;
+    
+    return (
+      <>
+        <div className="route-detail-item">
+          <strong>Least Safe Stretch:</strong> {summary.minSegmentScore}%
+          {riskFactor && ` (mainly ${riskFactor.label.toLowerCase()})`}
+        </div>
+        <div className="route-detail-item">
+          <strong>Below {summary.threshold}%:</strong> {Math.round(summary.shareBelowThreshold * 100)}% of the route
+        </div>
+        {summary.uncoveredDistance > 0 && (
+          <div className="route-detail-item">
+            <strong>No Data:</strong> {Math.round(summary.shareUncovered * 100)}% of the route
+          </div>
+        )}
+      </>
+    );
+  };
+
   // Render the route summary
   const renderRouteSummary = (route) => {
     const isSelected = selectedRoute && selectedRoute.id === route.id;
     const safetyScore = route.safetyScore.overall;
-    const safetyColor = getSafetyColor(safetyScore);
+    const isLowConfidence = route.safetyScore.confidenceLevel === 'low';
+    const safetyColor = getSafetyColor(safetyScore, route.safetyScore.confidenceLevel);
+    const baselineComparison = route.crimeData && route.crimeData.baselineComparison;
     
     return (
       <div 
@@ -55,18 +249,46 @@ const RoutePanel = () => {
         </div>
         
         <div className="route-safety">
-          <div className="safety-score" style={{ backgroundColor: safetyColor }}>
-            <span>{safetyScore}</span>
+          <div
+            className={`safety-score ${isLowConfidence ? 'low-confidence' : ''}`}
+            style={{ backgroundColor: safetyColor }}
+            title={isLowConfidence ? 'Low confidence - limited data behind this score' : undefined}
+          >
+            <span>{safetyScore === null ? '–' : safetyScore}{safetyScore !== null && isLowConfidence && '?'}</span>
           </div>
           <div className="safety-details">
             <h4>Safety Score</h4>
-            <div className="safety-factors">
-              <div className="safety-factor">
-                <FaShieldAlt /> Crime: {route.safetyScore.crime}%
+            {safetyScore === null && (
+              <div className="confidence-note">
+                <FaQuestionCircle /> No safety data for this route
               </div>
-              <div className="safety-factor">
-                <FaLightbulb /> Lighting: {route.safetyScore.lighting}%
+            )}
+            {isLowConfidence && (
+              <div className="confidence-note">
+                <FaQuestionCircle /> Low confidence: limited data
               </div>
+            )}
+            {route.departureTime && (
+              <div className="score-time">
+                <FaClock /> For {formatScoreTime(route.departureTime)}
+              </div>
+            )}
+            {baselineComparison && (
+              <div className={`baseline-comparison ${baselineComparison.headline.percentDifference > 0 ? 'above-baseline' : 'below-baseline'}`}>
+                {describeBaselineDifference(baselineComparison.headline, baselineComparison.label)}
+              </div>
+            )}
+            <div className="safety-factors">
+              {(route.safetyScore.factors || [])
+                .filter(factor => factor.score !== null)
+                .map(factor => {
+                  const FactorIcon = FACTOR_ICONS[factor.id] || FaCheckCircle;
+                  return (
+                    <div key={factor.id} className="safety-factor">
+                      <FactorIcon /> {factor.label}: {factor.score}%
+                    </div>
+                  );
+                })}
             </div>
           </div>
         </div>
@@ -129,6 +351,70 @@ const RoutePanel = () => {
         </div>
       </div>
       
+      <div className="ranking-strategy">
+        <label htmlFor="ranking-strategy">Rank by</label>
+        <select
+          id="ranking-strategy"
+          value={rankingStrategy || RANKING_STRATEGIES.AVERAGE}
+          onChange={(e) => setRankingStrategy(e.target.value)}
+        >
+          <option value={RANKING_STRATEGIES.AVERAGE}>Average safety</option>
+          <option value={RANKING_STRATEGIES.WORST_SEGMENT}>Least safe stretch</option>
+        </select>
+      </div>
+      
+      <div className="scoring-profile">
+        <label htmlFor="scoring-profile">Score for</label>
+        <select
+          id="scoring-profile"
+          value={scoringProfileOverride || ''}
+          onChange={(e) => setScoringProfileOverride(e.target.value || null)}
+        >
+          <option value="">Auto ({getScoringProfile(travelMode).label})</option>
+          {Object.values(SCORING_PROFILES).map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.label}</option>
+          ))}
+        </select>
+      </div>
+      
+      <div className="departure-time">
+        <label htmlFor="departure-time">Leaving at</label>
+        <input
+          id="departure-time"
+          type="datetime-local"
+          value={departureTime ? toDateTimeInputValue(departureTime) : ''}
+          onChange={(e) => handleDepartureTimeChange(e.target.value)}
+        />
+      </div>
+      
+      {setBaselineLevel && (
+        <div className="crime-baseline">
+          <label htmlFor="crime-baseline">Compare with</label>
+          <select
+            id="crime-baseline"
+            value={baselineLevel || BASELINE_LEVELS.CITY}
+            onChange={(e) => setBaselineLevel(e.target.value)}
+          >
+            <option value={BASELINE_LEVELS.CITY}>City average</option>
+            <option value={BASELINE_LEVELS.STATE}>State average</option>
+            <option value={BASELINE_LEVELS.NATIONAL}>National average</option>
+          </select>
+        </div>
+      )}
+      
+      {setRiskPreferences && (
+        <RiskPreferences preferences={riskPreferences} onChange={setRiskPreferences} />
+      )}
+      
+      <SafetyDataImports
+        crimeIncidentDataset={crimeIncidentDataset}
+        setCrimeIncidentDataset={setCrimeIncidentDataset}
+        lightingDataset={lightingDataset}
+        setLightingDataset={setLightingDataset}
+        emergencyServicesDataset={emergencyServicesDataset}
+        setEmergencyServicesDataset={setEmergencyServicesDataset}
+      />
+      
       <div className="routes-container">
         {routes.length > 0 ? (
           <>
@@ -151,8 +437,21 @@ const RoutePanel = () => {
             <strong>Duration:</strong> {selectedRoute.duration}
           </div>
           <div className="route-detail-item">
-            <strong>Overall Safety:</strong> {selectedRoute.safetyScore.overall}%
+            <strong>Overall Safety:</strong> {selectedRoute.safetyScore.overall === null
+              ? 'No data'
+              : `${selectedRoute.safetyScore.overall}%`}
           </div>
+          {renderScoreTime(selectedRoute)}
+          {selectedRoute.scoringProfile && (
+            <div className="route-detail-item">
+              <strong>Scored As:</strong> {getScoringProfile(selectedRoute.scoringProfile).label}
+            </div>
+          )}
+          {renderConfidence(selectedRoute)}
+          {renderSegmentSummary(selectedRoute)}
+          {renderRecommendationReasons(selectedRoute)}
+          {renderSeverityBreakdown(selectedRoute)}
+          {renderBaselineComparison(selectedRoute)}
           
           {/* Display FBI Crime Data API safety recommendations if available */}
           {selectedRoute.crimeData && (
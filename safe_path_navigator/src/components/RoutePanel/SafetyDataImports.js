@@ -0,0 +1,126 @@
+import React from 'react';
+import DatasetImport from './DatasetImport';
+import { importIncidentFile } from '../../utils/incidentImport';
+import { importStreetlightFile } from '../../utils/streetlightImport';
+import { parseOsmEmergencyServices } from '../../utils/emergencyServices';
+import { getIncidentData, getEmergencyServiceData } from '../../services/fbiCrimeDataProxyService';
+
+// Incident fields whose source column can be set by hand
+const INCIDENT_FIELDS = [
+  { id: 'lat', label: 'Latitude column' },
+  { id: 'lng', label: 'Longitude column' },
+  { id: 'occurredAt', label: 'Date column' },
+  { id: 'offense', label: 'Offense column' }
+];
+
+// Streetlight fields whose source column can be set by hand
+const STREETLIGHT_FIELDS = [
+  { id: 'lat', label: 'Latitude column' },
+  { id: 'lng', label: 'Longitude column' },
+  { id: 'lumens', label: 'Lumens column' },
+  { id: 'wattage', label: 'Wattage column' },
+  { id: 'status', label: 'Status column' }
+];
+
+/**
+ * Import controls for the datasets that replace the demo safety data
+ * @param {Object} props - Component props
+ * @param {Object|null} props.crimeIncidentDataset - Imported crime incidents ({ name, incidents, rejectedCount })
+ * @param {Function} props.setCrimeIncidentDataset - Replaces the imported crime incidents
+ * @param {Object|null} props.lightingDataset - Imported streetlights ({ name, streetlights, rejectedCount })
+ * @param {Function} props.setLightingDataset - Replaces the imported streetlights
+ * @param {Object|null} props.emergencyServicesDataset - Imported emergency services ({ name, services, rejectedCount })
+ * @param {Function} props.setEmergencyServicesDataset - Replaces the imported emergency services
+ * @PUBLIC_INTERFACE
+ */
+const SafetyDataImports = ({
+  crimeIncidentDataset,
+  setCrimeIncidentDataset,
+  lightingDataset,
+  setLightingDataset,
+  emergencyServicesDataset,
+  setEmergencyServicesDataset
+}) => (
+  <>
+    {setCrimeIncidentDataset && (
+      <DatasetImport
+        id="incident"
+        title="Crime incident data"
+        itemLabel="incidents"
+        fields={INCIDENT_FIELDS}
+        importFile={(content, options) => {
+          const { incidents, rejected } = importIncidentFile(content, options);
+          return { items: incidents, rejected };
+        }}
+        loadFromServer={async () => {
+          const data = await getIncidentData();
+          return data && { name: data.source, items: data.incidents, rejectedCount: data.rejectedCount };
+        }}
+        dataset={crimeIncidentDataset && {
+          name: crimeIncidentDataset.name,
+          itemCount: crimeIncidentDataset.incidents.length,
+          rejectedCount: crimeIncidentDataset.rejectedCount
+        }}
+        onChange={(data) => setCrimeIncidentDataset(data && {
+          name: data.name,
+          incidents: data.items,
+          rejectedCount: data.rejectedCount
+        })}
+      />
+    )}
+
+    {setLightingDataset && (
+      <DatasetImport
+        id="streetlight"
+        title="Streetlight inventory"
+        itemLabel="streetlights"
+        fields={STREETLIGHT_FIELDS}
+        importFile={(content, options) => {
+          const { streetlights, rejected } = importStreetlightFile(content, options);
+          return { items: streetlights, rejected };
+        }}
+        dataset={lightingDataset && {
+          name: lightingDataset.name,
+          itemCount: lightingDataset.streetlights.length,
+          rejectedCount: lightingDataset.rejectedCount
+        }}
+        onChange={(data) => setLightingDataset(data && {
+          name: data.name,
+          streetlights: data.items,
+          rejectedCount: data.rejectedCount
+        })}
+      />
+    )}
+
+    {setEmergencyServicesDataset && (
+      <DatasetImport
+        id="emergency"
+        title="Emergency services (OpenStreetMap)"
+        itemLabel="emergency services"
+        fields={[]}
+        importFile={(content) => {
+          const { services, rejected } = parseOsmEmergencyServices(content);
+          return { items: services, rejected };
+        }}
+        accept=".json,.geojson"
+        fileLabel="Overpass JSON or GeoJSON file"
+        loadFromServer={async () => {
+          const data = await getEmergencyServiceData();
+          return data && { name: data.source, items: data.services, rejectedCount: data.rejectedCount };
+        }}
+        dataset={emergencyServicesDataset && {
+          name: emergencyServicesDataset.name,
+          itemCount: emergencyServicesDataset.services.length,
+          rejectedCount: emergencyServicesDataset.rejectedCount
+        }}
+        onChange={(data) => setEmergencyServicesDataset(data && {
+          name: data.name,
+          services: data.items,
+          rejectedCount: data.rejectedCount
+        })}
+      />
+    )}
+  </>
+);
+
+export default SafetyDataImports;
@@ -1,15 +1,19 @@
 import React from 'react';
 import { HeatmapLayer } from '@react-google-maps/api';
-import { mockCrimeData } from '../../utils/safetyUtils';
+import { useMapContext } from '../../context/MapContext';
 // Make sure parent component has LoadScript with libraries={['visualization']}
 
 /**
  * Component to render a heatmap overlay for crime data
  * @param {boolean} visible - Whether the heatmap should be visible
+ * @param {Array<Object>} incidents - Crime incidents {lat, lng, weight} (default: the map context's incidents)
  * @requires LoadScript or useJsApiLoader with libraries={['visualization']} in parent component
  * @PUBLIC_INTERFACE
  */
-const SafetyHeatmap = ({ visible = false }) => {
+const SafetyHeatmap = ({ visible = false, incidents: incidentsProp }) => {
+  const { crimeIncidents } = useMapContext();
+  const incidents = incidentsProp || crimeIncidents;
+
   // Skip rendering if not visible
   if (!visible) return null;
   
@@ -38,9 +42,9 @@ const SafetyHeatmap = ({ visible = false }) => {
     ]
   };
 
-  // Convert the mock data points to Google Maps LatLng objects with weights
+  // Convert the incidents to Google Maps LatLng objects with weights
   // HeatmapLayer accepts both simple LatLng objects or {location, weight} objects
-  const heatmapData = mockCrimeData.map(point => ({
+  const heatmapData = incidents.map(point => ({
     location: new window.google.maps.LatLng(point.lat, point.lng),
     weight: point.weight
   }));
@@ -1,15 +1,29 @@
 import React from 'react';
 import { Marker } from '@react-google-maps/api';
-import { mockLightingData, mockEmergencyServices } from '../../utils/safetyUtils';
+import { useMapContext } from '../../context/MapContext';
+import { LIGHTING_LEVELS } from '../../utils/streetlightImport';
+import { describeEmergencyService } from '../../utils/emergencyServices';
 
 /**
  * Component to render safety-related markers like lighting and emergency services
  * @param {Object} props - Component props
  * @param {boolean} props.showLighting - Whether to show lighting markers
  * @param {boolean} props.showEmergency - Whether to show emergency service markers
+ * @param {Array<Object>} props.lightingData - Street lights {lat, lng, level} (default: the map context's lights)
+ * @param {Array<Object>} props.emergencyServices - Emergency services {lat, lng, type, name, phone, openingHours}
+ *   (default: the map context's services)
  * @PUBLIC_INTERFACE
  */
-const SafetyMarkers = ({ showLighting = false, showEmergency = false }) => {
+const SafetyMarkers = ({
+  showLighting = false,
+  showEmergency = false,
+  lightingData: lightingDataProp,
+  emergencyServices: emergencyServicesProp
+}) => {
+  const context = useMapContext();
+  const lightingData = lightingDataProp || context.lightingData;
+  const emergencyServices = emergencyServicesProp || context.emergencyServices;
+
   // Skip rendering if nothing is visible
   if (!showLighting && !showEmergency) return null;
   
@@ -42,6 +56,11 @@ const SafetyMarkers = ({ showLighting = false, showEmergency = false }) => {
           url: 'https://maps.google.com/mapfiles/ms/icons/firedept.png',
           scaledSize: new window.google.maps.Size(32, 32)
         };
+      case 'pharmacy':
+        return {
+          url: 'https://maps.google.com/mapfiles/ms/icons/pharmacy-us.png',
+          scaledSize: new window.google.maps.Size(32, 32)
+        };
       default:
         return null;
     }
@@ -49,23 +68,26 @@ const SafetyMarkers = ({ showLighting = false, showEmergency = false }) => {
 
   return (
     <>
-      {/* Render lighting markers if enabled */}
-      {showLighting && mockLightingData.map((point, index) => (
+      {/* Render lighting markers if enabled, dimming broken lights */}
+      {showLighting && lightingData.map((point, index) => (
         <Marker
           key={`light-${index}`}
           position={{ lat: point.lat, lng: point.lng }}
           icon={lightingIcon}
-          title={`Street Light - ${point.level} brightness`}
+          opacity={point.level === LIGHTING_LEVELS.OFF ? 0.4 : 1}
+          title={point.level === LIGHTING_LEVELS.OFF
+            ? 'Street Light - out of service'
+            : `Street Light - ${point.level} brightness`}
         />
       ))}
       
       {/* Render emergency service markers if enabled */}
-      {showEmergency && mockEmergencyServices.map((service, index) => (
+      {showEmergency && emergencyServices.map((service, index) => (
         <Marker
           key={`emergency-${index}`}
           position={{ lat: service.lat, lng: service.lng }}
           icon={getEmergencyIcon(service.type)}
-          title={service.name}
+          title={describeEmergencyService(service)}
         />
       ))}
     </>
@@ -1,5 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { getCrimeStatsByCoordinates, getCrimeStatsByLocation, getSafetyRecommendations } from '../services/fbiCrimeDataService';
+import {
+  getCrimeStatsByCoordinates,
+  getCrimeStatsByLocation,
+  getSafetyRecommendations,
+  CRIME_DATA_SOURCES,
+  DEFAULT_CRIME_DATA_SOURCE
+} from '../services/fbiCrimeDataService';
 
 /**
  * TestFBIApi component demonstrates the integration of the FBI Crime Data API
@@ -17,6 +23,7 @@ const TestFBIApi = () => {
   // State for form inputs
   const [coordinates, setCoordinates] = useState({ lat: 37.7749, lng: -122.4194 }); // Default: San Francisco
   const [location, setLocation] = useState({ state: 'CA', city: 'San Francisco' });
+  const [dataSource, setDataSource] = useState(DEFAULT_CRIME_DATA_SOURCE);
   
   // Handle input changes for coordinates
   const handleCoordinateChange = (e, field) => {
@@ -39,7 +46,7 @@ const TestFBIApi = () => {
     try {
       let data;
       if (searchMode === 'coordinates') {
-        data = await getCrimeStatsByCoordinates(coordinates.lat, coordinates.lng);
+        data = await getCrimeStatsByCoordinates(coordinates.lat, coordinates.lng, 1, { source: dataSource });
       } else {
         data = await getCrimeStatsByLocation(location.state, location.city);
       }
@@ -135,6 +142,18 @@ const TestFBIApi = () => {
                 style={{ marginLeft: '5px', padding: '5px' }}
               />
             </div>
+            <div>
+              <label htmlFor="data-source">Data:</label>
+              <select
+                id="data-source"
+                value={dataSource}
+                onChange={(e) => setDataSource(e.target.value)}
+                style={{ marginLeft: '5px', padding: '5px' }}
+              >
+                <option value={CRIME_DATA_SOURCES.FBI}>Nearest FBI agency</option>
+                <option value={CRIME_DATA_SOURCES.SYNTHETIC}>Synthetic demo data</option>
+              </select>
+            </div>
           </div>
         ) : (
           <div className="location-inputs" style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
@@ -193,7 +212,13 @@ const TestFBIApi = () => {
           <div className="data-section" style={{ backgroundColor: '#f5f5f5', padding: '15px', borderRadius: '4px', marginBottom: '20px' }}>
             <h4>Location Information</h4>
             {searchMode === 'coordinates' ? (
-              <p>Coordinates: {crimeData.coordinates.lat}, {crimeData.coordinates.lng}</p>
+              <>
+                <p>Coordinates: {crimeData.coordinates.lat}, {crimeData.coordinates.lng}</p>
+                {crimeData.agency && (
+                  <p>Reporting agency: {crimeData.agency.name} ({crimeData.agency.ori}), {crimeData.year} data</p>
+                )}
+                {crimeData.isMock && <p>Synthetic demo data</p>}
+              </>
             ) : (
               <p>Location: {location.city}, {location.state}</p>
             )}
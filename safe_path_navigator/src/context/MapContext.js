@@ -1,10 +1,34 @@
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
-import { calculateSafetyScore } from '../utils/safetyUtils';
-import { getCrimeStatsByCoordinates } from '../services/fbiCrimeDataService';
+import React, { createContext, useState, useContext, useEffect, useCallback, useMemo } from 'react';
+import { scoreRoutePath } from '../utils/routeScoring';
+import { RANKING_STRATEGIES } from '../utils/routeRanking';
+import { loadRiskPreferences, saveRiskPreferences, recommendRoute } from '../utils/riskPreferences';
+import { getScoringProfile } from '../utils/scoringProfiles';
+import { BASELINE_LEVELS } from '../utils/crimeBaselines';
+import { boundingBoxOfPoints, expandBoundingBox } from '../utils/geoUtils';
+import { getTimeZoneOffset } from '../utils/localTime';
+import { subscribeToCrimeBaseline } from '../services/crimeBaselineService';
+import { loadSafetyLayers } from '../services/safetyDataProviders';
+import { useSafetyDataProvider } from './SafetyDataSourceContext';
 
 // Create context
 const MapContext = createContext();
 
+// Safety data this far around a route can change its score (the reach of the emergency services factor)
+const ROUTE_DATA_MARGIN_METERS = 2000;
+
+/**
+ * UTC offset of the clock a Directions route starts on at the departure time: the time zone
+ * Directions gives the first leg's departure (transit routes), or else the device's
+ * @private
+ */
+const getRouteUtcOffset = (route, departureTime) => {
+  if (!departureTime) return null;
+
+  const departure = route.legs && route.legs[0] && route.legs[0].departure_time;
+  const offset = departure && departure.time_zone ? getTimeZoneOffset(departureTime, departure.time_zone) : null;
+  return offset !== null ? offset : -departureTime.getTimezoneOffset();
+};
+
 /**
  * MapProvider component provides map-related state and functionality for the application
  * 
@@ -14,6 +38,7 @@ const MapContext = createContext();
  * @returns {JSX.Element} MapProvider component
  */
 export const MapProvider = ({ children }) => {
+  const safetyDataProvider = useSafetyDataProvider();
   const [map, setMap] = useState(null);
   const [origin, setOrigin] = useState(null);
   const [destination, setDestination] = useState(null);
@@ -24,6 +49,35 @@ export const MapProvider = ({ children }) => {
   const [showSafetyHeatmap, setShowSafetyHeatmap] = useState(false);
   const [showSafetyMarkers, setShowSafetyMarkers] = useState(true);
   const [travelMode, setTravelMode] = useState('WALKING');
+  const [rankingStrategy, setRankingStrategy] = useState(RANKING_STRATEGIES.AVERAGE);
+  const [departureTime, setDepartureTime] = useState(() => new Date());
+  // Scoring profile id chosen by the user; null follows the travel mode
+  const [scoringProfileOverride, setScoringProfileOverride] = useState(null);
+  const scoringProfile = getScoringProfile(scoringProfileOverride || travelMode);
+  const [riskPreferences, setRiskPreferences] = useState(() => loadRiskPreferences());
+  const [recommendation, setRecommendation] = useState(null);
+  // Average crime is compared against (city, state or national)
+  const [baselineLevel, setBaselineLevel] = useState(BASELINE_LEVELS.CITY);
+  const [crimeBaseline, setCrimeBaseline] = useState(null);
+  // Crime incidents, street lights and emergency services from the safety data provider, around the trip
+  const [providerLayers, setProviderLayers] = useState({ crimeData: null, lightingData: null, emergencyServices: null });
+  // Imported incident-level crime data ({ name, incidents, rejectedCount }); null uses the provider's incidents
+  const [crimeIncidentDataset, setCrimeIncidentDataset] = useState(null);
+  const crimeIncidents = crimeIncidentDataset ? crimeIncidentDataset.incidents : (providerLayers.crimeData || []);
+  // Imported streetlight inventory ({ name, streetlights, rejectedCount }); null uses the provider's lights
+  const [lightingDataset, setLightingDataset] = useState(null);
+  const lightingData = lightingDataset ? lightingDataset.streetlights : (providerLayers.lightingData || []);
+  // Emergency services loaded from OpenStreetMap ({ name, services, rejectedCount }); null uses the provider's services
+  const [emergencyServicesDataset, setEmergencyServicesDataset] = useState(null);
+  const emergencyServices = emergencyServicesDataset
+    ? emergencyServicesDataset.services
+    : (providerLayers.emergencyServices || []);
+  // Area the map layers are loaded for: around the origin and destination, or everything before a trip is set
+  const dataArea = useMemo(() => (
+    origin && destination
+      ? expandBoundingBox(boundingBoxOfPoints([origin, destination]), ROUTE_DATA_MARGIN_METERS)
+      : null
+  ), [origin, destination]);
   
   // Places-related state
   const [selectedPlace, setSelectedPlace] = useState(null);
@@ -38,10 +92,29 @@ export const MapProvider = ({ children }) => {
     }
   }, [map]);
 
-  // Calculate routes when origin, destination or travel mode changes
+  // Load the map layers from the safety data provider
+  useEffect(() => {
+    let active = true;
+    loadSafetyLayers(safetyDataProvider, dataArea).then((layers) => {
+      if (active) setProviderLayers(layers);
+    });
+    return () => {
+      active = false;
+    };
+  }, [safetyDataProvider, dataArea]);
+
+  // Load the selected crime baseline and keep it refreshed
+  useEffect(() => (
+    subscribeToCrimeBaseline(baselineLevel, {}, setCrimeBaseline)
+  ), [baselineLevel]);
+
+  // Calculate routes when origin, destination, travel mode, departure time, scoring profile,
+  // crime baseline, safety data provider or imported crime incidents, streetlights or emergency services change
   useEffect(() => {
     if (!origin || !destination || !window.google) return;
 
+    // Results of a calculation the inputs have since changed under are dropped
+    let active = true;
     const calculateRoutes = async () => {
       try {
         setIsLoading(true);
@@ -76,54 +149,81 @@ export const MapProvider = ({ children }) => {
               lng: point.lng()
             }));
             
-            // Sample points along the route for crime data
-            const sampleSize = Math.min(5, Math.max(3, Math.floor(points.length / 10)));
-            const sampledPoints = [];
-            
-            for (let i = 0; i < sampleSize; i++) {
-              const pointIndex = Math.floor(i * (points.length / sampleSize));
-              sampledPoints.push(points[pointIndex]);
-            }
-            
-            // Get crime data for the sampled points
-            const crimeDataPromises = sampledPoints.map(point =>
-              getCrimeStatsByCoordinates(point.lat, point.lng)
-                .catch(() => ({ violent_crime: 0, property_crime: 0 }))
+            // Layers the provider has no data for reach the scorers as null and are left out of
+            // the score; only the mock provider has the demo datasets fill them in
+            const routeLayers = loadSafetyLayers(
+              safetyDataProvider,
+              expandBoundingBox(boundingBoxOfPoints(points), ROUTE_DATA_MARGIN_METERS)
             );
             
-            const crimeDataResults = await Promise.all(crimeDataPromises);
-            
-            // Calculate safety score based on crime data
-            const safetyScore = calculateSafetyScore(crimeDataResults);
+            // Score the route geometry and the crime near it, including per-segment scores; hours
+            // and weekdays are read on the route's clock, as the proxy reads them
+            const utcOffsetMinutes = getRouteUtcOffset(route, departureTime);
+            const { safetyScore, segments, segmentSummary, crimeData } = await scoreRoutePath({
+              points,
+              getCrimeNearPoint: safetyDataProvider.getCrimeNearPoint,
+              departureTime,
+              utcOffsetMinutes,
+              scoringProfile,
+              crimeBaseline,
+              useMockData: Boolean(safetyDataProvider.isMock),
+              layers: routeLayers.then(layers => ({
+                ...layers,
+                // Imported datasets take precedence over the provider's data
+                ...(crimeIncidentDataset && { crimeData: crimeIncidentDataset.incidents }),
+                ...(lightingDataset && { lightingData: lightingDataset.streetlights }),
+                ...(emergencyServicesDataset && { emergencyServices: emergencyServicesDataset.services })
+              }))
+            });
             
             return {
               ...route,
+              id: `route-${index + 1}`,
               index,
               points,
               safetyScore,
+              segments,
+              segmentSummary,
+              crimeData,
+              departureTime,
+              utcOffsetMinutes,
+              scoringProfile: scoringProfile.id,
               duration: route.legs.reduce((total, leg) => total + leg.duration.value, 0),
               distance: route.legs.reduce((total, leg) => total + leg.distance.value, 0)
             };
           })
         );
         
+        if (!active) return;
         setRoutes(processedRoutes);
-        
-        // Select the safest route by default
-        if (processedRoutes.length > 0) {
-          const safestRoute = [...processedRoutes].sort((a, b) => b.safetyScore - a.safetyScore)[0];
-          setSelectedRoute(safestRoute);
-        }
-        
         setIsLoading(false);
       } catch (err) {
+        if (!active) return;
         setError(err.message);
         setIsLoading(false);
       }
     };
 
     calculateRoutes();
-  }, [origin, destination, travelMode]);
+    return () => {
+      active = false;
+    };
+  }, [origin, destination, travelMode, departureTime, scoringProfile, crimeBaseline, safetyDataProvider,
+    crimeIncidentDataset, lightingDataset, emergencyServicesDataset]);
+
+  // Save risk preferences whenever they change
+  useEffect(() => {
+    saveRiskPreferences(riskPreferences);
+  }, [riskPreferences]);
+
+  // Select the route that best fits the user's risk preferences by default
+  useEffect(() => {
+    const recommended = recommendRoute(routes, riskPreferences, rankingStrategy);
+    setRecommendation(recommended && { routeId: recommended.route.id, reasons: recommended.reasons });
+    if (recommended) {
+      setSelectedRoute(recommended.route);
+    }
+  }, [routes, riskPreferences, rankingStrategy]);
 
   // Handle place selection from PlacesSearch component
   const handlePlaceSelect = useCallback((place) => {
@@ -161,6 +261,7 @@ export const MapProvider = ({ children }) => {
     setDestination(null);
     setRoutes([]);
     setSelectedRoute(null);
+    setRecommendation(null);
     setError(null);
     setSelectedPlace(null);
     setPlaceDetails(null);
@@ -194,6 +295,28 @@ export const MapProvider = ({ children }) => {
     setShowSafetyMarkers,
     travelMode,
     setTravelMode,
+    rankingStrategy,
+    setRankingStrategy,
+    departureTime,
+    setDepartureTime,
+    scoringProfile,
+    scoringProfileOverride,
+    setScoringProfileOverride,
+    riskPreferences,
+    setRiskPreferences,
+    recommendation,
+    baselineLevel,
+    setBaselineLevel,
+    crimeBaseline,
+    crimeIncidentDataset,
+    setCrimeIncidentDataset,
+    crimeIncidents,
+    lightingDataset,
+    setLightingDataset,
+    lightingData,
+    emergencyServicesDataset,
+    setEmergencyServicesDataset,
+    emergencyServices,
     resetState,
     // Places-related values
     selectedPlace,
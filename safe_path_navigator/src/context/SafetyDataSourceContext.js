@@ -0,0 +1,41 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { createSafetyDataProvider } from '../services/safetyDataProviders';
+
+// Create context
+const SafetyDataSourceContext = createContext(null);
+
+// Provider for components rendered outside a SafetyDataSourceProvider, created on first use
+let defaultProvider = null;
+
+/**
+ * SafetyDataSourceProvider makes a safety data provider available to the components below it
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} props - Component props
+ * @param {Object} props.provider - Safety data provider (see services/safetyDataProviders.js);
+ *   defaults to the one selected with REACT_APP_SAFETY_DATA_PROVIDER
+ * @param {ReactNode} props.children - Child components
+ * @returns {JSX.Element} SafetyDataSourceProvider component
+ */
+export const SafetyDataSourceProvider = ({ provider = null, children }) => {
+  const value = useMemo(() => provider || createSafetyDataProvider(), [provider]);
+  return <SafetyDataSourceContext.Provider value={value}>{children}</SafetyDataSourceContext.Provider>;
+};
+
+/**
+ * Hook to access the current safety data provider
+ *
+ * @PUBLIC_INTERFACE
+ * @returns {Object} The SafetyDataSourceProvider's provider, or the configured default provider
+ */
+export const useSafetyDataProvider = () => {
+  const provider = useContext(SafetyDataSourceContext);
+  if (provider) return provider;
+
+  if (!defaultProvider) {
+    defaultProvider = createSafetyDataProvider();
+  }
+  return defaultProvider;
+};
+
+export default SafetyDataSourceContext;
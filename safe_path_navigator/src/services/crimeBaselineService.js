@@ -0,0 +1,174 @@
+/**
+ * Crime Baseline Service
+ * Loads the city, state and national crime averages that route scores are
+ * compared against. Baselines are cached in memory and localStorage and
+ * refreshed on a schedule, since the underlying estimates change at most yearly.
+ */
+import { getNationalCrimeTrends, getStateCrimeEstimates } from './fbiCrimeDataService';
+import { getMockSafetyDataset, DEMO_CITY } from '../utils/safetyUtils';
+import { getSyntheticBaselineRates } from '../utils/syntheticData';
+import { BASELINE_LEVELS, buildBaselineFromEstimates } from '../utils/crimeBaselines';
+
+// localStorage key for cached baselines
+export const CRIME_BASELINE_STORAGE_KEY = 'safePathCrimeBaselines';
+
+// How long a cached baseline is used before it is fetched again (default: one day)
+export const BASELINE_REFRESH_INTERVAL_MS = Number(process.env.REACT_APP_BASELINE_REFRESH_MS) || 24 * 60 * 60 * 1000;
+
+// Baselines loaded during this session, by cache key
+const memoryCache = {};
+
+/**
+ * Cache key for a baseline level and region
+ * @private
+ */
+const getCacheKey = (level, state) => (level === BASELINE_LEVELS.STATE ? `${level}:${state}` : level);
+
+/**
+ * Read every cached baseline from storage
+ * @private
+ */
+const readStoredBaselines = (storage) => {
+  try {
+    const saved = storage.getItem(CRIME_BASELINE_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error loading crime baselines from localStorage:', error);
+    return {};
+  }
+};
+
+/**
+ * Add a baseline to the stored cache
+ * @private
+ */
+const writeStoredBaseline = (storage, cacheKey, baseline) => {
+  try {
+    const stored = readStoredBaselines(storage);
+    storage.setItem(CRIME_BASELINE_STORAGE_KEY, JSON.stringify({ ...stored, [cacheKey]: baseline }));
+  } catch (error) {
+    console.error('Error saving crime baselines to localStorage:', error);
+  }
+};
+
+/**
+ * Whether a cached baseline is recent enough to use without fetching
+ * @private
+ */
+const isFresh = (baseline, now) => {
+  const fetchedAt = Date.parse(baseline.fetchedAt);
+  return Number.isFinite(fetchedAt) && now.getTime() - fetchedAt < BASELINE_REFRESH_INTERVAL_MS;
+};
+
+/**
+ * Fetch a baseline from its data source
+ * @private
+ */
+const fetchBaseline = async (level, state) => {
+  if (level === BASELINE_LEVELS.NATIONAL) {
+    const trends = await getNationalCrimeTrends();
+    return buildBaselineFromEstimates(trends, { level, label: 'the national average' });
+  }
+
+  if (level === BASELINE_LEVELS.STATE) {
+    const estimates = await getStateCrimeEstimates(state);
+    return buildBaselineFromEstimates(estimates, { level, label: `the ${state} average` });
+  }
+
+  // The FBI publishes no city-wide estimates; until per-agency data is wired in, the demo
+  // city's average comes from the synthetic dataset the route samples are drawn from
+  return {
+    level: BASELINE_LEVELS.CITY,
+    label: 'the city average',
+    rates: getSyntheticBaselineRates(getMockSafetyDataset()),
+    year: null,
+    fetchedAt: new Date().toISOString(),
+    isMock: true
+  };
+};
+
+/**
+ * Get the crime baseline for a level, from the cache while it is fresh
+ * If fetching fails, a stale cached baseline is returned rather than none.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} level - One of BASELINE_LEVELS (default: city)
+ * @param {Object} options - Lookup options
+ * @param {string} options.state - State abbreviation for state baselines (default: the demo city's state)
+ * @param {boolean} options.forceRefresh - Fetch even if the cached baseline is fresh
+ * @param {Date} options.now - Reference time for freshness (default: now)
+ * @param {Storage} options.storage - Persistent cache (default: localStorage)
+ * @returns {Promise<Object|null>} - Crime baseline (see crimeBaselines.CrimeBaseline), or null when unavailable
+ */
+export const getCrimeBaseline = async (level = BASELINE_LEVELS.CITY, options = {}) => {
+  const {
+    state = DEMO_CITY.state,
+    forceRefresh = false,
+    now = new Date(),
+    storage = window.localStorage
+  } = options;
+
+  const cacheKey = getCacheKey(level, state);
+  const cached = memoryCache[cacheKey] || readStoredBaselines(storage)[cacheKey] || null;
+  if (cached && !forceRefresh && isFresh(cached, now)) {
+    memoryCache[cacheKey] = cached;
+    return cached;
+  }
+
+  let fetched = null;
+  try {
+    fetched = await fetchBaseline(level, state);
+  } catch (error) {
+    console.error(`Error fetching the ${level} crime baseline:`, error);
+  }
+  if (!fetched) return cached;
+
+  memoryCache[cacheKey] = fetched;
+  writeStoredBaseline(storage, cacheKey, fetched);
+  return fetched;
+};
+
+/**
+ * Load a baseline now and keep it refreshed on a schedule
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} level - One of BASELINE_LEVELS
+ * @param {Object} options - Options for getCrimeBaseline, plus:
+ * @param {number} options.refreshIntervalMs - Time between refreshes (default: BASELINE_REFRESH_INTERVAL_MS)
+ * @param {Function} onBaseline - Called with each baseline that loads
+ * @returns {Function} - Stops the refreshes
+ */
+export const subscribeToCrimeBaseline = (level, options, onBaseline) => {
+  const { refreshIntervalMs = BASELINE_REFRESH_INTERVAL_MS, ...lookupOptions } = options || {};
+  let active = true;
+
+  const load = async (forceRefresh) => {
+    const baseline = await getCrimeBaseline(level, { ...lookupOptions, forceRefresh });
+    if (active && baseline) {
+      onBaseline(baseline);
+    }
+  };
+
+  load(false);
+  const timer = setInterval(() => load(true), refreshIntervalMs);
+
+  return () => {
+    active = false;
+    clearInterval(timer);
+  };
+};
+
+/**
+ * Forget every cached baseline, in memory and in storage
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Storage} storage - Persistent cache (default: localStorage)
+ */
+export const clearCrimeBaselineCache = (storage = window.localStorage) => {
+  Object.keys(memoryCache).forEach(key => delete memoryCache[key]);
+  try {
+    storage.removeItem(CRIME_BASELINE_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing crime baselines from localStorage:', error);
+  }
+};
@@ -0,0 +1,263 @@
+/**
+ * Persistent cache for crime lookups by coordinates
+ * Route alternatives and repeat trips sample the same neighborhoods over and over.
+ * Lookups are cached per data source and geohash cell in IndexedDB, so they survive
+ * reloads, and expire after a time that depends on how often the source changes.
+ * Concurrent lookups of the same cell share one request.
+ */
+import { encodeGeohash, decodeGeohashBounds } from '../utils/geohash';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// IndexedDB database and object store the cache lives in
+export const CRIME_CACHE_DATABASE = 'safePathNavigator';
+export const CRIME_CACHE_STORE = 'crimeLookups';
+
+// How long a cached lookup stays fresh, per data source; FBI figures change once a year
+export const DEFAULT_CRIME_CACHE_TTLS = {
+  'fbi': 7 * MS_PER_DAY,
+  'fbi-proxy': 7 * MS_PER_DAY,
+  'synthetic': MS_PER_HOUR
+};
+
+// Time to live for sources without their own
+const DEFAULT_TTL_MS = MS_PER_DAY;
+
+// Geohash length of a cache cell (about 150 m across)
+const DEFAULT_CELL_PRECISION = 7;
+
+/**
+ * Cached crime lookup
+ * @typedef {Object} CrimeCacheEntry
+ * @property {string} key - Source and geohash, e.g. 'fbi:9q8yyk8'
+ * @property {string} source - Data source
+ * @property {string} geohash - Cell the lookup was made in
+ * @property {*} value - Lookup result
+ * @property {number} storedAt - When the result was stored (ms since epoch)
+ * @property {number} expiresAt - When the result goes stale (ms since epoch)
+ */
+
+/**
+ * Resolve an IndexedDB request
+ * @private
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Entry store backed by IndexedDB
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Store options
+ * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: window.indexedDB)
+ * @param {string} options.databaseName - Database name (default: CRIME_CACHE_DATABASE)
+ * @param {string} options.storeName - Object store name (default: CRIME_CACHE_STORE)
+ * @returns {Object} - Store with async get, put, delete, getAll and clear
+ */
+export const createIndexedDbStore = ({
+  indexedDB = window.indexedDB,
+  databaseName = CRIME_CACHE_DATABASE,
+  storeName = CRIME_CACHE_STORE
+} = {}) => {
+  let database = null;
+
+  // Open the database on first use, creating the object store
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: 'key' });
+      };
+      database = requestToPromise(request);
+    }
+    return database;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    return requestToPromise(operation(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+
+  return {
+    get: async key => (await run('readonly', store => store.get(key))) || null,
+    put: entry => run('readwrite', store => store.put(entry)),
+    delete: key => run('readwrite', store => store.delete(key)),
+    getAll: () => run('readonly', store => store.getAll()),
+    clear: () => run('readwrite', store => store.clear())
+  };
+};
+
+/**
+ * Entry store kept in memory, for browsers without IndexedDB and for tests
+ *
+ * @PUBLIC_INTERFACE
+ * @returns {Object} - Store with async get, put, delete, getAll and clear
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    get: async key => entries.get(key) || null,
+    put: async (entry) => {
+      entries.set(entry.key, entry);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    getAll: async () => [...entries.values()],
+    clear: async () => {
+      entries.clear();
+    }
+  };
+};
+
+/**
+ * IndexedDB when the browser has it, otherwise memory
+ * @private
+ */
+const createDefaultStore = () => (
+  typeof window !== 'undefined' && window.indexedDB ? createIndexedDbStore() : createMemoryStore()
+);
+
+/**
+ * Create a crime lookup cache
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Entry store (default: IndexedDB, or memory without it)
+ * @param {Object} options.ttls - Time to live in ms per source, merged over DEFAULT_CRIME_CACHE_TTLS
+ * @param {number} options.precision - Geohash length of a cell (default: 7, about 150 m)
+ * @param {Function} options.now - Current time in ms (default: Date.now)
+ * @returns {Object} - Cache with lookup(source, lat, lng, fetchValue), inspect() and
+ *   clear({ source, expiredOnly })
+ */
+export const createCrimeLookupCache = ({
+  store = createDefaultStore(),
+  ttls = {},
+  precision = DEFAULT_CELL_PRECISION,
+  now = Date.now
+} = {}) => {
+  const ttlBySource = { ...DEFAULT_CRIME_CACHE_TTLS, ...ttls };
+  const inFlight = new Map();
+  const counters = { hits: 0, misses: 0, deduplicated: 0 };
+
+  const getTtl = source => (ttlBySource[source] !== undefined ? ttlBySource[source] : DEFAULT_TTL_MS);
+
+  // A store that fails (private browsing, full disk) only costs the cache, never the lookup
+  const readEntry = async (key) => {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.error('Error reading the crime lookup cache:', error);
+      return null;
+    }
+  };
+  const writeEntry = async (entry) => {
+    try {
+      await store.put(entry);
+    } catch (error) {
+      console.error('Error writing the crime lookup cache:', error);
+    }
+  };
+
+  /**
+   * Cached value for a source and location, fetched when missing or stale; failed lookups
+   * (null or undefined) are not cached
+   */
+  const lookup = (source, lat, lng, fetchValue) => {
+    const geohash = encodeGeohash(lat, lng, precision);
+    const key = `${source}:${geohash}`;
+
+    if (inFlight.has(key)) {
+      counters.deduplicated++;
+      return inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      const cached = await readEntry(key);
+      if (cached && cached.expiresAt > now()) {
+        counters.hits++;
+        return cached.value;
+      }
+
+      counters.misses++;
+      const value = await fetchValue();
+      if (value !== null && value !== undefined) {
+        const storedAt = now();
+        await writeEntry({ key, source, geohash, value, storedAt, expiresAt: storedAt + getTtl(source) });
+      }
+      return value;
+    })();
+
+    inFlight.set(key, pending);
+    const settle = () => inFlight.delete(key);
+    pending.then(settle, settle);
+    return pending;
+  };
+
+  /**
+   * What the cache holds, per entry and per source, with hit and miss counts
+   * @returns {Promise<Object>} - { entries: [{ key, source, geohash, bounds, storedAt, expiresAt, expired }],
+   *   sources: { [source]: { entries, expired, ttlMs } }, inFlight, hits, misses, deduplicated }
+   */
+  const inspect = async () => {
+    const time = now();
+    const entries = (await store.getAll()).map(({ key, source, geohash, storedAt, expiresAt }) => ({
+      key,
+      source,
+      geohash,
+      bounds: decodeGeohashBounds(geohash),
+      storedAt,
+      expiresAt,
+      expired: expiresAt <= time
+    }));
+
+    const sources = entries.reduce((bySource, entry) => {
+      const summary = bySource[entry.source] || { entries: 0, expired: 0, ttlMs: getTtl(entry.source) };
+      return {
+        ...bySource,
+        [entry.source]: {
+          ...summary,
+          entries: summary.entries + 1,
+          expired: summary.expired + (entry.expired ? 1 : 0)
+        }
+      };
+    }, {});
+
+    return { entries, sources, inFlight: inFlight.size, ...counters };
+  };
+
+  /**
+   * Remove every cached lookup, or only one source's or only the stale ones
+   * @returns {Promise<number>} - Number of lookups removed
+   */
+  const clear = async ({ source = null, expiredOnly = false } = {}) => {
+    const time = now();
+    const entries = await store.getAll();
+    const doomed = entries.filter(entry => (
+      (!source || entry.source === source) && (!expiredOnly || entry.expiresAt <= time)
+    ));
+
+    if (doomed.length === entries.length) {
+      await store.clear();
+    } else {
+      await Promise.all(doomed.map(entry => store.delete(entry.key)));
+    }
+    return doomed.length;
+  };
+
+  return {
+    lookup,
+    inspect,
+    clear
+  };
+};
+
+/**
+ * Cache shared by the crime data services
+ * @PUBLIC_INTERFACE
+ */
+export const crimeLookupCache = createCrimeLookupCache();
@@ -3,10 +3,30 @@
  * Provides functionality to interact with the FBI Crime Data API
  * via the secure Express.js proxy server
  */
+import { scoreCrimeStats } from '../utils/scoringPipeline';
+import { agencyCatalog } from '../utils/agencyCatalog';
+import { normalizeAgencies } from '../utils/agencies';
+import { importIncidentRecords } from '../utils/incidentImport';
+import { parseOsmEmergencyServices } from '../utils/emergencyServices';
+import {
+  OffenseDataValidationError,
+  validateSummarizedOffenses,
+  summarizeOffensesByYear
+} from '../utils/offenseNormalization';
+import { createHttpClient } from './httpClient';
 
 // Proxy server configuration
 const PROXY_BASE_URL = process.env.REACT_APP_PROXY_SERVER_URL || 'http://localhost:3001';
 
+// Most items the proxy accepts in one batch request
+export const MAX_CRIME_BATCH_SIZE = 50;
+
+/**
+ * HTTP client for the proxy server, with retries and a circuit breaker
+ * @PUBLIC_INTERFACE
+ */
+export const proxyClient = createHttpClient({ name: 'SafePath proxy server' });
+
 /**
  * Check if the proxy server is available
  * 
@@ -36,23 +56,111 @@ export const checkProxyServer = async () => {
  * @param {string} state - State abbreviation (e.g., 'CA')
  * @param {string} city - City name (e.g., 'San Francisco')
  * @returns {Promise<Object>} - Crime statistics for the specified location
+ * @throws {HttpError} - NetworkError, ClientError, RateLimitError, ServerError, ParseError or
+ *   CircuitOpenError (see httpClient.js) when the request fails
  */
-export const getCrimeStatsByLocation = async (state, city) => {
-  try {
-    const url = `${PROXY_BASE_URL}/api/fbi/crime/location?state=${state}&city=${encodeURIComponent(city)}`;
-    
-    const response = await fetch(url);
+export const getCrimeStatsByLocation = (state, city) => (
+  proxyClient.getJson(`${PROXY_BASE_URL}/api/fbi/crime/location?state=${state}&city=${encodeURIComponent(city)}`)
+);
+
+/**
+ * Fetch crime statistics for many locations or agencies in one request
+ * Coordinates are matched to the nearest agency in the proxy's agency catalog.
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} items - Up to MAX_CRIME_BATCH_SIZE items, each { lat, lng } or { ori }
+ * @param {number} yearsBack - Number of years of offense counts (default: 5)
+ * @returns {Promise<Array<Object>>} - Per item, in order: { agency, population, offenses } or { error }
+ * @throws {HttpError} - When the request fails (see httpClient.js)
+ */
+export const getCrimeStatsBatch = async (items, yearsBack = 5) => {
+  const data = await proxyClient.postJson(`${PROXY_BASE_URL}/api/crime/batch`, { items, yearsBack });
+  return data.results;
+};
+
+// How long a batch waits for more lookups after the latest one
+export const DEFAULT_BATCH_WINDOW_MS = 10;
+
+/**
+ * Create a batcher that combines crime lookups made close together into batch requests
+ * Route scoring looks up every sample of every alternative at once; batched, that costs
+ * one proxy request per MAX_CRIME_BATCH_SIZE samples instead of one per sample. Lookups
+ * reach the batcher a few milliseconds apart when each first misses the IndexedDB cache,
+ * so a batch stays open for batchWindowMs after its latest lookup.
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Batcher options
+ * @param {Function} options.sendBatch - (items) => Promise of per-item results (default: getCrimeStatsBatch)
+ * @param {number} options.maxBatchSize - Most items per request (default: MAX_CRIME_BATCH_SIZE)
+ * @param {number} options.batchWindowMs - How long to wait for more lookups (default: DEFAULT_BATCH_WINDOW_MS)
+ * @returns {Object} - Batcher with load(item), resolving to the item's result, or rejecting with the
+ *   error of a batch request that failed
+ */
+export const createCrimeStatsBatcher = ({
+  sendBatch = getCrimeStatsBatch,
+  maxBatchSize = MAX_CRIME_BATCH_SIZE,
+  batchWindowMs = DEFAULT_BATCH_WINDOW_MS
+} = {}) => {
+  let queue = [];
+  let timer = null;
+
+  // Send everything queued since the last flush, in batches of at most maxBatchSize
+  const flush = () => {
+    const pending = queue;
+    queue = [];
+    clearTimeout(timer);
+    timer = null;
     
-    if (!response.ok) {
-      throw new Error(`Error fetching crime data: ${response.status}`);
+    for (let start = 0; start < pending.length; start += maxBatchSize) {
+      const batch = pending.slice(start, start + maxBatchSize);
+      Promise.resolve()
+        .then(() => sendBatch(batch.map(({ item }) => item)))
+        .then(
+          results => batch.forEach(({ resolve }, index) => resolve((results && results[index]) || null)),
+          error => batch.forEach(({ reject }) => reject(error))
+        );
     }
-    
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Proxy API Error:', error);
-    return null;
-  }
+  };
+
+  /**
+   * Queue an item ({ lat, lng } or { ori }) for the next batch; a full batch is sent right away
+   */
+  const load = item => new Promise((resolve, reject) => {
+    queue.push({ item, resolve, reject });
+    if (queue.length >= maxBatchSize) {
+      flush();
+    } else {
+      clearTimeout(timer);
+      timer = setTimeout(flush, batchWindowMs);
+    }
+  });
+
+  return {
+    load
+  };
+};
+
+/**
+ * Batcher shared by the proxy's crime lookups
+ * @PUBLIC_INTERFACE
+ */
+export const crimeStatsBatcher = createCrimeStatsBatcher();
+
+/**
+ * Convert a crime batch result into crime statistics for scoring (see formatProxyResponse)
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {Object} result - One item's result from getCrimeStatsBatch
+ * @returns {Object|null} - Crime statistics, or null when the item failed or has no offense counts
+ * @throws {OffenseDataValidationError} - When the item's offense counts or population are malformed
+ */
+export const formatCrimeBatchResult = (result) => {
+  if (!result || result.error) return null;
+  
+  return formatProxyResponse(
+    { results: result.offenses },
+    { population: result.population, agency: result.agency }
+  );
 };
 
 /**
@@ -61,66 +169,231 @@ export const getCrimeStatsByLocation = async (state, city) => {
  * @PUBLIC_INTERFACE
  * @param {number} yearsBack - Number of years back to retrieve trends (default: 5)
  * @returns {Promise<Object>} - National crime trends data
+ * @throws {HttpError} - When the request fails (see httpClient.js)
+ */
+export const getNationalCrimeTrends = (yearsBack = 5) => (
+  proxyClient.getJson(`${PROXY_BASE_URL}/api/fbi/crime/national?years=${yearsBack}`)
+);
+
+/**
+ * Build a proxy URL, leaving out query parameters without a value
+ * @private
+ */
+const proxyUrl = (path, params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  ).toString();
+  return `${PROXY_BASE_URL}${path}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Fetch the law enforcement agencies in a state via the proxy
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} state - State abbreviation (e.g., 'CA')
+ * @returns {Promise<Array<Object>>} - Normalized agencies (see utils/agencies.js)
+ * @throws {HttpError} - When the request fails; a ClientError for an invalid state (see httpClient.js)
+ */
+export const getAgenciesByState = async (state) => (
+  normalizeAgencies(await proxyClient.getJson(proxyUrl('/api/fbi/agencies', { state })))
+);
+
+/**
+ * Fetch one agency's details via the proxy
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} ori - Agency ORI (e.g., 'CA0380100')
+ * @returns {Promise<Object>} - Agency record from the FBI agencies endpoint
+ * @throws {HttpError} - When the request fails; a ClientError for an invalid ORI (see httpClient.js)
+ */
+export const getAgency = (ori) => (
+  proxyClient.getJson(proxyUrl(`/api/fbi/agencies/${encodeURIComponent(ori)}`))
+);
+
+/**
+ * Fetch an agency's summarized offense counts over a year range via the proxy
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} ori - Agency ORI (e.g., 'CA0380100')
+ * @param {Object} options - Query options
+ * @param {number} options.from - First year (default: five years before options.to)
+ * @param {number} options.to - Last year (default: this year)
+ * @param {string} options.offense - Offense code (e.g., 'robbery'); every offense when omitted
+ * @returns {Promise<Object>} - Summarized offenses ({ results: [{ data_year, offense, actual, cleared }] })
+ * @throws {HttpError} - When the request fails; a ClientError for invalid options (see httpClient.js)
+ */
+export const getAgencyOffenses = (ori, { from, to, offense } = {}) => (
+  proxyClient.getJson(proxyUrl(`/api/fbi/agencies/${encodeURIComponent(ori)}/offenses`, { from, to, offense }))
+);
+
+/**
+ * Get crime estimates for a state via the proxy, used as a state-wide baseline
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} state - State abbreviation (e.g., 'CA')
+ * @param {number} yearsBack - Number of years back to retrieve estimates (default: 5)
+ * @returns {Promise<Object>} - State crime estimates data
+ * @throws {HttpError} - When the request fails (see httpClient.js)
+ */
+export const getStateCrimeEstimates = (state, yearsBack = 5) => (
+  proxyClient.getJson(proxyUrl(`/api/fbi/estimates/states/${encodeURIComponent(state)}`, { years: yearsBack }))
+);
+
+/**
+ * Get the yearly series of one offense, nationally or for a state, via the proxy
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} offense - Offense code (e.g., 'robbery')
+ * @param {Object} options - Query options
+ * @param {string} options.state - State abbreviation; national estimates when omitted
+ * @param {number} options.from - First year (default: five years before options.to)
+ * @param {number} options.to - Last year (default: this year)
+ * @returns {Promise<Object>} - { offense, state, from, to, series: [{ year, count, population, ratePer1000 }] }
+ * @throws {HttpError} - When the request fails (see httpClient.js)
  */
-export const getNationalCrimeTrends = async (yearsBack = 5) => {
+export const getOffenseTrend = (offense, { state, from, to } = {}) => (
+  proxyClient.getJson(proxyUrl(`/api/fbi/trends/${encodeURIComponent(offense)}`, { state, from, to }))
+);
+
+/**
+ * Fetch a data file the proxy serves, or null when it has none configured (404)
+ * @private
+ */
+const fetchOptionalFile = async (path) => {
   try {
-    const url = `${PROXY_BASE_URL}/api/fbi/crime/national?years=${yearsBack}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Error fetching national crime data: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data;
+    return await proxyClient.getJson(`${PROXY_BASE_URL}${path}`);
   } catch (error) {
-    console.error('Proxy API Error:', error);
-    return null;
+    if (error.status === 404) return null;
+    throw error;
   }
 };
 
 /**
- * Convert proxy response data into the format expected by the application
+ * Get the incident-level crime data the proxy loads from its INCIDENT_DATA_FILE
  * 
  * @PUBLIC_INTERFACE
- * @param {Object} rawData - Raw data from the proxy API
- * @returns {Object} - Formatted crime data
+ * @returns {Promise<Object|null>} - { source, loadedAt, incidents, rejectedCount }, or null when the
+ *   proxy has no incident file
+ * @throws {HttpError} - When the request fails (see httpClient.js)
  */
-export const formatProxyResponse = (rawData) => {
-  // This function would transform the API response into the format
-  // expected by the application's components
-  // Implementation depends on the specific data structure returned by the proxy
-  
-  if (!rawData || !rawData.results) {
-    return null;
-  }
+export const getIncidentData = async () => {
+  const data = await fetchOptionalFile('/api/incidents');
+  if (!data) return null;
   
-  // Example transformation - adjust based on actual proxy response format
+  // The proxy validates coordinates and dates; offense names and weights are normalized here
+  const { incidents, rejected } = importIncidentRecords(data.incidents);
   return {
-    results: rawData.results,
-    // Add additional fields as needed by the application
-    totalCrimeRate: calculateTotalCrimeRate(rawData.results),
-    safetyScore: calculateSafetyScore(rawData.results)
+    source: data.source,
+    loadedAt: data.loadedAt,
+    incidents,
+    rejectedCount: (data.rejectedCount || 0) + rejected.length
   };
 };
 
 /**
- * Example calculation function - would need to be implemented based on actual data format
- * @private
+ * Get the OpenStreetMap emergency services the proxy loads from its EMERGENCY_SERVICES_FILE
+ * 
+ * @PUBLIC_INTERFACE
+ * @returns {Promise<Object|null>} - { source, loadedAt, services, rejectedCount }, or null when the
+ *   proxy has no emergency services file
+ * @throws {HttpError} - When the request fails (see httpClient.js)
  */
-const calculateTotalCrimeRate = (results) => {
-  // This would calculate a crime rate from the API results
-  // Implementation depends on the data structure
-  return 0;
+export const getEmergencyServiceData = async () => {
+  const data = await fetchOptionalFile('/api/emergency-services');
+  if (!data) return null;
+  
+  const { services, rejected } = parseOsmEmergencyServices(data.osm);
+  return { source: data.source, loadedAt: data.loadedAt, services, rejectedCount: rejected.length };
 };
 
 /**
- * Example calculation function - would need to be implemented based on actual data format
+ * Find the agencies nearest to a location in the bundled agency catalog (no network access)
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} limit - Maximum number of agencies (default: 5)
+ * @returns {Array<Object>} - [{ agency, distanceMeters }], closest first
+ */
+export const findNearestAgencies = (lat, lng, limit = 5) => (
+  agencyCatalog.findNearest({ lat, lng }, { limit })
+);
+
+/**
+ * Find agencies by state and, optionally, city in the bundled agency catalog (no network access)
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} state - State abbreviation (e.g., 'CA')
+ * @param {string} city - City name; only the city's own police department is returned
+ * @returns {Array<Object>} - Matching agencies
+ */
+export const findAgenciesByLocation = (state, city = null) => (
+  agencyCatalog.findByLocation(state, city)
+);
+
+/**
+ * Convert a summarized agency offense response into crime statistics for scoring
+ * The latest reported year gives the rates per 1,000 residents that scoring uses; every
+ * year goes into per-offense trend arrays. The offense endpoint reports no population,
+ * so it has to be passed in (the batch endpoint and the agency catalog know it).
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {Object} rawData - Proxy response: { results: [{ data_year, offense, actual, cleared }] }
+ * @param {Object} options - Formatting options
+ * @param {number} options.population - Residents the agency covers (default: rawData.population)
+ * @param {Object} options.agency - Agency the counts belong to, copied to the result (default: rawData.agency)
+ * @returns {Object|null} - { crimeStats, totalCrimeRate, safetyScore, counts, cleared, trends, year,
+ *   population, agency, results, source, isMock, dataAsOf }, where trends is { years, crimeStats,
+ *   counts } with one array entry per year; null when the response has no offense rows
+ * @throws {OffenseDataValidationError} - When the response is malformed, a row is incomplete or
+ *   there is no population to compute rates with
+ */
+export const formatProxyResponse = (rawData, options = {}) => {
+  const issues = validateSummarizedOffenses(rawData);
+  if (issues.length > 0) throw new OffenseDataValidationError(issues);
+  if (rawData.results.length === 0) return null;
+  
+  const { population = rawData.population, agency = rawData.agency || null } = options;
+  if (!(population > 0)) {
+    throw new OffenseDataValidationError(['no population to compute rates per 1,000 residents with']);
+  }
+  
+  const years = summarizeOffensesByYear(rawData.results, population);
+  const latest = years[years.length - 1];
+  
+  return {
+    results: rawData.results,
+    crimeStats: latest.crimeStats,
+    totalCrimeRate: Object.values(latest.crimeStats).reduce((sum, value) => sum + value, 0),
+    safetyScore: scoreCrimeStats({ crimeStats: latest.crimeStats }),
+    // Offenses reported and offenses cleared (by arrest or exception) in the latest year
+    counts: latest.counts,
+    cleared: latest.cleared,
+    trends: getOffenseTrends(years),
+    year: latest.year,
+    population,
+    agency,
+    // Coverage metadata used for score confidence
+    source: 'fbi-proxy',
+    isMock: false,
+    dataAsOf: `${latest.year}-12-31`
+  };
+};
+
+/**
+ * Per-offense arrays over the reported years, with null for years an offense is missing from
  * @private
  */
-const calculateSafetyScore = (results) => {
-  // This would calculate a safety score from the API results
-  // Implementation depends on the data structure
-  return 0;
+const getOffenseTrends = (years) => {
+  const keys = [...new Set(years.flatMap(({ counts }) => Object.keys(counts)))];
+  const seriesOf = field => keys.reduce((series, key) => ({
+    ...series,
+    [key]: years.map(year => (year[field][key] !== undefined ? year[field][key] : null))
+  }), {});
+  
+  return {
+    years: years.map(({ year }) => year),
+    crimeStats: seriesOf('crimeStats'),
+    counts: seriesOf('counts')
+  };
 };
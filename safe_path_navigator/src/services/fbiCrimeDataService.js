@@ -3,11 +3,50 @@
  * Provides functionality to interact with the FBI Crime Data API
  * for retrieving crime statistics by location for use in safety scoring.
  */
+import { getSyntheticCrimeRates } from '../utils/syntheticData';
+import { getMockSafetyDataset } from '../utils/safetyUtils';
+import { scoreCrimeStats } from '../utils/scoringPipeline';
+import { getSafetyRecommendations as getRouteSafetyRecommendations } from '../utils/routeScoring';
+import { reverseGeocodeRegion } from '../utils/geocodingService';
+import { normalizeAgencies, findNearestAgency } from '../utils/agencies';
+import { summarizeAgencyOffenses } from '../utils/offenseNormalization';
+import { agencyCatalog } from '../utils/agencyCatalog';
+import { crimeLookupCache } from './crimeLookupCache';
+import { createHttpClient } from './httpClient';
 
 // FBI Crime Data API configuration
 const FBI_API_BASE_URL = 'https://api.usa.gov/crime/fbi/sapi';
 const API_KEY = process.env.REACT_APP_FBI_CRIME_DATA_API_KEY || '2kEBAO7elawjoAAKFdgfErFxPS8ODR8zCW6xTkjx';
 
+// Where coordinate lookups get their crime statistics
+export const CRIME_DATA_SOURCES = {
+  // Nearest reporting agency's FBI statistics
+  FBI: 'fbi',
+  // Generated demo data; only used when selected explicitly
+  SYNTHETIC: 'synthetic'
+};
+
+// Source for coordinate lookups unless a call selects one
+export const DEFAULT_CRIME_DATA_SOURCE = process.env.REACT_APP_CRIME_DATA_SOURCE || CRIME_DATA_SOURCES.FBI;
+
+// Agencies fetched this session, by state
+const agencyCache = new Map();
+
+/**
+ * HTTP client for the FBI Crime Data API, with retries and a circuit breaker
+ * @PUBLIC_INTERFACE
+ */
+export const fbiApiClient = createHttpClient({ name: 'FBI Crime Data API' });
+
+/**
+ * Fetch JSON from the FBI Crime Data API
+ * @private
+ */
+const fetchFbiData = (path) => {
+  const separator = path.includes('?') ? '&' : '?';
+  return fbiApiClient.getJson(`${FBI_API_BASE_URL}${path}${separator}api_key=${API_KEY}`);
+};
+
 /**
  * Fetch crime statistics for a specific state and city
  * 
@@ -15,121 +54,206 @@ const API_KEY = process.env.REACT_APP_FBI_CRIME_DATA_API_KEY || '2kEBAO7elawjoAA
  * @param {string} state - State abbreviation (e.g., 'CA')
  * @param {string} city - City name (e.g., 'San Francisco')
  * @returns {Promise<Object>} - Crime statistics for the specified location
+ * @throws {HttpError} - NetworkError, ClientError, RateLimitError, ServerError, ParseError or
+ *   CircuitOpenError (see httpClient.js) when the request fails
  */
-export const getCrimeStatsByLocation = async (state, city) => {
-  try {
-    // Construct URL for city/state lookups
-    const url = `${FBI_API_BASE_URL}/api/summarized/agencies/${state}/${encodeURIComponent(city)}/offenses?api_key=${API_KEY}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Error fetching crime data: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('FBI Crime Data API Error:', error);
-    return null;
-  }
+export const getCrimeStatsByLocation = (state, city) => (
+  fetchFbiData(`/api/summarized/agencies/${state}/${encodeURIComponent(city)}/offenses`)
+);
+
+/**
+ * Fetch the law enforcement agencies in a state
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} state - State abbreviation (e.g., 'CA')
+ * @returns {Promise<Array<Object>>} - Normalized agencies (see utils/agencies.js)
+ * @throws {HttpError} - When the request fails (see httpClient.js)
+ */
+export const getAgenciesByState = async (state) => {
+  if (agencyCache.has(state)) return agencyCache.get(state);
+  
+  const agencies = normalizeAgencies(await fetchFbiData(`/api/agencies/byStateAbbr/${state}`));
+  agencyCache.set(state, agencies);
+  return agencies;
 };
 
 /**
- * Fetch crime statistics for an area based on coordinates
+ * Find the agencies nearest to a location in the bundled agency catalog (no network access)
  * 
  * @PUBLIC_INTERFACE
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
- * @param {number} radius - Radius in miles to search (default: 1)
- * @returns {Promise<Object>} - Crime statistics for the specified coordinates
+ * @param {number} limit - Maximum number of agencies (default: 5)
+ * @returns {Array<Object>} - [{ agency, distanceMeters }], closest first
  */
-export const getCrimeStatsByCoordinates = async (lat, lng, radius = 1) => {
-  try {
-    // The FBI API doesn't directly support coordinate-based lookups
-    // This would require first geocoding to get city/state, then using that info
-    // For now, we'll use a mock implementation based on proximity to known crime spots
-    
-    // Simulate an API call with a timeout
-    await new Promise(resolve => setTimeout(resolve, 300));
-    
-    // Sample crime index calculation based on proximity to high-crime areas
-    // In a real implementation, this would use the FBI API data
-    const crimeRatesByType = {
-      'violent-crime': getRandomWeightedValue(lat, lng, 10),
-      'property-crime': getRandomWeightedValue(lat, lng, 25),
-      'homicide': getRandomWeightedValue(lat, lng, 1),
-      'robbery': getRandomWeightedValue(lat, lng, 8),
-      'aggravated-assault': getRandomWeightedValue(lat, lng, 15)
-    };
-    
-    const totalCrimeRate = Object.values(crimeRatesByType).reduce((sum, value) => sum + value, 0);
-    
-    return {
-      coordinates: { lat, lng },
-      radius,
-      crimeStats: crimeRatesByType,
-      totalCrimeRate: totalCrimeRate,
-      safetyScore: calculateSafetyScore(totalCrimeRate)
-    };
-  } catch (error) {
-    console.error('FBI Crime Data API Error:', error);
-    return null;
-  }
+export const findNearestAgencies = (lat, lng, limit = 5) => (
+  agencyCatalog.findNearest({ lat, lng }, { limit })
+);
+
+/**
+ * Find agencies by state and, optionally, city in the bundled agency catalog (no network access)
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {string} state - State abbreviation (e.g., 'CA')
+ * @param {string} city - City name; only the city's own police department is returned
+ * @returns {Array<Object>} - Matching agencies
+ */
+export const findAgenciesByLocation = (state, city = null) => (
+  agencyCatalog.findByLocation(state, city)
+);
+
+/**
+ * Candidate agencies for a region: the catalog when it lists the city's agency or the
+ * whole state, otherwise every agency in the state from the API
+ * @private
+ */
+const getCandidateAgencies = async (region) => {
+  const cityAgencies = region.city ? agencyCatalog.findByLocation(region.state, region.city) : [];
+  if (cityAgencies.length > 0) return cityAgencies;
+  if (agencyCatalog.coversState(region.state)) return agencyCatalog.findByLocation(region.state);
+  
+  return getAgenciesByState(region.state);
 };
 
 /**
- * Calculate a safety score from 0-100 based on crime rate
- * Higher score = safer area
+ * Fetch an agency's summarized offense counts
  * 
- * @param {number} crimeRate - Crime rate value
- * @returns {number} - Safety score between 0-100
- */
-const calculateSafetyScore = (crimeRate) => {
-  // Lower scores for higher crime rates
-  // This is a simplified calculation - a real implementation would use proper statistical methods
-  const maxExpectedCrimeRate = 100;
-  const rawScore = 100 - ((crimeRate / maxExpectedCrimeRate) * 100);
-  return Math.max(0, Math.min(100, Math.round(rawScore)));
+ * @PUBLIC_INTERFACE
+ * @param {string} ori - Agency ORI (e.g., 'CA0380100')
+ * @param {number} yearsBack - Number of years back to retrieve (default: 5)
+ * @returns {Promise<Object>} - Summarized offenses ({ results: [{ data_year, offense, actual, cleared }] })
+ * @throws {HttpError} - When the request fails (see httpClient.js)
+ */
+export const getAgencyOffenses = (ori, yearsBack = 5) => {
+  const currentYear = new Date().getFullYear();
+  return fetchFbiData(`/api/summarized/agencies/${ori}/offenses/${currentYear - yearsBack}/${currentYear}`);
 };
 
 /**
- * Get a random crime value weighted by proximity to high-crime areas
+ * Fetch the population an agency covers, from its most recent participation year
  * 
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @param {number} maxValue - Maximum value for this crime type
- * @returns {number} - Weighted crime value
- */
-const getRandomWeightedValue = (lat, lng, maxValue) => {
-  // These are known high-crime areas in our mock data
-  const highCrimeAreas = [
-    { lat: 37.774, lng: -122.419, weight: 0.8 },
-    { lat: 37.776, lng: -122.418, weight: 0.9 },
-    { lat: 37.775, lng: -122.417, weight: 0.7 }
-  ];
+ * @PUBLIC_INTERFACE
+ * @param {string} ori - Agency ORI
+ * @returns {Promise<number|null>} - Population, or null when the agency reports none
+ * @throws {HttpError} - When the request fails (see httpClient.js)
+ */
+export const getAgencyPopulation = async (ori) => {
+  const data = await fetchFbiData(`/api/participation/agencies/${ori}`);
+  const years = ((data && data.results) || [])
+    .filter(result => Number(result.population) > 0)
+    .sort((a, b) => Number(b.data_year) - Number(a.data_year));
+  
+  return years.length > 0 ? Number(years[0].population) : null;
+};
+
+/**
+ * Crime statistics from the synthetic demo dataset
+ * @private
+ */
+const getSyntheticCrimeStats = async (lat, lng, radius) => {
+  // Simulate an API call with a timeout
+  await new Promise(resolve => setTimeout(resolve, 300));
+  
+  // Sample crime index calculation based on proximity to synthetic high-crime areas
+  const mockSafetyDataset = getMockSafetyDataset();
+  const crimeRatesByType = getSyntheticCrimeRates(mockSafetyDataset, lat, lng);
+  
+  const totalCrimeRate = Object.values(crimeRatesByType).reduce((sum, value) => sum + value, 0);
+  
+  return {
+    coordinates: { lat, lng },
+    radius,
+    crimeStats: crimeRatesByType,
+    totalCrimeRate: totalCrimeRate,
+    safetyScore: scoreCrimeStats({ crimeStats: crimeRatesByType }),
+    // Coverage metadata - these figures are synthetic
+    source: CRIME_DATA_SOURCES.SYNTHETIC,
+    isMock: true,
+    dataAsOf: mockSafetyDataset.referenceDate
+  };
+};
+
+/**
+ * Crime statistics from the FBI agency that covers the coordinates
+ * @private
+ */
+const getAgencyCrimeStats = async (lat, lng, radius) => {
+  const region = await reverseGeocodeRegion({ lat, lng });
+  if (!region) {
+    throw new Error(`Could not determine the state for ${lat},${lng}`);
+  }
+  
+  const agencies = await getCandidateAgencies(region);
+  const match = findNearestAgency(agencies, { lat, lng }, region.city);
+  if (!match) {
+    throw new Error(`No reporting agency found near ${lat},${lng} in ${region.state}`);
+  }
   
-  // Find closest high-crime area and use its weight as a factor
-  let closestDistance = Number.MAX_VALUE;
-  let closestWeight = 0;
+  const { agency } = match;
+  const [offenses, population] = await Promise.all([
+    getAgencyOffenses(agency.ori),
+    agency.population ? Promise.resolve(agency.population) : getAgencyPopulation(agency.ori)
+  ]);
   
-  highCrimeAreas.forEach(area => {
-    const distance = Math.sqrt(
-      Math.pow(lat - area.lat, 2) + Math.pow(lng - area.lng, 2)
-    );
-    
-    if (distance < closestDistance) {
-      closestDistance = distance;
-      closestWeight = area.weight;
-    }
-  });
+  const summary = summarizeAgencyOffenses(offenses && offenses.results, population);
+  if (!summary) {
+    throw new Error(`No offense counts with a population for agency ${agency.ori}`);
+  }
   
-  // Use distance and weight to calculate a crime value
-  // Closer to high-crime areas = higher crime value
-  const proximityFactor = Math.max(0, 1 - (closestDistance * 100)); // Convert small lat/lng distances
-  const randomVariation = 0.7 + (Math.random() * 0.6); // Random value between 0.7-1.3
+  const totalCrimeRate = Object.values(summary.crimeStats).reduce((sum, value) => sum + value, 0);
   
-  return Math.min(maxValue, maxValue * closestWeight * proximityFactor * randomVariation);
+  return {
+    coordinates: { lat, lng },
+    radius,
+    crimeStats: summary.crimeStats,
+    totalCrimeRate,
+    safetyScore: scoreCrimeStats({ crimeStats: summary.crimeStats }),
+    agency: {
+      ori: agency.ori,
+      name: agency.name,
+      distanceMeters: match.distanceMeters,
+      matchedBy: match.matchedBy
+    },
+    region,
+    population: summary.population,
+    year: summary.year,
+    source: CRIME_DATA_SOURCES.FBI,
+    isMock: false,
+    dataAsOf: `${summary.year}-12-31`
+  };
+};
+
+/**
+ * Fetch crime statistics for an area based on coordinates
+ * The coordinates are reverse-geocoded to a state and city, matched to the reporting
+ * agency that covers them, and that agency's latest offense counts are converted to
+ * rates per 1,000 residents. Synthetic demo data is only returned when selected
+ * with the `source` option or REACT_APP_CRIME_DATA_SOURCE. Results are cached per
+ * source for the surrounding ~150 m (see crimeLookupCache.js). Failures are not
+ * swallowed: the safety data providers decide how to handle them.
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radius - Radius in miles to search (default: 1)
+ * @param {Object} options - Lookup options
+ * @param {string} options.source - One of CRIME_DATA_SOURCES (default: DEFAULT_CRIME_DATA_SOURCE)
+ * @param {Object|null} options.cache - Lookup cache (default: the shared crimeLookupCache); null to always fetch
+ * @returns {Promise<Object>} - Crime statistics for the specified coordinates
+ * @throws {HttpError} - When an FBI request fails (see httpClient.js)
+ * @throws {Error} - When the location cannot be matched to an agency with offense counts
+ */
+export const getCrimeStatsByCoordinates = async (lat, lng, radius = 1, options = {}) => {
+  const { source = DEFAULT_CRIME_DATA_SOURCE, cache = crimeLookupCache } = options;
+  const fetchStats = () => (
+    source === CRIME_DATA_SOURCES.SYNTHETIC
+      ? getSyntheticCrimeStats(lat, lng, radius)
+      : getAgencyCrimeStats(lat, lng, radius)
+  );
+  
+  const crimeStats = cache ? await cache.lookup(source, lat, lng, fetchStats) : await fetchStats();
+  // A cached result may have been looked up elsewhere in the same cell
+  return crimeStats && { ...crimeStats, coordinates: { lat, lng } };
 };
 
 /**
@@ -138,69 +262,37 @@ const getRandomWeightedValue = (lat, lng, maxValue) => {
  * @PUBLIC_INTERFACE
  * @param {number} yearsBack - Number of years back to retrieve trends (default: 5)
  * @returns {Promise<Object>} - National crime trends data
+ * @throws {HttpError} - When the request fails (see httpClient.js)
  */
-export const getNationalCrimeTrends = async (yearsBack = 5) => {
-  try {
-    // Calculate year range
-    const currentYear = new Date().getFullYear();
-    const startYear = currentYear - yearsBack;
-    
-    // Construct URL for national data
-    const url = `${FBI_API_BASE_URL}/api/estimates/national/${startYear}/${currentYear}?api_key=${API_KEY}`;
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Error fetching national crime data: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('FBI Crime Data API Error:', error);
-    return null;
-  }
+export const getNationalCrimeTrends = (yearsBack = 5) => {
+  // Calculate year range
+  const currentYear = new Date().getFullYear();
+  const startYear = currentYear - yearsBack;
+  
+  return fetchFbiData(`/api/estimates/national/${startYear}/${currentYear}`);
 };
 
 /**
- * Get safety recommendations based on crime statistics
+ * Get crime estimates for a state, used as a state-wide baseline
  * 
  * @PUBLIC_INTERFACE
- * @param {Object} crimeStats - Crime statistics object
- * @returns {Array<string>} - Array of safety recommendations
+ * @param {string} state - State abbreviation (e.g., 'CA')
+ * @param {number} yearsBack - Number of years back to retrieve estimates (default: 5)
+ * @returns {Promise<Object>} - State crime estimates data
+ * @throws {HttpError} - When the request fails (see httpClient.js)
  */
-export const getSafetyRecommendations = (crimeStats) => {
-  if (!crimeStats) return [];
-  
-  const recommendations = [];
-  const totalRate = crimeStats.totalCrimeRate || 0;
+export const getStateCrimeEstimates = (state, yearsBack = 5) => {
+  const currentYear = new Date().getFullYear();
+  const startYear = currentYear - yearsBack;
   
-  // General recommendations
-  recommendations.push('Stay aware of your surroundings at all times');
-  
-  // Add specific recommendations based on crime types and rates
-  if (crimeStats.crimeStats) {
-    if (crimeStats.crimeStats['violent-crime'] > 5) {
-      recommendations.push('Try to travel with a companion in this area');
-    }
-    
-    if (crimeStats.crimeStats['property-crime'] > 15) {
-      recommendations.push('Keep valuables out of sight or securely stored');
-    }
-    
-    if (crimeStats.crimeStats['robbery'] > 5) {
-      recommendations.push('Avoid displaying expensive items in public');
-      recommendations.push('Stay in well-lit areas at night');
-    }
-  }
-  
-  // General recommendations based on overall crime rate
-  if (totalRate > 40) {
-    recommendations.push('Consider alternate routes if possible');
-    recommendations.push('Stay on main streets and avoid shortcuts through less populated areas');
-  } else if (totalRate < 10) {
-    recommendations.push('This area generally has lower crime rates compared to surrounding areas');
-  }
-  
-  return recommendations;
+  return fetchFbiData(`/api/estimates/states/${state}/${startYear}/${currentYear}`);
 };
+
+/**
+ * Get safety recommendations based on crime statistics (see routeScoring.getSafetyRecommendations)
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {Object} crimeStats - Crime statistics object
+ * @returns {Array<string>} - Array of safety recommendations
+ */
+export const getSafetyRecommendations = (crimeStats) => getRouteSafetyRecommendations(crimeStats);
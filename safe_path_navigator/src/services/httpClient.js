@@ -0,0 +1,353 @@
+/**
+ * HTTP client for the SafePath Navigator's data services
+ * Failed requests reject with a typed error, so callers can tell a network failure, a
+ * bad request, rate limiting, a server error and an unreadable response apart.
+ * Retryable failures are retried with jittered exponential backoff, and a circuit
+ * breaker per upstream fails fast while that upstream keeps failing.
+ */
+
+/**
+ * Base class of every failed request
+ * @PUBLIC_INTERFACE
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.url - Requested URL
+   * @param {number|null} details.status - HTTP status, when the server responded
+   * @param {boolean} details.retryable - Whether trying again may succeed
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { url = null, status = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, connection reset)
+ * @PUBLIC_INTERFACE
+ */
+export class NetworkError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The server rejected the request (4xx); trying again will not help
+ * @PUBLIC_INTERFACE
+ */
+export class ClientError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { retryable: false, ...details });
+    this.name = 'ClientError';
+  }
+}
+
+/**
+ * Too many requests (429); retryAfterMs is how long the server asked to wait, when it said
+ * @PUBLIC_INTERFACE
+ */
+export class RateLimitError extends ClientError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, { ...details, status: 429, retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The server failed (5xx)
+ * @PUBLIC_INTERFACE
+ */
+export class ServerError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * The response body is not valid JSON
+ * @PUBLIC_INTERFACE
+ */
+export class ParseError extends HttpError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'ParseError';
+  }
+}
+
+/**
+ * The upstream's circuit breaker is open, so the request was not sent
+ * @PUBLIC_INTERFACE
+ */
+export class CircuitOpenError extends HttpError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'CircuitOpenError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Circuit breaker states
+export const CIRCUIT_STATES = {
+  // Requests go through
+  CLOSED: 'closed',
+  // Requests fail fast until the reset timeout has passed
+  OPEN: 'open',
+  // One trial request decides whether the circuit closes again
+  HALF_OPEN: 'half-open'
+};
+
+// Retry and breaker settings unless a client sets its own
+export const DEFAULT_HTTP_CLIENT_OPTIONS = {
+  retries: 2,
+  baseDelayMs: 250,
+  maxDelayMs: 4000,
+  // Longer Retry-After waits are not sat out; the RateLimitError reaches the caller instead
+  maxRetryAfterMs: 10000
+};
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @private
+ */
+const parseRetryAfter = (value, now) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+};
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, so clients that failed
+ * together do not retry together
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay cap of the first retry
+ * @param {number} options.maxDelayMs - Largest delay cap
+ * @param {Function} options.random - Random number in [0, 1) (default: Math.random)
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, {
+  baseDelayMs = DEFAULT_HTTP_CLIENT_OPTIONS.baseDelayMs,
+  maxDelayMs = DEFAULT_HTTP_CLIENT_OPTIONS.maxDelayMs,
+  random = Math.random
+} = {}) => Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+/**
+ * Create a circuit breaker
+ * After failureThreshold failures without a success in between the circuit opens and calls
+ * fail fast with a CircuitOpenError. Once resetTimeoutMs has passed one trial call goes through:
+ * success closes the circuit, failure opens it again.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Upstream name, for error messages
+ * @param {number} options.failureThreshold - Failures in a row that open the circuit (default: 5)
+ * @param {number} options.resetTimeoutMs - Time the circuit stays open (default: 30 seconds)
+ * @param {Function} options.isFailure - Whether an error counts against the upstream (default: any
+ *   error except a ClientError other than rate limiting)
+ * @param {Function} options.now - Current time in ms (default: Date.now)
+ * @returns {Object} - Breaker with execute(fn), getState(), isOpen() and reset()
+ */
+export const createCircuitBreaker = ({
+  name = 'upstream',
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  isFailure = error => !(error instanceof ClientError) || error instanceof RateLimitError,
+  now = Date.now
+} = {}) => {
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  /**
+   * Current state, moving an open circuit to half-open once its timeout has passed
+   */
+  const getState = () => {
+    if (state === CIRCUIT_STATES.OPEN && now() - openedAt >= resetTimeoutMs) {
+      state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    return state;
+  };
+
+  /**
+   * Whether calls are currently failing fast
+   */
+  const isOpen = () => getState() === CIRCUIT_STATES.OPEN ||
+    (state === CIRCUIT_STATES.HALF_OPEN && trialInFlight);
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  const reset = () => {
+    state = CIRCUIT_STATES.CLOSED;
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  };
+
+  const open = () => {
+    state = CIRCUIT_STATES.OPEN;
+    openedAt = now();
+  };
+
+  /**
+   * Run fn unless the circuit is open, recording whether it succeeded
+   */
+  const execute = async (fn) => {
+    if (isOpen()) {
+      throw new CircuitOpenError(`${name} is unavailable; not retrying for a while`, {
+        retryAfterMs: openedAt === null ? null : Math.max(0, openedAt + resetTimeoutMs - now())
+      });
+    }
+
+    const isTrial = getState() === CIRCUIT_STATES.HALF_OPEN;
+    if (isTrial) trialInFlight = true;
+
+    try {
+      const result = await fn();
+      reset();
+      return result;
+    } catch (error) {
+      // Errors that are not failures (e.g. a 404) neither count nor reset the count;
+      // only a success closes the circuit
+      if (isTrial) {
+        trialInFlight = false;
+        if (isFailure(error)) open();
+      } else if (isFailure(error)) {
+        failures++;
+        if (failures >= failureThreshold) open();
+      }
+      throw error;
+    }
+  };
+
+  return {
+    execute,
+    getState,
+    isOpen,
+    reset
+  };
+};
+
+/**
+ * Convert a response to JSON, or reject with the typed error for its status
+ * @private
+ */
+const readResponse = async (response, url, now) => {
+  if (!response.ok) {
+    const message = `Request to ${url.split('?')[0]} failed: ${response.status}`;
+    const details = { url, status: response.status };
+
+    if (response.status === 429) {
+      const retryAfter = response.headers && response.headers.get ? response.headers.get('Retry-After') : null;
+      throw new RateLimitError(message, { ...details, retryAfterMs: parseRetryAfter(retryAfter, now) });
+    }
+    if (response.status >= 500) throw new ServerError(message, details);
+    throw new ClientError(message, details);
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new ParseError(`Response from ${url.split('?')[0]} is not valid JSON`, {
+      url,
+      status: response.status,
+      cause: error
+    });
+  }
+};
+
+/**
+ * Create an HTTP client for one upstream
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Client options
+ * @param {string} options.name - Upstream name, for error messages
+ * @param {number} options.retries - Retries of a retryable failure (default: 2)
+ * @param {number} options.baseDelayMs - Backoff delay cap of the first retry (default: 250)
+ * @param {number} options.maxDelayMs - Largest backoff delay cap (default: 4000)
+ * @param {number} options.maxRetryAfterMs - Longest Retry-After wait to sit out (default: 10000)
+ * @param {Object} options.breaker - Circuit breaker (default: a new one for this upstream)
+ * @param {Function} options.sleep - (ms) => Promise, for waiting between retries
+ * @param {Function} options.random - Random number in [0, 1), for jitter (default: Math.random)
+ * @param {Function} options.now - Current time in ms (default: Date.now)
+ * @returns {Object} - Client with getJson(url), postJson(url, body) and its breaker
+ */
+export const createHttpClient = ({
+  name = 'upstream',
+  retries = DEFAULT_HTTP_CLIENT_OPTIONS.retries,
+  baseDelayMs = DEFAULT_HTTP_CLIENT_OPTIONS.baseDelayMs,
+  maxDelayMs = DEFAULT_HTTP_CLIENT_OPTIONS.maxDelayMs,
+  maxRetryAfterMs = DEFAULT_HTTP_CLIENT_OPTIONS.maxRetryAfterMs,
+  breaker = createCircuitBreaker({ name }),
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random = Math.random,
+  now = Date.now
+} = {}) => {
+  // One attempt; fetch is only given request options when there are some
+  const send = async (url, init) => {
+    let response;
+    try {
+      response = await (init ? fetch(url, init) : fetch(url));
+    } catch (error) {
+      throw new NetworkError(`Could not reach ${name}: ${error.message}`, { url, cause: error });
+    }
+    return readResponse(response, url, now());
+  };
+
+  /**
+   * Request JSON, retrying retryable failures; the breaker counts the request once, however
+   * many attempts it took
+   */
+  const request = (url, init) => breaker.execute(async () => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(url, init);
+      } catch (error) {
+        const retryAfterMs = error instanceof RateLimitError ? error.retryAfterMs : null;
+        const canRetry = error.retryable && attempt < retries &&
+          (retryAfterMs === null || retryAfterMs <= maxRetryAfterMs);
+        if (!canRetry) throw error;
+
+        await sleep(retryAfterMs !== null ? retryAfterMs : getRetryDelay(attempt, { baseDelayMs, maxDelayMs, random }));
+      }
+    }
+  });
+
+  /**
+   * GET JSON from a URL
+   */
+  const getJson = url => request(url);
+
+  /**
+   * POST a JSON body and read the JSON response
+   */
+  const postJson = (url, body) => request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  return {
+    getJson,
+    postJson,
+    breaker
+  };
+};
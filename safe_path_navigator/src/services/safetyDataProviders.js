@@ -0,0 +1,441 @@
+/**
+ * Safety data providers for the SafePath Navigator
+ * A provider answers every question the app asks about safety data - crime near a
+ * point, crime incidents, street lights and emergency services in an area, and
+ * crime trends - from one backend: the FBI Crime Data API, the synthetic demo city,
+ * data files bundled with the app, or the Express.js proxy. The provider is chosen with
+ * REACT_APP_SAFETY_DATA_PROVIDER and handed to components through
+ * SafetyDataSourceContext, so switching backends needs no component changes.
+ */
+import { getMockSafetyDataset } from '../utils/safetyUtils';
+import { createSeededRandom, getSyntheticBaselineRates } from '../utils/syntheticData';
+import { isPointInBoundingBox } from '../utils/geoUtils';
+import { getEstimateRatesByYear } from '../utils/crimeBaselines';
+import { importIncidentFile } from '../utils/incidentImport';
+import { importStreetlightFile } from '../utils/streetlightImport';
+import { parseOsmEmergencyServices } from '../utils/emergencyServices';
+import {
+  fbiApiClient,
+  getCrimeStatsByCoordinates,
+  getNationalCrimeTrends as getFbiNationalCrimeTrends,
+  CRIME_DATA_SOURCES,
+  DEFAULT_CRIME_DATA_SOURCE
+} from './fbiCrimeDataService';
+import { crimeLookupCache } from './crimeLookupCache';
+import { CircuitOpenError } from './httpClient';
+import {
+  proxyClient,
+  crimeStatsBatcher,
+  formatCrimeBatchResult,
+  getNationalCrimeTrends,
+  getIncidentData,
+  getEmergencyServiceData
+} from './fbiCrimeDataProxyService';
+
+// Available providers
+export const SAFETY_DATA_PROVIDERS = {
+  // The FBI Crime Data API, straight from the browser (see fbiCrimeDataService.js)
+  FBI: 'fbi',
+  // Synthetic demo city (no network access)
+  MOCK: 'mock',
+  // CSV, GeoJSON or OSM files served with the app (e.g. from public/data)
+  LOCAL_FILE: 'local-file',
+  // The Express.js proxy in backend/proxy
+  PROXY: 'proxy'
+};
+
+// Provider used unless the app selects one; follows the crime data source, so the demo city is only
+// used when synthetic data is selected
+export const DEFAULT_SAFETY_DATA_PROVIDER = process.env.REACT_APP_SAFETY_DATA_PROVIDER || (
+  DEFAULT_CRIME_DATA_SOURCE === CRIME_DATA_SOURCES.SYNTHETIC ? SAFETY_DATA_PROVIDERS.MOCK : SAFETY_DATA_PROVIDERS.FBI
+);
+
+// Provider that takes over while the proxy is unavailable; none unless configured
+export const DEFAULT_FALLBACK_SAFETY_DATA_PROVIDER = process.env.REACT_APP_FALLBACK_SAFETY_DATA_PROVIDER || null;
+
+// Units of crime trend values
+export const CRIME_TREND_UNITS = {
+  RATE: 'rate-per-1000',
+  INCIDENTS: 'incidents'
+};
+
+/**
+ * Safety data provider
+ * Every method resolves to null when the provider has no such data. A failed request may reject
+ * with an HttpError (see httpClient.js), which callers treat as missing data.
+ * @typedef {Object} SafetyDataProvider
+ * @property {string} id - One of SAFETY_DATA_PROVIDERS, or a custom id
+ * @property {boolean} isMock - True when the data is synthetic
+ * @property {Function} getCrimeNearPoint - (lat, lng, { radius }) => Promise of crime statistics in the
+ *   format of getCrimeStatsByCoordinates
+ * @property {Function} getCrimeInBoundingBox - (bbox) => Promise of crime incidents {lat, lng, weight, offense, occurredAt}
+ * @property {Function} getLightingInBoundingBox - (bbox) => Promise of street lights {lat, lng, level}
+ * @property {Function} getEmergencyServicesInBoundingBox - (bbox) => Promise of emergency services
+ *   {lat, lng, type, name, phone, openingHours}
+ * @property {Function} getCrimeTrends - ({ yearsBack }) => Promise of CrimeTrends
+ */
+
+/**
+ * Crime per year
+ * @typedef {Object} CrimeTrends
+ * @property {string} source - Where the figures come from
+ * @property {boolean} isMock - True when the figures are synthetic
+ * @property {string} unit - One of CRIME_TREND_UNITS
+ * @property {Array<Object>} years - [{ year, values }] with a value per offense type, oldest first
+ */
+
+/**
+ * Points inside a bounding box; without a box, every point
+ * @private
+ */
+const filterToBoundingBox = (points, bbox) => (
+  points && bbox ? points.filter(point => isPointInBoundingBox(point, bbox)) : points
+);
+
+/**
+ * Wrap a loader so it runs once; a load that fails (resolves to null or rejects) is tried again next time
+ * @private
+ */
+const loadOnce = (load) => {
+  let pending = null;
+
+  return () => {
+    if (!pending) {
+      pending = load().then((data) => {
+        if (data === null) pending = null;
+        return data;
+      }, (error) => {
+        pending = null;
+        throw error;
+      });
+    }
+    return pending;
+  };
+};
+
+/**
+ * National estimates as crime trends
+ * @private
+ */
+const toRateTrends = (estimates, source) => {
+  const years = getEstimateRatesByYear(estimates);
+  if (years.length === 0) return null;
+
+  return {
+    source,
+    isMock: false,
+    unit: CRIME_TREND_UNITS.RATE,
+    years: years.map(({ year, rates }) => ({ year, values: rates }))
+  };
+};
+
+/**
+ * Provider backed by the FBI Crime Data API: crime near a point comes from the reporting
+ * agency that covers it (see fbiCrimeDataService.getCrimeStatsByCoordinates). The FBI
+ * publishes no incidents, street lights or emergency services, so those layers have no data.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Provider options
+ * @param {Object|null} options.cache - Cache for crime near a point (default: the shared crimeLookupCache);
+ *   null to always fetch
+ * @returns {SafetyDataProvider} - FBI provider
+ */
+export const createFbiSafetyDataProvider = ({ cache = crimeLookupCache } = {}) => ({
+  id: SAFETY_DATA_PROVIDERS.FBI,
+  isMock: false,
+
+  getCrimeNearPoint: (lat, lng, { radius = 1 } = {}) => (
+    getCrimeStatsByCoordinates(lat, lng, radius, { source: CRIME_DATA_SOURCES.FBI, cache })
+  ),
+
+  getCrimeInBoundingBox: async () => null,
+
+  getLightingInBoundingBox: async () => null,
+
+  getEmergencyServicesInBoundingBox: async () => null,
+
+  getCrimeTrends: async ({ yearsBack = 5 } = {}) => (
+    toRateTrends(await getFbiNationalCrimeTrends(yearsBack), CRIME_DATA_SOURCES.FBI)
+  )
+});
+
+/**
+ * Provider backed by the synthetic demo city (see utils/syntheticData.js)
+ *
+ * @PUBLIC_INTERFACE
+ * @returns {SafetyDataProvider} - Mock provider
+ */
+export const createMockSafetyDataProvider = () => ({
+  id: SAFETY_DATA_PROVIDERS.MOCK,
+  isMock: true,
+
+  getCrimeNearPoint: (lat, lng, { radius = 1 } = {}) => (
+    getCrimeStatsByCoordinates(lat, lng, radius, { source: CRIME_DATA_SOURCES.SYNTHETIC })
+  ),
+
+  getCrimeInBoundingBox: async (bbox) => filterToBoundingBox(getMockSafetyDataset().crimeData, bbox),
+
+  getLightingInBoundingBox: async (bbox) => filterToBoundingBox(getMockSafetyDataset().lightingData, bbox),
+
+  getEmergencyServicesInBoundingBox: async (bbox) => filterToBoundingBox(getMockSafetyDataset().emergencyServices, bbox),
+
+  // The demo city's average rates, varied by a few percent per year up to its reference year
+  getCrimeTrends: async ({ yearsBack = 5 } = {}) => {
+    const mockSafetyDataset = getMockSafetyDataset();
+    const random = createSeededRandom(`${mockSafetyDataset.seed}:trends`);
+    const cityRates = getSyntheticBaselineRates(mockSafetyDataset);
+    const lastYear = new Date(mockSafetyDataset.referenceDate).getUTCFullYear() - 1;
+
+    return {
+      source: CRIME_DATA_SOURCES.SYNTHETIC,
+      isMock: true,
+      unit: CRIME_TREND_UNITS.RATE,
+      years: Array.from({ length: yearsBack }, (_, i) => ({
+        year: lastYear - yearsBack + 1 + i,
+        values: Object.keys(cityRates).reduce((values, offense) => ({
+          ...values,
+          [offense]: cityRates[offense] * (0.9 + random() * 0.2)
+        }), {})
+      }))
+    };
+  }
+});
+
+/**
+ * Fetch a data file's text
+ * @private
+ */
+const fetchText = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Error fetching ${url}: ${response.status}`);
+  }
+  return response.text();
+};
+
+/**
+ * Provider backed by data files served with the app, read with the same importers as uploaded files
+ * Incident files carry no population, so crime near a point is not available as rates; crime is
+ * scored from the incidents instead, and trends count incidents per year.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - File locations
+ * @param {string} options.crimeFile - Crime incident CSV or GeoJSON (default: REACT_APP_LOCAL_CRIME_FILE)
+ * @param {string} options.lightingFile - Streetlight inventory CSV or GeoJSON (default: REACT_APP_LOCAL_LIGHTING_FILE)
+ * @param {string} options.emergencyServicesFile - Overpass JSON or OSM GeoJSON
+ *   (default: REACT_APP_LOCAL_EMERGENCY_SERVICES_FILE)
+ * @param {Function} options.loadFile - Reads a file: (url) => Promise of its text (default: fetch)
+ * @returns {SafetyDataProvider} - Local-file provider
+ */
+export const createLocalFileSafetyDataProvider = ({
+  crimeFile = process.env.REACT_APP_LOCAL_CRIME_FILE,
+  lightingFile = process.env.REACT_APP_LOCAL_LIGHTING_FILE,
+  emergencyServicesFile = process.env.REACT_APP_LOCAL_EMERGENCY_SERVICES_FILE,
+  loadFile = fetchText
+} = {}) => {
+  // Read and import a file once; unset files have no data
+  const loadDataset = (url, importContent) => loadOnce(async () => {
+    if (!url) return null;
+
+    try {
+      return importContent(await loadFile(url), url);
+    } catch (error) {
+      console.error(`Error loading safety data from ${url}:`, error);
+      return null;
+    }
+  });
+
+  const loadIncidents = loadDataset(crimeFile, (content, url) => (
+    importIncidentFile(content, { fileName: url }).incidents
+  ));
+  const loadStreetlights = loadDataset(lightingFile, (content, url) => (
+    importStreetlightFile(content, { fileName: url }).streetlights
+  ));
+  const loadEmergencyServices = loadDataset(emergencyServicesFile, (content) => (
+    parseOsmEmergencyServices(content).services
+  ));
+
+  return {
+    id: SAFETY_DATA_PROVIDERS.LOCAL_FILE,
+    isMock: false,
+
+    getCrimeNearPoint: async () => null,
+
+    getCrimeInBoundingBox: async (bbox) => filterToBoundingBox(await loadIncidents(), bbox),
+
+    getLightingInBoundingBox: async (bbox) => filterToBoundingBox(await loadStreetlights(), bbox),
+
+    getEmergencyServicesInBoundingBox: async (bbox) => filterToBoundingBox(await loadEmergencyServices(), bbox),
+
+    // Incidents per offense type for the last years in the file
+    getCrimeTrends: async ({ yearsBack = 5 } = {}) => {
+      const incidents = await loadIncidents();
+      const dated = (incidents || []).filter(incident => incident.occurredAt);
+      if (dated.length === 0) return null;
+
+      const counts = dated.reduce((years, incident) => {
+        const year = new Date(incident.occurredAt).getFullYear();
+        const offense = incident.offense || 'unknown';
+        const values = years[year] || {};
+        return { ...years, [year]: { ...values, [offense]: (values[offense] || 0) + 1 } };
+      }, {});
+      const lastYear = Math.max(...Object.keys(counts).map(Number));
+
+      return {
+        source: crimeFile,
+        isMock: false,
+        unit: CRIME_TREND_UNITS.INCIDENTS,
+        years: Object.keys(counts)
+          .map(Number)
+          .filter(year => year > lastYear - yearsBack)
+          .sort((a, b) => a - b)
+          .map(year => ({ year, values: counts[year] }))
+      };
+    }
+  };
+};
+
+/**
+ * Provider backed by the Express.js proxy (see backend/proxy), which keeps the FBI API key
+ * on the server and serves the incident and OpenStreetMap files it is configured with.
+ * The proxy has no streetlight data.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Provider options
+ * @param {Object|null} options.cache - Cache for crime near a point (default: the shared crimeLookupCache);
+ *   null to always fetch
+ * @param {Object} options.batcher - Combines crime lookups into batch requests (default: the shared
+ *   crimeStatsBatcher)
+ * @returns {SafetyDataProvider} - Proxy provider
+ */
+export const createProxySafetyDataProvider = ({ cache = crimeLookupCache, batcher = crimeStatsBatcher } = {}) => {
+  const loadIncidents = loadOnce(async () => {
+    const data = await getIncidentData();
+    return data && data.incidents;
+  });
+  const loadEmergencyServices = loadOnce(async () => {
+    const data = await getEmergencyServiceData();
+    return data && data.services;
+  });
+
+  return {
+    id: SAFETY_DATA_PROVIDERS.PROXY,
+    isMock: false,
+
+    // The proxy matches the point to the nearest agency; lookups made together share a batch request
+    getCrimeNearPoint: async (lat, lng, { radius = 1 } = {}) => {
+      const fetchStats = async () => {
+        const crimeStats = formatCrimeBatchResult(await batcher.load({ lat, lng }));
+        return crimeStats && { ...crimeStats, radius };
+      };
+
+      const crimeStats = cache ? await cache.lookup('fbi-proxy', lat, lng, fetchStats) : await fetchStats();
+      return crimeStats && { ...crimeStats, coordinates: { lat, lng } };
+    },
+
+    getCrimeInBoundingBox: async (bbox) => filterToBoundingBox(await loadIncidents(), bbox),
+
+    getLightingInBoundingBox: async () => null,
+
+    getEmergencyServicesInBoundingBox: async (bbox) => filterToBoundingBox(await loadEmergencyServices(), bbox),
+
+    getCrimeTrends: async ({ yearsBack = 5 } = {}) => (
+      toRateTrends(await getNationalCrimeTrends(yearsBack), 'fbi-proxy')
+    )
+  };
+};
+
+/**
+ * Wrap a provider so that a fallback provider answers while the primary's upstream is unhealthy
+ * The upstream's circuit breaker decides: while it is open, requests go straight to the
+ * fallback; once it lets a trial request through and that succeeds, the primary is back.
+ * isMock follows whichever provider is answering, so synthetic fallback data is never
+ * mistaken for real data.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {SafetyDataProvider} primary - Provider to use while its upstream is healthy
+ * @param {SafetyDataProvider} fallback - Provider to use while it is not
+ * @param {Object} options - Fallback options
+ * @param {Object} options.breaker - Circuit breaker of the primary's upstream (see httpClient.js)
+ * @returns {SafetyDataProvider} - Provider with the primary's id, plus usingFallback
+ */
+export const withFallbackProvider = (primary, fallback, { breaker }) => {
+  const route = method => async (...args) => {
+    if (breaker.isOpen()) return fallback[method](...args);
+
+    try {
+      return await primary[method](...args);
+    } catch (error) {
+      // Only a failure that left the upstream unhealthy switches over; others reach the caller
+      if (error instanceof CircuitOpenError || breaker.isOpen()) return fallback[method](...args);
+      throw error;
+    }
+  };
+
+  return {
+    id: primary.id,
+    get isMock() {
+      return breaker.isOpen() ? fallback.isMock : primary.isMock;
+    },
+    get usingFallback() {
+      return breaker.isOpen();
+    },
+    getCrimeNearPoint: route('getCrimeNearPoint'),
+    getCrimeInBoundingBox: route('getCrimeInBoundingBox'),
+    getLightingInBoundingBox: route('getLightingInBoundingBox'),
+    getEmergencyServicesInBoundingBox: route('getEmergencyServicesInBoundingBox'),
+    getCrimeTrends: route('getCrimeTrends')
+  };
+};
+
+/**
+ * Create a provider by id
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} id - One of SAFETY_DATA_PROVIDERS (default: DEFAULT_SAFETY_DATA_PROVIDER)
+ * @param {Object} options - Options for the provider's factory, plus:
+ * @param {string|null} options.fallback - Provider id to fall back on while the FBI API or the proxy is
+ *   unavailable (default: DEFAULT_FALLBACK_SAFETY_DATA_PROVIDER); only the FBI and proxy providers have an
+ *   upstream to lose
+ * @returns {SafetyDataProvider} - The provider
+ * @throws {Error} - For an unknown provider id
+ */
+export const createSafetyDataProvider = (id = DEFAULT_SAFETY_DATA_PROVIDER, options = {}) => {
+  const { fallback = DEFAULT_FALLBACK_SAFETY_DATA_PROVIDER, ...providerOptions } = options;
+  const withFallback = (provider, breaker) => (
+    fallback && fallback !== id
+      ? withFallbackProvider(provider, createSafetyDataProvider(fallback, { fallback: null }), { breaker })
+      : provider
+  );
+
+  switch (id) {
+    case SAFETY_DATA_PROVIDERS.FBI:
+      return withFallback(createFbiSafetyDataProvider(providerOptions), fbiApiClient.breaker);
+    case SAFETY_DATA_PROVIDERS.MOCK:
+      return createMockSafetyDataProvider();
+    case SAFETY_DATA_PROVIDERS.LOCAL_FILE:
+      return createLocalFileSafetyDataProvider(providerOptions);
+    case SAFETY_DATA_PROVIDERS.PROXY:
+      return withFallback(createProxySafetyDataProvider(providerOptions), proxyClient.breaker);
+    default:
+      throw new Error(`Unknown safety data provider "${id}" (expected one of: ${Object.values(SAFETY_DATA_PROVIDERS).join(', ')})`);
+  }
+};
+
+/**
+ * Crime incidents, street lights and emergency services in an area from a provider
+ *
+ * @PUBLIC_INTERFACE
+ * @param {SafetyDataProvider} provider - Safety data provider
+ * @param {Object|null} bbox - Area {minLat, minLng, maxLat, maxLng}; null for everything the provider has
+ * @returns {Promise<Object>} - { crimeData, lightingData, emergencyServices }, each null when unavailable
+ */
+export const loadSafetyLayers = async (provider, bbox) => {
+  const [crimeData, lightingData, emergencyServices] = await Promise.all([
+    provider.getCrimeInBoundingBox(bbox),
+    provider.getLightingInBoundingBox(bbox),
+    provider.getEmergencyServicesInBoundingBox(bbox)
+  ].map(request => request.catch(() => null)));
+
+  return { crimeData, lightingData, emergencyServices };
+};
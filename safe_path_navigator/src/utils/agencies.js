@@ -0,0 +1,140 @@
+/**
+ * Law enforcement agency helpers for the SafePath Navigator
+ * The FBI reports crime per agency, identified by its ORI (Originating Agency
+ * Identifier). A coordinate is mapped to the agency that most likely covers it:
+ * the police department of the city it is in, or else the nearest agency.
+ */
+import { haversineDistance } from './geoUtils';
+
+// An agency further away than this is not taken to cover a location, so a point with no
+// agency nearby has no agency rather than a distant one
+export const MAX_AGENCY_DISTANCE_METERS = 50000;
+
+/**
+ * Law enforcement agency
+ * @typedef {Object} Agency
+ * @property {string} ori - Originating Agency Identifier (e.g. 'CA0380100')
+ * @property {string} name - Agency name (e.g. 'San Francisco Police Department')
+ * @property {string|null} type - Agency type (e.g. 'City', 'County')
+ * @property {string|null} state - State abbreviation
+ * @property {number|null} lat - Latitude, when the FBI reports one
+ * @property {number|null} lng - Longitude, when the FBI reports one
+ * @property {number|null} population - Population the agency covers, when known
+ */
+
+/**
+ * Parse a number from an API field that may be a string or missing
+ * @private
+ */
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalize an FBI agency record
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} record - Agency record from the FBI agencies endpoint
+ * @returns {Agency|null} - Normalized agency, or null without an ORI
+ */
+export const normalizeAgency = (record) => {
+  if (!record || !record.ori) return null;
+
+  return {
+    ori: record.ori,
+    name: record.agency_name || record.name || record.ori,
+    type: record.agency_type_name || record.type || null,
+    state: record.state_abbr || record.state || null,
+    lat: toNumberOrNull(record.latitude !== undefined ? record.latitude : record.lat),
+    lng: toNumberOrNull(record.longitude !== undefined ? record.longitude : record.lng),
+    population: toNumberOrNull(record.population)
+  };
+};
+
+/**
+ * Normalize an FBI agencies response, which is either a list or keyed by county or ORI
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array|Object} data - Agencies response
+ * @returns {Array<Agency>} - Agencies with an ORI
+ */
+export const normalizeAgencies = (data) => {
+  if (!data) return [];
+
+  let records;
+  if (Array.isArray(data)) {
+    records = data;
+  } else if (Array.isArray(data.results)) {
+    records = data.results;
+  } else {
+    // Grouped responses: { county: [records] } or { ori: record }
+    records = Object.values(data).flatMap(group => (Array.isArray(group) ? group : [group]));
+  }
+
+  return records.map(normalizeAgency).filter(Boolean);
+};
+
+/**
+ * Compare place names ignoring case, punctuation and a leading "City of"
+ * @private
+ */
+const simplifyName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/^city of\s+/, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Whether an agency is the city's own police department (its name starts with the city name)
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Agency} agency - Agency
+ * @param {string} city - City name
+ * @returns {boolean} - True for a city agency named after the city
+ */
+export const isCityAgency = (agency, city) => (
+  Boolean(city) &&
+  (!agency.type || agency.type === 'City') &&
+  simplifyName(agency.name).startsWith(`${simplifyName(city)} `)
+);
+
+/**
+ * Find the agency that covers a location
+ * A city agency whose name starts with the city name wins; otherwise the nearest
+ * agency with coordinates is used, if it is close enough.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Agency>} agencies - Candidate agencies (usually every agency in the state)
+ * @param {Object} location - Location {lat, lng}
+ * @param {string} city - City the location is in, when known
+ * @param {Object} options - Match options
+ * @param {number} options.maxDistanceMeters - Furthest a nearest-agency match may be
+ *   (default: MAX_AGENCY_DISTANCE_METERS)
+ * @returns {Object|null} - { agency, distanceMeters, matchedBy: 'city'|'distance' }, or null when
+ *   no agency can be matched
+ */
+export const findNearestAgency = (agencies, location, city = null, {
+  maxDistanceMeters = MAX_AGENCY_DISTANCE_METERS
+} = {}) => {
+  const located = (agencies || []).filter(agency => Number.isFinite(agency.lat) && Number.isFinite(agency.lng));
+  const distanceTo = (agency) => (
+    Number.isFinite(agency.lat) && Number.isFinite(agency.lng) ? haversineDistance(location, agency) : null
+  );
+
+  const cityAgency = city && (agencies || []).find(agency => isCityAgency(agency, city));
+  if (cityAgency) {
+    return { agency: cityAgency, distanceMeters: distanceTo(cityAgency), matchedBy: 'city' };
+  }
+
+  if (located.length === 0) return null;
+
+  const nearest = located.reduce((best, agency) => {
+    const distanceMeters = haversineDistance(location, agency);
+    return !best || distanceMeters < best.distanceMeters ? { agency, distanceMeters } : best;
+  }, null);
+
+  if (nearest.distanceMeters > maxDistanceMeters) return null;
+  return { ...nearest, matchedBy: 'distance' };
+};
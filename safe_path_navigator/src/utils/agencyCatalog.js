@@ -0,0 +1,84 @@
+/**
+ * Offline law enforcement agency catalog for the SafePath Navigator
+ * A bundled directory of FBI reporting agencies (src/data/agencyCatalog.json), so
+ * coordinates can be matched to an agency without calling the FBI agencies
+ * endpoint. The proxy's `npm run refresh-agencies` command regenerates the file.
+ */
+import bundledCatalog from '../data/agencyCatalog.json';
+import { normalizeAgency, isCityAgency, MAX_AGENCY_DISTANCE_METERS } from './agencies';
+import { createSpatialIndex } from './spatialIndex';
+
+// Agencies are spread out, so the index uses much larger cells than the street-level datasets
+const CATALOG_CELL_SIZE_METERS = 10000;
+
+/**
+ * Build a searchable catalog from catalog data
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} data - Catalog data ({ generatedAt, source, states, agencies })
+ * @returns {Object} - Catalog with agencies, generatedAt, source, size, getByOri, coversState,
+ *   findNearest and findByLocation
+ */
+export const createAgencyCatalog = (data = {}) => {
+  const agencies = ((data && data.agencies) || []).map(normalizeAgency).filter(Boolean);
+  const byOri = new Map(agencies.map(agency => [agency.ori, agency]));
+  // States whose agencies were all fetched; other states may be partially listed
+  const completeStates = new Set((data && data.states) || []);
+  const index = createSpatialIndex(agencies, { cellSizeMeters: CATALOG_CELL_SIZE_METERS });
+
+  /**
+   * Agency by ORI, or null when it is not in the catalog
+   */
+  const getByOri = (ori) => byOri.get(ori) || null;
+
+  /**
+   * Whether the catalog lists every agency in a state
+   */
+  const coversState = (state) => completeStates.has(state);
+
+  /**
+   * Nearest agencies to a location, closest first; none when no agency is within maxDistanceMeters
+   * (default: agencies.MAX_AGENCY_DISTANCE_METERS)
+   * @returns {Array<Object>} - [{ agency, distanceMeters }]
+   */
+  const findNearest = (location, {
+    limit = 5,
+    maxDistanceMeters = MAX_AGENCY_DISTANCE_METERS,
+    state = null
+  } = {}) => {
+    // Over-fetch when filtering by state, since neighbouring states' agencies may be closer
+    const candidates = index.nearest(location, {
+      limit: state ? agencies.length : limit,
+      maxDistance: maxDistanceMeters
+    });
+
+    return candidates
+      .filter(({ point }) => !state || point.state === state)
+      .slice(0, limit)
+      .map(({ point, distance }) => ({ agency: point, distanceMeters: distance }));
+  };
+
+  /**
+   * Agencies in a state, optionally only the city's own police department(s)
+   */
+  const findByLocation = (state, city = null) => agencies.filter(agency => (
+    agency.state === state && (!city || isCityAgency(agency, city))
+  ));
+
+  return {
+    agencies,
+    generatedAt: (data && data.generatedAt) || null,
+    source: (data && data.source) || null,
+    size: agencies.length,
+    getByOri,
+    coversState,
+    findNearest,
+    findByLocation
+  };
+};
+
+/**
+ * The bundled agency catalog
+ * @PUBLIC_INTERFACE
+ */
+export const agencyCatalog = createAgencyCatalog(bundledCatalog);
@@ -0,0 +1,195 @@
+/**
+ * Crime baselines for the SafePath Navigator
+ * A baseline is the average crime rate per offense type for a city, a state or
+ * the whole country. Scoring against a baseline turns "40 crimes per 1,000
+ * residents" into "twice the city average", which is what users can act on.
+ *
+ * Rates are per 1,000 residents per year throughout the app.
+ */
+import { getSeverityBreakdown, getOffenseLabel } from './offenseSeverity';
+
+// Supported baseline levels
+export const BASELINE_LEVELS = {
+  CITY: 'city',
+  STATE: 'state',
+  NATIONAL: 'national'
+};
+
+// Crime at this multiple of the baseline maps to a score of 0; the baseline itself maps to 60
+export const MAX_RELATIVE_CRIME_RATIO = 2.5;
+
+// Offense used for the headline comparison when the data has it
+const HEADLINE_OFFENSE = 'violent-crime';
+
+// FBI estimate fields and the offense types they map to
+const ESTIMATE_FIELD_OFFENSES = {
+  violent_crime: 'violent-crime',
+  homicide: 'homicide',
+  rape_revised: 'rape',
+  robbery: 'robbery',
+  aggravated_assault: 'aggravated-assault',
+  property_crime: 'property-crime',
+  burglary: 'burglary',
+  larceny: 'larceny',
+  motor_vehicle_theft: 'motor-vehicle-theft',
+  arson: 'arson'
+};
+
+/**
+ * Crime baseline
+ * @typedef {Object} CrimeBaseline
+ * @property {string} level - One of BASELINE_LEVELS
+ * @property {string} label - How the baseline reads in a sentence, e.g. 'the national average'
+ * @property {Object} rates - Rate per 1,000 residents per offense type
+ * @property {number|null} year - Data year, when known
+ * @property {string} fetchedAt - When the baseline was built (ISO date)
+ */
+
+/**
+ * Rates per offense type for every year of FBI estimates (national or state)
+ * Estimates with a population are converted from counts; without one the values
+ * are taken to be rates per 100,000 residents, as the FBI publishes them.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} estimates - Estimates response ({ results: [{ year, population, violent_crime, ... }] })
+ * @returns {Array<Object>} - [{ year, rates }] with a rate per 1,000 residents per offense type, oldest first;
+ *   years without any rates are left out
+ */
+export const getEstimateRatesByYear = (estimates) => {
+  const results = (estimates && Array.isArray(estimates.results)) ? estimates.results : [];
+
+  return results
+    .filter(result => result && Number.isFinite(Number(result.year)))
+    .sort((a, b) => Number(a.year) - Number(b.year))
+    .map((result) => {
+      const population = Number(result.population);
+      const toRatePerThousand = (value) => (
+        population > 0 ? (value / population) * 1000 : value / 100
+      );
+
+      const rates = Object.entries(ESTIMATE_FIELD_OFFENSES).reduce((yearRates, [field, offense]) => {
+        const value = Number(result[field]);
+        return Number.isFinite(value) && result[field] !== null
+          ? { ...yearRates, [offense]: toRatePerThousand(value) }
+          : yearRates;
+      }, {});
+
+      return { year: Number(result.year), rates };
+    })
+    .filter(({ rates }) => Object.keys(rates).length > 0);
+};
+
+/**
+ * Build a baseline from FBI estimates (national or state)
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} estimates - Estimates response ({ results: [{ year, population, violent_crime, ... }] })
+ * @param {Object} options - Baseline options
+ * @param {string} options.level - Baseline level
+ * @param {string} options.label - Baseline label
+ * @returns {CrimeBaseline|null} - Baseline from the latest year with rates, or null when the data has none
+ */
+export const buildBaselineFromEstimates = (estimates, { level, label }) => {
+  const years = getEstimateRatesByYear(estimates);
+  if (years.length === 0) return null;
+
+  const latest = years[years.length - 1];
+  return {
+    level,
+    label,
+    rates: latest.rates,
+    year: latest.year,
+    fetchedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * How a set of crime rates compares to a baseline, as a ratio (1 = average)
+ * Both sides are severity-weighted over the offense types they share, so a
+ * baseline with more categories than the sample does not skew the ratio.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} crimeStats - Rate per offense type
+ * @param {CrimeBaseline} baseline - Baseline to compare with
+ * @param {Object} scoringProfile - Optional travel-mode scoring profile
+ * @returns {number|null} - Ratio of the weighted rates, or null when they share no offense types
+ */
+export const getBaselineRatio = (crimeStats, baseline, scoringProfile = null) => {
+  if (!crimeStats || !baseline || !baseline.rates) return null;
+
+  const shared = Object.keys(crimeStats)
+    .filter(offense => Number.isFinite(crimeStats[offense]) && Number.isFinite(baseline.rates[offense]));
+  if (shared.length === 0) return null;
+
+  const pick = (rates) => shared.reduce((picked, offense) => ({ ...picked, [offense]: rates[offense] }), {});
+  const sampleRate = getSeverityBreakdown(pick(crimeStats), { scoringProfile }).weightedCrimeRate;
+  const baselineRate = getSeverityBreakdown(pick(baseline.rates), { scoringProfile }).weightedCrimeRate;
+
+  if (baselineRate <= 0) return sampleRate > 0 ? MAX_RELATIVE_CRIME_RATIO : 0;
+  return sampleRate / baselineRate;
+};
+
+/**
+ * Convert a baseline ratio into a 0-100 safety score
+ * Crime-free maps to 100, the baseline average to 60 and MAX_RELATIVE_CRIME_RATIO times it to 0.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number|null} ratio - Crime relative to the baseline
+ * @returns {number|null} - Safety score between 0-100, or null when the ratio is unknown
+ */
+export const calculateRelativeCrimeScore = (ratio) => {
+  if (!Number.isFinite(ratio)) return null;
+
+  const rawScore = 100 - ((ratio / MAX_RELATIVE_CRIME_RATIO) * 100);
+  return Math.max(0, Math.min(100, Math.round(rawScore)));
+};
+
+/**
+ * Compare crime rates with a baseline, per offense type
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} crimeStats - Rate per offense type
+ * @param {CrimeBaseline} baseline - Baseline to compare with
+ * @returns {Object|null} - { level, label, categories: [{offense, label, rate, baselineRate,
+ *   percentDifference}], headline }, where percentDifference is negative below the baseline and
+ *   headline is the violent-crime comparison (or the first shared category); null when nothing compares
+ */
+export const compareToBaseline = (crimeStats, baseline) => {
+  if (!crimeStats || !baseline || !baseline.rates) return null;
+
+  const categories = Object.keys(crimeStats)
+    .filter(offense => Number.isFinite(crimeStats[offense]) && baseline.rates[offense] > 0)
+    .map(offense => ({
+      offense,
+      label: getOffenseLabel(offense),
+      rate: crimeStats[offense],
+      baselineRate: baseline.rates[offense],
+      percentDifference: Math.round(((crimeStats[offense] / baseline.rates[offense]) - 1) * 100)
+    }));
+  if (categories.length === 0) return null;
+
+  return {
+    level: baseline.level,
+    label: baseline.label,
+    categories,
+    headline: categories.find(category => category.offense === HEADLINE_OFFENSE) || categories[0]
+  };
+};
+
+/**
+ * Describe a comparison in words, e.g. "38% less violent crime than the city average"
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} category - Category comparison from compareToBaseline
+ * @param {string} baselineLabel - Baseline label
+ * @returns {string} - Sentence fragment
+ */
+export const describeBaselineDifference = (category, baselineLabel) => {
+  const offense = category.label.toLowerCase();
+  if (category.percentDifference === 0) {
+    return `About as much ${offense} as ${baselineLabel}`;
+  }
+
+  const direction = category.percentDifference < 0 ? 'less' : 'more';
+  return `${Math.abs(category.percentDifference)}% ${direction} ${offense} than ${baselineLabel}`;
+};
@@ -0,0 +1,111 @@
+/**
+ * Hour-of-day and day-of-week crime distributions for the SafePath Navigator
+ * Built from incident timestamps (`occurredAt`) so crime can be weighted by
+ * when a trip happens. Hours and weekdays use the local clock, like business hours.
+ */
+import { getLocalClock, parseUtcOffset } from './localTime';
+
+// Below this many timestamped incidents the distributions are too noisy to use
+export const MIN_TIMESTAMPED_INCIDENTS = 10;
+
+// Pseudo-count added to every bucket so empty hours or days never read as zero risk
+const SMOOTHING_PRIOR = 1;
+
+// Keep a single time bucket from swinging the crime score too far either way
+const MIN_TIME_MULTIPLIER = 0.25;
+const MAX_TIME_MULTIPLIER = 3;
+
+// Distributions are derived once per incident array and clock
+const distributionCache = new WeakMap();
+
+/**
+ * Local weekday and hour of an incident timestamp. Timestamps written without a UTC offset
+ * already hold the local time, so only those with one are moved to the given clock.
+ * @private
+ */
+const getIncidentClock = (incident, utcOffsetMinutes) => {
+  if (!incident || !incident.occurredAt) return null;
+
+  const date = new Date(incident.occurredAt);
+  if (Number.isNaN(date.getTime())) return null;
+  return getLocalClock(date, parseUtcOffset(incident.occurredAt) === null ? null : utcOffsetMinutes);
+};
+
+/**
+ * Turn bucket counts into a smoothed probability distribution
+ * @private
+ */
+const toDistribution = (counts, circularSmoothing) => {
+  const smoothed = circularSmoothing
+    ? counts.map((count, i) => (
+      // Spread each hour into its neighbours - 23:00 and 00:00 are adjacent
+      0.25 * counts[(i + counts.length - 1) % counts.length] + 0.5 * count + 0.25 * counts[(i + 1) % counts.length]
+    ))
+    : counts;
+  const withPrior = smoothed.map(count => count + SMOOTHING_PRIOR);
+  const total = withPrior.reduce((sum, count) => sum + count, 0);
+
+  return withPrior.map(count => count / total);
+};
+
+/**
+ * Hour-of-day and day-of-week distributions of timestamped incidents
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} incidents - Crime incidents, optionally with an `occurredAt` timestamp
+ * @param {number|null} utcOffsetMinutes - UTC offset of the local clock, or null for the runtime's
+ *   clock (see localTime.getLocalClock)
+ * @returns {Object|null} - { hours: number[24], days: number[7], sampleSize } where each array
+ *   sums to 1 (days start on Sunday), or null when too few incidents have timestamps
+ */
+export const getCrimeTimeDistribution = (incidents, utcOffsetMinutes = null) => {
+  if (!incidents || incidents.length === 0) return null;
+  if (!distributionCache.has(incidents)) distributionCache.set(incidents, new Map());
+  const distributions = distributionCache.get(incidents);
+  if (distributions.has(utcOffsetMinutes)) return distributions.get(utcOffsetMinutes);
+
+  const hourCounts = new Array(24).fill(0);
+  const dayCounts = new Array(7).fill(0);
+  let sampleSize = 0;
+
+  incidents.forEach(incident => {
+    const clock = getIncidentClock(incident, utcOffsetMinutes);
+    if (!clock) return;
+
+    hourCounts[clock.hours] += 1;
+    dayCounts[clock.day] += 1;
+    sampleSize += 1;
+  });
+
+  const distribution = sampleSize < MIN_TIMESTAMPED_INCIDENTS ? null : {
+    hours: toDistribution(hourCounts, true),
+    days: toDistribution(dayCounts, false),
+    sampleSize
+  };
+
+  distributions.set(utcOffsetMinutes, distribution);
+  return distribution;
+};
+
+/**
+ * How much riskier a moment is than an average moment, based on when incidents happen.
+ * 1 means average; 2 means twice the usual share of incidents happen at that hour and weekday.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} incidents - Crime incidents, optionally with an `occurredAt` timestamp
+ * @param {Date} date - Moment of travel
+ * @param {number|null} utcOffsetMinutes - UTC offset of the local clock, or null for the runtime's clock
+ * @returns {number} - Crime multiplier, or 1 when there is no time or too little timestamped data
+ */
+export const getCrimeTimeMultiplier = (incidents, date, utcOffsetMinutes = null) => {
+  if (!date) return 1;
+
+  const distribution = getCrimeTimeDistribution(incidents, utcOffsetMinutes);
+  if (!distribution) return 1;
+
+  const { day, hours } = getLocalClock(date, utcOffsetMinutes);
+  const hourFactor = distribution.hours[hours] * 24;
+  const dayFactor = distribution.days[day] * 7;
+
+  return Math.max(MIN_TIME_MULTIPLIER, Math.min(MAX_TIME_MULTIPLIER, hourFactor * dayFactor));
+};
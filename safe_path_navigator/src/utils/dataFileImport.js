@@ -0,0 +1,235 @@
+/**
+ * Shared CSV and GeoJSON reading for the SafePath Navigator's dataset importers
+ * Open data files (crime incidents, streetlight inventories, ...) name their columns
+ * differently per city. Importers describe each field they need as a list of
+ * candidate column names; the helpers here parse the file, find the columns and
+ * validate coordinates, leaving the field-specific rules to each importer.
+ */
+
+// Data file formats the importers read
+export const DATA_FILE_FORMATS = {
+  CSV: 'csv',
+  GEOJSON: 'geojson'
+};
+
+/**
+ * Simplify a column name for matching
+ * @private
+ */
+const simplifyColumn = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Whether a value is missing from a record (absent or an empty cell)
+ *
+ * @PUBLIC_INTERFACE
+ * @param {*} value - Field value
+ * @returns {boolean} - True for undefined, null or blank values
+ */
+export const isBlankValue = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Find the value of a mapped field in a record
+ * Column names are matched ignoring case, spaces and punctuation, so 'Incident Datetime'
+ * matches 'incident_datetime'.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} record - Source record
+ * @param {string|Array<string>} candidates - Column name or candidate names, in order of preference
+ * @returns {*} - The value of the first candidate column present, or undefined
+ */
+export const readMappedField = (record, candidates) => {
+  const names = (Array.isArray(candidates) ? candidates : [candidates]).filter(Boolean).map(simplifyColumn);
+  const column = names
+    .map(name => Object.keys(record).find(key => simplifyColumn(key) === name))
+    .find(key => key !== undefined);
+
+  return column === undefined ? undefined : record[column];
+};
+
+/**
+ * Parse and validate a coordinate pair from source values
+ *
+ * @PUBLIC_INTERFACE
+ * @param {*} rawLat - Latitude value
+ * @param {*} rawLng - Longitude value
+ * @returns {Object} - { lat, lng } when valid, otherwise { error } with the reason
+ */
+export const parseCoordinates = (rawLat, rawLng) => {
+  if (isBlankValue(rawLat) || isBlankValue(rawLng)) {
+    return { error: 'Missing coordinates' };
+  }
+
+  const lat = Number(rawLat);
+  const lng = Number(rawLng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: `Invalid coordinates (${rawLat}, ${rawLng})` };
+  }
+  // Open data portals often write 0,0 for records that could not be geocoded
+  if (lat === 0 && lng === 0) {
+    return { error: 'Coordinates are 0,0 (not geocoded)' };
+  }
+
+  return { lat, lng };
+};
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} text - CSV text
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (default: ',')
+ * @returns {Object} - { columns, records }
+ */
+export const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...dataRows] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: dataRows.map(cells => columns.reduce((record, column, index) => ({
+      ...record,
+      [column]: cells[index] !== undefined ? cells[index].trim() : ''
+    }), {}))
+  };
+};
+
+/**
+ * Read the records of a CSV file that must have latitude and longitude columns
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} text - CSV text with a header row
+ * @param {Object} options - Read options
+ * @param {Object} options.fields - Field mapping; its lat and lng entries must match a column
+ * @param {string} options.delimiter - Field delimiter (default: ',')
+ * @param {string} options.itemName - What a row holds, for error messages (default: 'data')
+ * @returns {Object} - { format, columns, records }
+ * @throws {Error} - When the file has no rows or no latitude/longitude columns
+ */
+export const readCsvRecords = (text, { fields, delimiter, itemName = 'data' } = {}) => {
+  const { columns, records } = parseCsv(text, { delimiter });
+  if (records.length === 0) {
+    throw new Error(`The CSV file has no ${itemName} rows`);
+  }
+
+  const header = columns.reduce((record, column) => ({ ...record, [column]: column }), {});
+  if (readMappedField(header, fields.lat) === undefined || readMappedField(header, fields.lng) === undefined) {
+    throw new Error(`No latitude/longitude columns found (columns: ${columns.join(', ')})`);
+  }
+
+  return { format: DATA_FILE_FORMATS.CSV, columns, records };
+};
+
+/**
+ * Read the records of a GeoJSON FeatureCollection of points
+ * Each record is a feature's properties plus `lat` and `lng` from its point geometry
+ * (features without a point geometry keep only their properties).
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object|string} data - GeoJSON object or text
+ * @returns {Object} - { format, columns, records }
+ * @throws {Error} - When the data is not a GeoJSON FeatureCollection
+ */
+export const readGeoJSONRecords = (data) => {
+  const geojson = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('Expected a GeoJSON FeatureCollection');
+  }
+
+  const records = geojson.features.map((feature) => {
+    const properties = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      return properties;
+    }
+
+    // GeoJSON positions are [longitude, latitude]
+    const [lng, lat] = geometry.coordinates;
+    return { ...properties, lat, lng };
+  });
+
+  return {
+    format: DATA_FILE_FORMATS.GEOJSON,
+    columns: [...new Set(records.flatMap(record => Object.keys(record)))],
+    records
+  };
+};
+
+/**
+ * Detect whether file content is GeoJSON or CSV
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} content - File content
+ * @param {string} fileName - File name, checked for a .json or .geojson extension
+ * @returns {string} - DATA_FILE_FORMATS.GEOJSON or DATA_FILE_FORMATS.CSV
+ */
+export const detectFileFormat = (content, fileName = '') => (
+  /\.(geo)?json$/i.test(fileName) || String(content).trim().startsWith('{')
+    ? DATA_FILE_FORMATS.GEOJSON
+    : DATA_FILE_FORMATS.CSV
+);
+
+/**
+ * Map every record with an importer's record mapper, collecting the rejected ones
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} records - Source records
+ * @param {Function} mapRecord - Returns { item } for a valid record, otherwise { error }
+ * @returns {Object} - { items, rejected: [{row, reason}] } where row is the record's 1-based position
+ */
+export const mapRecords = (records, mapRecord) => {
+  const items = [];
+  const rejected = [];
+
+  (records || []).forEach((record, index) => {
+    const { item, error } = mapRecord(record || {});
+    if (item) {
+      items.push(item);
+    } else {
+      rejected.push({ row: index + 1, reason: error });
+    }
+  });
+
+  return { items, rejected };
+};
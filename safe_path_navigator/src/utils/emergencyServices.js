@@ -0,0 +1,317 @@
+/**
+ * Emergency services from OpenStreetMap for the SafePath Navigator
+ * Reads police stations, hospitals, fire stations and pharmacies from Overpass API
+ * JSON or from GeoJSON exported from an OSM extract (osmium export, osmtogeojson),
+ * keeping names, phone numbers and opening hours when the map has them.
+ */
+import { getSpatialIndex } from './spatialIndex';
+import { getLocalClock } from './localTime';
+
+/**
+ * Emergency service types, named after their OSM amenity tag
+ * @PUBLIC_INTERFACE
+ */
+export const EMERGENCY_SERVICE_TYPES = {
+  POLICE: 'police',
+  HOSPITAL: 'hospital',
+  FIRE_STATION: 'fire_station',
+  PHARMACY: 'pharmacy'
+};
+
+// Name for services the map does not name
+const DEFAULT_SERVICE_NAMES = {
+  police: 'Police Station',
+  hospital: 'Hospital',
+  fire_station: 'Fire Station',
+  pharmacy: 'Pharmacy'
+};
+
+/**
+ * How much each service type counts towards the proximity factor; a pharmacy
+ * can help but is no substitute for police or a hospital
+ * @PUBLIC_INTERFACE
+ */
+export const EMERGENCY_SERVICE_WEIGHTS = {
+  police: 1,
+  hospital: 1,
+  fire_station: 1,
+  pharmacy: 0.5
+};
+
+// OSM opening_hours day abbreviations, indexed like Date.getDay()
+const OSM_DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Emergency service
+ * @typedef {Object} EmergencyService
+ * @property {string|null} id - OSM id (e.g. 'node/123')
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {string} type - Service type (see EMERGENCY_SERVICE_TYPES)
+ * @property {string} name - Name, or a generic name for the type
+ * @property {string|null} phone - Phone number, when mapped
+ * @property {string|null} openingHours - OSM opening_hours value, when mapped
+ */
+
+/**
+ * Emergency service type of an OSM feature from its tags
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} tags - OSM tags
+ * @returns {string|null} - Service type, or null for other features
+ */
+export const getEmergencyServiceType = (tags = {}) => {
+  const types = Object.values(EMERGENCY_SERVICE_TYPES);
+  if (types.includes(tags.amenity)) return tags.amenity;
+  if (tags.healthcare === 'hospital' || tags.healthcare === 'pharmacy') return tags.healthcare;
+  return null;
+};
+
+/**
+ * Parse OSM day ranges such as 'Mo-Fr' or 'Sa,Su' into Date.getDay() indices
+ * @private
+ */
+const parseDays = (spec) => {
+  const days = [];
+  const valid = spec.split(',').every((part) => {
+    const [from, to] = part.split('-').map(day => OSM_DAYS.indexOf(day.trim()));
+    if (from < 0 || to < 0) return false;
+
+    // Ranges may wrap around the week, e.g. 'Fr-Mo'
+    const end = to === undefined ? from : to;
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === end) break;
+    }
+    return true;
+  });
+
+  return valid ? days : null;
+};
+
+/**
+ * Parse time ranges such as '08:00-12:00,13:00-17:00' into [start, end] minutes
+ * @private
+ */
+const parseTimeRanges = (spec) => {
+  if (/^(off|closed)$/i.test(spec)) return [];
+
+  const toMinutes = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time.trim());
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  };
+  const ranges = spec.split(',').map((range) => {
+    const [start, end] = range.split('-').map(toMinutes);
+    return start === null || end === null || end === undefined ? null : [start, end];
+  });
+
+  return ranges.every(Boolean) ? ranges : null;
+};
+
+/**
+ * Parse an OSM opening_hours value
+ * Supports '24/7' and rules like 'Mo-Fr 08:00-18:00; Sa 09:00-13:00; Su off'; later rules
+ * override earlier ones for the same day, and rules in other syntax (public holidays,
+ * months, ...) are ignored.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} openingHours - OSM opening_hours value
+ * @returns {Array<Array>|null} - Opening [start, end] minute ranges per weekday (index 0 = Sunday),
+ *   or null when the value cannot be understood
+ */
+export const parseOpeningHours = (openingHours) => {
+  if (!openingHours) return null;
+
+  const value = String(openingHours).trim();
+  if (value === '24/7') return OSM_DAYS.map(() => [[0, MINUTES_PER_DAY]]);
+
+  let understood = false;
+  const schedule = OSM_DAYS.map(() => []);
+  value.split(';').map(rule => rule.trim()).filter(Boolean).forEach((rule) => {
+    const [first, ...rest] = rule.split(/\s+/);
+    const hasDays = /^[A-Z][a-z]/.test(first) && !/^(off|closed)$/i.test(first);
+    const days = hasDays ? parseDays(first) : OSM_DAYS.map((day, index) => index);
+    const ranges = parseTimeRanges(hasDays ? rest.join('') : rule.replace(/\s+/g, ''));
+    if (!days || !ranges) return;
+
+    understood = true;
+    days.forEach((day) => {
+      schedule[day] = ranges;
+    });
+  });
+
+  return understood ? schedule : null;
+};
+
+// Parsed opening hours by value, since scoring checks the same services repeatedly
+const scheduleCache = new Map();
+
+/**
+ * Whether a service is open at a time
+ *
+ * @PUBLIC_INTERFACE
+ * @param {EmergencyService} service - Emergency service
+ * @param {Date} date - Time to check
+ * @param {number|null} utcOffsetMinutes - UTC offset of the service's clock, or null for the
+ *   runtime's clock (see localTime.getLocalClock)
+ * @returns {boolean|null} - True or false from the opening hours, or null when they are unknown
+ */
+export const isServiceOpen = (service, date, utcOffsetMinutes = null) => {
+  if (!service.openingHours) return null;
+
+  if (!scheduleCache.has(service.openingHours)) {
+    scheduleCache.set(service.openingHours, parseOpeningHours(service.openingHours));
+  }
+  const schedule = scheduleCache.get(service.openingHours);
+  if (!schedule) return null;
+
+  const { day, hours, minutes: minute } = getLocalClock(date, utcOffsetMinutes);
+  const minutes = hours * 60 + minute;
+  const previousDay = (day + 6) % 7;
+
+  // Ranges ending after midnight (e.g. 18:00-02:00) continue into the next day
+  return schedule[day].some(([start, end]) => (
+    end > start ? minutes >= start && minutes < end : minutes >= start
+  )) || schedule[previousDay].some(([start, end]) => end <= start && minutes < end);
+};
+
+/**
+ * Position of an Overpass element: nodes have coordinates, ways and relations a
+ * center or bounds when queried with `out center` or `out bb`
+ * @private
+ */
+const getElementPosition = (element) => {
+  if (Number.isFinite(element.lat) && Number.isFinite(element.lon)) {
+    return { lat: element.lat, lng: element.lon };
+  }
+  if (element.center) {
+    return { lat: element.center.lat, lng: element.center.lon };
+  }
+  if (element.bounds) {
+    return {
+      lat: (element.bounds.minlat + element.bounds.maxlat) / 2,
+      lng: (element.bounds.minlon + element.bounds.maxlon) / 2
+    };
+  }
+  return null;
+};
+
+/**
+ * Position of a GeoJSON feature: a point, or the average of a polygon's outer ring
+ * @private
+ */
+const getFeaturePosition = (geometry) => {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') {
+    return { lat: geometry.coordinates[1], lng: geometry.coordinates[0] };
+  }
+
+  const ring = geometry.type === 'Polygon' ? geometry.coordinates[0]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0]
+      : null;
+  if (!ring || ring.length === 0) return null;
+
+  return {
+    lat: ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length,
+    lng: ring.reduce((sum, [lng]) => sum + lng, 0) / ring.length
+  };
+};
+
+/**
+ * Build a service from OSM tags and a position
+ * @private
+ */
+const toService = (id, tags, position) => {
+  const type = getEmergencyServiceType(tags);
+  if (!type) return null;
+
+  return {
+    id,
+    lat: position ? position.lat : null,
+    lng: position ? position.lng : null,
+    type,
+    name: tags.name || DEFAULT_SERVICE_NAMES[type],
+    phone: tags.phone || tags['contact:phone'] || null,
+    openingHours: tags.opening_hours || null
+  };
+};
+
+/**
+ * Read emergency services from Overpass JSON or OSM GeoJSON
+ * Other features are ignored; services without a usable position are rejected.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object|string} data - Overpass JSON ({ elements }) or a GeoJSON FeatureCollection, or its text
+ * @returns {Object} - { services, rejected: [{id, reason}] }
+ * @throws {Error} - When the data is neither Overpass JSON nor GeoJSON
+ */
+export const parseOsmEmergencyServices = (data) => {
+  const osm = typeof data === 'string' ? JSON.parse(data) : data;
+
+  let candidates;
+  if (osm && Array.isArray(osm.elements)) {
+    candidates = osm.elements.map(element => toService(
+      `${element.type}/${element.id}`,
+      element.tags || {},
+      getElementPosition(element)
+    ));
+  } else if (osm && osm.type === 'FeatureCollection' && Array.isArray(osm.features)) {
+    candidates = osm.features.map((feature) => {
+      const properties = feature.properties || {};
+      // osmtogeojson nests the tags; osmium export puts them directly in the properties
+      const tags = properties.tags || properties;
+      return toService(feature.id || properties['@id'] || properties.id || null, tags, getFeaturePosition(feature.geometry));
+    });
+  } else {
+    throw new Error('Expected Overpass JSON or a GeoJSON FeatureCollection');
+  }
+
+  const services = [];
+  const rejected = [];
+  candidates.filter(Boolean).forEach((service) => {
+    if (Number.isFinite(service.lat) && Number.isFinite(service.lng)) {
+      services.push(service);
+    } else {
+      rejected.push({ id: service.id, reason: 'No position (query Overpass with "out center")' });
+    }
+  });
+
+  return { services, rejected };
+};
+
+/**
+ * One-line description of a service for map markers, e.g. 'Mission Station · 415-558-5400 · 24/7'
+ *
+ * @PUBLIC_INTERFACE
+ * @param {EmergencyService} service - Emergency service
+ * @returns {string} - Name followed by the phone number and opening hours that are known
+ */
+export const describeEmergencyService = (service) => (
+  [service.name, service.phone, service.openingHours].filter(Boolean).join(' · ')
+);
+
+/**
+ * Nearest emergency services to a location, closest first
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<EmergencyService>} services - Emergency services
+ * @param {Object} location - Location {lat, lng}
+ * @param {Object} options - Search options
+ * @param {string} options.type - Only this service type
+ * @param {Date} options.openAt - Leave out services known to be closed at this time
+ * @param {number} options.limit - Maximum number of services (default: 3)
+ * @param {number} options.maxDistanceMeters - Search radius (default: unlimited)
+ * @returns {Array<Object>} - [{ service, distanceMeters }]
+ */
+export const findNearestEmergencyServices = (
+  services,
+  location,
+  { type = null, openAt = null, limit = 3, maxDistanceMeters = Infinity } = {}
+) => (
+  getSpatialIndex(services)
+    .nearest(location, { limit: services.length, maxDistance: maxDistanceMeters })
+    .filter(({ point }) => (!type || point.type === type) && (!openAt || isServiceOpen(point, openAt) !== false))
+    .slice(0, limit)
+    .map(({ point, distance }) => ({ service: point, distanceMeters: distance }))
+);
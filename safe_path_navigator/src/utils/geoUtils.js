@@ -0,0 +1,245 @@
+/**
+ * Geospatial helpers for the SafePath Navigator
+ * All distances are in meters and all coordinates are {lat, lng} objects in degrees.
+ */
+
+// Mean Earth radius (IUGG) in meters
+export const EARTH_RADIUS_METERS = 6371008.8;
+
+// Length of one degree of latitude in meters
+export const METERS_PER_DEGREE_LAT = (Math.PI / 180) * EARTH_RADIUS_METERS;
+
+/**
+ * Convert degrees to radians
+ * @private
+ */
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Convert radians to degrees
+ * @private
+ */
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} from - Start point {lat, lng}
+ * @param {Object} to - End point {lat, lng}
+ * @returns {number} - Distance in meters
+ */
+export const haversineDistance = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Fast approximate distance using an equirectangular projection.
+ * Accurate to well under 1% for the short (few km) distances used in scoring.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} from - Start point {lat, lng}
+ * @param {Object} to - End point {lat, lng}
+ * @returns {number} - Distance in meters
+ */
+export const equirectangularDistance = (from, to) => {
+  const x = toRadians(to.lng - from.lng) * Math.cos(toRadians((from.lat + to.lat) / 2));
+  const y = toRadians(to.lat - from.lat);
+  return Math.sqrt(x * x + y * y) * EARTH_RADIUS_METERS;
+};
+
+/**
+ * Initial bearing from one point to another
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} from - Start point {lat, lng}
+ * @param {Object} to - End point {lat, lng}
+ * @returns {number} - Bearing in degrees clockwise from north (0-360)
+ */
+export const bearing = (from, to) => {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Shortest distance from a point to the segment between two points.
+ * Uses a local planar projection centered on the point, which is accurate
+ * for segments up to a few kilometers long.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} point - Point to measure from {lat, lng}
+ * @param {Object} segmentStart - Segment start {lat, lng}
+ * @param {Object} segmentEnd - Segment end {lat, lng}
+ * @returns {number} - Distance in meters
+ */
+export const pointToSegmentDistance = (point, segmentStart, segmentEnd) => {
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(toRadians(point.lat));
+
+  // Project segment endpoints into meters relative to the point
+  const ax = (segmentStart.lng - point.lng) * metersPerDegreeLng;
+  const ay = (segmentStart.lat - point.lat) * METERS_PER_DEGREE_LAT;
+  const bx = (segmentEnd.lng - point.lng) * metersPerDegreeLng;
+  const by = (segmentEnd.lat - point.lat) * METERS_PER_DEGREE_LAT;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+
+  // Degenerate segment - both endpoints are the same
+  if (lengthSquared === 0) {
+    return Math.sqrt(ax * ax + ay * ay);
+  }
+
+  // Parameter of the closest point on the segment, clamped to [0, 1]
+  const t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+  const cx = ax + t * dx;
+  const cy = ay + t * dy;
+
+  return Math.sqrt(cx * cx + cy * cy);
+};
+
+/**
+ * Bounding box containing every point within a radius of a center point
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} center - Center point {lat, lng}
+ * @param {number} radiusMeters - Radius in meters
+ * @returns {Object} - Bounding box {minLat, minLng, maxLat, maxLng}
+ */
+export const boundingBoxAround = (center, radiusMeters) => {
+  const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+  const cosLat = Math.max(Math.cos(toRadians(center.lat)), 1e-6);
+  const dLng = Math.min(180, radiusMeters / (METERS_PER_DEGREE_LAT * cosLat));
+
+  return {
+    minLat: Math.max(-90, center.lat - dLat),
+    minLng: center.lng - dLng,
+    maxLat: Math.min(90, center.lat + dLat),
+    maxLng: center.lng + dLng
+  };
+};
+
+/**
+ * Smallest bounding box containing all of the given points
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} points - Array of {lat, lng} points
+ * @returns {Object|null} - Bounding box {minLat, minLng, maxLat, maxLng}, or null for no points
+ */
+export const boundingBoxOfPoints = (points) => {
+  if (!points || points.length === 0) return null;
+
+  return points.reduce((bbox, point) => ({
+    minLat: Math.min(bbox.minLat, point.lat),
+    minLng: Math.min(bbox.minLng, point.lng),
+    maxLat: Math.max(bbox.maxLat, point.lat),
+    maxLng: Math.max(bbox.maxLng, point.lng)
+  }), { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity });
+};
+
+/**
+ * Grow a bounding box by a distance on every side
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} bbox - Bounding box {minLat, minLng, maxLat, maxLng}
+ * @param {number} meters - Distance to expand by
+ * @returns {Object} - Expanded bounding box
+ */
+export const expandBoundingBox = (bbox, meters) => {
+  const dLat = meters / METERS_PER_DEGREE_LAT;
+  // Use the latitude closest to a pole so the box is wide enough everywhere
+  const widestLat = Math.max(Math.abs(bbox.minLat), Math.abs(bbox.maxLat));
+  const cosLat = Math.max(Math.cos(toRadians(widestLat)), 1e-6);
+  const dLng = meters / (METERS_PER_DEGREE_LAT * cosLat);
+
+  return {
+    minLat: Math.max(-90, bbox.minLat - dLat),
+    minLng: bbox.minLng - dLng,
+    maxLat: Math.min(90, bbox.maxLat + dLat),
+    maxLng: bbox.maxLng + dLng
+  };
+};
+
+/**
+ * Check whether a point falls inside a bounding box (edges inclusive)
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} point - Point {lat, lng}
+ * @param {Object} bbox - Bounding box {minLat, minLng, maxLat, maxLng}
+ * @returns {boolean} - True if the point is inside the box
+ */
+export const isPointInBoundingBox = (point, bbox) => (
+  point.lat >= bbox.minLat && point.lat <= bbox.maxLat &&
+  point.lng >= bbox.minLng && point.lng <= bbox.maxLng
+);
+
+/**
+ * Decode an encoded polyline, as returned by the Google Directions API
+ * See https://developers.google.com/maps/documentation/utilities/polylinealgorithm
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places of the coordinates (default: 5; some routers use 6)
+ * @returns {Array<Object>} - Array of {lat, lng} points
+ * @throws {Error} - When the polyline is malformed
+ */
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  // Read one zigzag-encoded, variable-length coordinate delta
+  const readDelta = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) throw new Error('Malformed encoded polyline');
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) throw new Error('Malformed encoded polyline');
+      result += (byte & 0x1f) * 2 ** shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result % 2 === 1 ? -(result + 1) / 2 : result / 2;
+  };
+
+  while (index < encoded.length) {
+    lat += readDelta();
+    lng += readDelta();
+    points.push({ lat: lat / factor, lng: lng / factor });
+  }
+  return points;
+};
+
+/**
+ * Points of a GeoJSON LineString, given as a geometry or a Feature
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} geojson - LineString geometry or Feature (coordinates are [lng, lat])
+ * @returns {Array<Object>|null} - Array of {lat, lng} points, or null when it is not a LineString
+ *   of valid coordinates
+ */
+export const lineStringToPoints = (geojson) => {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) return null;
+
+  const points = geometry.coordinates.map(position => (
+    Array.isArray(position) ? { lat: position[1], lng: position[0] } : null
+  ));
+  const valid = points.every(point => point &&
+    Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+    Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180);
+  return valid ? points : null;
+};
@@ -138,6 +138,59 @@ export const reverseGeocode = async (coordinates) => {
   }
 };
 
+/**
+ * Reverse geocode coordinates to the state, city and county they are in
+ * 
+ * @PUBLIC_INTERFACE
+ * @param {Object} coordinates - Object with lat and lng properties
+ * @returns {Promise<{state: string, city: string|null, county: string|null} | null>} - Promise resolving
+ *   to the region (state as a two-letter abbreviation), or null if reverse geocoding fails
+ */
+export const reverseGeocodeRegion = async (coordinates) => {
+  if (!coordinates || !Number.isFinite(coordinates.lat) || !Number.isFinite(coordinates.lng)) {
+    return null;
+  }
+  
+  try {
+    // Ensure the Google Maps API is loaded
+    if (!window.google || !window.google.maps || !window.google.maps.Geocoder) {
+      console.error('Google Maps API not loaded. Make sure it is properly included in your application.');
+      return null;
+    }
+    
+    const geocoder = new window.google.maps.Geocoder();
+    
+    return new Promise((resolve) => {
+      geocoder.geocode({ location: { lat: coordinates.lat, lng: coordinates.lng } }, (results, status) => {
+        if (status !== window.google.maps.GeocoderStatus.OK || !results || results.length === 0) {
+          console.warn(`Reverse geocoding failed for coordinates ${coordinates.lat},${coordinates.lng}. Status: ${status}`);
+          resolve(null);
+          return;
+        }
+        
+        // Use the first component of each type across all results, most specific first
+        const components = results.flatMap(result => result.address_components || []);
+        const findComponent = (...types) => types
+          .map(type => components.find(component => component.types.includes(type)))
+          .find(Boolean);
+        
+        const state = findComponent('administrative_area_level_1');
+        const city = findComponent('locality', 'postal_town', 'sublocality');
+        const county = findComponent('administrative_area_level_2');
+        
+        resolve(state ? {
+          state: state.short_name,
+          city: city ? city.long_name : null,
+          county: county ? county.long_name : null
+        } : null);
+      });
+    });
+  } catch (error) {
+    console.error('Reverse geocoding error:', error);
+    return null;
+  }
+};
+
 /**
  * Validates if the provided string is a valid address format
  * This is a simple validation and can be expanded as needed
@@ -0,0 +1,85 @@
+/**
+ * Geohash encoding for the SafePath Navigator
+ * A geohash names the grid cell a point falls in; nearby points share a prefix, and
+ * every extra character makes the cell smaller (7 characters is about 150 m across).
+ */
+
+// Base-32 alphabet of geohashes (no a, i, l or o)
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Number of characters (default: 7)
+ * @returns {string} - Geohash of the cell containing the point
+ */
+export const encodeGeohash = (lat, lng, precision = 7) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  // Bits alternate between longitude and latitude, starting with longitude
+  let isLngBit = true;
+
+  while (hash.length < precision) {
+    const range = isLngBit ? lngRange : latRange;
+    const value = isLngBit ? lng : lat;
+    const middle = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= middle) {
+      bits |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+    isLngBit = !isLngBit;
+
+    bitCount++;
+    if (bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Bounding box of a geohash cell
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} geohash - Geohash
+ * @returns {Object} - Bounding box {minLat, minLng, maxLat, maxLng}
+ * @throws {Error} - When the geohash has characters outside the geohash alphabet
+ */
+export const decodeGeohashBounds = (geohash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let isLngBit = true;
+
+  String(geohash).toLowerCase().split('').forEach((char) => {
+    const bits = GEOHASH_ALPHABET.indexOf(char);
+    if (bits < 0) {
+      throw new Error(`Invalid geohash character "${char}" in "${geohash}"`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = isLngBit ? lngRange : latRange;
+      const middle = (range[0] + range[1]) / 2;
+      if ((bits >> bit) & 1) {
+        range[0] = middle;
+      } else {
+        range[1] = middle;
+      }
+      isLngBit = !isLngBit;
+    }
+  });
+
+  return { minLat: latRange[0], minLng: lngRange[0], maxLat: latRange[1], maxLng: lngRange[1] };
+};
@@ -0,0 +1,196 @@
+/**
+ * Incident-level crime data import for the SafePath Navigator
+ * Cities publish crime incidents as CSV or GeoJSON open data, each with its own
+ * column names. The importer maps a file's columns to the app's incident schema
+ * ({lat, lng, offense, occurredAt, weight}) through a field mapping, validates
+ * coordinates and dates, and reports the rows it rejected.
+ */
+import { normalizeOffenseName } from './offenseNormalization';
+import { boundingBoxOfPoints, haversineDistance } from './geoUtils';
+import {
+  DATA_FILE_FORMATS,
+  isBlankValue,
+  readMappedField,
+  parseCoordinates,
+  readCsvRecords,
+  readGeoJSONRecords,
+  detectFileFormat,
+  mapRecords
+} from './dataFileImport';
+
+// Incident file formats the importer reads
+export const INCIDENT_FILE_FORMATS = DATA_FILE_FORMATS;
+
+/**
+ * Column names tried for each incident field, in order
+ * A mapping entry is a column name or a list of candidates; names are matched
+ * ignoring case, spaces and punctuation ('Incident Datetime' matches 'incident_datetime').
+ * @PUBLIC_INTERFACE
+ */
+export const DEFAULT_INCIDENT_FIELD_MAPPING = {
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  occurredAt: ['occurredAt', 'occurred_at', 'incident_datetime', 'datetime', 'occurred_on', 'date', 'report_date'],
+  offense: ['offense', 'offense_type', 'incident_category', 'category', 'crime_type', 'primary_type'],
+  weight: ['weight']
+};
+
+// Imported incidents without a weight column share this much weight per square kilometer,
+// which keeps a city's average crime density on the same scale as the demo data
+const INCIDENT_WEIGHT_PER_SQUARE_KM = 2;
+
+// Bounds for calibrated incident weights
+const MIN_INCIDENT_WEIGHT = 0.01;
+const MAX_INCIDENT_WEIGHT = 1;
+
+/**
+ * Imported crime incident
+ * @typedef {Object} Incident
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {string|null} offense - Offense key (see offenseSeverity.js), when reported
+ * @property {string|null} occurredAt - ISO timestamp, when reported
+ * @property {number} weight - Crime weight between 0-1
+ */
+
+/**
+ * Map a record to an incident and validate it
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} record - Source record (a CSV row or GeoJSON feature properties with coordinates)
+ * @param {Object} options - Mapping options
+ * @param {Object} options.mapping - Field mapping merged over DEFAULT_INCIDENT_FIELD_MAPPING
+ * @param {Object} options.offenseMapping - Source offense names mapped to offense keys
+ *   (e.g. {'Assault': 'aggravated-assault'}); other names go through normalizeOffenseName
+ * @param {Date} options.now - Reference time; incidents dated after it are rejected (default: now)
+ * @returns {Object} - { incident } when valid, otherwise { error } with the reason
+ */
+export const mapIncidentRecord = (record, { mapping = {}, offenseMapping = {}, now = new Date() } = {}) => {
+  const fields = { ...DEFAULT_INCIDENT_FIELD_MAPPING, ...mapping };
+  const { lat, lng, error } = parseCoordinates(readMappedField(record, fields.lat), readMappedField(record, fields.lng));
+  if (error) return { error };
+
+  const rawDate = readMappedField(record, fields.occurredAt);
+  const rawOffense = readMappedField(record, fields.offense);
+  const rawWeight = readMappedField(record, fields.weight);
+
+  let occurredAt = null;
+  if (!isBlankValue(rawDate)) {
+    const date = new Date(rawDate);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid date "${rawDate}"` };
+    }
+    if (date > now) {
+      return { error: `Date "${rawDate}" is in the future` };
+    }
+    occurredAt = date.toISOString();
+  }
+
+  let weight = null;
+  if (!isBlankValue(rawWeight)) {
+    weight = Number(rawWeight);
+    if (!Number.isFinite(weight) || weight < 0) {
+      return { error: `Invalid weight "${rawWeight}"` };
+    }
+  }
+
+  const offenseName = isBlankValue(rawOffense) ? null : String(rawOffense).trim();
+  const offense = offenseName
+    ? (offenseMapping[offenseName] || normalizeOffenseName(offenseName))
+    : null;
+
+  return { incident: { lat, lng, offense, occurredAt, weight } };
+};
+
+/**
+ * Give incidents without a weight one based on the dataset's density
+ * Each incident gets an equal share of INCIDENT_WEIGHT_PER_SQUARE_KM over the area the
+ * incidents cover, so large datasets do not saturate the crime score.
+ * @private
+ */
+const calibrateWeights = (incidents) => {
+  const bbox = boundingBoxOfPoints(incidents);
+  if (!bbox) return incidents;
+
+  const widthKm = haversineDistance({ lat: bbox.minLat, lng: bbox.minLng }, { lat: bbox.minLat, lng: bbox.maxLng }) / 1000;
+  const heightKm = haversineDistance({ lat: bbox.minLat, lng: bbox.minLng }, { lat: bbox.maxLat, lng: bbox.minLng }) / 1000;
+  const areaKm2 = Math.max(1, widthKm * heightKm);
+  const weight = Math.min(
+    MAX_INCIDENT_WEIGHT,
+    Math.max(MIN_INCIDENT_WEIGHT, (INCIDENT_WEIGHT_PER_SQUARE_KM * areaKm2) / incidents.length)
+  );
+
+  return incidents.map(incident => (incident.weight === null ? { ...incident, weight } : incident));
+};
+
+/**
+ * Map and validate source records as incidents
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} records - Source records
+ * @param {Object} options - Mapping options (see mapIncidentRecord)
+ * @returns {Object} - { incidents, rejected: [{row, reason}] } where row is the record's 1-based position
+ */
+export const importIncidentRecords = (records, options = {}) => {
+  const { items, rejected } = mapRecords(records, (record) => {
+    const { incident, error } = mapIncidentRecord(record, options);
+    return { item: incident, error };
+  });
+
+  return { incidents: calibrateWeights(items), rejected };
+};
+
+/**
+ * Import incidents from CSV text
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} text - CSV text with a header row
+ * @param {Object} options - Mapping options (see mapIncidentRecord) plus the CSV delimiter
+ * @returns {Object} - { format, columns, incidents, rejected }
+ * @throws {Error} - When the file has no rows or no latitude/longitude columns
+ */
+export const importIncidentCsv = (text, options = {}) => {
+  const { format, columns, records } = readCsvRecords(text, {
+    fields: { ...DEFAULT_INCIDENT_FIELD_MAPPING, ...options.mapping },
+    delimiter: options.delimiter,
+    itemName: 'incident'
+  });
+
+  return { format, columns, ...importIncidentRecords(records, options) };
+};
+
+/**
+ * Import incidents from a GeoJSON FeatureCollection of points
+ * Coordinates come from the point geometry; the other fields are mapped from the feature properties.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object|string} data - GeoJSON object or text
+ * @param {Object} options - Mapping options (see mapIncidentRecord)
+ * @returns {Object} - { format, columns, incidents, rejected }
+ * @throws {Error} - When the data is not a GeoJSON FeatureCollection
+ */
+export const importIncidentGeoJSON = (data, options = {}) => {
+  const { format, columns, records } = readGeoJSONRecords(data);
+
+  // Geometry coordinates always land in lat/lng, whatever the property mapping says
+  const mapping = { ...options.mapping, lat: 'lat', lng: 'lng' };
+  return { format, columns, ...importIncidentRecords(records, { ...options, mapping }) };
+};
+
+/**
+ * Import an incident file, detecting its format from the file name or content
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} content - File content
+ * @param {Object} options - Mapping options (see mapIncidentRecord)
+ * @param {string} options.fileName - File name, used to detect the format
+ * @param {string} options.format - Format to use instead of detecting it ('csv' or 'geojson')
+ * @returns {Object} - { format, columns, incidents, rejected }
+ */
+export const importIncidentFile = (content, options = {}) => {
+  const format = options.format || detectFileFormat(content, options.fileName);
+
+  return format === INCIDENT_FILE_FORMATS.GEOJSON
+    ? importIncidentGeoJSON(content, options)
+    : importIncidentCsv(content, options);
+};
@@ -0,0 +1,76 @@
+/**
+ * Local clock time for the SafePath Navigator
+ * Business hours, opening hours and when crime happens are read on the clock where the route is.
+ * The app passes the offset of the route's time zone when Directions gives one and the device's
+ * otherwise; the proxy scores routes for clients anywhere, so it reads the clock at the UTC offset
+ * the departure time was sent with.
+ */
+
+const MS_PER_MINUTE = 60000;
+
+// UTC offset at the end of an ISO 8601 timestamp: Z, +hh:mm, +hhmm or +hh
+const UTC_OFFSET_PATTERN = /T.*(?:(Z)|([+-])(\d{2}):?(\d{2})?)$/i;
+
+/**
+ * Weekday, hour and minute of a moment on a local clock
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Date} date - Moment in time
+ * @param {number|null} utcOffsetMinutes - Minutes the local clock is ahead of UTC (e.g. -420 for
+ *   Pacific Daylight Time), or null for the runtime's own clock
+ * @returns {Object} - { day, hours, minutes }, with days starting on Sunday like Date.getDay()
+ */
+export const getLocalClock = (date, utcOffsetMinutes = null) => {
+  if (utcOffsetMinutes === null || utcOffsetMinutes === undefined) {
+    return { day: date.getDay(), hours: date.getHours(), minutes: date.getMinutes() };
+  }
+
+  const shifted = new Date(date.getTime() + utcOffsetMinutes * MS_PER_MINUTE);
+  return { day: shifted.getUTCDay(), hours: shifted.getUTCHours(), minutes: shifted.getUTCMinutes() };
+};
+
+/**
+ * UTC offset an ISO 8601 timestamp was written with
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} timestamp - ISO 8601 date and time, e.g. '2024-06-01T22:00:00-07:00'
+ * @returns {number|null} - Minutes ahead of UTC, or null when the timestamp has no offset
+ */
+export const parseUtcOffset = (timestamp) => {
+  const match = typeof timestamp === 'string' ? UTC_OFFSET_PATTERN.exec(timestamp) : null;
+  if (!match) return null;
+  if (match[1]) return 0;
+
+  const minutes = Number(match[3]) * 60 + Number(match[4] || 0);
+  return match[2] === '-' ? -minutes : minutes;
+};
+
+/**
+ * UTC offset of a time zone at a moment, daylight saving time included
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA time zone, e.g. 'America/Los_Angeles'
+ * @returns {number|null} - Minutes ahead of UTC, or null for an unknown time zone
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(date);
+  } catch (error) {
+    return null;
+  }
+
+  const part = type => Number(parts.find(candidate => candidate.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+  const wholeMinute = Math.floor(date.getTime() / MS_PER_MINUTE) * MS_PER_MINUTE;
+  return Math.round((wallClock - wholeMinute) / MS_PER_MINUTE);
+};
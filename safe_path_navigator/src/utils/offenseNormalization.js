@@ -0,0 +1,179 @@
+/**
+ * FBI offense count normalization for the SafePath Navigator
+ * Agencies report yearly offense counts; scoring needs rates per 1,000 residents
+ * under the offense keys used across the app (see offenseSeverity.js).
+ */
+
+// Rates are expressed per this many residents
+export const RATE_PER_RESIDENTS = 1000;
+
+// FBI offense names that differ from the app's offense keys
+const OFFENSE_ALIASES = {
+  'murder': 'homicide',
+  'homicide-offenses': 'homicide',
+  'larceny-theft': 'larceny',
+  'rape-revised': 'rape',
+  'rape-legacy': 'rape',
+  'violent_crime': 'violent-crime',
+  'property_crime': 'property-crime',
+  'aggravated_assault': 'aggravated-assault',
+  'motor_vehicle_theft': 'motor-vehicle-theft'
+};
+
+// Legacy rape counts are only used when the revised definition is missing
+const LEGACY_OFFENSES = ['rape-legacy'];
+
+/**
+ * Map an FBI offense name to the app's offense key
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} offense - Offense name as reported (e.g. 'larceny-theft', 'Motor Vehicle Theft')
+ * @returns {string|null} - Offense key (e.g. 'larceny'), or null for an empty name
+ */
+export const normalizeOffenseName = (offense) => {
+  if (!offense) return null;
+
+  const name = String(offense).trim().toLowerCase();
+  if (OFFENSE_ALIASES[name]) return OFFENSE_ALIASES[name];
+
+  const key = name.replace(/[\s_]+/g, '-');
+  return OFFENSE_ALIASES[key] || key;
+};
+
+/**
+ * Convert a yearly count into a rate per 1,000 residents
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number} count - Offense count
+ * @param {number} population - Residents covered
+ * @returns {number|null} - Rate, or null when the population is unknown
+ */
+export const toRatePerResidents = (count, population) => (
+  Number.isFinite(count) && population > 0 ? (count / population) * RATE_PER_RESIDENTS : null
+);
+
+/**
+ * Raised when an offense payload is malformed or incomplete
+ * @PUBLIC_INTERFACE
+ */
+export class OffenseDataValidationError extends Error {
+  /**
+   * @param {Array<string>} issues - What is wrong with the payload, one entry per problem
+   */
+  constructor(issues) {
+    const shown = issues.slice(0, 3).join('; ');
+    const more = issues.length > 3 ? ` (and ${issues.length - 3} more)` : '';
+    super(`Invalid summarized offense data: ${shown}${more}`);
+    this.name = 'OffenseDataValidationError';
+    this.issues = issues;
+  }
+}
+
+// First year of Uniform Crime Reporting data
+const FIRST_UCR_YEAR = 1930;
+
+/**
+ * Whether a field holds a non-negative count, as a number or numeric string
+ * @private
+ */
+const isCount = value => value !== null && value !== '' && typeof value !== 'boolean' &&
+  Number.isFinite(Number(value)) && Number(value) >= 0;
+
+/**
+ * Check a summarized-offense payload from the FBI agency offenses endpoint
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} payload - { results: [{ data_year, offense, actual, cleared }] }
+ * @param {Object} options - Validation options
+ * @param {number} options.currentYear - Latest acceptable data year (default: this year)
+ * @returns {Array<string>} - Problems found, empty when the payload is valid
+ */
+export const validateSummarizedOffenses = (payload, { currentYear = new Date().getFullYear() } = {}) => {
+  if (!payload || typeof payload !== 'object' || !Array.isArray(payload.results)) {
+    return ['expected an object with a "results" array'];
+  }
+
+  return payload.results.flatMap((row, index) => {
+    if (!row || typeof row !== 'object') return [`row ${index} is not an object`];
+
+    const issues = [];
+    const year = Number(row.data_year);
+    if (!Number.isInteger(year) || year < FIRST_UCR_YEAR || year > currentYear) {
+      issues.push(`row ${index} has an invalid data_year (${JSON.stringify(row.data_year)})`);
+    }
+    if (!normalizeOffenseName(row.offense)) {
+      issues.push(`row ${index} has no offense code`);
+    }
+    if (!isCount(row.actual)) {
+      issues.push(`row ${index} has an invalid actual count (${JSON.stringify(row.actual)})`);
+    }
+    if (row.cleared !== undefined && row.cleared !== null && !isCount(row.cleared)) {
+      issues.push(`row ${index} has an invalid cleared count (${JSON.stringify(row.cleared)})`);
+    }
+    return issues;
+  });
+};
+
+/**
+ * Sum one count field per offense key, skipping legacy definitions when the current one is reported
+ * @private
+ */
+const sumByOffense = (rows, field) => {
+  const reported = new Set(rows.map(row => String(row.offense).trim().toLowerCase()));
+
+  return rows.reduce((totals, row) => {
+    const name = String(row.offense).trim().toLowerCase();
+    const key = normalizeOffenseName(name);
+    if (!key || !isCount(row[field]) || (LEGACY_OFFENSES.includes(name) && reported.has(key))) return totals;
+
+    return { ...totals, [key]: (totals[key] || 0) + Number(row[field]) };
+  }, {});
+};
+
+/**
+ * Summarize an agency's offense counts for every reported year
+ * Rows without an actual count are skipped. Every year's rates use the same population,
+ * since the offense endpoint reports none per year.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} results - Summarized offense rows ({ data_year, offense, actual, cleared })
+ * @param {number} population - Residents the agency covers
+ * @returns {Array<Object>} - [{ year, counts, cleared, crimeStats }] per offense key, oldest first;
+ *   rates are null without a population
+ */
+export const summarizeOffensesByYear = (results, population) => {
+  if (!Array.isArray(results)) return [];
+
+  const rows = results.filter(row => row && Number.isFinite(Number(row.data_year)) && isCount(row.actual));
+  const years = [...new Set(rows.map(row => Number(row.data_year)))].sort((a, b) => a - b);
+
+  return years.map((year) => {
+    const yearRows = rows.filter(row => Number(row.data_year) === year);
+    const counts = sumByOffense(yearRows, 'actual');
+    const crimeStats = Object.keys(counts).reduce((rates, key) => ({
+      ...rates,
+      [key]: toRatePerResidents(counts[key], population)
+    }), {});
+
+    return { year, counts, cleared: sumByOffense(yearRows, 'cleared'), crimeStats };
+  });
+};
+
+/**
+ * Summarize an agency's offense counts for its most recent reported year
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} results - Summarized offense rows ({ data_year, offense, actual, cleared })
+ * @param {number} population - Residents the agency covers
+ * @returns {Object|null} - { year, population, counts, crimeStats } with counts and rates per offense
+ *   key, or null when there are no counts or no population
+ */
+export const summarizeAgencyOffenses = (results, population) => {
+  if (!Array.isArray(results) || !(population > 0)) return null;
+
+  const years = summarizeOffensesByYear(results, population);
+  if (years.length === 0) return null;
+
+  const { year, counts, crimeStats } = years[years.length - 1];
+  return { year, population, counts, crimeStats };
+};
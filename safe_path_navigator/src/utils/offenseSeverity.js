@@ -0,0 +1,156 @@
+/**
+ * Offense severity weighting for the SafePath Navigator
+ * Crime rates are weighted by how serious each offense is before they become a
+ * safety score, so a homicide counts for more than a petty theft. Defaults follow
+ * the FBI UCR Part I offense categories and can be overridden per deployment with
+ * the REACT_APP_OFFENSE_SEVERITY environment variable (a JSON object of weights).
+ */
+import { getOffenseRelevance } from './scoringProfiles';
+
+/**
+ * Default severity per UCR offense category (higher = more serious)
+ * `violent-crime` and `property-crime` are the UCR aggregate categories.
+ * @PUBLIC_INTERFACE
+ */
+export const DEFAULT_OFFENSE_SEVERITY = {
+  'homicide': { label: 'Homicide', severity: 10 },
+  'rape': { label: 'Rape', severity: 8 },
+  'robbery': { label: 'Robbery', severity: 6 },
+  'aggravated-assault': { label: 'Aggravated assault', severity: 6 },
+  'violent-crime': { label: 'Violent crime', severity: 5 },
+  'arson': { label: 'Arson', severity: 4 },
+  'burglary': { label: 'Burglary', severity: 3 },
+  'motor-vehicle-theft': { label: 'Motor vehicle theft', severity: 2 },
+  'larceny': { label: 'Larceny-theft', severity: 1.5 },
+  'property-crime': { label: 'Property crime', severity: 1 }
+};
+
+// Severity for offense types missing from the table
+const UNKNOWN_OFFENSE_SEVERITY = 1;
+
+/**
+ * Build a severity table from the defaults and deployment overrides
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} overrides - Severity per offense type, either a number or {label, severity}
+ * @returns {Object} - Severity table keyed by offense type
+ */
+export const createSeverityTable = (overrides = {}) => (
+  Object.entries(overrides || {}).reduce((table, [offense, override]) => {
+    const entry = typeof override === 'number' ? { severity: override } : (override || {});
+    if (!Number.isFinite(entry.severity) || entry.severity < 0) {
+      console.error(`Ignoring invalid severity for offense "${offense}"`);
+      return table;
+    }
+
+    const existing = table[offense] || { label: offense };
+    return { ...table, [offense]: { ...existing, ...entry } };
+  }, { ...DEFAULT_OFFENSE_SEVERITY })
+);
+
+/**
+ * Parse the deployment's severity overrides
+ * @private
+ */
+const readSeverityOverrides = () => {
+  const raw = process.env.REACT_APP_OFFENSE_SEVERITY;
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('Error parsing REACT_APP_OFFENSE_SEVERITY, using default severities:', error);
+    return {};
+  }
+};
+
+/**
+ * The severity table in use for this deployment
+ * @PUBLIC_INTERFACE
+ */
+export const offenseSeverityTable = createSeverityTable(readSeverityOverrides());
+
+/**
+ * Severity of an offense type
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} offense - Offense type (e.g. 'robbery')
+ * @param {Object} table - Severity table (default: the deployment's table)
+ * @returns {number} - Severity weight
+ */
+export const getOffenseSeverity = (offense, table = offenseSeverityTable) => (
+  table[offense] ? table[offense].severity : UNKNOWN_OFFENSE_SEVERITY
+);
+
+/**
+ * Display label of an offense type
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} offense - Offense type
+ * @param {Object} table - Severity table (default: the deployment's table)
+ * @returns {string} - Label, or the offense type itself when unknown
+ */
+export const getOffenseLabel = (offense, table = offenseSeverityTable) => (
+  table[offense] && table[offense].label ? table[offense].label : offense
+);
+
+/**
+ * Mean severity of a set of offense types, used to keep weighted rates on the raw-rate scale
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<string>} offenses - Offense types
+ * @param {Object} table - Severity table (default: the deployment's table)
+ * @returns {number} - Mean severity, or 1 for an empty set
+ */
+export const getMeanSeverity = (offenses, table = offenseSeverityTable) => {
+  const unique = [...new Set(offenses)];
+  if (unique.length === 0) return 1;
+
+  const mean = unique.reduce((sum, offense) => sum + getOffenseSeverity(offense, table), 0) / unique.length;
+  return mean > 0 ? mean : 1;
+};
+
+/**
+ * Weighted contribution of each offense category to a crime rate
+ * Each rate is multiplied by its severity (and, with a scoring profile, its relevance),
+ * then divided by the mean severity of the reported categories so that the weighted
+ * total stays comparable to the raw total: weighting shifts the balance between
+ * categories rather than inflating every rate.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} crimeStats - Crime rate per offense type
+ * @param {Object} options - Weighting options
+ * @param {Object} options.table - Severity table (default: the deployment's table)
+ * @param {Object} options.scoringProfile - Optional travel-mode scoring profile
+ * @returns {Object} - { weightedCrimeRate, categories: [{offense, label, rate, severity, relevance,
+ *   contribution, share}] } sorted by contribution, largest first
+ */
+export const getSeverityBreakdown = (crimeStats, { table = offenseSeverityTable, scoringProfile = null } = {}) => {
+  const entries = Object.entries(crimeStats || {}).filter(([, rate]) => Number.isFinite(rate));
+  const meanSeverity = getMeanSeverity(entries.map(([offense]) => offense), table);
+
+  const categories = entries.map(([offense, rate]) => {
+    const severity = getOffenseSeverity(offense, table);
+    const relevance = getOffenseRelevance(scoringProfile, offense);
+    return {
+      offense,
+      label: getOffenseLabel(offense, table),
+      rate,
+      severity,
+      relevance,
+      contribution: (rate * severity * relevance) / meanSeverity
+    };
+  });
+
+  const weightedCrimeRate = categories.reduce((sum, category) => sum + category.contribution, 0);
+
+  return {
+    weightedCrimeRate,
+    categories: categories
+      .map(category => ({
+        ...category,
+        share: weightedCrimeRate > 0 ? category.contribution / weightedCrimeRate : 0
+      }))
+      .sort((a, b) => b.contribution - a.contribution)
+  };
+};
@@ -0,0 +1,254 @@
+/**
+ * Risk preferences for the SafePath Navigator
+ * What a user is willing to trade for safety: a minimum acceptable score, how
+ * many extra minutes they accept, which factors they care about most and which
+ * offense categories they want to avoid. Preferences are stored in localStorage
+ * and decide which route is recommended.
+ */
+import { getRouteRankingScore, RANKING_STRATEGIES } from './routeRanking';
+
+// localStorage key for saved preferences
+export const RISK_PREFERENCES_STORAGE_KEY = 'safePathRiskPreferences';
+
+// How the recommended route is chosen among the acceptable ones
+export const ROUTE_PRIORITIES = {
+  SAFETY: 'safety',
+  SPEED: 'speed'
+};
+
+// Offense categories users can choose to avoid
+export const AVOIDABLE_OFFENSES = [
+  { id: 'robbery', label: 'Robbery' },
+  { id: 'aggravated-assault', label: 'Assault' },
+  { id: 'homicide', label: 'Homicide' },
+  { id: 'property-crime', label: 'Property crime' },
+  { id: 'motor-vehicle-theft', label: 'Vehicle theft' }
+];
+
+// Score points lost per unit of crime rate in an avoided offense category
+const AVOIDED_OFFENSE_PENALTY = 2;
+
+/**
+ * Default preferences: the safest route, without limits on detours
+ * @PUBLIC_INTERFACE
+ */
+export const DEFAULT_RISK_PREFERENCES = {
+  priority: ROUTE_PRIORITIES.SAFETY,
+  minimumScore: 60,
+  maxExtraMinutes: null,
+  factorEmphasis: {},
+  avoidOffenses: []
+};
+
+/**
+ * Fill in defaults and drop invalid values from stored or user-entered preferences
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} preferences - Partial preferences
+ * @returns {Object} - Complete, valid preferences
+ */
+export const normalizeRiskPreferences = (preferences = {}) => {
+  const {
+    priority,
+    minimumScore,
+    maxExtraMinutes,
+    factorEmphasis,
+    avoidOffenses
+  } = preferences || {};
+
+  return {
+    priority: Object.values(ROUTE_PRIORITIES).includes(priority) ? priority : DEFAULT_RISK_PREFERENCES.priority,
+    minimumScore: Number.isFinite(minimumScore)
+      ? Math.max(0, Math.min(100, minimumScore))
+      : DEFAULT_RISK_PREFERENCES.minimumScore,
+    maxExtraMinutes: Number.isFinite(maxExtraMinutes) && maxExtraMinutes >= 0 ? maxExtraMinutes : null,
+    factorEmphasis: Object.entries(factorEmphasis || {})
+      .filter(([, emphasis]) => Number.isFinite(emphasis) && emphasis >= 0)
+      .reduce((emphasis, [id, value]) => ({ ...emphasis, [id]: value }), {}),
+    avoidOffenses: Array.isArray(avoidOffenses)
+      ? avoidOffenses.filter(offense => typeof offense === 'string')
+      : []
+  };
+};
+
+/**
+ * Load saved preferences, falling back to the defaults
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Storage} storage - Storage to read from (default: localStorage)
+ * @returns {Object} - Risk preferences
+ */
+export const loadRiskPreferences = (storage = window.localStorage) => {
+  try {
+    const saved = storage.getItem(RISK_PREFERENCES_STORAGE_KEY);
+    return normalizeRiskPreferences(saved ? JSON.parse(saved) : {});
+  } catch (error) {
+    console.error('Error loading risk preferences from localStorage:', error);
+    return normalizeRiskPreferences();
+  }
+};
+
+/**
+ * Save preferences
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} preferences - Risk preferences
+ * @param {Storage} storage - Storage to write to (default: localStorage)
+ */
+export const saveRiskPreferences = (preferences, storage = window.localStorage) => {
+  try {
+    storage.setItem(RISK_PREFERENCES_STORAGE_KEY, JSON.stringify(normalizeRiskPreferences(preferences)));
+  } catch (error) {
+    console.error('Error saving risk preferences to localStorage:', error);
+  }
+};
+
+/**
+ * Route safety score re-weighted by the user's factor emphasis
+ * @private
+ */
+const getEmphasizedScore = (route, factorEmphasis) => {
+  const factors = ((route.safetyScore && route.safetyScore.factors) || [])
+    .filter(factor => factor.score !== null);
+  if (Object.keys(factorEmphasis).length === 0 || factors.length === 0) return null;
+
+  const weightOf = (factor) => factor.weight * (Number.isFinite(factorEmphasis[factor.id]) ? factorEmphasis[factor.id] : 1);
+  const totalWeight = factors.reduce((sum, factor) => sum + weightOf(factor), 0);
+  if (totalWeight === 0) return null;
+
+  return factors.reduce((sum, factor) => sum + factor.score * weightOf(factor), 0) / totalWeight;
+};
+
+/**
+ * Crime rate along a route in the offense categories the user avoids
+ * @private
+ */
+const getAvoidedOffenseRate = (route, avoidOffenses) => {
+  const crimeStats = route.crimeData && route.crimeData.crimeStats;
+  if (!crimeStats) return 0;
+
+  return avoidOffenses
+    .filter(offense => Number.isFinite(crimeStats[offense]))
+    .reduce((sum, offense) => sum + crimeStats[offense], 0);
+};
+
+/**
+ * Route duration in minutes, when it is known
+ * @private
+ */
+const getDurationMinutes = (route) => (Number.isFinite(route.duration) ? route.duration / 60 : null);
+
+/**
+ * Score every route against the user's preferences
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} routes - Scored routes (safetyScore, segmentSummary, crimeData, duration in seconds)
+ * @param {Object} preferences - Risk preferences
+ * @param {string} strategy - Ranking strategy the safety score is based on (default: average)
+ * @returns {Array<Object>} - One entry per route, in input order:
+ *   { route, preferenceScore, safetyScore, avoidedOffenseRate, extraMinutes, meetsMinimum, withinDetour };
+ *   preferenceScore and safetyScore are null for a route without data to score, which never meets the minimum
+ */
+export const evaluateRoutes = (routes, preferences, strategy = RANKING_STRATEGIES.AVERAGE) => {
+  const { minimumScore, maxExtraMinutes, factorEmphasis, avoidOffenses } = normalizeRiskPreferences(preferences);
+  const durations = routes.map(getDurationMinutes).filter(Number.isFinite);
+  const fastest = durations.length > 0 ? Math.min(...durations) : null;
+
+  return routes.map(route => {
+    const rankingScore = getRouteRankingScore(route, strategy);
+    const emphasized = getEmphasizedScore(route, factorEmphasis);
+    // The worst-segment strategy already picks the score that matters most, so emphasis only
+    // reshapes the average
+    const safetyScore = emphasized !== null && strategy !== RANKING_STRATEGIES.WORST_SEGMENT
+      ? Math.round(emphasized)
+      : rankingScore;
+
+    const avoidedOffenseRate = getAvoidedOffenseRate(route, avoidOffenses);
+    const duration = getDurationMinutes(route);
+    const extraMinutes = duration !== null && fastest !== null ? duration - fastest : null;
+
+    return {
+      route,
+      preferenceScore: safetyScore === null ? null : safetyScore - avoidedOffenseRate * AVOIDED_OFFENSE_PENALTY,
+      safetyScore,
+      avoidedOffenseRate,
+      extraMinutes,
+      meetsMinimum: safetyScore !== null && safetyScore >= minimumScore,
+      withinDetour: maxExtraMinutes === null || extraMinutes === null || extraMinutes <= maxExtraMinutes
+    };
+  });
+};
+
+/**
+ * Pick the route that best fits the user's preferences and explain why
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} routes - Scored routes
+ * @param {Object} preferences - Risk preferences
+ * @param {string} strategy - Ranking strategy the safety score is based on (default: average)
+ * @returns {Object|null} - { route, reasons: string[] }, or null when there are no routes
+ */
+export const recommendRoute = (routes, preferences, strategy = RANKING_STRATEGIES.AVERAGE) => {
+  if (!routes || routes.length === 0) return null;
+
+  const normalized = normalizeRiskPreferences(preferences);
+  const evaluations = evaluateRoutes(routes, normalized, strategy);
+  // Unscored routes sort after scored ones rather than as the least safe
+  const bySafety = (a, b) => (a.preferenceScore === null || b.preferenceScore === null
+    ? (a.preferenceScore === null) - (b.preferenceScore === null)
+    : b.preferenceScore - a.preferenceScore);
+  const bySpeed = (a, b) => (a.extraMinutes === null ? 0 : a.extraMinutes) - (b.extraMinutes === null ? 0 : b.extraMinutes);
+
+  const acceptable = evaluations.filter(evaluation => evaluation.meetsMinimum && evaluation.withinDetour);
+  const reasons = [];
+  let best;
+
+  if (acceptable.length > 0) {
+    if (normalized.priority === ROUTE_PRIORITIES.SPEED) {
+      best = [...acceptable].sort((a, b) => bySpeed(a, b) || bySafety(a, b))[0];
+      reasons.push(`Fastest route with a safety score of at least ${normalized.minimumScore}`);
+    } else {
+      best = [...acceptable].sort((a, b) => bySafety(a, b) || bySpeed(a, b))[0];
+      reasons.push(acceptable.length === evaluations.length
+        ? 'Highest safety score'
+        : 'Highest safety score among routes that meet your limits');
+    }
+  } else {
+    // Nothing meets every limit: keep within the detour limit if possible, then go for safety
+    const withinDetour = evaluations.filter(evaluation => evaluation.withinDetour);
+    best = [...(withinDetour.length > 0 ? withinDetour : evaluations)].sort(bySafety)[0];
+    reasons.push(best.safetyScore === null
+      ? 'No route has enough data to score its safety'
+      : `No route reaches your minimum safety score of ${normalized.minimumScore}; this is the safest available`);
+  }
+
+  if (normalized.maxExtraMinutes !== null) {
+    const excluded = evaluations.filter(evaluation => !evaluation.withinDetour).length;
+    if (excluded > 0) {
+      reasons.push(`Skips ${excluded} route${excluded === 1 ? '' : 's'} more than ${normalized.maxExtraMinutes} min slower than the fastest`);
+    }
+  }
+
+  const emphasized = Object.entries(normalized.factorEmphasis).filter(([, emphasis]) => emphasis > 1);
+  if (emphasized.length > 0) {
+    const factors = (best.route.safetyScore && best.route.safetyScore.factors) || [];
+    const labels = emphasized.map(([id]) => {
+      const factor = factors.find(candidate => candidate.id === id);
+      return factor ? factor.label.toLowerCase() : id;
+    });
+    reasons.push(`Gives extra weight to ${labels.join(' and ')}`);
+  }
+
+  if (normalized.avoidOffenses.length > 0 && evaluations.length > 1) {
+    const lowest = Math.min(...evaluations.map(evaluation => evaluation.avoidedOffenseRate));
+    if (best.avoidedOffenseRate === lowest) {
+      const labels = normalized.avoidOffenses.map(id => {
+        const offense = AVOIDABLE_OFFENSES.find(candidate => candidate.id === id);
+        return offense ? offense.label.toLowerCase() : id;
+      });
+      reasons.push(`Lowest exposure to ${labels.join(', ')}`);
+    }
+  }
+
+  return { route: best.route, reasons };
+};
@@ -0,0 +1,64 @@
+/**
+ * Route ranking strategies for choosing the recommended route
+ */
+
+// Supported ranking strategies
+export const RANKING_STRATEGIES = {
+  AVERAGE: 'average',
+  WORST_SEGMENT: 'worstSegment'
+};
+
+/**
+ * The score a route is ranked by under a strategy
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} route - Route with safetyScore and (optionally) segmentSummary
+ * @param {string} strategy - One of RANKING_STRATEGIES (default: average)
+ * @returns {number|null} - Ranking score (higher is safer), or null when the route has no data to score
+ */
+export const getRouteRankingScore = (route, strategy = RANKING_STRATEGIES.AVERAGE) => {
+  const average = route.safetyScore && Number.isFinite(route.safetyScore.overall) ? route.safetyScore.overall : null;
+
+  if (strategy === RANKING_STRATEGIES.WORST_SEGMENT) {
+    const summary = route.segmentSummary;
+    return summary && summary.minSegmentScore !== null ? summary.minSegmentScore : average;
+  }
+
+  return average;
+};
+
+/**
+ * Compare two ranking scores, higher first; a missing score follows every known one
+ * @private
+ */
+const compareScores = (a, b) => {
+  if (a === null || b === null) return (a === null) - (b === null);
+  return b - a;
+};
+
+/**
+ * Sort routes from safest to least safe
+ * Ties under the worst-segment strategy are broken by the share of distance
+ * below the threshold, then by the average score. Routes without data to score
+ * come after the scored ones instead of being ranked as the least safe.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} routes - Routes to rank
+ * @param {string} strategy - One of RANKING_STRATEGIES (default: average)
+ * @returns {Array<Object>} - New array of routes, safest first
+ */
+export const rankRoutes = (routes, strategy = RANKING_STRATEGIES.AVERAGE) => {
+  const shareBelow = (route) => (route.segmentSummary ? route.segmentSummary.shareBelowThreshold : 0);
+
+  return [...routes].sort((a, b) => {
+    const difference = compareScores(getRouteRankingScore(a, strategy), getRouteRankingScore(b, strategy));
+    if (difference !== 0) return difference;
+
+    if (strategy === RANKING_STRATEGIES.WORST_SEGMENT) {
+      const shareDifference = shareBelow(a) - shareBelow(b);
+      if (shareDifference !== 0) return shareDifference;
+    }
+
+    return compareScores(getRouteRankingScore(a), getRouteRankingScore(b));
+  });
+};
@@ -0,0 +1,133 @@
+/**
+ * Route scoring for the SafePath Navigator, independent of React and the map
+ * Samples a route, looks crime up near the samples and scores the route with the
+ * scoring pipeline. MapContext scores Directions results with it, and the proxy's
+ * POST /api/safety/score endpoint scores routes sent by other clients.
+ */
+import { scoreRoute } from './scoringPipeline';
+
+// Routes are sampled at this many points for crime lookups, depending on their length
+const MIN_CRIME_SAMPLES = 3;
+const MAX_CRIME_SAMPLES = 5;
+
+/**
+ * Points along a route to look crime up at, spread evenly from its start
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} points - Route points {lat, lng}
+ * @returns {Array<Object>} - Sampled points
+ */
+export const sampleRoutePoints = (points) => {
+  if (!points || points.length === 0) return [];
+
+  const sampleSize = Math.min(MAX_CRIME_SAMPLES, Math.max(MIN_CRIME_SAMPLES, Math.floor(points.length / 10)));
+  const sampledPoints = [];
+
+  for (let i = 0; i < sampleSize; i++) {
+    const pointIndex = Math.floor(i * (points.length / sampleSize));
+    sampledPoints.push(points[pointIndex]);
+  }
+  return sampledPoints;
+};
+
+/**
+ * Get safety recommendations based on crime statistics
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} crimeStats - Crime statistics object
+ * @returns {Array<string>} - Array of safety recommendations
+ */
+export const getSafetyRecommendations = (crimeStats) => {
+  if (!crimeStats) return [];
+
+  const recommendations = [];
+  const totalRate = crimeStats.totalCrimeRate || 0;
+
+  // General recommendations
+  recommendations.push('Stay aware of your surroundings at all times');
+
+  // Add specific recommendations based on crime types and rates
+  if (crimeStats.crimeStats) {
+    if (crimeStats.crimeStats['violent-crime'] > 5) {
+      recommendations.push('Try to travel with a companion in this area');
+    }
+
+    if (crimeStats.crimeStats['property-crime'] > 15) {
+      recommendations.push('Keep valuables out of sight or securely stored');
+    }
+
+    if (crimeStats.crimeStats['robbery'] > 5) {
+      recommendations.push('Avoid displaying expensive items in public');
+      recommendations.push('Stay in well-lit areas at night');
+    }
+  }
+
+  // General recommendations based on overall crime rate
+  if (totalRate > 40) {
+    recommendations.push('Consider alternate routes if possible');
+    recommendations.push('Stay on main streets and avoid shortcuts through less populated areas');
+  } else if (totalRate < 10) {
+    recommendations.push('This area generally has lower crime rates compared to surrounding areas');
+  }
+
+  return recommendations;
+};
+
+/**
+ * Score a route's geometry: sample it, look crime up at the samples and run the scoring pipeline
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} input - Scoring input
+ * @param {Array<Object>} input.points - Route points {lat, lng}
+ * @param {Function} input.getCrimeNearPoint - (lat, lng) => Promise of crime statistics; samples
+ *   that fail are left out of the score
+ * @param {Date} input.departureTime - When the route will be travelled; scores time-independently when omitted
+ * @param {number|null} input.utcOffsetMinutes - UTC offset of the clock at the route, for hours and
+ *   weekdays; the runtime's clock when omitted
+ * @param {Object} input.scoringProfile - Travel-mode scoring profile (see scoringProfiles.getScoringProfile)
+ * @param {Object} input.crimeBaseline - Baseline to score crime against (see crimeBaselines.CrimeBaseline)
+ * @param {Object|Promise<Object>} input.layers - Safety layers for the scoring context (crimeData,
+ *   lightingData, emergencyServices, businesses), or a promise of them; factors without a layer have no score
+ * @param {boolean} input.useMockData - Fill missing layers with the demo datasets (default: false)
+ * @param {Object} options - Options for scoringPipeline.scoreRoute
+ * @returns {Promise<Object>} - { safetyScore, segments, segmentSummary, crimeData, recommendations }
+ */
+export const scoreRoutePath = async ({
+  points,
+  getCrimeNearPoint,
+  departureTime = null,
+  utcOffsetMinutes = null,
+  scoringProfile = null,
+  crimeBaseline = null,
+  layers = {},
+  useMockData = false
+}, options = {}) => {
+  // Layers still loading are waited for alongside the crime lookups
+  const [crimeStats, routeLayers] = await Promise.all([
+    Promise.all(sampleRoutePoints(points).map(point => (
+      Promise.resolve()
+        .then(() => getCrimeNearPoint(point.lat, point.lng))
+        .catch(() => null)
+    ))),
+    layers
+  ]);
+
+  const { segments, segmentSummary, crimeStatistics, ...safetyScore } = scoreRoute({
+    points,
+    crimeStats,
+    departureTime,
+    utcOffsetMinutes,
+    scoringProfile,
+    crimeBaseline,
+    useMockData,
+    ...routeLayers
+  }, options);
+
+  return {
+    safetyScore,
+    segments,
+    segmentSummary,
+    crimeData: crimeStatistics,
+    recommendations: getSafetyRecommendations(crimeStatistics)
+  };
+};
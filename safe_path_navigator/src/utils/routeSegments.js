@@ -0,0 +1,192 @@
+/**
+ * Route segmentation for per-segment safety scoring
+ * Splits a route into fixed-length pieces so a short stretch through a
+ * hotspot is not averaged away by the rest of the route.
+ */
+import { haversineDistance } from './geoUtils';
+
+// Default segment length in meters
+export const DEFAULT_SEGMENT_LENGTH_METERS = 100;
+
+// Segments scoring below this are considered unsafe stretches
+export const DEFAULT_SEGMENT_THRESHOLD = 60;
+
+// Maximum spacing between sample points used to score a segment
+const SAMPLE_SPACING_METERS = 25;
+
+// Distances below this are treated as zero to absorb floating point error
+const EPSILON_METERS = 1e-6;
+
+/**
+ * Linear interpolation between two points - accurate enough at segment scale
+ * @private
+ */
+const interpolate = (from, to, fraction) => ({
+  lat: from.lat + (to.lat - from.lat) * fraction,
+  lng: from.lng + (to.lng - from.lng) * fraction
+});
+
+/**
+ * Split a route into consecutive segments of (at most) a fixed length.
+ * Segment boundaries are interpolated along the route, so a long straight
+ * edge is split into several segments.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} points - Route points {lat, lng}
+ * @param {number} segmentLengthMeters - Target segment length (default: 100)
+ * @returns {Array<Object>} - Segments with index, startIndex and endIndex (route point indices
+ *   the segment spans), start/end coordinates, distance in meters and the segment's points
+ */
+export const splitRouteIntoSegments = (points, segmentLengthMeters = DEFAULT_SEGMENT_LENGTH_METERS) => {
+  if (!points || points.length === 0) return [];
+
+  if (points.length === 1) {
+    return [{ index: 0, startIndex: 0, endIndex: 0, start: points[0], end: points[0], distance: 0, points: [points[0]] }];
+  }
+
+  const segments = [];
+  let current = { startIndex: 0, start: points[0], points: [points[0]], distance: 0 };
+
+  const closeSegment = (endPoint, endIndex) => {
+    segments.push({
+      index: segments.length,
+      startIndex: current.startIndex,
+      endIndex,
+      start: current.start,
+      end: endPoint,
+      distance: current.distance,
+      points: current.points
+    });
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const edgeLength = haversineDistance(from, to);
+    let consumed = 0;
+
+    // Cut the edge wherever it crosses a segment boundary
+    while (edgeLength > 0 && edgeLength - consumed >= segmentLengthMeters - current.distance - EPSILON_METERS) {
+      consumed += segmentLengthMeters - current.distance;
+      const atVertex = consumed >= edgeLength - EPSILON_METERS;
+      const boundary = atVertex ? to : interpolate(from, to, consumed / edgeLength);
+
+      current.points.push(boundary);
+      current.distance = segmentLengthMeters;
+      closeSegment(boundary, i);
+
+      current = { startIndex: atVertex ? i : i - 1, start: boundary, points: [boundary], distance: 0 };
+      if (atVertex) consumed = edgeLength;
+    }
+
+    if (edgeLength - consumed > EPSILON_METERS) {
+      current.points.push(to);
+      current.distance += edgeLength - consumed;
+    }
+  }
+
+  // Keep the remainder as a final, shorter segment
+  if (current.distance > EPSILON_METERS || segments.length === 0) {
+    closeSegment(points[points.length - 1], points.length - 1);
+  }
+
+  return segments;
+};
+
+/**
+ * Add interpolated points so no two consecutive points are further apart than the spacing
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} points - Points {lat, lng}
+ * @param {number} maxSpacingMeters - Maximum spacing between consecutive points
+ * @returns {Array<Object>} - Densified points
+ */
+export const densifyPath = (points, maxSpacingMeters = SAMPLE_SPACING_METERS) => {
+  if (!points || points.length < 2) return points || [];
+
+  const densified = [points[0]];
+
+  for (let i = 1; i < points.length; i++) {
+    const steps = Math.ceil(haversineDistance(points[i - 1], points[i]) / maxSpacingMeters);
+
+    for (let step = 1; step < steps; step++) {
+      densified.push(interpolate(points[i - 1], points[i], step / steps));
+    }
+    densified.push(points[i]);
+  }
+
+  return densified;
+};
+
+/**
+ * Find the factor responsible for most of a score's shortfall from 100
+ * @private
+ */
+const findDominantRiskFactor = (score) => {
+  const candidates = (score.factors || [])
+    .filter(factor => factor.score !== null && factor.score < 100 && factor.weight > 0)
+    .map(factor => ({ ...factor, risk: factor.weight * (100 - factor.score) }))
+    .sort((a, b) => b.risk - a.risk);
+
+  if (candidates.length === 0) return null;
+
+  const { id, label, score: factorScore } = candidates[0];
+  return { id, label, score: factorScore };
+};
+
+/**
+ * Split a route into segments and score each one
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} points - Route points {lat, lng}
+ * @param {Function} scoreFn - Scores a path: (points) => score object with `overall` and `factors`
+ * @param {Object} options - Scoring options
+ * @param {number} options.segmentLengthMeters - Segment length (default: 100)
+ * @returns {Array<Object>} - Segments with `score` (0-100, or null without data) and `dominantRiskFactor`
+ *   ({id, label, score} or null)
+ */
+export const scoreRouteSegments = (points, scoreFn, { segmentLengthMeters = DEFAULT_SEGMENT_LENGTH_METERS } = {}) => {
+  return splitRouteIntoSegments(points, segmentLengthMeters).map(segment => {
+    const segmentScore = scoreFn(densifyPath(segment.points));
+
+    return {
+      ...segment,
+      score: segmentScore.overall,
+      dominantRiskFactor: findDominantRiskFactor(segmentScore)
+    };
+  });
+};
+
+/**
+ * Summarize scored segments: the worst segment and how much of the route is below a threshold.
+ * Segments without a score had no data; they are reported as uncovered rather than as unsafe.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} segments - Scored segments from scoreRouteSegments
+ * @param {number} threshold - Score below which a segment counts as unsafe (default: 60)
+ * @returns {Object} - { minSegmentScore, worstSegmentIndex, shareBelowThreshold (0-1), distanceBelowThreshold,
+ *   shareUncovered (0-1), uncoveredDistance, threshold }; minSegmentScore and worstSegmentIndex are null
+ *   when no segment is scored
+ */
+export const summarizeSegments = (segments, threshold = DEFAULT_SEGMENT_THRESHOLD) => {
+  const sumDistance = list => list.reduce((sum, segment) => sum + segment.distance, 0);
+  const scored = (segments || []).filter(segment => segment.score !== null && segment.score !== undefined);
+  const uncovered = (segments || []).filter(segment => segment.score === null || segment.score === undefined);
+
+  const worst = scored.length > 0
+    ? scored.reduce((lowest, segment) => (segment.score < lowest.score ? segment : lowest))
+    : null;
+  const totalDistance = sumDistance(segments || []);
+  const distanceBelowThreshold = sumDistance(scored.filter(segment => segment.score < threshold));
+  const uncoveredDistance = sumDistance(uncovered);
+
+  return {
+    minSegmentScore: worst ? worst.score : null,
+    worstSegmentIndex: worst ? worst.index : null,
+    shareBelowThreshold: totalDistance > 0 ? distanceBelowThreshold / totalDistance : 0,
+    distanceBelowThreshold,
+    shareUncovered: totalDistance > 0 ? uncoveredDistance / totalDistance : 0,
+    uncoveredDistance,
+    threshold
+  };
+};
@@ -0,0 +1,138 @@
+/**
+ * Safety factor registry for the SafePath Navigator
+ * Each factor contributes a 0-100 score for a route, combined into the
+ * overall safety score using normalized weights.
+ */
+
+// Keys used by the score object itself
+const RESERVED_FACTOR_IDS = ['overall', 'factors'];
+
+/**
+ * A safety factor definition
+ * @typedef {Object} SafetyFactor
+ * @property {string} id - Unique factor identifier (also used as the key in score objects)
+ * @property {string} label - Display label shown in the UI
+ * @property {number} weight - Relative weight in the overall score (>= 0)
+ * @property {Function} scorer - (routePath, context) => number|null; returns a 0-100 score,
+ *   or null when there is no data to score the route with
+ */
+
+/**
+ * Validate a factor definition before it is registered
+ * @private
+ */
+const validateFactor = ({ id, label, weight, scorer }) => {
+  if (!id || typeof id !== 'string') {
+    throw new Error('Safety factor requires a string id');
+  }
+  if (RESERVED_FACTOR_IDS.includes(id)) {
+    throw new Error(`"${id}" is reserved and cannot be used as a safety factor id`);
+  }
+  if (typeof scorer !== 'function') {
+    throw new Error(`Safety factor "${id}" requires a scorer function`);
+  }
+  if (typeof label !== 'string' || label.length === 0) {
+    throw new Error(`Safety factor "${id}" requires a display label`);
+  }
+  if (!Number.isFinite(weight) || weight < 0) {
+    throw new Error(`Safety factor "${id}" requires a non-negative weight`);
+  }
+};
+
+/**
+ * Create a registry of safety factors
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<SafetyFactor>} factors - Initial factors to register
+ * @returns {Object} - Registry with register, unregister, setWeight, configureWeights, getFactors and score methods
+ */
+export const createSafetyFactorRegistry = (factors = []) => {
+  const registry = new Map();
+
+  /**
+   * Add or replace a factor
+   */
+  const register = (factor) => {
+    const definition = { weight: 1, ...factor };
+    validateFactor(definition);
+    registry.set(definition.id, definition);
+  };
+
+  /**
+   * Remove a factor by id
+   * @returns {boolean} - True if the factor existed
+   */
+  const unregister = (id) => registry.delete(id);
+
+  /**
+   * Change the weight of a registered factor
+   */
+  const setWeight = (id, weight) => {
+    const factor = registry.get(id);
+    if (!factor) {
+      throw new Error(`Unknown safety factor "${id}"`);
+    }
+    register({ ...factor, weight });
+  };
+
+  /**
+   * Change several weights at once, e.g. { crime: 0.7, lighting: 0.3 }
+   */
+  const configureWeights = (weights = {}) => {
+    Object.entries(weights).forEach(([id, weight]) => setWeight(id, weight));
+  };
+
+  /**
+   * Registered factors in registration order
+   * @returns {Array<SafetyFactor>}
+   */
+  const getFactors = () => Array.from(registry.values());
+
+  /**
+   * Run every factor's scorer and combine the results.
+   * Factors that return null are listed but left out of the overall score,
+   * and the remaining weights are normalized so they sum to one.
+   *
+   * @param {Array} routePath - Array of {lat, lng} points along the route
+   * @param {Object} context - Data passed through to every scorer
+   * @param {Object} options - Scoring options
+   * @param {Object} options.weights - Weights to use for this call instead of the registered ones,
+   *   e.g. from a scoring profile; factors not listed keep their registered weight
+   * @returns {Object} - { overall, factors: [{id, label, weight, score}], [factorId]: score }; overall
+   *   is null when no weighted factor has data, so a route without data is not scored as unsafe
+   */
+  const score = (routePath, context = {}, options = {}) => {
+    const weights = options.weights || {};
+    const results = getFactors().map(({ id, label, weight, scorer }) => {
+      const raw = scorer(routePath, context);
+      const factorScore = Number.isFinite(raw) ? Math.round(Math.max(0, Math.min(100, raw))) : null;
+      const factorWeight = Number.isFinite(weights[id]) && weights[id] >= 0 ? weights[id] : weight;
+      return { id, label, weight: factorWeight, score: factorScore };
+    });
+
+    const scored = results.filter(factor => factor.score !== null && factor.weight > 0);
+    const totalWeight = scored.reduce((sum, factor) => sum + factor.weight, 0);
+    const overall = totalWeight > 0
+      ? Math.round(scored.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight)
+      : null;
+
+    return results.reduce((scoreObject, factor) => ({
+      ...scoreObject,
+      [factor.id]: factor.score
+    }), {
+      overall,
+      factors: results
+    });
+  };
+
+  factors.forEach(register);
+
+  return {
+    register,
+    unregister,
+    setWeight,
+    configureWeights,
+    getFactors,
+    score
+  };
+};
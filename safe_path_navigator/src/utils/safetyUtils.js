@@ -1,114 +1,308 @@
 /**
  * Utility functions for safety calculations and mock data for the SafePath Navigator
  */
+import { getSpatialIndex } from './spatialIndex';
+import { createSafetyFactorRegistry } from './safetyFactors';
+import { generateSyntheticCityData } from './syntheticData';
+import { isDaylight } from './sunTimes';
+import { getCrimeTimeMultiplier } from './crimeTimeDistribution';
+import { getLocalClock } from './localTime';
+import { getOffenseRelevance } from './scoringProfiles';
+import { getOffenseSeverity, getMeanSeverity } from './offenseSeverity';
+import { LIGHTING_LEVELS } from './streetlightImport';
+import { EMERGENCY_SERVICE_WEIGHTS, isServiceOpen } from './emergencyServices';
 
-// Mock crime data for safety overlay - represents crime density in different areas
-export const mockCrimeData = [
-  { lat: 37.774, lng: -122.419, weight: 0.8 }, // High crime area
-  { lat: 37.775, lng: -122.417, weight: 0.7 },
-  { lat: 37.776, lng: -122.418, weight: 0.9 },
-  { lat: 37.773, lng: -122.415, weight: 0.5 }, // Medium crime area
-  { lat: 37.772, lng: -122.416, weight: 0.4 },
-  { lat: 37.771, lng: -122.414, weight: 0.6 },
-  { lat: 37.770, lng: -122.413, weight: 0.2 }, // Low crime area
-  { lat: 37.769, lng: -122.412, weight: 0.1 },
-  { lat: 37.768, lng: -122.410, weight: 0.3 }
-];
-
-// Mock lighting data for safety considerations
-export const mockLightingData = [
-  { lat: 37.774, lng: -122.419, level: 'low' },
-  { lat: 37.772, lng: -122.416, level: 'medium' },
-  { lat: 37.770, lng: -122.413, level: 'high' }
-];
-
-// Mock emergency services data (police stations, hospitals, etc.)
-export const mockEmergencyServices = [
-  { lat: 37.773, lng: -122.415, type: 'police', name: 'Central Police Station' },
-  { lat: 37.769, lng: -122.412, type: 'hospital', name: 'City Hospital' },
-  { lat: 37.775, lng: -122.417, type: 'fire_station', name: 'Fire Station 3' }
-];
+// Area the synthetic demo data covers (downtown San Francisco)
+export const DEMO_CITY_BBOX = {
+  minLat: 37.765,
+  minLng: -122.425,
+  maxLat: 37.790,
+  maxLng: -122.400
+};
+
+// City and state the demo data stands in for, used for baseline comparisons
+export const DEMO_CITY = {
+  name: 'San Francisco',
+  state: 'CA'
+};
+
+// Seed for the demo data - the same seed always produces the same city
+export const DEMO_DATA_SEED = process.env.REACT_APP_SYNTHETIC_DATA_SEED || 'safepath-navigator';
+
+// Synthetic demo dataset and its scoring layers, generated on first use: code that never
+// scores with demo data, such as the proxy, never pays for them
+let mockSafetyDataset = null;
+let mockScoringData = null;
 
 /**
- * Calculate safety score for a route based on proximity to crime and lighting
- * @param {Array} routePath - Array of latitude and longitude points along the route
- * @returns {Object} - Safety score details including overall score and factors
+ * Synthetic demo dataset: hotspots, offense rates, crime, lighting, emergency services
+ * and businesses with opening hours (24h clock)
+ *
+ * @PUBLIC_INTERFACE
+ * @returns {Object} - The dataset (see syntheticData.generateSyntheticCityData), the same object on every call
  */
-export const calculateSafetyScore = (routePath) => {
-  if (!routePath || routePath.length === 0) {
-    return { overall: 0, crime: 0, lighting: 0 };
+export const getMockSafetyDataset = () => {
+  if (!mockSafetyDataset) {
+    mockSafetyDataset = generateSyntheticCityData({ seed: DEMO_DATA_SEED, bbox: DEMO_CITY_BBOX });
+  }
+  return mockSafetyDataset;
+};
+
+/**
+ * Datasets the factor scorers fall back to when a scoring context asks for mock data (useMockData)
+ *
+ * @PUBLIC_INTERFACE
+ * @returns {Object} - { crimeData, lightingData, emergencyServices, businesses }, the same object on every call
+ */
+export const getMockScoringData = () => {
+  if (!mockScoringData) {
+    const { crimeData, lightingData, emergencyServices, businesses } = getMockSafetyDataset();
+    mockScoringData = { crimeData, lightingData, emergencyServices, businesses };
   }
+  return mockScoringData;
+};
+
+/**
+ * Fill the layers a scoring context leaves out with the demo datasets.
+ * Demo crime incidents are only added when the context has no crime samples,
+ * so they are never averaged into fetched crime statistics.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} context - Scoring context (see calculateSafetyScore)
+ * @returns {Object} - The context with every missing layer taken from getMockScoringData
+ */
+export const withMockScoringData = (context = {}) => {
+  const hasCrimeSamples = Boolean(context.crimeSamples && context.crimeSamples.length > 0);
+  const mockData = getMockScoringData();
+  return Object.keys(mockData)
+    .filter(key => !context[key] && !(key === 'crimeData' && hasCrimeSamples))
+    .reduce((merged, key) => ({ ...merged, [key]: mockData[key] }), context);
+};
+
+// Crime points within this distance of a route point lower its score
+const CRIME_INFLUENCE_RADIUS_METERS = 1000;
+
+// Street lights within this distance of a route point light it
+const LIGHTING_RADIUS_METERS = 500;
+
+// Lighting score contributed by each lighting level
+const LIGHTING_LEVEL_SCORES = {
+  high: 0.9,
+  medium: 0.6,
+  low: 0.3
+};
+
+// Emergency services this close count as fully reachable; the score fades out to the max distance
+const EMERGENCY_NEAR_METERS = 300;
+const EMERGENCY_MAX_METERS = 2000;
 
-  // The actual implementation would use the FBI Crime Data API
-  // For now, we use locally weighted values based on crime data points
-  let crimeScore = 0;
-  let lightingScore = 0;
+// An open business within this distance of a route point counts as "eyes on the street"
+const BUSINESS_RADIUS_METERS = 150;
+
+/**
+ * Check if a business is open at a given time
+ * @private
+ */
+const isBusinessOpen = (business, date, utcOffsetMinutes) => {
+  if (!business.hours) return false;
+
+  const { open, close } = business.hours;
+  const { hours, minutes } = getLocalClock(date, utcOffsetMinutes);
+  const hour = hours + minutes / 60;
+
+  // Overnight hours, e.g. 17:00 - 03:00
+  if (open > close) {
+    return hour >= open || hour < close;
+  }
+  return hour >= open && hour < close;
+};
+
+/**
+ * Score route points by proximity to weighted crime points.
+ * Timestamped incidents scale the crime level by how common crime is at the departure hour and weekday,
+ * and each incident counts by its offense severity and its relevance to the scoring profile.
+ * @private
+ */
+const scoreCrimeIncidents = (routePath, crimeData, { departureTime, utcOffsetMinutes, scoringProfile }) => {
+  const crimeIndex = getSpatialIndex(crimeData);
+  const timeMultiplier = getCrimeTimeMultiplier(crimeData, departureTime, utcOffsetMinutes);
   
-  // Calculate weighted score based on proximity to known crime areas
-  // For each point in the route, check distance to crime data points
-  routePath.forEach(routePoint => {
-    // Calculate crime score component based on proximity to crime data
-    let pointCrimeScore = 0;
-    
-    // Check distance to each crime data point
-    mockCrimeData.forEach(crimePoint => {
-      const distance = Math.sqrt(
-        Math.pow(routePoint.lat - crimePoint.lat, 2) + 
-        Math.pow(routePoint.lng - crimePoint.lng, 2)
-      );
-      
-      // Closer to crime point = lower safety score
-      // Weight is higher for higher crime weight
-      if (distance < 0.01) { // Within approximately 1km
-        pointCrimeScore += (crimePoint.weight * (1 - (distance * 100)));
-      }
-    });
-    
-    // Accumulate point score to total
-    crimeScore += pointCrimeScore;
-    
-    // Calculate lighting score component
-    let pointLightingScore = 0.5; // Default medium lighting
-    
-    // Check lighting at each route point
-    mockLightingData.forEach(lightPoint => {
-      const distance = Math.sqrt(
-        Math.pow(routePoint.lat - lightPoint.lat, 2) + 
-        Math.pow(routePoint.lng - lightPoint.lng, 2)
-      );
-      
-      // If near a light source, adjust lighting score
-      if (distance < 0.005) { // Within approximately 500m
-        if (lightPoint.level === 'high') {
-          pointLightingScore = Math.max(pointLightingScore, 0.9);
-        } else if (lightPoint.level === 'medium') {
-          pointLightingScore = Math.max(pointLightingScore, 0.6);
-        } else {
-          pointLightingScore = Math.max(pointLightingScore, 0.3);
-        }
-      }
-    });
-    
-    // Accumulate lighting score
-    lightingScore += pointLightingScore;
-  });
+  // Severity relative to the offense types in the data; untyped incidents count as average
+  const meanSeverity = getMeanSeverity(crimeData.filter(point => point.offense).map(point => point.offense));
+  const incidentMultiplier = (point) => (
+    (point.offense ? getOffenseSeverity(point.offense) / meanSeverity : 1) *
+    getOffenseRelevance(scoringProfile, point.offense)
+  );
   
-  // Average the scores over the route
-  crimeScore = (routePath.length > 0) ? 100 - ((crimeScore / routePath.length) * 100) : 50;
-  lightingScore = (routePath.length > 0) ? (lightingScore / routePath.length) * 100 : 50;
+  const crimeTotal = routePath.reduce((total, routePoint) => {
+    // Closer to crime point = lower safety score
+    // Weight is higher for higher crime weight
+    return total + crimeIndex
+      .queryRadius(routePoint, CRIME_INFLUENCE_RADIUS_METERS)
+      .reduce((sum, { point, distance }) => (
+        sum + point.weight * incidentMultiplier(point) * (1 - distance / CRIME_INFLUENCE_RADIUS_METERS)
+      ), 0);
+  }, 0);
   
-  // Ensure scores are in range 0-100
-  crimeScore = Math.max(0, Math.min(100, crimeScore));
-  lightingScore = Math.max(0, Math.min(100, lightingScore));
+  return Math.max(0, 100 - ((crimeTotal * timeMultiplier / routePath.length) * 100));
+};
+
+/**
+ * Score route points using the crime statistics fetched along the route.
+ * Each route point takes the score of the nearest located sample.
+ * @private
+ */
+const scoreCrimeSamples = (routePath, crimeSamples) => {
+  const located = crimeSamples.filter(sample => Number.isFinite(sample.lat) && Number.isFinite(sample.lng));
   
-  // Weighted average favoring crime data slightly more than lighting
-  const overallScore = (crimeScore * 0.6) + (lightingScore * 0.4);
+  // Without coordinates the samples can only describe the route as a whole
+  if (located.length === 0) {
+    return crimeSamples.reduce((sum, sample) => sum + sample.score, 0) / crimeSamples.length;
+  }
   
-  return {
-    overall: Math.round(overallScore),
-    crime: Math.round(crimeScore),
-    lighting: Math.round(lightingScore)
-  };
+  const sampleIndex = getSpatialIndex(located);
+  return routePath.reduce((sum, routePoint) => (
+    sum + sampleIndex.nearest(routePoint)[0].point.score
+  ), 0) / routePath.length;
+};
+
+/**
+ * Crime factor - combines local crime points with fetched crime statistics
+ * @private
+ */
+const scoreCrime = (routePath, { crimeData, crimeSamples, ...context }) => {
+  const scores = [];
+  
+  if (crimeData && crimeData.length > 0) {
+    scores.push(scoreCrimeIncidents(routePath, crimeData, context));
+  }
+  if (crimeSamples && crimeSamples.length > 0) {
+    scores.push(scoreCrimeSamples(routePath, crimeSamples));
+  }
+  
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+};
+
+/**
+ * Lighting factor - rewards route points near bright street lights.
+ * Street lighting only matters in the dark, so the factor has no score between
+ * local sunrise and sunset at the start of the route. Broken lights ('off') count as unlit.
+ * @private
+ */
+const scoreLighting = (routePath, { lightingData, departureTime }) => {
+  if (!lightingData || lightingData.length === 0) return null;
+  if (departureTime && isDaylight(departureTime, routePath[0])) return null;
+  
+  const lightingIndex = getSpatialIndex(lightingData);
+  
+  const lightingTotal = routePath.reduce((total, routePoint) => {
+    // Default to medium lighting, raised by the brightest nearby light source
+    return total + lightingIndex
+      .queryRadius(routePoint, LIGHTING_RADIUS_METERS)
+      .reduce((best, { point }) => (
+        point.level === LIGHTING_LEVELS.OFF
+          ? best
+          : Math.max(best, LIGHTING_LEVEL_SCORES[point.level] || LIGHTING_LEVEL_SCORES.low)
+      ), 0.5);
+  }, 0);
+  
+  return (lightingTotal / routePath.length) * 100;
+};
+
+/**
+ * Emergency service factor - rewards routes that stay near police, hospitals, fire stations and pharmacies.
+ * Each route point takes its best nearby service, weighted by service type; with a departure time,
+ * services whose opening hours say they are closed are left out.
+ * @private
+ */
+const scoreEmergencyProximity = (routePath, { emergencyServices, departureTime, utcOffsetMinutes }) => {
+  if (!emergencyServices || emergencyServices.length === 0) return null;
+  
+  const servicesIndex = getSpatialIndex(emergencyServices);
+  const closeness = (distance) => (
+    distance <= EMERGENCY_NEAR_METERS
+      ? 1
+      : 1 - ((distance - EMERGENCY_NEAR_METERS) / (EMERGENCY_MAX_METERS - EMERGENCY_NEAR_METERS))
+  );
+  
+  const proximityTotal = routePath.reduce((total, routePoint) => (
+    total + servicesIndex
+      .queryRadius(routePoint, EMERGENCY_MAX_METERS)
+      .filter(({ point }) => !departureTime || isServiceOpen(point, departureTime, utcOffsetMinutes) !== false)
+      .reduce((best, { point, distance }) => (
+        Math.max(best, (EMERGENCY_SERVICE_WEIGHTS[point.type] || 1) * closeness(distance))
+      ), 0)
+  ), 0);
+  
+  return (proximityTotal / routePath.length) * 100;
+};
+
+/**
+ * Open business factor - share of the route that passes an open business
+ * @private
+ */
+const scoreOpenBusinesses = (routePath, { businesses, departureTime, utcOffsetMinutes }) => {
+  if (!businesses || businesses.length === 0) return null;
+  
+  const businessIndex = getSpatialIndex(businesses);
+  const time = departureTime || new Date();
+  
+  const coveredPoints = routePath.filter(routePoint => (
+    businessIndex
+      .queryRadius(routePoint, BUSINESS_RADIUS_METERS)
+      .some(({ point }) => isBusinessOpen(point, time, utcOffsetMinutes))
+  )).length;
+  
+  return (coveredPoints / routePath.length) * 100;
+};
+
+/**
+ * Registry of the factors that make up a route's safety score.
+ * Register additional factors or change weights through this registry:
+ *
+ *   safetyFactorRegistry.register({ id: 'crowds', label: 'Foot Traffic', weight: 0.2, scorer });
+ *   safetyFactorRegistry.configureWeights({ crime: 0.7 });
+ *
+ * @PUBLIC_INTERFACE
+ */
+export const safetyFactorRegistry = createSafetyFactorRegistry([
+  { id: 'crime', label: 'Crime', weight: 0.5, scorer: scoreCrime },
+  { id: 'lighting', label: 'Lighting', weight: 0.3, scorer: scoreLighting },
+  { id: 'emergency', label: 'Emergency Services', weight: 0.1, scorer: scoreEmergencyProximity },
+  { id: 'businesses', label: 'Open Businesses', weight: 0.1, scorer: scoreOpenBusinesses }
+]);
+
+/**
+ * Calculate safety score for a route from every registered safety factor
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array} routePath - Array of latitude and longitude points along the route
+ * @param {Object} context - Data passed to the factor scorers
+ *   (crimeData, crimeSamples, lightingData, emergencyServices, businesses, departureTime,
+ *   utcOffsetMinutes, scoringProfile). Time-of-day rules read the departure time on the clock at
+ *   utcOffsetMinutes, or on the runtime's clock without one.
+ *   Factors whose data is missing or empty have no score. With useMockData, missing layers are
+ *   taken from the demo datasets (see withMockScoringData). Without a departureTime, lighting and
+ *   crime are scored regardless of the time of day; a scoringProfile (see scoringProfiles.js)
+ *   sets the factor weights and offense relevance.
+ * @returns {Object} - Safety score details: overall score, a `factors` list
+ *   ({id, label, weight, score}) and each factor's score keyed by its id; scores are null
+ *   where there is no data to score
+ */
+export const calculateSafetyScore = (routePath, context = {}) => {
+  if (!routePath || routePath.length === 0) {
+    const factors = safetyFactorRegistry.getFactors().map(({ id, label, weight }) => ({
+      id, label, weight, score: null
+    }));
+    
+    return factors.reduce((score, factor) => ({ ...score, [factor.id]: null }), { overall: null, factors });
+  }
+
+  const { scoringProfile, useMockData = false } = context;
+  return safetyFactorRegistry.score(routePath, useMockData ? withMockScoringData(context) : context, {
+    weights: scoringProfile ? scoringProfile.weights : undefined
+  });
 };
 
 /**
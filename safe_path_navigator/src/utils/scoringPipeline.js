@@ -0,0 +1,340 @@
+/**
+ * Safety scoring pipeline for the SafePath Navigator
+ * The single entry point for turning route geometry and fetched crime
+ * statistics into a safety score. The FBI services, the proxy service and
+ * MapContext all score through this module.
+ */
+import { calculateSafetyScore, getMockScoringData, withMockScoringData } from './safetyUtils';
+import { getSeverityBreakdown } from './offenseSeverity';
+import { getBaselineRatio, calculateRelativeCrimeScore, compareToBaseline } from './crimeBaselines';
+import { scoreRouteSegments, summarizeSegments, DEFAULT_SEGMENT_LENGTH_METERS, DEFAULT_SEGMENT_THRESHOLD } from './routeSegments';
+
+// Crime rate that maps to a safety score of 0
+const MAX_EXPECTED_CRIME_RATE = 100;
+
+// Confidence at or above these values counts as high / medium; anything lower is low
+export const CONFIDENCE_THRESHOLDS = {
+  high: 70,
+  medium: 40
+};
+
+// Confidence multipliers for weaker data
+const MOCK_DATA_CONFIDENCE = 0.5;
+const UNKNOWN_AGE_CONFIDENCE = 0.8;
+const STALE_DATA_CONFIDENCE = 0.5;
+
+// Data up to a year old is current; confidence declines to STALE_DATA_CONFIDENCE at five years
+const FRESH_DATA_DAYS = 365;
+const STALE_DATA_DAYS = 5 * 365;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Score of a single safety factor
+ * @typedef {Object} FactorScore
+ * @property {string} id - Factor id (e.g. 'crime', 'lighting')
+ * @property {string} label - Display label
+ * @property {number} weight - Weight used in the overall score
+ * @property {number|null} score - 0-100, or null when the factor had no data
+ */
+
+/**
+ * Crime statistics sample normalized from any data source
+ * @typedef {Object} CrimeSample
+ * @property {number|undefined} lat - Sample latitude, when the source reported coordinates
+ * @property {number|undefined} lng - Sample longitude, when the source reported coordinates
+ * @property {number} totalCrimeRate - Combined crime rate
+ * @property {number} weightedCrimeRate - Crime rate weighted by offense severity (and profile relevance)
+ * @property {number|null} baselineRatio - Crime relative to the baseline (1 = average), when scored
+ *   against one
+ * @property {number} score - 0-100 safety score for the weighted crime rate, or for the baseline
+ *   ratio when there is one
+ */
+
+/**
+ * The score object produced by scoreRoute
+ * @typedef {Object} RouteSafetyScore
+ * @property {number} overall - 0-100 weighted combination of every factor with data
+ * @property {Array<FactorScore>} factors - Every registered factor, in registration order
+ * @property {Object|null} crimeStatistics - Averaged crime statistics across the samples that
+ *   returned data ({crimeStats, totalCrimeRate, weightedCrimeRate, severityBreakdown,
+ *   baselineComparison, sampleCount}), or null when none did. severityBreakdown lists each offense
+ *   category's weighted contribution; baselineComparison compares the averages with the crime
+ *   baseline (see crimeBaselines.compareToBaseline), or is null without one.
+ * @property {Array<Object>} segments - Per-segment scores (see routeSegments.scoreRouteSegments)
+ * @property {Object} segmentSummary - Worst segment and share of distance below the threshold
+ * @property {number} confidence - 0-100 confidence in the score, from the data coverage
+ * @property {string} confidenceLevel - 'high', 'medium' or 'low'
+ * @property {DataCoverage} coverage - What data the score was built from
+ *
+ * Each factor's score is also available directly on the object by its id (e.g. `score.crime`).
+ */
+
+/**
+ * The data behind a route score
+ * @typedef {Object} DataCoverage
+ * @property {number} samplesRequested - Crime statistics samples requested along the route
+ * @property {number} samplesSucceeded - Samples that returned usable crime data
+ * @property {Array<string>} sources - Data sources that answered (e.g. 'fbi-proxy', 'synthetic')
+ * @property {string|null} dataAsOf - Date of the oldest answering sample's data, when known
+ * @property {number|null} dataAgeDays - Age of that data in days, when known
+ * @property {boolean} usedMockData - True if any mock or synthetic data went into the score
+ * @property {Array<string>} mockDatasets - Built-in mock datasets the factors fell back to
+ * @property {number} factorsScored - Factors that had data for the route
+ * @property {number} factorsTotal - Registered factors
+ * @property {number} weightCoverage - Share of the total factor weight that had data (0-1)
+ */
+
+/**
+ * Convert a combined crime rate into a 0-100 safety score
+ * Higher score = safer area
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number|null} crimeRate - Combined crime rate
+ * @returns {number|null} - Safety score between 0-100, or null when the rate is unknown
+ */
+export const calculateCrimeRateScore = (crimeRate) => {
+  if (!Number.isFinite(crimeRate)) return null;
+
+  // This is a simplified calculation - a real implementation would use proper statistical methods
+  const rawScore = 100 - ((crimeRate / MAX_EXPECTED_CRIME_RATE) * 100);
+  return Math.max(0, Math.min(100, Math.round(rawScore)));
+};
+
+/**
+ * Normalize a crime statistics result from any data source into a scored sample
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object|null} crimeData - Result from getCrimeStatsByCoordinates, formatProxyResponse, etc.
+ * @param {Object} scoringProfile - Optional scoring profile; per-offense rates are then also weighted
+ *   by the profile's offense relevance
+ * @param {Object} crimeBaseline - Optional crime baseline (see crimeBaselines.js); per-offense rates
+ *   are then scored relative to it
+ * @returns {CrimeSample|null} - Scored sample, or null if the result holds no usable crime data
+ *
+ * Per-offense rates are weighted by offense severity (see offenseSeverity.js) before scoring;
+ * results with only a combined rate are scored on that rate.
+ */
+export const normalizeCrimeSample = (crimeData, scoringProfile = null, crimeBaseline = null) => {
+  if (!crimeData) return null;
+
+  const hasOffenseRates = crimeData.crimeStats &&
+    Object.values(crimeData.crimeStats).some(Number.isFinite);
+
+  let totalCrimeRate = null;
+  let weightedCrimeRate = null;
+  if (hasOffenseRates) {
+    weightedCrimeRate = getSeverityBreakdown(crimeData.crimeStats, { scoringProfile }).weightedCrimeRate;
+    totalCrimeRate = Number.isFinite(crimeData.totalCrimeRate)
+      ? crimeData.totalCrimeRate
+      : Object.values(crimeData.crimeStats)
+        .filter(Number.isFinite)
+        .reduce((sum, value) => sum + value, 0);
+  } else if (Number.isFinite(crimeData.totalCrimeRate)) {
+    totalCrimeRate = crimeData.totalCrimeRate;
+    weightedCrimeRate = totalCrimeRate;
+  }
+
+  if (totalCrimeRate === null) return null;
+
+  const baselineRatio = hasOffenseRates && crimeBaseline
+    ? getBaselineRatio(crimeData.crimeStats, crimeBaseline, scoringProfile)
+    : null;
+
+  const coordinates = crimeData.coordinates || {};
+  return {
+    lat: coordinates.lat,
+    lng: coordinates.lng,
+    totalCrimeRate,
+    weightedCrimeRate,
+    baselineRatio,
+    score: baselineRatio !== null
+      ? calculateRelativeCrimeScore(baselineRatio)
+      : calculateCrimeRateScore(weightedCrimeRate)
+  };
+};
+
+/**
+ * Safety score for a single location's crime statistics
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} crimeData - Object with totalCrimeRate and/or crimeStats
+ * @returns {number|null} - Safety score between 0-100, or null when there is no data
+ */
+export const scoreCrimeStats = (crimeData) => {
+  const sample = normalizeCrimeSample(crimeData);
+  return sample ? sample.score : null;
+};
+
+/**
+ * Average crime statistics across several samples, with each offense category's
+ * severity-weighted contribution
+ * @private
+ */
+const aggregateCrimeStatistics = (crimeStats, scoringProfile, crimeBaseline) => {
+  const withData = crimeStats.filter(result => result && normalizeCrimeSample(result));
+  if (withData.length === 0) return null;
+
+  const totals = {};
+  withData.forEach(result => {
+    Object.entries(result.crimeStats || {}).forEach(([type, value]) => {
+      if (Number.isFinite(value)) {
+        totals[type] = (totals[type] || 0) + value;
+      }
+    });
+  });
+
+  const averagedStats = Object.keys(totals).reduce((stats, type) => ({
+    ...stats,
+    [type]: totals[type] / withData.length
+  }), {});
+
+  const totalCrimeRate = withData
+    .reduce((sum, result) => sum + normalizeCrimeSample(result).totalCrimeRate, 0) / withData.length;
+
+  const weightedCrimeRate = withData
+    .reduce((sum, result) => sum + normalizeCrimeSample(result, scoringProfile).weightedCrimeRate, 0) / withData.length;
+
+  return {
+    crimeStats: averagedStats,
+    totalCrimeRate,
+    weightedCrimeRate,
+    severityBreakdown: getSeverityBreakdown(averagedStats, { scoringProfile }).categories,
+    baselineComparison: crimeBaseline ? compareToBaseline(averagedStats, crimeBaseline) : null,
+    sampleCount: withData.length
+  };
+};
+
+/**
+ * Describe the data a route score was built from
+ * @private
+ */
+const describeCoverage = (crimeStats, context, factors, now) => {
+  const answered = crimeStats.filter(result => result && normalizeCrimeSample(result));
+  // Demo layers only get into a context that asks for them, and are only generated then
+  const mockData = context.useMockData ? getMockScoringData() : {};
+  const mockDatasets = Object.keys(mockData).filter(key => context[key] === mockData[key]);
+
+  const dataDates = answered
+    .map(result => (result.dataAsOf ? new Date(result.dataAsOf) : null))
+    .filter(date => date && !Number.isNaN(date.getTime()));
+  // Without a date on every sample the age of the data is unknown
+  const oldest = dataDates.length > 0 && dataDates.length === answered.length
+    ? new Date(Math.min(...dataDates))
+    : null;
+
+  const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+  const scoredWeight = factors
+    .filter(factor => factor.score !== null)
+    .reduce((sum, factor) => sum + factor.weight, 0);
+
+  return {
+    samplesRequested: crimeStats.length,
+    samplesSucceeded: answered.length,
+    sources: [...new Set(answered.map(result => result.source || 'unknown'))],
+    dataAsOf: oldest ? oldest.toISOString() : null,
+    dataAgeDays: oldest ? Math.max(0, Math.floor((now - oldest) / MS_PER_DAY)) : null,
+    usedMockData: mockDatasets.length > 0 || answered.some(result => result.isMock),
+    mockDatasets,
+    factorsScored: factors.filter(factor => factor.score !== null).length,
+    factorsTotal: factors.length,
+    weightCoverage: totalWeight > 0 ? scoredWeight / totalWeight : 0
+  };
+};
+
+/**
+ * Confidence in a score given the data coverage behind it
+ * Starts from the share of factor weight that had data and is reduced for failed
+ * samples, mock data and old or undated data.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {DataCoverage} coverage - Coverage metadata from scoreRoute
+ * @returns {number} - Confidence between 0-100
+ */
+export const calculateConfidence = (coverage) => {
+  let confidence = coverage.weightCoverage;
+
+  if (coverage.samplesRequested > 0) {
+    confidence *= coverage.samplesSucceeded / coverage.samplesRequested;
+  }
+  if (coverage.usedMockData) {
+    confidence *= MOCK_DATA_CONFIDENCE;
+  }
+  if (coverage.samplesSucceeded > 0) {
+    if (coverage.dataAgeDays === null) {
+      confidence *= UNKNOWN_AGE_CONFIDENCE;
+    } else if (coverage.dataAgeDays > FRESH_DATA_DAYS) {
+      const staleness = Math.min(1, (coverage.dataAgeDays - FRESH_DATA_DAYS) / (STALE_DATA_DAYS - FRESH_DATA_DAYS));
+      confidence *= 1 - staleness * (1 - STALE_DATA_CONFIDENCE);
+    }
+  }
+
+  return Math.round(confidence * 100);
+};
+
+/**
+ * Bucket a confidence value into 'high', 'medium' or 'low'
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number} confidence - Confidence between 0-100
+ * @returns {string} - Confidence level
+ */
+export const getConfidenceLevel = (confidence) => {
+  if (confidence >= CONFIDENCE_THRESHOLDS.high) return 'high';
+  if (confidence >= CONFIDENCE_THRESHOLDS.medium) return 'medium';
+  return 'low';
+};
+
+/**
+ * Score a route from its geometry and the crime statistics fetched along it
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} input - Scoring input
+ * @param {Array<Object>} input.points - Route points {lat, lng}
+ * @param {Array<Object|null>} input.crimeStats - Crime statistics results for points along the route
+ *   (null entries are samples that failed)
+ * @param {Date} input.departureTime - When the route will be travelled; scores time-independently when omitted
+ * @param {number|null} input.utcOffsetMinutes - UTC offset of the clock at the route, for hours and
+ *   weekdays; the runtime's clock when omitted
+ * @param {Object} input.scoringProfile - Travel-mode scoring profile (see scoringProfiles.getScoringProfile)
+ * @param {Object} input.crimeBaseline - City, state or national average to score crime against
+ *   (see crimeBaselineService.getCrimeBaseline); crime is scored on absolute rates without one
+ * @param {boolean} input.useMockData - Fill missing layers with the demo datasets (default: false,
+ *   factors without data have no score)
+ * @param {Object} options - Pipeline options
+ * @param {number} options.segmentLengthMeters - Segment length for per-segment scoring (default: 100)
+ * @param {number} options.segmentThreshold - Score below which a segment counts as unsafe (default: 60)
+ * @param {Date} options.now - Reference time for the data age (default: now)
+ * @returns {RouteSafetyScore} - The route's safety score
+ */
+export const scoreRoute = ({ points, crimeStats = [], ...context }, options = {}) => {
+  const {
+    segmentLengthMeters = DEFAULT_SEGMENT_LENGTH_METERS,
+    segmentThreshold = DEFAULT_SEGMENT_THRESHOLD,
+    now = new Date()
+  } = options;
+
+  const sampledContext = {
+    ...context,
+    crimeSamples: crimeStats
+      .map(result => normalizeCrimeSample(result, context.scoringProfile, context.crimeBaseline))
+      .filter(Boolean)
+  };
+  // Demo datasets are filled in once, so the coverage reports exactly the ones used
+  const scoringContext = context.useMockData ? withMockScoringData(sampledContext) : sampledContext;
+  const scorePath = (path) => calculateSafetyScore(path, scoringContext);
+
+  const segments = scoreRouteSegments(points || [], scorePath, { segmentLengthMeters });
+  const score = scorePath(points);
+  const coverage = describeCoverage(crimeStats, scoringContext, score.factors, now);
+  const confidence = calculateConfidence(coverage);
+
+  return {
+    ...score,
+    crimeStatistics: aggregateCrimeStatistics(crimeStats, context.scoringProfile, context.crimeBaseline),
+    segments,
+    segmentSummary: summarizeSegments(segments, segmentThreshold),
+    confidence,
+    confidenceLevel: getConfidenceLevel(confidence),
+    coverage
+  };
+};
@@ -0,0 +1,110 @@
+/**
+ * Travel-mode scoring profiles for the SafePath Navigator
+ * A profile sets the factor weights and how much each offense type matters
+ * for one way of travelling. Walkers are exposed to street robbery and dark
+ * streets; drivers mostly to vehicle break-ins and theft where they park.
+ */
+
+/**
+ * Scoring profile for a travel mode
+ * @typedef {Object} ScoringProfile
+ * @property {string} id - Profile id, matching a Google Maps travel mode
+ * @property {string} label - Display label
+ * @property {Object} weights - Factor weights by factor id; unlisted factors keep their registered weight
+ * @property {Object} offenseRelevance - Multiplier per offense type (1 = normal, 0 = irrelevant);
+ *   unlisted offense types count as 1
+ */
+
+// Default profile when the travel mode is unknown
+export const DEFAULT_SCORING_PROFILE_ID = 'WALKING';
+
+/**
+ * Built-in profiles, one per Google Maps travel mode
+ * @PUBLIC_INTERFACE
+ */
+export const SCORING_PROFILES = {
+  WALKING: {
+    id: 'WALKING',
+    label: 'Walking',
+    weights: { crime: 0.5, lighting: 0.3, emergency: 0.1, businesses: 0.1 },
+    offenseRelevance: {
+      'robbery': 1.5,
+      'aggravated-assault': 1.3,
+      'violent-crime': 1.2,
+      'homicide': 1.2,
+      'property-crime': 0.6,
+      'burglary': 0.3,
+      'motor-vehicle-theft': 0.1
+    }
+  },
+  BICYCLING: {
+    id: 'BICYCLING',
+    label: 'Cycling',
+    weights: { crime: 0.5, lighting: 0.35, emergency: 0.1, businesses: 0.05 },
+    offenseRelevance: {
+      'robbery': 1.2,
+      'aggravated-assault': 1.1,
+      'violent-crime': 1,
+      'property-crime': 0.9,
+      'larceny': 1.2,
+      'burglary': 0.3,
+      'motor-vehicle-theft': 0.2
+    }
+  },
+  DRIVING: {
+    id: 'DRIVING',
+    label: 'Driving',
+    weights: { crime: 0.75, lighting: 0.05, emergency: 0.15, businesses: 0.05 },
+    offenseRelevance: {
+      'robbery': 0.6,
+      'aggravated-assault': 0.5,
+      'violent-crime': 0.5,
+      'homicide': 0.5,
+      // Vehicle break-ins and theft of parked cars
+      'property-crime': 1.5,
+      'larceny': 1.4,
+      'motor-vehicle-theft': 2,
+      'burglary': 0.5
+    }
+  },
+  TRANSIT: {
+    id: 'TRANSIT',
+    label: 'Transit',
+    weights: { crime: 0.5, lighting: 0.2, emergency: 0.1, businesses: 0.2 },
+    offenseRelevance: {
+      'robbery': 1.4,
+      'aggravated-assault': 1.2,
+      'violent-crime': 1.1,
+      'property-crime': 0.8,
+      'larceny': 1.1,
+      'burglary': 0.3,
+      'motor-vehicle-theft': 0.1
+    }
+  }
+};
+
+/**
+ * Get the scoring profile for a travel mode or profile id
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} modeOrId - Travel mode or profile id (e.g. 'DRIVING')
+ * @returns {ScoringProfile} - The matching profile, or the walking profile when unknown
+ */
+export const getScoringProfile = (modeOrId) => (
+  SCORING_PROFILES[modeOrId] || SCORING_PROFILES[DEFAULT_SCORING_PROFILE_ID]
+);
+
+/**
+ * How much an offense type matters under a profile
+ *
+ * @PUBLIC_INTERFACE
+ * @param {ScoringProfile|null} profile - Scoring profile; without one every offense counts as 1
+ * @param {string} offense - Offense type (e.g. 'robbery')
+ * @returns {number} - Relevance multiplier
+ */
+export const getOffenseRelevance = (profile, offense) => {
+  if (!profile || !offense || !profile.offenseRelevance) return 1;
+
+  const relevance = profile.offenseRelevance[offense];
+  return Number.isFinite(relevance) ? relevance : 1;
+};
@@ -0,0 +1,232 @@
+/**
+ * Grid-based spatial index for point datasets (crime, lighting, emergency services)
+ * Points are bucketed into fixed-size cells so proximity lookups only
+ * inspect nearby cells instead of scanning the whole dataset.
+ */
+import {
+  METERS_PER_DEGREE_LAT,
+  haversineDistance,
+  boundingBoxAround,
+  isPointInBoundingBox
+} from './geoUtils';
+
+// Default cell size - roughly a city block cluster
+const DEFAULT_CELL_SIZE_METERS = 250;
+
+// Indexes built by getSpatialIndex, keyed by the source array
+const indexCache = new WeakMap();
+
+/**
+ * Check that a point has usable coordinates
+ * @private
+ */
+const hasValidCoordinates = (point) => (
+  point != null &&
+  Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+  Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180
+);
+
+/**
+ * Create a spatial index over an array of {lat, lng, ...} items
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} points - Items with lat and lng properties
+ * @param {Object} options - Index options
+ * @param {number} options.cellSizeMeters - Grid cell size in meters (default: 250)
+ * @param {number} options.referenceLat - Latitude used to size longitude cells (default: mean latitude of points)
+ * @returns {Object} - Spatial index with insert, queryBoundingBox, queryRadius and nearest methods
+ */
+export const createSpatialIndex = (points = [], options = {}) => {
+  const validPoints = points.filter(hasValidCoordinates);
+  const cellSizeMeters = options.cellSizeMeters || DEFAULT_CELL_SIZE_METERS;
+  const referenceLat = options.referenceLat !== undefined
+    ? options.referenceLat
+    : (validPoints.length > 0
+      ? validPoints.reduce((sum, point) => sum + point.lat, 0) / validPoints.length
+      : 0);
+
+  // Cell dimensions in degrees
+  const cellLat = cellSizeMeters / METERS_PER_DEGREE_LAT;
+  const cellLng = cellSizeMeters / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(referenceLat * Math.PI / 180), 0.01));
+
+  const cells = new Map();
+  const extent = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+  let size = 0;
+
+  const rowOf = (lat) => Math.floor(lat / cellLat);
+  const colOf = (lng) => Math.floor(lng / cellLng);
+  const cellKey = (row, col) => `${row}:${col}`;
+
+  /**
+   * Add an item to the index. Items without valid coordinates are ignored.
+   * @returns {boolean} - True if the item was indexed
+   */
+  const insert = (point) => {
+    if (!hasValidCoordinates(point)) return false;
+
+    const row = rowOf(point.lat);
+    const col = colOf(point.lng);
+    const key = cellKey(row, col);
+
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(point);
+
+    extent.minRow = Math.min(extent.minRow, row);
+    extent.maxRow = Math.max(extent.maxRow, row);
+    extent.minCol = Math.min(extent.minCol, col);
+    extent.maxCol = Math.max(extent.maxCol, col);
+    size += 1;
+    return true;
+  };
+
+  /**
+   * All items inside a bounding box
+   * @returns {Array<Object>} - Matching items
+   */
+  const queryBoundingBox = (bbox) => {
+    if (size === 0) return [];
+
+    const minRow = Math.max(rowOf(bbox.minLat), extent.minRow);
+    const maxRow = Math.min(rowOf(bbox.maxLat), extent.maxRow);
+    const minCol = Math.max(colOf(bbox.minLng), extent.minCol);
+    const maxCol = Math.min(colOf(bbox.maxLng), extent.maxCol);
+
+    if (minRow > maxRow || minCol > maxCol) return [];
+
+    const results = [];
+
+    // For very large boxes it is cheaper to walk the occupied cells
+    if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > cells.size) {
+      cells.forEach(cellPoints => {
+        cellPoints.forEach(point => {
+          if (isPointInBoundingBox(point, bbox)) results.push(point);
+        });
+      });
+      return results;
+    }
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const cellPoints = cells.get(cellKey(row, col));
+        if (!cellPoints) continue;
+
+        cellPoints.forEach(point => {
+          if (isPointInBoundingBox(point, bbox)) results.push(point);
+        });
+      }
+    }
+
+    return results;
+  };
+
+  /**
+   * All items within a radius of a center point, closest first
+   * @returns {Array<{point: Object, distance: number}>} - Matching items with distances in meters
+   */
+  const queryRadius = (center, radiusMeters) => {
+    return queryBoundingBox(boundingBoxAround(center, radiusMeters))
+      .map(point => ({ point, distance: haversineDistance(center, point) }))
+      .filter(match => match.distance <= radiusMeters)
+      .sort((a, b) => a.distance - b.distance);
+  };
+
+  /**
+   * The closest items to a center point, searched ring by ring outwards
+   * @returns {Array<{point: Object, distance: number}>} - Up to `limit` items with distances in meters
+   */
+  const nearest = (center, { limit = 1, maxDistance = Infinity } = {}) => {
+    if (size === 0 || !hasValidCoordinates(center)) return [];
+
+    const centerRow = rowOf(center.lat);
+    const centerCol = colOf(center.lng);
+
+    // Smallest cell side at this latitude - bounds how far unvisited rings can be
+    const cellWidthMeters = cellLng * METERS_PER_DEGREE_LAT * Math.cos(center.lat * Math.PI / 180);
+    const minCellMeters = Math.max(Math.min(cellSizeMeters, cellWidthMeters), 1e-3);
+
+    const maxRing = Math.max(
+      Math.abs(centerRow - extent.minRow), Math.abs(extent.maxRow - centerRow),
+      Math.abs(centerCol - extent.minCol), Math.abs(extent.maxCol - centerCol)
+    );
+
+    let found = [];
+
+    const visitPoints = (cellPoints) => {
+      cellPoints.forEach(point => {
+        const distance = haversineDistance(center, point);
+        if (distance <= maxDistance) found.push({ point, distance });
+      });
+    };
+
+    const visitCell = (row, col) => {
+      const cellPoints = cells.get(cellKey(row, col));
+      if (cellPoints) visitPoints(cellPoints);
+    };
+
+    // Cells looked up so far; once the rings have cost more than walking every occupied
+    // cell would, the rest of the search walks the occupied cells instead
+    let visitedCells = 0;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Everything in this ring and beyond is at least this far away
+      const ringLowerBound = Math.max(0, ring - 1) * minCellMeters;
+      if (ringLowerBound > maxDistance) break;
+
+      visitedCells += ring === 0 ? 1 : 8 * ring;
+      if (visitedCells > cells.size) {
+        found = [];
+        cells.forEach(visitPoints);
+        break;
+      }
+
+      if (found.length >= limit) {
+        found.sort((a, b) => a.distance - b.distance);
+        if (found[limit - 1].distance <= ringLowerBound) break;
+      }
+
+      for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+        if (row === centerRow - ring || row === centerRow + ring) {
+          for (let col = centerCol - ring; col <= centerCol + ring; col++) {
+            visitCell(row, col);
+          }
+        } else {
+          visitCell(row, centerCol - ring);
+          if (ring > 0) visitCell(row, centerCol + ring);
+        }
+      }
+    }
+
+    return found.sort((a, b) => a.distance - b.distance).slice(0, limit);
+  };
+
+  validPoints.forEach(insert);
+
+  return {
+    get size() {
+      return size;
+    },
+    cellSizeMeters,
+    insert,
+    queryBoundingBox,
+    queryRadius,
+    nearest
+  };
+};
+
+/**
+ * Get a cached spatial index for a dataset, building it on first use.
+ * The index is tied to the array instance, so replacing a dataset
+ * (rather than mutating it) automatically produces a fresh index.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} points - Items with lat and lng properties
+ * @returns {Object} - Spatial index for the dataset
+ */
+export const getSpatialIndex = (points) => {
+  if (!indexCache.has(points)) {
+    indexCache.set(points, createSpatialIndex(points));
+  }
+  return indexCache.get(points);
+};
@@ -0,0 +1,186 @@
+/**
+ * Streetlight inventory import for the SafePath Navigator
+ * Municipal streetlight inventories list each light's position, output (lumens, or
+ * wattage and lamp type) and whether it works. The importer maps them to the lighting
+ * data the lighting factor and map markers use ({lat, lng, level}), where broken or
+ * out-of-service lights get the 'off' level and count as unlit.
+ */
+import {
+  DATA_FILE_FORMATS,
+  isBlankValue,
+  readMappedField,
+  parseCoordinates,
+  readCsvRecords,
+  readGeoJSONRecords,
+  detectFileFormat,
+  mapRecords
+} from './dataFileImport';
+
+/**
+ * Lighting levels, brightest first; 'off' is a light that is not working
+ * @PUBLIC_INTERFACE
+ */
+export const LIGHTING_LEVELS = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+  OFF: 'off'
+};
+
+/**
+ * Column names tried for each streetlight field, in order (matched like the incident importer's)
+ * @PUBLIC_INTERFACE
+ */
+export const DEFAULT_STREETLIGHT_FIELD_MAPPING = {
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  lumens: ['lumens', 'lumen', 'lumen_output', 'light_output'],
+  wattage: ['wattage', 'watts', 'watt', 'lamp_wattage'],
+  lampType: ['lamp_type', 'lamptype', 'fixture_type', 'light_type'],
+  status: ['status', 'working', 'condition', 'operational_status', 'in_service']
+};
+
+// Lowest output (lumens) of each lit level
+const LUMEN_THRESHOLDS = [
+  { level: LIGHTING_LEVELS.HIGH, minLumens: 10000 },
+  { level: LIGHTING_LEVELS.MEDIUM, minLumens: 4000 },
+  { level: LIGHTING_LEVELS.LOW, minLumens: 0 }
+];
+
+// Luminous efficacy (lumens per watt) by lamp technology, for inventories that only list wattage
+const LAMP_EFFICACY = [
+  { pattern: /led/i, lumensPerWatt: 100 },
+  { pattern: /high.?pressure.?sodium|hps/i, lumensPerWatt: 90 },
+  { pattern: /low.?pressure.?sodium|lps/i, lumensPerWatt: 150 },
+  { pattern: /metal.?halide|mh/i, lumensPerWatt: 75 },
+  { pattern: /mercury/i, lumensPerWatt: 45 },
+  { pattern: /fluorescent|cfl/i, lumensPerWatt: 60 },
+  { pattern: /incandescent/i, lumensPerWatt: 15 }
+];
+const DEFAULT_LUMENS_PER_WATT = 80;
+
+// Status values that mean the light is not working
+const BROKEN_STATUS_PATTERN = /broken|\bout\b|outage|fault|inoperable|not.?working|inactive|dark|repair|damaged|removed|^(off|false|no|n|0)$/i;
+
+/**
+ * Imported streetlight
+ * @typedef {Object} Streetlight
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {string} level - Lighting level ('high', 'medium', 'low' or 'off')
+ * @property {number|null} lumens - Light output, reported or estimated from wattage
+ * @property {boolean} working - False for broken or out-of-service lights
+ */
+
+/**
+ * Lighting level for a light output
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number} lumens - Light output in lumens
+ * @returns {string} - 'high', 'medium' or 'low'
+ */
+export const getLightingLevel = (lumens) => (
+  LUMEN_THRESHOLDS.find(({ minLumens }) => lumens >= minLumens) || LUMEN_THRESHOLDS[LUMEN_THRESHOLDS.length - 1]
+).level;
+
+/**
+ * Estimate a lamp's output from its wattage and lamp type
+ *
+ * @PUBLIC_INTERFACE
+ * @param {number} wattage - Lamp wattage
+ * @param {string} lampType - Lamp technology (e.g. 'LED', 'HPS'); unknown types use a typical efficacy
+ * @returns {number} - Estimated lumens
+ */
+export const estimateLumens = (wattage, lampType = '') => {
+  const efficacy = LAMP_EFFICACY.find(({ pattern }) => pattern.test(lampType || ''));
+  return wattage * (efficacy ? efficacy.lumensPerWatt : DEFAULT_LUMENS_PER_WATT);
+};
+
+/**
+ * Map a record to a streetlight and validate it
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} record - Source record (a CSV row or GeoJSON feature properties with coordinates)
+ * @param {Object} options - Mapping options
+ * @param {Object} options.mapping - Field mapping merged over DEFAULT_STREETLIGHT_FIELD_MAPPING
+ * @param {string} options.defaultLevel - Level of working lights without an output (default: 'medium')
+ * @returns {Object} - { streetlight } when valid, otherwise { error } with the reason
+ */
+export const mapStreetlightRecord = (record, { mapping = {}, defaultLevel = LIGHTING_LEVELS.MEDIUM } = {}) => {
+  const fields = { ...DEFAULT_STREETLIGHT_FIELD_MAPPING, ...mapping };
+  const { lat, lng, error } = parseCoordinates(readMappedField(record, fields.lat), readMappedField(record, fields.lng));
+  if (error) return { error };
+
+  const rawLumens = readMappedField(record, fields.lumens);
+  const rawWattage = readMappedField(record, fields.wattage);
+  const rawStatus = readMappedField(record, fields.status);
+
+  let lumens = null;
+  if (!isBlankValue(rawLumens)) {
+    lumens = Number(rawLumens);
+    if (!Number.isFinite(lumens) || lumens < 0) return { error: `Invalid lumens "${rawLumens}"` };
+  } else if (!isBlankValue(rawWattage)) {
+    const wattage = Number(rawWattage);
+    if (!Number.isFinite(wattage) || wattage < 0) return { error: `Invalid wattage "${rawWattage}"` };
+    lumens = estimateLumens(wattage, readMappedField(record, fields.lampType));
+  }
+
+  // A blank status means the inventory has no reported problem with the light
+  const working = isBlankValue(rawStatus) || (rawStatus !== false && !BROKEN_STATUS_PATTERN.test(String(rawStatus).trim()));
+
+  let level = defaultLevel;
+  if (!working || lumens === 0) {
+    level = LIGHTING_LEVELS.OFF;
+  } else if (lumens !== null) {
+    level = getLightingLevel(lumens);
+  }
+
+  return { streetlight: { lat, lng, level, lumens, working } };
+};
+
+/**
+ * Map and validate source records as streetlights
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Array<Object>} records - Source records
+ * @param {Object} options - Mapping options (see mapStreetlightRecord)
+ * @returns {Object} - { streetlights, rejected: [{row, reason}] }
+ */
+export const importStreetlightRecords = (records, options = {}) => {
+  const { items, rejected } = mapRecords(records, (record) => {
+    const { streetlight, error } = mapStreetlightRecord(record, options);
+    return { item: streetlight, error };
+  });
+
+  return { streetlights: items, rejected };
+};
+
+/**
+ * Import a streetlight inventory file (CSV or GeoJSON points), detecting its format
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string} content - File content
+ * @param {Object} options - Mapping options (see mapStreetlightRecord)
+ * @param {string} options.fileName - File name, used to detect the format
+ * @param {string} options.format - Format to use instead of detecting it ('csv' or 'geojson')
+ * @param {string} options.delimiter - CSV field delimiter (default: ',')
+ * @returns {Object} - { format, columns, streetlights, rejected }
+ * @throws {Error} - When the file cannot be read as a streetlight inventory
+ */
+export const importStreetlightFile = (content, options = {}) => {
+  const format = options.format || detectFileFormat(content, options.fileName);
+
+  if (format === DATA_FILE_FORMATS.GEOJSON) {
+    const { columns, records } = readGeoJSONRecords(content);
+    // Geometry coordinates always land in lat/lng, whatever the property mapping says
+    const mapping = { ...options.mapping, lat: 'lat', lng: 'lng' };
+    return { format, columns, ...importStreetlightRecords(records, { ...options, mapping }) };
+  }
+
+  const { columns, records } = readCsvRecords(content, {
+    fields: { ...DEFAULT_STREETLIGHT_FIELD_MAPPING, ...options.mapping },
+    delimiter: options.delimiter,
+    itemName: 'streetlight'
+  });
+  return { format, columns, ...importStreetlightRecords(records, options) };
+};
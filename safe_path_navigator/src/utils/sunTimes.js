@@ -0,0 +1,91 @@
+/**
+ * Sunrise and sunset calculation for the SafePath Navigator
+ * Uses the standard sunrise equation, accurate to a few minutes, so lighting
+ * can be scored by whether it is dark at a route's location.
+ */
+
+const RAD = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+
+// Julian date of the Unix epoch and of the J2000 epoch
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const J2000 = 2451545;
+
+// Julian day correction for the solar transit
+const J0 = 0.0009;
+
+// Obliquity of the Earth's axis (degrees)
+const EARTH_OBLIQUITY = 23.4397;
+
+// Sun altitude at sunrise/sunset, accounting for refraction and the sun's radius (degrees)
+const SUNSET_ALTITUDE = -0.833;
+
+/**
+ * Convert a Julian date to a JavaScript Date
+ * @private
+ */
+const fromJulian = (julian) => new Date((julian - JULIAN_UNIX_EPOCH) * MS_PER_DAY);
+
+/**
+ * Sunrise, solar noon and sunset for the solar day containing a given moment
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Date} date - Moment in time
+ * @param {Object} location - Location {lat, lng}
+ * @returns {Object} - { sunrise, solarNoon, sunset } as Dates; sunrise and sunset are
+ *   null during polar day or night, flagged by `polarDay` / `polarNight`
+ */
+export const getSunTimes = (date, { lat, lng }) => {
+  const daysSinceJ2000 = (date.getTime() / MS_PER_DAY) + JULIAN_UNIX_EPOCH - J2000;
+  const westLongitude = -lng;
+
+  // Day number of the solar day at this longitude, and its mean solar noon
+  const cycle = Math.round(daysSinceJ2000 - J0 - westLongitude / 360);
+  const meanNoon = J0 + westLongitude / 360 + cycle;
+
+  const meanAnomaly = (357.5291 + 0.98560028 * meanNoon) * RAD;
+  const center = (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) +
+    0.0003 * Math.sin(3 * meanAnomaly)) * RAD;
+  const eclipticLongitude = meanAnomaly + center + (102.9372 + 180) * RAD;
+
+  const transit = J2000 + meanNoon + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(EARTH_OBLIQUITY * RAD));
+
+  const cosHourAngle = (Math.sin(SUNSET_ALTITUDE * RAD) - Math.sin(lat * RAD) * Math.sin(declination)) /
+    (Math.cos(lat * RAD) * Math.cos(declination));
+
+  const solarNoon = fromJulian(transit);
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return {
+      sunrise: null,
+      solarNoon,
+      sunset: null,
+      polarDay: cosHourAngle < -1,
+      polarNight: cosHourAngle > 1
+    };
+  }
+
+  const hourAngleDays = Math.acos(cosHourAngle) / (2 * Math.PI);
+  return {
+    sunrise: fromJulian(transit - hourAngleDays),
+    solarNoon,
+    sunset: fromJulian(transit + hourAngleDays),
+    polarDay: false,
+    polarNight: false
+  };
+};
+
+/**
+ * Check whether the sun is up at a location at a given moment
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Date} date - Moment in time
+ * @param {Object} location - Location {lat, lng}
+ * @returns {boolean} - True between local sunrise and sunset
+ */
+export const isDaylight = (date, location) => {
+  const { sunrise, sunset, polarDay } = getSunTimes(date, location);
+  if (!sunrise || !sunset) return polarDay;
+
+  return date >= sunrise && date < sunset;
+};
@@ -0,0 +1,284 @@
+/**
+ * Deterministic synthetic safety data for demos and tests
+ * The same seed and bounding box always produce the same crime hotspots,
+ * offense rates, street lights, emergency services and businesses.
+ */
+import { getSpatialIndex } from './spatialIndex';
+
+// Hotspots stop influencing crime rates beyond this distance
+const HOTSPOT_INFLUENCE_RADIUS_METERS = 1000;
+
+// Meters per degree of latitude, used to scatter points around hotspots
+const METERS_PER_DEGREE = 111320;
+
+// Typical rates per offense type for a city; the generator varies them per seed
+const BASE_OFFENSE_RATES = {
+  'violent-crime': 10,
+  'property-crime': 25,
+  'homicide': 1,
+  'robbery': 8,
+  'aggravated-assault': 15
+};
+
+// Relative likelihood of an incident happening in each hour of the day (0-23)
+const INCIDENT_HOUR_WEIGHTS = [
+  6, 5, 4, 3, 2, 1, 1, 2, 3, 3, 3, 4,
+  4, 4, 4, 5, 5, 6, 7, 8, 8, 8, 8, 7
+];
+
+const EMERGENCY_SERVICE_TYPES = [
+  { type: 'police', name: 'Police Station' },
+  { type: 'hospital', name: 'Hospital' },
+  { type: 'fire_station', name: 'Fire Station' }
+];
+
+// Opening hours (24h clock) to pick from for generated businesses
+const BUSINESS_HOURS = [
+  { open: 7, close: 23 },
+  { open: 6, close: 18 },
+  { open: 9, close: 21 },
+  { open: 0, close: 24 },
+  { open: 17, close: 3 }
+];
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @private
+ */
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ *
+ * @PUBLIC_INTERFACE
+ * @param {string|number} seed - Seed value; equal seeds produce equal sequences
+ * @returns {Function} - Function returning the next value in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = hashString(String(seed));
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Stable value in [0, 1) for a coordinate, so repeated lookups agree
+ * @private
+ */
+const coordinateNoise = (seed, lat, lng) => (
+  createSeededRandom(`${seed}:${lat.toFixed(5)}:${lng.toFixed(5)}`)()
+);
+
+/**
+ * Random helpers bound to one generator
+ * @private
+ */
+const createSampler = (random) => {
+  const between = (min, max) => min + random() * (max - min);
+
+  return {
+    between,
+    pick: (items) => items[Math.floor(random() * items.length)],
+    // Standard normal value via the Box-Muller transform
+    gaussian: () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()),
+    pointIn: (bbox) => ({
+      lat: between(bbox.minLat, bbox.maxLat),
+      lng: between(bbox.minLng, bbox.maxLng)
+    }),
+    weightedIndex: (weights) => {
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let target = random() * total;
+      for (let i = 0; i < weights.length; i++) {
+        target -= weights[i];
+        if (target < 0) return i;
+      }
+      return weights.length - 1;
+    }
+  };
+};
+
+/**
+ * Generate a synthetic city dataset
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} options - Generator options
+ * @param {string|number} options.seed - Seed value
+ * @param {Object} options.bbox - City bounding box {minLat, minLng, maxLat, maxLng}
+ * @param {number} options.hotspotCount - Number of crime hotspots (default: 4)
+ * @param {number} options.incidentCount - Number of crime points (default: 24)
+ * @param {number} options.lightCount - Number of street lights (default: 40)
+ * @param {number} options.servicesPerType - Emergency services per type (default: 2)
+ * @param {number} options.businessCount - Number of businesses (default: 16)
+ * @param {Date} options.referenceDate - Incidents are dated in the 90 days before this date
+ * @returns {Object} - { seed, bbox, referenceDate, hotspots, offenseRates, crimeData, lightingData,
+ *   emergencyServices, businesses }
+ */
+export const generateSyntheticCityData = ({
+  seed,
+  bbox,
+  hotspotCount = 4,
+  incidentCount = 24,
+  lightCount = 40,
+  servicesPerType = 2,
+  businessCount = 16,
+  referenceDate = new Date(Date.UTC(2024, 0, 1))
+}) => {
+  const random = createSeededRandom(seed);
+  const sample = createSampler(random);
+  const metersPerDegreeLng = METERS_PER_DEGREE * Math.cos(((bbox.minLat + bbox.maxLat) / 2) * Math.PI / 180);
+  const round = (value) => Math.round(value * 1e6) / 1e6;
+
+  // Scatter a point around a center with a normal distribution
+  const scatter = (center, radiusMeters) => ({
+    lat: round(center.lat + (sample.gaussian() * radiusMeters) / METERS_PER_DEGREE),
+    lng: round(center.lng + (sample.gaussian() * radiusMeters) / metersPerDegreeLng)
+  });
+
+  const hotspots = Array.from({ length: hotspotCount }, () => ({
+    ...sample.pointIn(bbox),
+    weight: Math.round(sample.between(0.4, 1) * 100) / 100,
+    radiusMeters: Math.round(sample.between(120, 350))
+  })).sort((a, b) => b.weight - a.weight);
+
+  const offenseRates = Object.keys(BASE_OFFENSE_RATES).reduce((rates, offense) => ({
+    ...rates,
+    [offense]: Math.round(BASE_OFFENSE_RATES[offense] * sample.between(0.8, 1.2) * 100) / 100
+  }), {});
+  const offenseTypes = Object.keys(offenseRates);
+  const offenseWeights = offenseTypes.map(offense => offenseRates[offense]);
+
+  // Most incidents cluster around hotspots (weighted by hotspot intensity), the rest are background
+  const crimeData = Array.from({ length: incidentCount }, () => {
+    const isBackground = random() < 0.2;
+    const hotspot = hotspots[sample.weightedIndex(hotspots.map(h => h.weight))];
+    const position = isBackground ? sample.pointIn(bbox) : scatter(hotspot, hotspot.radiusMeters);
+    const daysAgo = Math.floor(sample.between(0, 90));
+    const hour = sample.weightedIndex(INCIDENT_HOUR_WEIGHTS);
+    const occurredAt = new Date(referenceDate.getTime() - daysAgo * 86400000);
+    // Local clock hours, so the hour-of-day pattern holds wherever the data is scored
+    occurredAt.setHours(hour, Math.floor(sample.between(0, 60)), 0, 0);
+
+    return {
+      lat: round(position.lat),
+      lng: round(position.lng),
+      weight: Math.round((isBackground ? sample.between(0.1, 0.3) : hotspot.weight * sample.between(0.5, 1)) * 100) / 100,
+      offense: offenseTypes[sample.weightedIndex(offenseWeights)],
+      occurredAt: occurredAt.toISOString()
+    };
+  });
+
+  // Lights near hotspots are more likely to be dim
+  const hotspotIndex = getSpatialIndex(hotspots);
+  const lightingData = Array.from({ length: lightCount }, () => {
+    const position = sample.pointIn(bbox);
+    const [nearestHotspot] = hotspotIndex.nearest(position, { maxDistance: 400 });
+    const roll = random() + (nearestHotspot ? 0.3 : 0);
+
+    return {
+      lat: round(position.lat),
+      lng: round(position.lng),
+      level: roll < 0.35 ? 'high' : (roll < 0.75 ? 'medium' : 'low')
+    };
+  });
+
+  const emergencyServices = EMERGENCY_SERVICE_TYPES.flatMap(({ type, name }) => (
+    Array.from({ length: servicesPerType }, (_, i) => {
+      const position = sample.pointIn(bbox);
+      return { lat: round(position.lat), lng: round(position.lng), type, name: `${name} ${i + 1}` };
+    })
+  ));
+
+  const businesses = Array.from({ length: businessCount }, (_, i) => {
+    const position = sample.pointIn(bbox);
+    return {
+      lat: round(position.lat),
+      lng: round(position.lng),
+      name: `Business ${i + 1}`,
+      hours: { ...sample.pick(BUSINESS_HOURS) }
+    };
+  });
+
+  return {
+    seed,
+    bbox,
+    referenceDate: referenceDate.toISOString(),
+    hotspots,
+    offenseRates,
+    crimeData,
+    lightingData,
+    emergencyServices,
+    businesses
+  };
+};
+
+/**
+ * Deterministic per-offense crime rates at a coordinate, weighted by proximity
+ * to the dataset's nearest hotspot. Equal inputs always give equal rates.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} dataset - Dataset from generateSyntheticCityData
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} - Crime rate per offense type
+ */
+export const getSyntheticCrimeRates = (dataset, lat, lng) => {
+  // Hotspots further away than their influence radius add nothing
+  const [closest] = getSpatialIndex(dataset.hotspots).nearest(
+    { lat, lng },
+    { maxDistance: HOTSPOT_INFLUENCE_RADIUS_METERS }
+  );
+  const closestWeight = closest ? closest.point.weight : 0;
+
+  // Closer to high-crime areas = higher crime value
+  const proximityFactor = closest ? Math.max(0, 1 - (closest.distance / HOTSPOT_INFLUENCE_RADIUS_METERS)) : 0;
+  const variation = 0.7 + (coordinateNoise(dataset.seed, lat, lng) * 0.6); // Stable value between 0.7-1.3
+
+  return Object.entries(dataset.offenseRates).reduce((rates, [offense, maxValue]) => ({
+    ...rates,
+    [offense]: Math.min(maxValue, maxValue * closestWeight * proximityFactor * variation)
+  }), {});
+};
+
+/**
+ * Average synthetic crime rates across the dataset's bounding box, sampled on a grid
+ * Used as the city-wide baseline for the demo city.
+ *
+ * @PUBLIC_INTERFACE
+ * @param {Object} dataset - Dataset from generateSyntheticCityData
+ * @param {number} gridSize - Samples per side of the grid (default: 10)
+ * @returns {Object} - Average crime rate per offense type
+ */
+export const getSyntheticBaselineRates = (dataset, gridSize = 10) => {
+  const { minLat, minLng, maxLat, maxLng } = dataset.bbox;
+  const totals = {};
+  let samples = 0;
+
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      // Sample cell centres so the edges of the box are not over-represented
+      const lat = minLat + ((row + 0.5) / gridSize) * (maxLat - minLat);
+      const lng = minLng + ((col + 0.5) / gridSize) * (maxLng - minLng);
+      Object.entries(getSyntheticCrimeRates(dataset, lat, lng)).forEach(([offense, rate]) => {
+        totals[offense] = (totals[offense] || 0) + rate;
+      });
+      samples++;
+    }
+  }
+
+  return Object.keys(totals).reduce((rates, offense) => ({
+    ...rates,
+    [offense]: totals[offense] / samples
+  }), {});
+};